@@ -0,0 +1,1743 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const MongoService = require('../services/MongoService');
+const ExportService = require('../services/ExportService');
+const ImportService = require('../services/ImportService');
+const DuplicateService = require('../services/DuplicateService');
+const ChunkingService = require('../services/ChunkingService');
+const OptOutService = require('../services/OptOutService');
+const ReportService = require('../services/ReportService');
+const TrainingRunService = require('../services/TrainingRunService');
+const UserService = require('../services/UserService');
+const ReviewService = require('../services/ReviewService');
+const JobService = require('../services/JobService');
+const JobTypes = require('../services/JobTypes');
+const SearchService = require('../services/SearchService');
+const EmbeddingService = require('../services/EmbeddingService');
+const StorageService = require('../services/StorageService');
+const CorpusService = require('../services/CorpusService');
+const AuditService = require('../services/AuditService');
+const AnalyticsService = require('../services/AnalyticsService');
+const ExtractionService = require('../services/ExtractionService');
+const Logger = require('../services/Logger');
+const { DocumentValidationError } = require('../services/DocumentValidator');
+const TextCleaning = require('../shared/textCleaning');
+const TextQuality = require('../shared/textQuality');
+const TextDiff = require('../shared/textDiff');
+const Compliance = require('../shared/compliance');
+const { InvalidQueryError, VersionConflictError, DuplicateDocumentError, LowQualityError } = MongoService;
+
+// Exit codes: 0 success, 1 runtime failure, 2 invalid usage or input,
+// 3 documents were rejected (validation, quality), duplicates or edited meanwhile
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_REJECTED = 3;
+
+class UsageError extends Error {}
+
+// ============================================================================
+// ARGUMENT PARSING
+// ============================================================================
+
+/**
+ * Parse `--some-option value`, `--some-option=value` and bare `--flag`
+ * arguments into { _: [positionals], some_option: 'value', flag: true }.
+ */
+function parseArgs(argv) {
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+            continue;
+        }
+
+        const [rawKey, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        const key = rawKey.replace(/-/g, '_');
+
+        if (inlineValue !== undefined) {
+            args[key] = inlineValue;
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            args[key] = argv[++i];
+        } else {
+            args[key] = true;
+        }
+    }
+
+    return args;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+// Recorded as the user who added or changed documents from the command line
+function cliActor() {
+    return process.env.CORPUS_USER || `cli:${os.userInfo().username}`;
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+const FILTER_HELP = `
+Filters:
+  --content-type <list>    comma-separated content types (book,blog,...)
+  --language <list>        comma-separated language codes
+  --weight-min <n>         minimum training weight
+  --weight-max <n>         maximum training weight
+  --created-from <date>    only documents added on or after this ISO date
+  --created-to <date>      only documents added on or before this ISO date
+  --training-run <id>      only documents in the snapshot of this training run`;
+
+// Print a document or result as JSON, without Mongo's internal _id
+function printJson(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && '_id' in value) {
+        const { _id, ...rest } = value;
+        value = rest;
+    }
+    console.log(JSON.stringify(value, null, 2));
+}
+
+async function addCommand(args, { mongoService, corpus }) {
+    const source = args._[0] || '-';
+    const importService = new ImportService(mongoService);
+    const defaults = { ...CorpusService.metadataDefaults(corpus), ...ImportService.pickDefaults(args) };
+    const cleaning = CorpusService.cleaningSpec(corpus, args);
+    const chunking = ChunkingService.parseOptions(args);
+
+    let item;
+    if (source === '-') {
+        if (process.stdin.isTTY) {
+            throw new UsageError('Give a <file> to add, or pipe the text on standard input');
+        }
+        item = {
+            source: 'stdin',
+            fields: {
+                ...defaults,
+                content_text: await readStdin(),
+                cleaning: cleaning,
+                lineage_step: 'Text added from standard input via corpus CLI (auto-cleaned)'
+            }
+        };
+    } else {
+        const stats = await fs.promises.stat(source).catch(() => null);
+        if (!stats || !stats.isFile()) {
+            throw new UsageError(`No such file: ${source}`);
+        }
+        item = await importService.loadFile(source, { defaults, cleaning });
+    }
+    if (item.fields && args.draft) {
+        item.fields.processing_status = 'draft';
+    }
+
+    const result = await importService.importItem(item, chunking, cliActor());
+
+    if (args.json) {
+        printJson(result);
+    } else if (result.status === 'inserted') {
+        console.log(result.document_id);
+    }
+
+    if (result.status !== 'inserted') {
+        const detail = result.details ? ` (${result.details.map(d => `${d.field} ${d.message}`).join('; ')})` : '';
+        console.error(`${result.status === 'duplicate' ? '🔁' : '⛔'} Not added, ${result.status}: ${result.error}${detail}`);
+        return EXIT_REJECTED;
+    }
+    const warnings = result.quality_issues ? ` (quality: ${result.quality_issues.map(issue => issue.message).join('; ')})` : '';
+    console.error(`📥 Added "${result.title}"${result.chunk_count ? ` as ${result.chunk_count} chunks` : ''}${warnings}`);
+    if (result.opted_out) {
+        console.error('🚫 It is opted out of training and will not be exported');
+    }
+}
+
+async function listCommand(args, { mongoService }) {
+    const raw = { ...args, processing_status: args.processing_status || args.status };
+    if (args._.length) {
+        raw.q = args._.join(' ');
+    }
+
+    const { criteria, options } = SearchService.parseOptions(raw);
+    const result = await new SearchService(mongoService).search(criteria, options);
+
+    if (args.json) {
+        printJson(result);
+        return;
+    }
+    for (const doc of result.documents) {
+        const chunk = doc.chunk ? `  chunk ${doc.chunk.ordinal}/${doc.chunk.total}` : '';
+        console.log(`${doc.document_id}  "${doc.title}" by ${doc.author}  ${doc.content_type}  ${doc.processing_status}  ${doc.token_count || 0} tokens${chunk}`);
+    }
+    console.error(`🗂️  ${result.documents.length} of ${result.total} document(s)${result.next_cursor ? `; next page: --cursor ${result.next_cursor}` : ''}`);
+}
+
+async function searchCommand(args, context) {
+    if (!args._.length) {
+        throw new UsageError('Missing <query> to search for');
+    }
+    if (args.semantic) {
+        return await semanticSearchCommand(args, context);
+    }
+    return await listCommand(args, context);
+}
+
+async function semanticSearchCommand(args, { mongoService }) {
+    const raw = { ...args, processing_status: args.processing_status || args.status, q: args._.join(' ') };
+    const { query, criteria, options } = SearchService.parseSemanticOptions(raw);
+    const result = await new SearchService(mongoService).semanticSearch(query, criteria, options);
+
+    if (args.json) {
+        printJson(result);
+        return;
+    }
+    for (const doc of result.documents) {
+        console.log(`${doc.score.toFixed(4)}  ${doc.document_id}  "${doc.title}" by ${doc.author}  ${doc.content_type}  ${doc.processing_status}`);
+    }
+    console.error(`🧭 ${result.documents.length} closest of ${result.compared} document(s) embedded with ${result.model} (${result.matching} matching)${result.unembedded ? `; ${result.unembedded} not embedded yet (corpus embeddings --recompute)` : ''}`);
+}
+
+async function showCommand(args, { mongoService }) {
+    const documentId = args._[0];
+    if (!documentId) {
+        throw new UsageError('Missing <document_id> to show');
+    }
+
+    const document = await mongoService.getDocumentById(documentId);
+    if (!document) {
+        console.error(`Error: no document ${documentId}`);
+        return EXIT_FAILURE;
+    }
+
+    if (args.text) {
+        process.stdout.write(document.content_text.endsWith('\n') ? document.content_text : `${document.content_text}\n`);
+        return;
+    }
+    printJson(document);
+}
+
+// corpus update flag -> document field it sets
+const UPDATE_FIELDS = {
+    title: ['attribution', 'title'],
+    author: ['attribution', 'author'],
+    content_type: ['attribution', 'content_type'],
+    publisher: ['attribution', 'publisher'],
+    isbn: ['attribution', 'isbn'],
+    publication_date: ['attribution', 'publication_date'],
+    source_url: ['attribution', 'source_url'],
+    language: ['content_metadata', 'language'],
+    genre: ['content_metadata', 'genre'],
+    chapter_section: ['content_metadata', 'chapter_section'],
+    weighting: ['training_metadata', 'weighting']
+};
+
+async function updateCommand(args, { mongoService }) {
+    const documentId = args._[0];
+    if (!documentId) {
+        throw new UsageError('Missing <document_id> to update');
+    }
+
+    let changes = {};
+    if (args.patch !== undefined) {
+        if (args.patch === true) {
+            throw new UsageError('--patch needs a JSON file, or - for standard input');
+        }
+        const text = args.patch === '-' ? await readStdin() : await fs.promises.readFile(args.patch, 'utf8');
+        try {
+            changes = JSON.parse(text);
+        } catch (error) {
+            throw new UsageError(`--patch is not valid JSON: ${error.message}`);
+        }
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            throw new UsageError('--patch must hold a JSON object');
+        }
+    }
+
+    for (const [flag, [section, field]] of Object.entries(UPDATE_FIELDS)) {
+        if (args[flag] === undefined) continue;
+        if (args[flag] === true) {
+            throw new UsageError(`--${flag.replace(/_/g, '-')} needs a value`);
+        }
+        let value = args[flag] === '' ? null : args[flag];
+        if (flag === 'weighting') {
+            value = Number(value);
+        }
+        changes[section] = { ...changes[section], [field]: value };
+    }
+    if (Object.keys(changes).length === 0) {
+        throw new UsageError('Nothing to update: give metadata options or --patch');
+    }
+
+    // Without --version the change applies to whatever version is stored now
+    let expectedVersion;
+    if (args.version !== undefined) {
+        expectedVersion = Number(args.version);
+        if (!Number.isInteger(expectedVersion)) {
+            throw new UsageError('--version must be an integer');
+        }
+    } else {
+        const current = await mongoService.getDocumentById(documentId);
+        expectedVersion = current ? current.version : null;
+    }
+
+    const document = expectedVersion === null ? null : await mongoService.updateDocument(documentId, changes, expectedVersion, { actor: cliActor() });
+    if (!document) {
+        console.error(`Error: no document ${documentId}`);
+        return EXIT_FAILURE;
+    }
+
+    if (args.json) {
+        printJson(document);
+    }
+    console.error(`✏️  Updated ${documentId} (version ${document.version})`);
+}
+
+async function deleteCommand(args, { mongoService }) {
+    const documentId = args._[0];
+    if (!documentId) {
+        throw new UsageError('Missing <document_id> to delete');
+    }
+
+    const purge = Boolean(args.purge);
+    if (!(await mongoService.deleteDocument(documentId, { actor: cliActor(), purge }))) {
+        console.error(`Error: no document ${documentId}`);
+        return EXIT_FAILURE;
+    }
+
+    if (args.json) {
+        printJson({ document_id: documentId, deleted: true, purged: purge });
+    }
+    console.error(`🗑️  Deleted ${documentId}${purge ? ' and its revision history' : ''}`);
+}
+
+async function statsCommand(args, { mongoService }) {
+    const { scope, options } = AnalyticsService.parseOptions(args);
+    const analytics = await new AnalyticsService(mongoService).buildAnalytics(scope, options);
+
+    if (args.json) {
+        printJson(analytics);
+        return;
+    }
+
+    const totals = analytics.totals;
+    const number = value => Number(value).toLocaleString('en-US');
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+
+    console.log(`Documents         ${number(totals.documents)}`);
+    console.log(`Tokens            ${number(totals.tokens)}`);
+    console.log(`Effective tokens  ${number(totals.effective_tokens)}`);
+    console.log(`Characters        ${number(totals.characters)}`);
+    console.log(`Authors           ${number(totals.authors)}`);
+    console.log(`Average weight    ${totals.average_weight}`);
+    console.log(`Average length    ${number(totals.average_tokens)} tokens`);
+
+    for (const [name, rows] of Object.entries(analytics.breakdowns)) {
+        console.log(`\n${name}`);
+        for (const row of rows) {
+            console.log(`  ${String(row.value ?? '(not recorded)').padEnd(24)} ${number(row.documents).padStart(8)} docs ${number(row.tokens).padStart(12)} tokens  ${percent(row.token_share).padStart(6)}`);
+        }
+    }
+
+    console.log('\ntoken length');
+    for (const bucket of analytics.token_histogram) {
+        const range = bucket.max === null ? `${bucket.min}+` : `${bucket.min}-${bucket.max - 1}`;
+        console.log(`  ${range.padEnd(24)} ${number(bucket.documents).padStart(8)} docs  ${percent(bucket.document_share).padStart(6)}`);
+    }
+
+    console.log(`\nadded per ${analytics.interval}`);
+    for (const period of analytics.ingestion) {
+        console.log(`  ${period.period.padEnd(24)} ${number(period.documents).padStart(8)} docs ${number(period.tokens).padStart(12)} tokens`);
+    }
+}
+
+// Text of a file in any format ExtractionService reads, or of standard input for "-"
+async function readTextSource(source, purpose) {
+    if (source === '-') {
+        if (process.stdin.isTTY) {
+            throw new UsageError(`Give a <file> to ${purpose}, or pipe the text on standard input`);
+        }
+        return await readStdin();
+    }
+
+    const stats = await fs.promises.stat(source).catch(() => null);
+    if (!stats || !stats.isFile()) {
+        throw new UsageError(`No such file: ${source}`);
+    }
+    return (await new ExtractionService().extract(await fs.promises.readFile(source), source)).text;
+}
+
+async function cleanCommand(args, { mongoService }) {
+    const text = await readTextSource(args._[0] || '-', 'clean');
+
+    const contentType = typeof args.content_type === 'string' ? args.content_type : 'other';
+    const cleaned = TextCleaning.runPipeline(text.trim(), TextCleaning.specFromOptions(args), contentType);
+    const ops = TextDiff.diffLines(text.trim(), cleaned.text);
+    const quality = TextQuality.assess(cleaned.text, {
+        language: typeof args.language === 'string' ? args.language : undefined,
+        thresholds: mongoService.quality.thresholds
+    });
+    const changes = TextDiff.stats(ops);
+
+    if (args.json) {
+        printJson({
+            preset: cleaned.preset,
+            rules: cleaned.rules,
+            original_characters: text.trim().length,
+            cleaned_characters: cleaned.text.length,
+            lines_added: changes.added,
+            lines_removed: changes.removed,
+            quality: quality,
+            text: cleaned.text
+        });
+    } else if (args.diff) {
+        for (const hunk of TextDiff.unifiedHunks(ops)) {
+            console.log(`@@ -${hunk.old_start},${hunk.old_lines} +${hunk.new_start},${hunk.new_lines} @@`);
+            hunk.lines.forEach(line => console.log(line));
+        }
+    } else {
+        console.log(cleaned.text);
+    }
+
+    console.error(`🧹 ${cleaned.preset} preset: ${changes.added} line(s) added, ${changes.removed} removed, ${text.trim().length} -> ${cleaned.text.length} characters (nothing stored)`);
+    if (quality.issues.length) {
+        console.error(`${quality.status === 'reject' ? '⛔' : '⚠️ '} Quality ${quality.status}: ${quality.issues.map(issue => issue.message).join('; ')}`);
+    }
+}
+
+async function exportCommand(args, { mongoService }) {
+    const exportService = new ExportService(mongoService);
+    const { filters, options } = ExportService.parseOptions(args);
+
+    // Sharded exports always go to a directory, everything else to a file or stdout
+    if (options.shardSize) {
+        if (!args.out || args.out === true) {
+            throw new UsageError('--shard-size requires --out <directory>');
+        }
+        const manifest = await exportService.exportToDirectory(args.out, filters, { ...options, actor: cliActor() });
+        console.error(`📦 Exported ${manifest.total_records} records into ${manifest.shards.length} shard(s) in ${args.out}`);
+        reportExcluded(manifest.excluded_not_cleared);
+        return;
+    }
+
+    const output = args.out && args.out !== true ? fs.createWriteStream(args.out) : process.stdout;
+    const count = await exportService.exportToStream(output, filters, { ...options, actor: cliActor() });
+
+    if (output !== process.stdout) {
+        output.end();
+        await new Promise(resolve => output.on('finish', resolve));
+    }
+    console.error(`📦 Exported ${count} records${args.out ? ` to ${args.out}` : ''}`);
+    reportExcluded(await exportService.countExcluded(filters));
+}
+
+function reportExcluded(count) {
+    if (count > 0) {
+        console.error(`⛔ ${count} approved document(s) were left out because they are not cleared (opted out, or no license or exception)`);
+    }
+}
+
+async function importCommand(args, { mongoService, corpus }) {
+    const source = args._[0];
+    if (!source) {
+        throw new UsageError('Missing <path> to import');
+    }
+
+    const importService = new ImportService(mongoService);
+    const defaults = { ...CorpusService.metadataDefaults(corpus), ...ImportService.pickDefaults(args) };
+    const cleaning = CorpusService.cleaningSpec(corpus, args);
+    const chunking = ChunkingService.parseOptions(args);
+    const stats = await fs.promises.stat(source).catch(() => null);
+    if (!stats) {
+        throw new UsageError(`No such file or directory: ${source}`);
+    }
+
+    let items;
+    if (stats.isDirectory()) {
+        items = await importService.loadDirectory(source, { metadataPath: args.metadata, defaults, cleaning });
+    } else if (ImportService.archiveType(source)) {
+        items = await importService.loadArchive(source, ImportService.archiveType(source), { metadataPath: args.metadata, defaults, cleaning });
+    } else if (source.endsWith('.jsonl') || source.endsWith('.ndjson')) {
+        items = importService.parseJsonl(await fs.promises.readFile(source, 'utf8'), { defaults, cleaning });
+    } else if (ImportService.isImportableFile(source)) {
+        items = [await importService.loadFile(source, { defaults, cleaning })];
+    } else if (source.endsWith('.json')) {
+        const batch = JSON.parse(await fs.promises.readFile(source, 'utf8'));
+        items = importService.parseBatch(Array.isArray(batch) ? batch : batch.documents || [], { defaults, cleaning });
+    } else {
+        throw new UsageError('Import a directory, .zip/.tar/.tar.gz archive, .jsonl or .json batch, or a PDF, EPUB, DOCX, HTML, SRT, VTT or text file');
+    }
+
+    const report = await importService.importItems(items, { chunking, actor: cliActor() });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        for (const item of report.items) {
+            const detail = item.details ? ` (${item.details.map(d => `${d.field} ${d.message}`).join('; ')})` : '';
+            const warnings = item.status === 'inserted' && item.quality_issues
+                ? ` (quality: ${item.quality_issues.map(issue => issue.message).join('; ')})`
+                : '';
+            console.error(`${item.status.padEnd(9)} ${item.source}${item.error ? `: ${item.error}${detail}` : ''}${warnings}`);
+        }
+    }
+    console.error(`📥 ${report.summary.inserted} inserted, ${report.summary.duplicate} duplicate, ${report.summary.rejected} rejected`);
+    if (report.summary.opted_out) {
+        console.error(`🚫 ${report.summary.opted_out} of the inserted documents are opted out of training and will not be exported`);
+    }
+
+    return report.summary.inserted === report.summary.total ? 0 : EXIT_REJECTED;
+}
+
+async function duplicatesCommand(args, { mongoService }) {
+    let threshold;
+    if (args.threshold !== undefined) {
+        threshold = Number(args.threshold);
+        if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+            throw new UsageError('--threshold must be a number between 0 and 1');
+        }
+    }
+
+    const report = await new DuplicateService(mongoService).clusterReport({ threshold });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    report.clusters.forEach((cluster, index) => {
+        console.log(`Cluster ${index + 1} (${cluster.size} documents, up to ${Math.round(cluster.max_similarity * 100)}% similar)`);
+        for (const doc of cluster.documents) {
+            console.log(`  ${doc.document_id}  "${doc.title}" by ${doc.author}`);
+        }
+    });
+    console.error(`🔁 ${report.duplicate_documents} of ${report.documents_scanned} documents in ${report.clusters.length} near-duplicate cluster(s) at threshold ${report.threshold}`);
+}
+
+async function optOutCommand(args, { mongoService, corpusService }) {
+    const action = args._[0] || 'list';
+
+    if (action === 'list') {
+        const entries = await mongoService.optOuts.listEntries();
+        if (args.json) {
+            console.log(JSON.stringify(entries, null, 2));
+            return;
+        }
+        for (const entry of entries) {
+            console.log(`${entry.entry_id}  ${entry.kind.padEnd(9)} ${entry.value}  (${entry.mechanism}${entry.reason ? `: ${entry.reason}` : ''})`);
+        }
+        console.error(`🚫 ${entries.length} opt-out(s) registered`);
+        return;
+    }
+
+    if (action === 'add') {
+        const kind = OptOutService.KINDS.find(name => typeof args[name] === 'string');
+        if (!kind) {
+            throw new UsageError('Give the --author, --publisher or --domain that opted out');
+        }
+        const result = await corpusService.addOptOut({
+            kind: kind,
+            value: args[kind],
+            mechanism: typeof args.mechanism === 'string' ? args.mechanism : undefined,
+            reason: typeof args.reason === 'string' ? args.reason : null,
+            reference: typeof args.reference === 'string' ? args.reference : null
+        });
+        if (args.json) {
+            console.log(JSON.stringify(result, null, 2));
+        }
+        console.error(`🚫 Registered ${result.entry.entry_id} for ${kind} "${result.entry.value}": ${result.flagged} document(s) flagged`);
+        return;
+    }
+
+    if (action === 'remove') {
+        const entryId = args._[1];
+        if (!entryId) {
+            throw new UsageError('Missing <entry_id> to remove');
+        }
+        const result = await corpusService.removeOptOut(entryId);
+        if (!result) {
+            console.error(`Error: no opt-out entry ${entryId}`);
+            return EXIT_FAILURE;
+        }
+        console.error(`🚫 Removed opt-out for ${result.entry.kind} "${result.entry.value}": ${result.unflagged} document(s) cleared`);
+        return;
+    }
+
+    if (action === 'recheck') {
+        const summary = await corpusService.recheckOptOuts();
+        if (args.json) {
+            console.log(JSON.stringify(summary, null, 2));
+        }
+        console.error(`🚫 Checked ${summary.scanned} documents: ${summary.flagged} flagged, ${summary.unflagged} cleared${summary.skipped ? `, ${summary.skipped} edited meanwhile (skipped)` : ''}`);
+        return;
+    }
+
+    throw new UsageError(`Unknown opt-out action: ${action}`);
+}
+
+async function reportCommand(args, { mongoService }) {
+    const raw = { ...args };
+    if (typeof args.ids_file === 'string') {
+        const listed = (await fs.promises.readFile(args.ids_file, 'utf8')).split(/[\s,]+/).filter(Boolean);
+        raw.document_ids = [...(typeof args.ids === 'string' ? args.ids.split(',') : []), ...listed];
+    } else if (args.ids !== undefined) {
+        raw.document_ids = args.ids === true ? '' : args.ids;
+    }
+
+    const { scope, options } = ReportService.parseOptions(raw);
+    const { report, body } = await new ReportService(mongoService).generate(scope, options);
+
+    if (args.out && args.out !== true) {
+        await fs.promises.writeFile(args.out, body);
+    } else {
+        process.stdout.write(body);
+    }
+
+    console.error(`⚖️  Summarized ${report.totals.documents} document(s), ${report.totals.tokens} tokens${args.out && args.out !== true ? ` into ${args.out}` : ''}`);
+    if (report.scope.missing_document_ids.length) {
+        console.error(`⚠️  ${report.scope.missing_document_ids.length} listed document(s) not found or not in scope: ${report.scope.missing_document_ids.join(', ')}`);
+    }
+}
+
+const RUN_FILTER_KEYS = ['content_type', 'language', 'weight_min', 'weight_max', 'created_from', 'created_to', 'training_run'];
+
+async function runCommand(args, { mongoService }) {
+    const action = args._[0] || 'list';
+    const runs = new TrainingRunService(mongoService);
+    const print = (value) => console.log(JSON.stringify(value, null, 2));
+    const describe = (run) => `${run.run_id}  ${run.name}  ${run.base_model} ${run.model_version}  ${run.status}`
+        + (run.snapshot ? `  ${run.snapshot.document_count} documents, ${run.snapshot.total_tokens} tokens` : '');
+
+    if (action === 'list') {
+        const list = await runs.listRuns();
+        if (args.json) {
+            print(list);
+            return;
+        }
+        list.forEach(run => console.log(describe(run)));
+        console.error(`🏷️  ${list.length} training run(s)`);
+        return;
+    }
+
+    if (action === 'create') {
+        const filters = Object.fromEntries(RUN_FILTER_KEYS.filter(key => typeof args[key] === 'string').map(key => [key, args[key]]));
+        const run = await runs.createRun({
+            name: args.name,
+            base_model: typeof args.base_model === 'string' ? args.base_model : undefined,
+            model_version: args.model_version,
+            training_date: typeof args.training_date === 'string' ? args.training_date : null,
+            notes: typeof args.notes === 'string' ? args.notes : null,
+            upsample: Boolean(args.upsample),
+            filters: filters
+        });
+        if (args.json) {
+            print(run);
+        }
+        console.error(`🏷️  Created draft run ${run.run_id}; freeze it with "corpus run freeze ${run.run_id}"`);
+        return;
+    }
+
+    if (action === 'diff') {
+        const [from, to] = args._.slice(1);
+        if (!from || !to) {
+            throw new UsageError('Missing <from_run_id> <to_run_id> to compare');
+        }
+        const diff = await runs.diffRuns(from, to);
+        if (args.json) {
+            print(diff);
+        } else {
+            diff.added.forEach(id => console.log(`+ ${id}`));
+            diff.removed.forEach(id => console.log(`- ${id}`));
+            diff.changed.forEach(id => console.log(`~ ${id}`));
+        }
+        console.error(`🏷️  ${diff.from.model_version} -> ${diff.to.model_version}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged} unchanged`);
+        return;
+    }
+
+    const runId = args._[1];
+    if (!runId) {
+        throw new UsageError(`Missing <run_id> to ${action}`);
+    }
+    const notFound = () => {
+        console.error(`Error: no training run ${runId}`);
+        return EXIT_FAILURE;
+    };
+
+    if (action === 'show') {
+        const run = await runs.getRun(runId);
+        if (!run) return notFound();
+        print(run);
+        return;
+    }
+
+    if (action === 'freeze') {
+        const run = await runs.freezeRun(runId, {
+            onProgress: progress => console.error(`… ${progress.document_count} documents snapshotted`)
+        });
+        if (!run) return notFound();
+        if (args.json) {
+            print(run);
+        }
+        console.error(`🧊 Froze ${run.run_id}: ${run.snapshot.document_count} documents, ${run.snapshot.total_tokens} tokens (fingerprint ${run.snapshot.fingerprint.slice(0, 12)})`);
+        return;
+    }
+
+    if (action === 'snapshot') {
+        const run = await runs.getRun(runId);
+        if (!run) return notFound();
+        if (run.status !== 'frozen') {
+            throw new TrainingRunService.TrainingRunStateError(run, `Training run ${runId} has no snapshot yet (${run.status})`);
+        }
+        for await (const entry of runs.iterateSnapshot(runId)) {
+            process.stdout.write(JSON.stringify(entry) + '\n');
+        }
+        return;
+    }
+
+    if (action === 'verify') {
+        const result = await runs.verifyRun(runId);
+        if (!result) return notFound();
+        if (args.json) {
+            print(result);
+        } else {
+            result.changed.forEach(id => console.log(`~ ${id}`));
+            result.missing.forEach(id => console.log(`- ${id}`));
+        }
+        console.error(`🧊 ${result.unchanged} unchanged, ${result.changed.length} changed, ${result.missing.length} missing since ${result.run.frozen_at.toISOString()}`);
+        return result.changed.length || result.missing.length ? EXIT_REJECTED : 0;
+    }
+
+    if (action === 'delete') {
+        const run = await runs.deleteRun(runId);
+        if (!run) return notFound();
+        console.error(`🏷️  Deleted draft run ${run.run_id}`);
+        return;
+    }
+
+    throw new UsageError(`Unknown run action: ${action}`);
+}
+
+async function userCommand(args, { mongoService }) {
+    const action = args._[0] || 'list';
+    const users = new UserService(mongoService);
+    const print = (value) => console.log(JSON.stringify(value, null, 2));
+    const password = async () => {
+        if (args.password_stdin) {
+            return (await readStdin()).replace(/\r?\n$/, '');
+        }
+        if (typeof args.password !== 'string') {
+            throw new UsageError('Give the password with --password <password> or --password-stdin');
+        }
+        return args.password;
+    };
+
+    if (action === 'list') {
+        const list = await users.listUsers();
+        if (args.json) {
+            print(list);
+            return;
+        }
+        list.forEach(user => console.log(`${user.username.padEnd(20)} ${user.role.padEnd(11)} ${user.disabled ? 'disabled' : 'active  '}  ${user.display_name}`));
+        console.error(`👤 ${list.length} user(s)`);
+        return;
+    }
+
+    const username = args._[1];
+    if (!username) {
+        throw new UsageError(`Missing <username> to ${action}`);
+    }
+    const notFound = () => {
+        console.error(`Error: no user ${username}`);
+        return EXIT_FAILURE;
+    };
+
+    if (action === 'add') {
+        const user = await users.createUser({
+            username: username,
+            password: await password(),
+            role: typeof args.role === 'string' ? args.role : undefined,
+            display_name: typeof args.display_name === 'string' ? args.display_name : undefined
+        });
+        if (args.json) {
+            print(user);
+        }
+        console.error(`👤 Created ${user.role} ${user.username}`);
+        return;
+    }
+
+    const changes = {
+        'set-role': () => ({ role: args._[2] }),
+        passwd: async () => ({ password: await password() }),
+        disable: () => ({ disabled: true }),
+        enable: () => ({ disabled: false })
+    };
+    if (changes[action]) {
+        const user = await users.updateUser(username, await changes[action]());
+        if (!user) return notFound();
+        if (args.json) {
+            print(user);
+        }
+        console.error(`👤 Updated ${user.username} (${user.role}${user.disabled ? ', disabled' : ''})`);
+        return;
+    }
+
+    if (action === 'delete') {
+        if (!(await users.deleteUser(username))) return notFound();
+        console.error(`👤 Deleted ${username}`);
+        return;
+    }
+
+    if (action === 'token') {
+        if (!(await users.getUser(username))) return notFound();
+        const token = await users.createToken(username, { kind: 'api', name: typeof args.name === 'string' ? args.name : null });
+        if (args.json) {
+            print(token);
+        } else {
+            console.log(token.token);
+        }
+        console.error(`🔑 Created API token ${token.token_id} for ${username}; it is shown only once`);
+        return;
+    }
+
+    if (action === 'tokens') {
+        const tokens = await users.listTokens(username);
+        if (args.json) {
+            print(tokens);
+            return;
+        }
+        tokens.forEach(token => console.log(`${token.token_id}  ${token.name}  created ${token.created_at.toISOString()}  last used ${token.last_used_at ? token.last_used_at.toISOString() : 'never'}`));
+        console.error(`🔑 ${tokens.length} API token(s)`);
+        return;
+    }
+
+    if (action === 'revoke') {
+        const tokenId = args._[2];
+        if (!tokenId) {
+            throw new UsageError('Missing <token_id> to revoke');
+        }
+        if (!(await users.revokeToken(username, tokenId))) {
+            console.error(`Error: ${username} has no token ${tokenId}`);
+            return EXIT_FAILURE;
+        }
+        console.error(`🔑 Revoked ${tokenId}`);
+        return;
+    }
+
+    throw new UsageError(`Unknown user action: ${action}`);
+}
+
+async function reviewCommand(args, { mongoService }) {
+    const action = args._[0] || 'queue';
+
+    if (action === 'queue') {
+        const status = typeof args.status === 'string' ? args.status : 'pending_review';
+        if (!ReviewService.STATUSES.includes(status)) {
+            throw new UsageError(`--status must be one of: ${ReviewService.STATUSES.join(', ')}`);
+        }
+        const documents = [];
+        for await (const doc of mongoService.iterateDocuments({ 'training_metadata.processing_status': status }, {
+            projection: { document_id: 1, attribution: 1, provenance: 1, review: 1, updated_at: 1 }
+        })) {
+            documents.push(doc);
+        }
+        if (args.json) {
+            console.log(JSON.stringify(documents.map(({ _id, ...doc }) => doc), null, 2));
+            return;
+        }
+        for (const doc of documents) {
+            console.log(`${doc.document_id}  "${doc.attribution.title}" by ${doc.attribution.author}  (added by ${doc.provenance?.added_by || 'unknown'})`);
+        }
+        console.error(`🧐 ${documents.length} document(s) ${status}`);
+        return;
+    }
+
+    if (action === 'migrate') {
+        const moved = await mongoService.reviews.migrateLegacyStatuses({ approveExisting: Boolean(args.approve_existing), actor: cliActor() });
+        if (args.json) {
+            console.log(JSON.stringify(moved, null, 2));
+        }
+        console.error(`🧐 Moved ${Object.entries(moved).map(([legacy, count]) => `${count} ${legacy}`).join(', ')} document(s) into the review lifecycle`);
+        return;
+    }
+
+    if (!ReviewService.ACTIONS[action]) {
+        throw new UsageError(`Unknown review action: ${action}`);
+    }
+    const documentId = args._[1];
+    if (!documentId) {
+        throw new UsageError(`Missing <document_id> to ${action}`);
+    }
+
+    // The command line has full database access, so it acts with the admin role
+    const document = await mongoService.reviews.apply(documentId, action, {
+        user: { username: cliActor(), role: 'admin' },
+        comment: typeof args.comment === 'string' ? args.comment : null
+    });
+    if (!document) {
+        console.error(`Error: no document ${documentId}`);
+        return EXIT_FAILURE;
+    }
+    if (args.json) {
+        console.log(JSON.stringify(document, null, 2));
+    }
+    console.error(`🧐 ${documentId} is now ${document.training_metadata.processing_status}`);
+}
+
+async function tokenizerCommand(args, { mongoService }) {
+    if (!args.recompute) {
+        console.log(JSON.stringify(mongoService.tokenizers.describe(), null, 2));
+        return;
+    }
+
+    const summary = await mongoService.recomputeTokenCounts({
+        force: Boolean(args.force),
+        onProgress: progress => {
+            if (progress.scanned % 500 === 0) {
+                console.error(`… ${progress.scanned} documents recounted`);
+            }
+        }
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(summary, null, 2));
+    }
+    console.error(`🔤 ${summary.updated} of ${summary.scanned} documents recounted with ${summary.tokenizer}${summary.skipped ? ` (${summary.skipped} edited meanwhile, skipped)` : ''}`);
+}
+
+async function embeddingsCommand(args, { mongoService }) {
+    if (!args.recompute) {
+        console.log(JSON.stringify(mongoService.embeddings.describe(), null, 2));
+        return;
+    }
+
+    const summary = await mongoService.recomputeEmbeddings({
+        force: Boolean(args.force),
+        onProgress: progress => {
+            if (progress.scanned % 500 === 0) {
+                console.error(`… ${progress.scanned} documents embedded`);
+            }
+        }
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(summary, null, 2));
+    }
+    console.error(`🧭 ${summary.updated} of ${summary.scanned} documents embedded with ${summary.model}${summary.skipped ? ` (${summary.skipped} edited meanwhile, skipped)` : ''}`);
+    if (summary.failed) {
+        console.error(`⚠️  ${summary.failed} documents could not be embedded; run again once the embedding server is reachable`);
+        return EXIT_FAILURE;
+    }
+}
+
+async function topicsCommand(args, { mongoService }) {
+    const action = args._[0] || 'list';
+
+    if (action === 'list') {
+        const taxonomy = mongoService.embeddings.getTaxonomy();
+        if (args.json) {
+            printJson(taxonomy);
+            return;
+        }
+        for (const topic of taxonomy.topics) {
+            console.log(`${topic.id}  ${topic.label}`);
+        }
+        console.error(`🏷️  ${taxonomy.topics.length} topics in ${mongoService.embeddings.taxonomyFile}`);
+        return;
+    }
+
+    if (action !== 'suggest') {
+        throw new UsageError(`Unknown topics action: ${action}`);
+    }
+
+    const text = await readTextSource(args._[1] || '-', 'suggest topics for');
+    const limit = args.limit !== undefined ? parseInt(args.limit) : undefined;
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        throw new UsageError('--limit must be a positive number');
+    }
+
+    const topics = await mongoService.embeddings.suggestTopics(text, { limit: limit });
+    if (args.json) {
+        printJson({ topics: topics });
+        return;
+    }
+    for (const topic of topics) {
+        console.log(`${topic.score.toFixed(4)}  ${topic.id}  ${topic.label}`);
+    }
+    if (topics.length === 0) {
+        console.error('🏷️  No topic in the taxonomy fits this text');
+    }
+}
+
+// Options of `corpus job start` that are not job parameters
+const JOB_START_OPTIONS = ['_', 'json', 'wait', 'max_attempts', 'corpus'];
+
+// How often `corpus job start --wait` checks on the job
+const JOB_WAIT_INTERVAL_MS = 2000;
+
+async function jobCommand(args, { mongoService, corpus }) {
+    const action = args._[0] || 'list';
+    const jobs = new JobService(mongoService);
+    const describe = (job) => `${job.job_id}  ${job.type}  ${job.status}  ${job.created_by}  ${job.created_at.toISOString()}`
+        + (job.progress && job.progress.done ? `  ${job.progress.done}${job.progress.total ? `/${job.progress.total}` : ''}` : '')
+        + (job.error ? `  ${job.error}` : '');
+
+    if (action === 'list') {
+        const list = await jobs.listJobs({
+            status: typeof args.status === 'string' ? args.status : null,
+            type: typeof args.type === 'string' ? args.type : null,
+            corpus: corpus.corpus_id,
+            limit: args.limit !== undefined ? parseInt(args.limit) : undefined
+        });
+        if (args.json) {
+            printJson(list);
+            return;
+        }
+        list.forEach(job => console.log(describe(job)));
+        console.error(`⚙️  ${list.length} job(s)`);
+        return;
+    }
+
+    if (action === 'types') {
+        const types = JobTypes.describe();
+        if (args.json) {
+            printJson(types);
+            return;
+        }
+        for (const type of types) {
+            const params = type.params.map(param => `--${param.name.replace(/_/g, '-')}`).join(' ');
+            console.log(`${type.type}  ${type.label} (${type.role})${params ? `  ${params}` : ''}`);
+        }
+        return;
+    }
+
+    if (action === 'start') {
+        const type = args._[1];
+        if (!type) {
+            throw new UsageError(`Missing <type> to start: ${Object.keys(JobTypes.TYPES).join(', ')}`);
+        }
+        const params = Object.fromEntries(Object.entries(args).filter(([key]) => !JOB_START_OPTIONS.includes(key)));
+        const maxAttempts = args.max_attempts !== undefined ? parseInt(args.max_attempts) : null;
+        const job = await jobs.enqueue(type, params, { actor: cliActor(), maxAttempts: maxAttempts, corpus: corpus.corpus_id });
+        console.error(`⚙️  Queued ${job.type} job ${job.job_id}`);
+        if (!args.wait) {
+            if (args.json) {
+                printJson(job);
+            }
+            return;
+        }
+        return await waitForJob(jobs, job.job_id, args);
+    }
+
+    const jobId = args._[1];
+    if (!jobId) {
+        throw new UsageError(`Missing <job_id> to ${action}`);
+    }
+
+    if (action === 'show') {
+        const job = await jobs.getJob(jobId);
+        if (!job) {
+            console.error(`Error: no job ${jobId}`);
+            return EXIT_FAILURE;
+        }
+        if (args.json) {
+            printJson(job);
+            return;
+        }
+        console.log(describe(job));
+        job.logs.forEach(line => console.log(`  ${line.at.toISOString()}  ${line.level.padEnd(5)}  ${line.message}`));
+        if (job.result) {
+            console.log(JSON.stringify(job.result, null, 2));
+        }
+        return;
+    }
+
+    if (action === 'cancel') {
+        const job = await jobs.cancel(jobId, { actor: cliActor() });
+        if (!job) {
+            console.error(`Error: no job ${jobId}`);
+            return EXIT_FAILURE;
+        }
+        console.error(job.status === 'cancelled'
+            ? `⏹️  Cancelled ${job.job_id}`
+            : `⏹️  Asked the worker running ${job.job_id} to stop`);
+        return;
+    }
+
+    throw new UsageError(`Unknown job action: ${action}`);
+}
+
+// Follow a queued job until it ends; exits 1 unless it succeeded
+async function waitForJob(jobs, jobId, args) {
+    let reported = null;
+    for (;;) {
+        const job = await jobs.getJob(jobId);
+        const line = job.progress && job.progress.done
+            ? `… ${job.progress.done}${job.progress.total ? ` of ${job.progress.total}` : ''}${job.progress.message ? ` (${job.progress.message})` : ''}`
+            : `… ${job.status}`;
+        if (line !== reported) {
+            console.error(line);
+            reported = line;
+        }
+
+        if (!JobService.ACTIVE_STATUSES.includes(job.status)) {
+            if (args.json) {
+                printJson(job.result);
+            }
+            console.error(job.status === 'succeeded' ? `✅ Job ${jobId} succeeded` : `❌ Job ${jobId} ${job.status}${job.error ? `: ${job.error}` : ''}`);
+            return job.status === 'succeeded' ? 0 : EXIT_FAILURE;
+        }
+        await new Promise(resolve => setTimeout(resolve, JOB_WAIT_INTERVAL_MS));
+    }
+}
+
+// corpora create/update flags, as { name, description, defaults }
+function corpusFields(args) {
+    const text = (value) => typeof value === 'string' ? value : undefined;
+    const defaults = {};
+    for (const key of ['language', 'base_model', 'cleaning_preset', 'weighting']) {
+        if (args[key] !== undefined) {
+            // An empty value ("--language=") goes back to the tool's default
+            defaults[key] = args[key] === true ? null : args[key];
+        }
+    }
+    return { name: text(args.name), description: text(args.description), defaults: defaults };
+}
+
+async function corporaCommand(args, { corpusService, corpus }) {
+    const action = args._[0] || 'list';
+    const describe = (entry) => {
+        const defaults = Object.entries(entry.defaults || {}).filter(([, value]) => value !== null).map(([key, value]) => `${key}=${value}`);
+        return `${entry.corpus_id.padEnd(20)} ${entry.name}${entry.document_count !== undefined ? `  (${entry.document_count} documents)` : ''}${defaults.length ? `  ${defaults.join(' ')}` : ''}`;
+    };
+
+    if (action === 'list') {
+        const list = await corpusService.listCorpora({ withCounts: true });
+        if (args.json) {
+            printJson(list);
+            return;
+        }
+        list.forEach(entry => console.log(describe(entry)));
+        console.error(`🗂️  ${list.length} corpus(es)`);
+        return;
+    }
+
+    if (action === 'copy' || action === 'move') {
+        const [target, ...documentIds] = args._.slice(1);
+        if (!target || !documentIds.length) {
+            throw new UsageError(`Missing <to_corpus> and the <document_id>s to ${action}`);
+        }
+        const report = await corpusService.transferDocuments(corpus.corpus_id, target, documentIds, { mode: action, actor: cliActor() });
+        if (args.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            for (const item of report.items) {
+                console.error(`${item.status.padEnd(11)} ${item.document_id}${item.copied_to ? ` -> ${item.copied_to}` : ''}${item.error ? `: ${item.error}` : ''}`);
+            }
+        }
+        console.error(`🗂️  ${report.summary.transferred} of ${report.summary.total} document(s) ${action === 'copy' ? 'copied' : 'moved'} from ${corpus.corpus_id} to ${target}`);
+        return report.summary.transferred === report.summary.total ? 0 : EXIT_REJECTED;
+    }
+
+    const corpusId = args._[1];
+    if (!corpusId) {
+        throw new UsageError(`Missing <corpus_id> to ${action}`);
+    }
+    const notFound = () => {
+        console.error(`Error: no corpus ${corpusId}`);
+        return EXIT_FAILURE;
+    };
+
+    if (action === 'show') {
+        const entry = await corpusService.getCorpus(corpusId);
+        if (!entry) return notFound();
+        printJson(entry);
+        return;
+    }
+
+    if (action === 'create') {
+        const created = await corpusService.createCorpus({ corpus_id: corpusId, ...corpusFields(args) }, { actor: cliActor() });
+        if (args.json) {
+            printJson(created);
+        }
+        console.error(`🗂️  Created corpus ${created.corpus_id} (${created.name})`);
+        return;
+    }
+
+    if (action === 'update') {
+        const updated = await corpusService.updateCorpus(corpusId, corpusFields(args));
+        if (!updated) return notFound();
+        if (args.json) {
+            printJson(updated);
+        }
+        console.error(`🗂️  Updated corpus ${updated.corpus_id}`);
+        return;
+    }
+
+    if (action === 'delete') {
+        if (!(await corpusService.deleteCorpus(corpusId))) return notFound();
+        console.error(`🗂️  Deleted corpus ${corpusId}`);
+        return;
+    }
+
+    throw new UsageError(`Unknown corpora action: ${action}`);
+}
+
+// The audit log covers every corpus; --corpus narrows it to one
+async function auditCommand(args, { mongoService }) {
+    const filters = {};
+    for (const key of ['action', 'actor', 'document_id', 'from', 'to', 'limit', 'before']) {
+        if (args[key] !== undefined && args[key] !== true) {
+            filters[key] = args[key];
+        }
+    }
+    if (typeof args.corpus === 'string') {
+        filters.corpus = args.corpus;
+    }
+
+    const { entries, next_before } = await mongoService.audit.listEntries(filters);
+    if (args.json) {
+        printJson({ entries, next_before });
+        return;
+    }
+    for (const entry of entries) {
+        const target = entry.document_id ? `  ${entry.document_id}${entry.version ? ` v${entry.version}` : ''}` : '';
+        console.log(`${entry.created_at.toISOString()}  ${entry.action.padEnd(7)}  ${entry.actor}  ${entry.corpus}${target}  ${JSON.stringify(entry.summary)}`);
+    }
+    console.error(`🧾 ${entries.length} audit entr${entries.length === 1 ? 'y' : 'ies'}${next_before ? ` (more: --before ${next_before})` : ''}`);
+}
+
+const COMMANDS = {
+    add: {
+        run: addCommand,
+        usage: `corpus add [<file>|-] --title <title> --author <name> [options]
+
+Add one document from a file (PDF, EPUB, DOCX, HTML, SRT/VTT or text) or from
+text piped on standard input. The text is cleaned, quality-checked and
+validated exactly like documents added in the UI. Prints the new document id.
+Exits with 3 when the document is invalid, fails the quality checks or is a
+duplicate.
+
+Options:
+  --title, --author, --content-type, --language, --publisher, --isbn, --genre,
+  --chapter-section, --source-url, --weighting
+                           document metadata (a file's embedded metadata fills gaps)
+  --license-status <id>    ${Compliance.ids(Compliance.LICENSE_TYPES).join(', ')}
+  --spdx-id <id>           SPDX license id, e.g. CC-BY-4.0
+  --fair-use-assessment <id>, --fair-use-rationale <text>
+  --draft                  save as a draft instead of submitting it for review
+  --cleaning-preset, --cleaning-enable, --cleaning-disable
+                           cleaning options, as for corpus import
+  --chunk-mode, --chunk-max-tokens, ...
+                           store the text as linked chunks, as for corpus import
+  --json                   print the result as JSON`
+    },
+    list: {
+        run: listCommand,
+        usage: `corpus list [options]
+
+List documents, newest first, one per line: id, title, author, content type,
+review status and token count.
+
+Options:
+  --q <text>               full-text search inside the content
+  --title <text>, --author <text>, --genre <text>
+                           contains these words
+  --content-type <list>    comma-separated content types
+  --language <list>        comma-separated language codes
+  --status <list>          review status(es): ${ReviewService.STATUSES.join(', ')}
+  --quality-status <list>  pass, warn
+  --cleared <true|false>   cleared for training or not
+  --weight-min <n>, --weight-max <n>
+  --created-from <date>, --created-to <date>
+  --training-run <id>, --model-version <x.y.z>
+                           documents in a training run's snapshot
+  --sort <field>           ${MongoService.SORT_FIELDS.join(', ')}
+  --order <asc|desc>       (default desc)
+  --limit <n>              page size (default 10, at most ${SearchService.MAX_PAGE_SIZE})
+  --cursor <cursor>        the next page, as printed after the previous one
+  --json                   print { documents, total, next_cursor } as JSON`
+    },
+    search: {
+        run: searchCommand,
+        usage: `corpus search <query> [options]
+
+Full-text search of the content, best matches first. Takes the same filters
+and options as corpus list.
+
+Options:
+  --semantic               rank by embedding similarity instead of matching words;
+                           prints the score of each document. Only an embedding model
+                           (EMBEDDING_PROVIDER=http) compares meaning: the default
+                           hashing provider is lexical, ranking by shared wording
+  --min-score <n>          with --semantic, leave out documents scoring below n (0 to 1)`
+    },
+    show: {
+        run: showCommand,
+        usage: `corpus show <document_id> [options]
+
+Print a document as JSON.
+
+Options:
+  --text                   print only the content text`
+    },
+    update: {
+        run: updateCommand,
+        usage: `corpus update <document_id> [options]
+
+Change a document's metadata. The change is validated, recorded in the revision
+history as CORPUS_USER (or "cli:<login name>") and exits with 3 when it is
+invalid or the document changed since --version.
+
+Options:
+  --title, --author, --content-type, --publisher, --isbn, --publication-date,
+  --source-url, --language, --genre, --chapter-section, --weighting
+                           new values (an empty value clears optional fields)
+  --patch <file|->         JSON object of changes, merged into the document like
+                           PATCH /api/documents/:document_id
+  --version <n>            the version the change is based on (default: current)
+  --json                   print the updated document as JSON`
+    },
+    delete: {
+        run: deleteCommand,
+        usage: `corpus delete <document_id> [options]
+
+Delete a document. Its last state is kept in the revision history.
+
+Options:
+  --purge                  also erase the revision history, e.g. for takedown requests
+  --json                   print the result as JSON`
+    },
+    stats: {
+        run: statsCommand,
+        usage: `corpus stats [options]
+
+Corpus totals, breakdowns by content type, language, author, genre, training
+weight and review status, a histogram of document lengths and documents added
+over time, as on the Analytics page.
+
+Options:
+  --created-from <date>    only documents added on or after this ISO date
+  --created-to <date>      only documents added on or before this ISO date
+  --interval <interval>    ${AnalyticsService.INTERVALS.join(', ')} (default: by the span of the data)
+  --training               only the training set (approved and cleared, as exported)
+  --top <n>                number of authors listed (default 20)
+  --json                   print the analytics as JSON`
+    },
+    clean: {
+        run: cleanCommand,
+        usage: `corpus clean [<file>|-] [options]
+
+Dry-run the cleaning pipeline and quality checks on a file or on text piped on
+standard input, and print the cleaned text. Nothing is stored.
+
+Options:
+  --content-type <type>    picks the default cleaning preset
+  --language <code>        declared language for the quality checks
+  --cleaning-preset <name> cleaning preset (${Object.keys(TextCleaning.PRESETS).join(', ')})
+  --cleaning-enable <ids>  comma-separated cleaning rules to add to the preset
+  --cleaning-disable <ids> comma-separated cleaning rules to skip
+  --diff                   print what cleaning changed as a unified diff instead
+  --json                   print the cleaned text, changes and quality result as JSON`
+    },
+    import: {
+        run: importCommand,
+        usage: `corpus import <path> [options]
+
+Import a single file, a directory or .zip/.tar.gz archive of files, or a .jsonl/.json batch.
+Text is extracted locally from PDF, EPUB, DOCX, HTML and SRT/VTT files (.txt/.md are read
+as-is), then cleaned and built exactly like documents entered in the UI. Title, author,
+ISBN etc. embedded in the files are used where present. A metadata.json or metadata.csv
+sidecar in the directory (keyed by a "file" column / property) supplies title, author,
+content_type, language, publisher, isbn, genre, chapter_section, source_url,
+weighting, license_status, spdx_id, fair_use_assessment and fair_use_rationale per file.
+
+Items are only exported once cleared for training: give --license-status (and
+--spdx-id for open licenses) or a --fair-use-assessment with --fair-use-rationale,
+per item in the sidecar or for the whole import. The default, user_provided, is not cleared.
+
+Options:
+  --metadata <file>        sidecar to use instead of metadata.json/metadata.csv
+  --author, --content-type, --language, ...
+                           default metadata for items that do not set it
+  --license-status <id>    ${Compliance.ids(Compliance.LICENSE_TYPES).join(', ')}
+  --spdx-id <id>           SPDX license id, e.g. CC-BY-4.0
+  --fair-use-assessment <id>
+                           ${Compliance.ids(Compliance.FAIR_USE_ASSESSMENTS).join(', ')}
+  --fair-use-rationale <text>
+  --cleaning-preset <name> cleaning preset (default: chosen by content type)
+  --cleaning-enable <ids>  comma-separated cleaning rules to add to the preset
+  --cleaning-disable <ids> comma-separated cleaning rules to skip
+  --chunk-mode <mode>      store each item as linked chunks: chapters, paragraphs or tokens
+  --chunk-max-tokens <n>   maximum tokens per chunk (default ${ChunkingService.DEFAULT_MAX_TOKENS})
+  --chunk-overlap-tokens <n>
+                           tokens repeated between consecutive chunks (default 0)
+  --chunk-heading-pattern <regex>
+                           chapter heading pattern for --chunk-mode chapters
+  --json                   print the full per-item report as JSON on stdout`
+    },
+    duplicates: {
+        run: duplicatesCommand,
+        usage: `corpus duplicates [options]
+
+Report clusters of near-duplicate documents across the whole corpus, using the
+MinHash signatures stored on each document.
+
+Options:
+  --threshold <0-1>        minimum estimated similarity (default NEAR_DUPLICATE_THRESHOLD or 0.8)
+  --json                   print the full report as JSON`
+    },
+    'opt-out': {
+        run: optOutCommand,
+        usage: `corpus opt-out [list|add|remove|recheck] [options]
+
+Manage the opt-out registry. Documents by a registered author or publisher, or
+from a registered domain (including subdomains), are flagged as opted out when
+inserted or edited and are never exported. Adding an entry flags matching
+documents already in any corpus; removing it clears the flags it set.
+
+  list                     list entries (default)
+  add --author <name>      register an opt-out (or --publisher <name>, --domain <domain>)
+      --mechanism <id>     ${Compliance.ids(Compliance.OPT_OUT_MECHANISMS).filter(id => id !== 'not_applicable').join(', ')} (default direct_request)
+      --reason <text>      optional note
+      --reference <text>   ticket, email or URL of the request
+  remove <entry_id>        remove an entry
+  recheck                  re-check every document of every corpus against the registry
+
+Options:
+  --json                   print entries or results as JSON`
+    },
+    report: {
+        run: reportCommand,
+        usage: `corpus report [options]
+
+Generate the EU AI Act training data summary: documents, works and tokens by
+content type, language, source domain, publisher, license status, acquisition
+method and transparency level, plus the top sources by token share.
+
+Options:
+  --format <format>        ${ReportService.FORMATS.join(', ')} (default json)
+  --out <file>             write the report to a file (default stdout)
+  --created-from <date>    only documents added on or after this ISO date
+  --created-to <date>      only documents added on or before this ISO date
+  --ids <list>             only these comma-separated document ids
+  --ids-file <file>        only the document ids listed in a file (whitespace or comma separated)
+  --all                    include documents not used for training (default: only
+                           approved documents that are cleared, as exported)
+  --training-run <id>      summarize the documents frozen into a training run's snapshot
+  --top <n>                number of top sources to list (default 20)`
+    },
+    run: {
+        run: runCommand,
+        usage: `corpus run [list|create|show|freeze|snapshot|verify|diff|delete] [options]
+
+Record which documents went into which model. A run starts as a draft with the
+export filters used; freezing it snapshots the ids and content hashes of the
+documents that export would contain and marks each document with the run.
+
+  list                     list runs (default)
+  create --name <name> --model-version <x.y.z>
+      --base-model <name>  base model (default TARGET_BASE_MODEL)
+      --training-date <date>
+      --notes <text>
+      --upsample           the run's export repeats documents by training weight
+      --content-type, --language, --weight-min, ...
+                           export filters, as for corpus export
+  show <run_id>            print a run
+  freeze <run_id>          snapshot the run's documents now
+  snapshot <run_id>        print the snapshot as JSONL (document_id, content_hash, ...)
+  verify <run_id>          compare the snapshot with the corpus now (exit 3 if anything changed)
+  diff <from_id> <to_id>   documents added (+), removed (-) and changed (~) between two runs
+  delete <run_id>          delete a draft run
+
+Reproduce a run's dataset with "corpus export --training-run <run_id>".
+
+Options:
+  --json                   print runs and results as JSON`
+    },
+    review: {
+        run: reviewCommand,
+        usage: `corpus review [queue|submit|withdraw|approve|reject|archive|reopen|comment|migrate] [options]
+
+Move documents through review. New documents are drafts or pending_review;
+only approved documents are exported. Editing the text of an approved document
+sends it back to pending_review.
+
+  queue [--status <status>]
+                           list documents in a status (default pending_review):
+                           ${ReviewService.STATUSES.join(', ')}
+  submit <document_id>     draft or rejected -> pending_review
+  withdraw <document_id>   pending_review -> draft
+  approve <document_id>    pending_review -> approved
+  reject <document_id> --comment <text>
+                           pending_review -> rejected
+  archive <document_id>    draft, approved or rejected -> archived
+  reopen <document_id>     approved or archived -> pending_review
+  comment <document_id> --comment <text>
+                           add a reviewer comment without changing the status
+  migrate                  move documents with pre-review statuses into the lifecycle:
+                           ready_for_training and pending -> pending_review, excluded -> archived
+      --approve-existing   approve documents that were ready_for_training instead
+
+Actions are recorded as CORPUS_USER, or "cli:<login name>".
+
+Options:
+  --comment <text>         comment recorded with the action
+  --json                   print documents and results as JSON`
+    },
+    user: {
+        run: userCommand,
+        usage: `corpus user [list|add|set-role|passwd|disable|enable|delete|token|tokens|revoke] [options]
+
+Manage the accounts that can sign in to the web UI and API. Roles, from least
+to most privileged: ${UserService.ROLES.join(', ')}. Contributors add and read
+documents, reviewers also edit and restore them, manage opt-outs and create
+training runs, admins also delete, export, freeze runs and manage users.
+
+  list                     list users (default)
+  add <username> --role <role> [--display-name <name>]
+                           create a user (role defaults to contributor)
+  set-role <username> <role>
+  passwd <username>        set a new password (ends the user's sessions)
+  disable <username>       block sign-in and API tokens; enable <username> undoes it
+  delete <username>        delete a user and their tokens
+  token <username> [--name <label>]
+                           create an API token (printed once) for Authorization: Bearer
+  tokens <username>        list a user's API tokens
+  revoke <username> <token_id>
+
+Documents imported with the CLI are recorded as added by CORPUS_USER, or
+"cli:<login name>".
+
+Options:
+  --password <password>    password for add and passwd
+  --password-stdin         read the password from standard input instead
+  --json                   print users and tokens as JSON`
+    },
+    tokenizer: {
+        run: tokenizerCommand,
+        usage: `corpus tokenizer [options]
+
+Show the installed tokenizers and the one token counts are recorded with
+(TARGET_BASE_MODEL, mapped through tokenizers/models.json), or recount tokens.
+
+Options:
+  --recompute              recount documents whose count came from another tokenizer
+  --force                  with --recompute, recount every document
+  --json                   print the recompute summary as JSON`
+    },
+    embeddings: {
+        run: embeddingsCommand,
+        usage: `corpus embeddings [options]
+
+Show the embedding provider and model documents are embedded with for vector
+search (EMBEDDING_PROVIDER, EMBEDDING_MODEL, EMBEDDING_DIMENSIONS) and whether
+it matches by meaning (semantic) or by shared wording (lexical, the default
+hashing provider), or embed documents again after changing them.
+
+Options:
+  --recompute              embed documents with no vector or one from another model
+  --force                  with --recompute, embed every document
+  --json                   print the recompute summary as JSON`
+    },
+    topics: {
+        run: topicsCommand,
+        usage: `corpus topics [list|suggest] [options]
+
+  list                     the topics of the taxonomy (TOPIC_TAXONOMY_FILE)
+  suggest [<file>|-]       topic_category labels suggested for a file or for text
+                           piped on standard input
+
+Options:
+  --limit <n>              with suggest, at most n topics (default 3)
+  --json                   print as JSON`
+    },
+    job: {
+        run: jobCommand,
+        usage: `corpus job [list|types|start|show|cancel] [options]
+
+Queue long-running operations as background jobs, run by the job worker that
+the server starts (or "npm run worker"), and follow them.
+
+  list                     list the corpus's jobs, newest first (default)
+  types                    the job types and their parameters
+  start <type> [--<param> <value> ...]
+                           queue a job on the corpus, e.g. "corpus job start recount_tokens --force"
+  show <job_id>            print a job with its log and result
+  cancel <job_id>          cancel a queued job or stop a running one
+
+Options:
+  --status <status>, --type <type>, --limit <n>
+                           with list, narrow the jobs shown
+  --max-attempts <n>       with start, how often a failing job is tried (default 3)
+  --wait                   with start, follow the job until it ends (exit 1 unless it succeeded)
+  --json                   print jobs and results as JSON`
+    },
+    corpora: {
+        run: corporaCommand,
+        usage: `corpus corpora [list|show|create|update|delete|copy|move] [options]
+
+Manage the named corpora (projects) documents are kept in. Every other command
+works on the corpus given with --corpus <id>, or on the "default" corpus that
+holds the documents added before there were corpora. Each corpus has defaults
+for the documents added to it.
+
+  list                     list corpora with their document counts (default)
+  show <corpus_id>         print a corpus as JSON
+  create <corpus_id> --name <name> [--description <text>] [defaults]
+                           create a corpus (id: lowercase letters, digits, - and _)
+  update <corpus_id> [--name <name>] [--description <text>] [defaults]
+  delete <corpus_id>       delete an empty corpus
+  copy <to_corpus> <document_id>...
+                           copy documents from --corpus into another corpus as new
+                           documents; their provenance records where they came from
+  move <to_corpus> <document_id>...
+                           move documents, keeping their id, review state and history
+
+Defaults (give an empty value, e.g. --language=, to clear one):
+  --language <code>        language of new documents that do not name one
+  --base-model <name>      base model whose tokenizer counts the tokens
+  --cleaning-preset <id>   ${Object.keys(TextCleaning.PRESETS).join(', ')}
+  --weighting <1-5>        training weight of new documents that do not set one
+
+Exits with 3 when a document could not be copied or moved.
+
+Options:
+  --json                   print corpora and results as JSON`
+    },
+    audit: {
+        run: auditCommand,
+        usage: `corpus audit [options]
+
+List the audit log, newest first: every insert, update, review action, restore,
+delete, copy, move and export, with who made it and a summary of the payload.
+Entries from all corpora are listed unless --corpus is given.
+
+Options:
+  --action <list>          comma-separated actions: ${AuditService.ACTIONS.join(', ')}
+  --actor <username>       only entries by this user (CLI changes: CORPUS_USER or "cli:<login name>")
+  --document-id <id>       only entries about this document
+  --from <date>, --to <date>
+                           only entries made within these ISO dates
+  --limit <n>              at most n entries (default 100, at most 1000)
+  --before <audit_id>      continue a listing after this entry
+  --json                   print entries as JSON`
+    },
+    export: {
+        run: exportCommand,
+        usage: `corpus export [options]
+
+Write trainable documents as training data: approved in review, not opted out, and
+cleared by their license (public domain, open license, licensed, permission, own work)
+or an assessed copyright exception. Anything else is left out and counted.
+
+Options:
+  --format <jsonl|text>    jsonl writes {"text": ..., "meta": ...} per line (default),
+                           text writes content separated by --separator (shards use the
+                           same format; there is no columnar/Parquet output)
+  --separator <string>     separator for text format (default "\\n\\n<|endoftext|>\\n\\n")
+  --upsample               repeat each document once per point of training weight
+  --out <path>             output file (default stdout), or directory with --shard-size
+  --shard-size <n>         split output into shards of at most n records
+${FILTER_HELP}`
+    }
+};
+
+function printUsage() {
+    console.error(`Usage: corpus <command> [options]
+
+Commands:
+${Object.keys(COMMANDS).map(name => `  ${name}`).join('\n')}
+
+Every command works on the "default" corpus unless given --corpus <id>.
+
+Run "corpus <command> --help" for command options.`);
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+// A document the service refused, with the details scripts need to act on it
+function reportRejection(error, args) {
+    const details = {
+        ...(error.details && { details: error.details }),
+        ...(error.quality && { quality_issues: error.quality.issues }),
+        ...(error.match && { duplicate_of: error.match, similarity: error.similarity }),
+        ...(error.currentVersion !== undefined && { current_version: error.currentVersion })
+    };
+    if (args.json) {
+        printJson({ error: error.message, ...details });
+    }
+    const lines = (details.details || []).map(d => `  ${d.field} ${d.message}`)
+        .concat((details.quality_issues || []).map(issue => `  ${issue.message}`));
+    console.error(`Error: ${error.message}${lines.length ? `\n${lines.join('\n')}` : ''}`);
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    const commandName = args._.shift();
+    const command = COMMANDS[commandName];
+
+    if (!command) {
+        printUsage();
+        return commandName ? EXIT_USAGE : 0;
+    }
+
+    if (args.help) {
+        console.error(command.usage);
+        return 0;
+    }
+
+    // Diagnostics go to stderr so stdout only carries command output
+    let mongoService;
+    try {
+        mongoService = new MongoService(process.env.MONGODB_URI, {
+            logger: new Logger({ format: process.env.LOG_FORMAT || 'text', stream: process.stderr })
+        });
+    } catch (error) {
+        if (error instanceof EmbeddingService.EmbeddingConfigError || error instanceof StorageService.StorageConfigError) {
+            console.error(`Error: ${error.message}`);
+            return EXIT_USAGE;
+        }
+        throw error;
+    }
+
+    try {
+        const corpusService = new CorpusService(mongoService);
+        const { corpus, mongoService: corpusMongoService } = await corpusService.resolve(typeof args.corpus === 'string' ? args.corpus : MongoService.DEFAULT_CORPUS);
+        return (await command.run(args, { mongoService: corpusMongoService, corpus, corpusService })) || 0;
+    } catch (error) {
+        if (error instanceof CorpusService.CorpusNotFoundError) {
+            console.error(`Error: ${error.message} (see "corpus corpora list")`);
+            return EXIT_USAGE;
+        }
+        if (error instanceof UsageError || error instanceof InvalidQueryError || error instanceof TextCleaning.CleaningConfigError
+            || error instanceof OptOutService.InvalidOptOutEntryError || error instanceof TrainingRunService.InvalidTrainingRunError
+            || error instanceof UserService.InvalidUserError || error instanceof ReviewService.ReviewError
+            || error instanceof JobService.InvalidJobError || error instanceof CorpusService.InvalidCorpusError
+            || error instanceof AuditService.InvalidAuditQueryError) {
+            console.error(`Error: ${error.message}\n\n${command.usage}`);
+            return EXIT_USAGE;
+        }
+        if (error instanceof DocumentValidationError || error instanceof LowQualityError
+            || error instanceof DuplicateDocumentError || error instanceof VersionConflictError) {
+            reportRejection(error, args);
+            return EXIT_REJECTED;
+        }
+        console.error(`Error: ${error.message}`);
+        return EXIT_FAILURE;
+    } finally {
+        await mongoService.close();
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Logger = require('../services/Logger');
+const MongoService = require('../services/MongoService');
+const JobWorker = require('../services/JobWorker');
+
+/**
+ * Background job worker (see services/JobWorker.js). server.js forks one
+ * unless JOB_WORKER is inline or off; run more with `npm run worker`.
+ * SIGINT/SIGTERM stop it after putting a running job back in the queue.
+ */
+const logger = new Logger({ fields: { component: 'worker' } });
+const mongoService = new MongoService(process.env.MONGODB_URI, { logger });
+const worker = new JobWorker(mongoService, { logger });
+
+let stopping = false;
+async function shutdown() {
+    if (stopping) return;
+    stopping = true;
+    logger.info('Stopping job worker');
+    try {
+        await worker.stop();
+        await mongoService.close();
+        process.exit(0);
+    } catch (error) {
+        logger.error('Error during shutdown:', error);
+        process.exit(1);
+    }
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+// The server disconnects the IPC channel when it exits without a signal reaching the worker
+process.on('disconnect', shutdown);
+
+worker.start();
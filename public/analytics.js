@@ -0,0 +1,195 @@
+// Analytics dashboard - relies on showStatus(), escapeHtml() and formatReviewStatus() from script.js
+
+let currentAnalytics = null;
+
+const BREAKDOWN_TITLES = {
+    content_type: 'Content Types',
+    language: 'Languages',
+    author: 'Top Authors',
+    genre: 'Genres',
+    weighting: 'Training Weight',
+    processing_status: 'Review Status'
+};
+
+const MEASURE_LABELS = {
+    tokens: 'tokens',
+    effective_tokens: 'effective tokens',
+    documents: 'documents',
+    characters: 'characters'
+};
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+async function loadAnalytics() {
+    const params = new URLSearchParams();
+    const from = document.getElementById('analytics-from').value;
+    const to = document.getElementById('analytics-to').value;
+    const interval = document.getElementById('analytics-interval').value;
+
+    if (from) params.set('created_from', from);
+    if (to) params.set('created_to', `${to}T23:59:59.999Z`);
+    if (interval) params.set('interval', interval);
+    if (document.getElementById('analytics-training').checked) params.set('training', 'true');
+
+    showStatus('Crunching the numbers...', 'loading');
+
+    try {
+        const response = await fetch(corpusApi(`/analytics?${params}`));
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load analytics');
+        }
+
+        currentAnalytics = result;
+        renderAnalytics();
+        document.getElementById('status-message').style.display = 'none';
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+function resetAnalytics() {
+    document.getElementById('analytics-from').value = '';
+    document.getElementById('analytics-to').value = '';
+    document.getElementById('analytics-interval').value = '';
+    document.getElementById('analytics-measure').value = 'tokens';
+    document.getElementById('analytics-training').checked = false;
+    loadAnalytics();
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function renderAnalytics() {
+    if (!currentAnalytics) return;
+
+    const measure = document.getElementById('analytics-measure').value;
+
+    document.getElementById('analytics-totals').innerHTML = renderTotals(currentAnalytics);
+    document.getElementById('analytics-ingestion-hint').textContent =
+        `${capitalize(MEASURE_LABELS[measure])} added per ${currentAnalytics.interval}`;
+    document.getElementById('analytics-ingestion').innerHTML = renderColumnChart(currentAnalytics.ingestion, measure);
+    document.getElementById('analytics-histogram').innerHTML = renderHistogram(currentAnalytics.token_histogram);
+    document.getElementById('analytics-breakdown-list').innerHTML = Object.entries(currentAnalytics.breakdowns)
+        .map(([name, rows]) => renderBreakdown(name, rows, measure))
+        .join('');
+
+    document.getElementById('analytics-results').style.display = 'block';
+    document.getElementById('analytics-breakdowns').style.display = 'block';
+}
+
+function renderTotals(analytics) {
+    const totals = analytics.totals;
+    const tiles = [
+        ['Documents', formatNumber(totals.documents)],
+        ['Tokens', formatNumber(totals.tokens)],
+        ['Effective Tokens', formatNumber(totals.effective_tokens)],
+        ['Characters', formatNumber(totals.characters)],
+        ['Authors', formatNumber(totals.authors)],
+        ['Average Weight', totals.average_weight],
+        ['Average Length', `${formatNumber(totals.average_tokens)} tokens`]
+    ];
+
+    return `
+        ${tiles.map(([label, value]) => `
+            <div class="analytics-tile">
+                <span class="analytics-tile-value">${escapeHtml(String(value))}</span>
+                <span class="analytics-tile-label">${label}</span>
+            </div>
+        `).join('')}
+        <p class="section-hint">
+            ${analytics.scope.selection === 'training' ? 'Training set only' : 'All documents'}
+            ${analytics.tokenizers.length ? `· counted with ${escapeHtml(analytics.tokenizers.join(', '))}` : ''}
+        </p>
+    `;
+}
+
+// Vertical bars, one per period, scaled to the largest period
+function renderColumnChart(periods, measure) {
+    if (periods.length === 0) {
+        return '<p class="empty-list">No documents in this range.</p>';
+    }
+
+    const max = Math.max(1, ...periods.map(period => period[measure]));
+    return `
+        <div class="column-chart">
+            ${periods.map(period => `
+                <div class="column" title="${escapeHtml(period.period)}: ${formatNumber(period[measure])} ${MEASURE_LABELS[measure]} (${formatNumber(period.cumulative_documents)} documents in total)">
+                    <div class="column-bar" style="height: ${(period[measure] / max) * 100}%"></div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="column-chart-axis">
+            <span>${escapeHtml(periods[0].period)}</span>
+            <span>${escapeHtml(periods[periods.length - 1].period)}</span>
+        </div>
+    `;
+}
+
+function renderHistogram(buckets) {
+    const max = Math.max(1, ...buckets.map(bucket => bucket.documents));
+    return `
+        <table class="analytics-table">
+            ${buckets.map(bucket => `
+                <tr>
+                    <td>${formatNumber(bucket.min)}${bucket.max === null ? '+' : ` – ${formatNumber(bucket.max - 1)}`}</td>
+                    <td class="bar-cell"><div class="bar" style="width: ${(bucket.documents / max) * 100}%"></div></td>
+                    <td class="number-cell">${formatNumber(bucket.documents)} docs</td>
+                    <td class="number-cell">${formatPercent(bucket.document_share)}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// Horizontal bars sized by share of the selected measure
+function renderBreakdown(name, rows, measure) {
+    const total = currentAnalytics.totals[measure] || 0;
+    const rowsHtml = rows.map(row => {
+        const value = row[measure];
+        const share = total ? value / total : 0;
+        return `
+            <tr>
+                <td>${escapeHtml(breakdownLabel(name, row.value))}</td>
+                <td class="bar-cell"><div class="bar" style="width: ${share * 100}%"></div></td>
+                <td class="number-cell">${formatNumber(value)}</td>
+                <td class="number-cell">${formatPercent(share)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const omitted = name === 'author' && currentAnalytics.totals.authors > rows.length
+        ? `<p class="section-hint">Showing ${rows.length} of ${formatNumber(currentAnalytics.totals.authors)} authors.</p>`
+        : '';
+
+    return `
+        <div class="analytics-breakdown">
+            <h3>${BREAKDOWN_TITLES[name] || escapeHtml(name)}</h3>
+            ${rows.length ? `<table class="analytics-table">${rowsHtml}</table>` : '<p class="empty-list">No documents.</p>'}
+            ${omitted}
+        </div>
+    `;
+}
+
+function breakdownLabel(name, value) {
+    if (value === null) return '(not recorded)';
+    if (name === 'processing_status') return formatReviewStatus(value);
+    if (name === 'weighting') return `Weight ${value}`;
+    return String(value);
+}
+
+const formatNumber = value => Number(value).toLocaleString();
+const formatPercent = value => `${(value * 100).toFixed(1)}%`;
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+// ============================================================================
+// EVENT LISTENERS
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadAnalytics();
+});
@@ -0,0 +1,1170 @@
+// Corpus browser - relies on showStatus(), escapeHtml() and renderContentInfo() from script.js
+
+const PAGE_SIZE = 10;
+
+let currentSearch = {};
+let pageCursors = [null];  // cursor used to load each page visited so far
+let currentPage = 0;
+let loadedDocuments = {};  // full documents fetched for expanded cards, by document_id
+
+// ============================================================================
+// SEARCH & PAGING
+// ============================================================================
+
+function readSearchForm() {
+    const search = {
+        q: document.getElementById('search-text').value.trim(),
+        title: document.getElementById('search-title').value.trim(),
+        author: document.getElementById('search-author').value.trim(),
+        content_type: document.getElementById('search-type').value,
+        cleared: document.getElementById('search-cleared').value,
+        processing_status: document.getElementById('search-status').value,
+        quality_status: document.getElementById('search-quality').value,
+        training_run: document.getElementById('search-training-run').value,
+        sort: document.getElementById('search-sort').value
+    };
+
+    // Vector search ranks by similarity to the query and has no sort or pages
+    if (search.q && document.getElementById('search-mode').value === 'semantic') {
+        delete search.sort;
+        search.semantic = true;
+        return search;
+    }
+
+    // A full-text search ranks by relevance unless a sort is picked explicitly
+    if (search.q && search.sort === 'created_at') {
+        search.sort = 'relevance';
+    }
+    search.order = ['title', 'author'].includes(search.sort) ? 'asc' : 'desc';
+
+    return search;
+}
+
+function searchCorpus() {
+    currentSearch = readSearchForm();
+    pageCursors = [null];
+    currentPage = 0;
+    loadPage();
+}
+
+function resetSearch() {
+    document.getElementById('search-text').value = '';
+    document.getElementById('search-mode').value = '';
+    document.getElementById('search-title').value = '';
+    document.getElementById('search-author').value = '';
+    document.getElementById('search-type').value = '';
+    document.getElementById('search-cleared').value = '';
+    document.getElementById('search-status').value = '';
+    document.getElementById('search-quality').value = '';
+    document.getElementById('search-training-run').value = '';
+    document.getElementById('search-sort').value = 'created_at';
+    searchCorpus();
+}
+
+function nextPage() {
+    if (pageCursors[currentPage + 1]) {
+        currentPage++;
+        loadPage();
+    }
+}
+
+function previousPage() {
+    if (currentPage > 0) {
+        currentPage--;
+        loadPage();
+    }
+}
+
+async function loadPage() {
+    if (currentSearch.semantic) {
+        return loadSemanticResults();
+    }
+
+    const params = new URLSearchParams({ limit: PAGE_SIZE });
+    for (const [key, value] of Object.entries(currentSearch)) {
+        if (value) params.set(key, value);
+    }
+    if (pageCursors[currentPage]) {
+        params.set('cursor', pageCursors[currentPage]);
+    }
+
+    try {
+        const response = await fetch(corpusApi(`/documents?${params}`));
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load documents');
+        }
+
+        pageCursors[currentPage + 1] = result.next_cursor;
+        renderDocumentList(result);
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+        console.error('Load error:', error);
+    }
+}
+
+// The closest documents to the query, shown as a single page
+async function loadSemanticResults() {
+    const params = new URLSearchParams({ limit: PAGE_SIZE });
+    for (const [key, value] of Object.entries(currentSearch)) {
+        if (value && key !== 'semantic') params.set(key, value);
+    }
+
+    try {
+        const response = await fetch(corpusApi(`/search/semantic?${params}`));
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to run vector search');
+        }
+
+        renderDocumentList({ documents: result.documents, total: result.documents.length, next_cursor: null });
+        if (result.unembedded > 0) {
+            showStatus(`${result.unembedded.toLocaleString()} matching documents have no embedding for ${result.model} yet and were not compared`, 'error');
+        }
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+        console.error('Vector search error:', error);
+    }
+}
+
+// Name the vector search mode after what the embeddings compare: meaning, or only shared words
+async function labelVectorSearch() {
+    try {
+        const response = await fetch('/api/embeddings');
+        const settings = await response.json();
+        if (!response.ok) return;
+        document.getElementById('search-mode-vector').textContent = settings.matching === 'semantic'
+            ? 'Similar meaning (semantic)'
+            : 'Similar wording (lexical vectors, not semantic)';
+    } catch (error) {
+        console.error('Error loading embedding settings:', error);
+    }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function renderDocumentList(result) {
+    const listDiv = document.getElementById('document-list');
+    loadedDocuments = {};
+
+    document.getElementById('result-count').textContent = `(${result.total.toLocaleString()} total)`;
+    document.getElementById('page-indicator').textContent = result.total
+        ? `Page ${currentPage + 1} of ${Math.ceil(result.total / PAGE_SIZE)}`
+        : '';
+    document.getElementById('prev-page-btn').disabled = currentPage === 0;
+    document.getElementById('next-page-btn').disabled = !result.next_cursor;
+
+    if (result.documents.length === 0) {
+        listDiv.innerHTML = '<p class="empty-list">No documents match this search.</p>';
+        return;
+    }
+
+    listDiv.innerHTML = result.documents.map(doc => `
+        <div class="document-card" id="card-${escapeHtml(doc.document_id)}">
+            <div class="document-card-header" onclick="toggleDocument(${jsArg(doc.document_id)})">
+                <div>
+                    <h3>${escapeHtml(doc.title)}</h3>
+                    <p class="document-byline">
+                        ${escapeHtml(doc.author)} · ${escapeHtml(doc.content_type)} · ${escapeHtml(doc.language)}
+                        · weight ${doc.weighting} · ${(doc.character_count || 0).toLocaleString()} chars
+                        · ${escapeHtml(formatReviewStatus(doc.processing_status))}
+                        ${doc.chunk ? `· chunk ${doc.chunk.ordinal} of ${doc.chunk.total}` : ''}
+                        ${doc.cleared === false ? '· <span class="not-cleared-badge">⛔ not cleared for training</span>' : ''}
+                        ${doc.quality_status === 'warn' ? '· <span class="quality-warn">⚠️ quality warnings</span>' : ''}
+                        ${currentSearch.semantic ? `· similarity ${doc.score.toFixed(2)}` : ''}
+                    </p>
+                </div>
+                <span class="document-date">${new Date(doc.created_at).toLocaleDateString()}</span>
+            </div>
+            <p class="document-excerpt">${escapeHtml(doc.excerpt)}${doc.character_count > doc.excerpt.length ? '…' : ''}</p>
+            <div class="document-details" style="display: none;"></div>
+        </div>
+    `).join('');
+}
+
+function getDetailsDiv(documentId) {
+    return document.getElementById(`card-${documentId}`).querySelector('.document-details');
+}
+
+async function toggleDocument(documentId) {
+    const detailsDiv = getDetailsDiv(documentId);
+
+    if (detailsDiv.style.display === 'block') {
+        detailsDiv.style.display = 'none';
+        return;
+    }
+
+    try {
+        const response = await fetch(corpusApi(`/documents/${encodeURIComponent(documentId)}`));
+        const doc = await response.json();
+
+        if (!response.ok) {
+            throw new Error(doc.error || 'Failed to load document');
+        }
+
+        loadedDocuments[documentId] = doc;
+        renderDocumentDetails(doc);
+        detailsDiv.style.display = 'block';
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+function renderDocumentDetails(doc) {
+    const id = jsArg(doc.document_id);
+
+    getDetailsDiv(doc.document_id).innerHTML = `
+        <div class="content-info">
+            ${renderContentInfo(doc)}
+            <p><strong>Document ID:</strong> ${escapeHtml(doc.document_id)}</p>
+            <p><strong>Version:</strong> ${doc.version} (updated ${new Date(doc.updated_at).toLocaleString()})</p>
+            <p><strong>Training Runs:</strong> ${(doc.training_runs || []).length
+                ? doc.training_runs.map(run => `${escapeHtml(run.name)} (${escapeHtml(run.base_model)} ${escapeHtml(run.model_version)})`).join(', ')
+                : 'not in any frozen training run'}</p>
+            ${renderReviewInfo(doc)}
+        </div>
+        <div class="actions">
+            ${renderReviewButtons(doc)}
+            <button class="edit-btn" data-requires-role="reviewer" onclick="startEdit(${id})">✏️ Edit</button>
+            <button class="history-btn" onclick="showHistory(${id})">🕘 History</button>
+            <button class="delete-btn" data-requires-role="admin" onclick="deleteCorpusDocument(${id})">🗑️ Delete</button>
+        </div>
+        ${renderTransferControls(doc)}
+        <div class="revision-history"></div>
+    `;
+}
+
+// Copy or move to another corpus; hidden while there is only one
+function renderTransferControls(doc) {
+    const targets = corpora.filter(corpus => corpus.corpus_id !== currentCorpusId());
+    if (targets.length === 0) {
+        return '';
+    }
+
+    const id = jsArg(doc.document_id);
+    return `
+        <div class="actions" data-requires-role="reviewer">
+            <select class="transfer-target">
+                ${targets.map(corpus => `<option value="${escapeHtml(corpus.corpus_id)}">${escapeHtml(corpus.name)}</option>`).join('')}
+            </select>
+            <button class="transfer-btn" onclick="transferCorpusDocument(${id}, 'copy')">📑 Copy</button>
+            <button class="transfer-btn" data-requires-role="admin" onclick="transferCorpusDocument(${id}, 'move')">➡️ Move</button>
+        </div>
+    `;
+}
+
+// ============================================================================
+// EDITING
+// ============================================================================
+
+const CONTENT_TYPES = ['book', 'magazine', 'blog', 'article', 'audio', 'other'];
+
+function startEdit(documentId) {
+    const doc = loadedDocuments[documentId];
+    const id = jsArg(documentId);
+    const copyright = doc.copyright_compliance;
+    const field = (name, label, value) => `
+        <div class="form-group">
+            <label>${label}</label>
+            <input type="text" data-field="${name}" value="${escapeHtml(value || '')}">
+        </div>
+    `;
+    const choice = (name, label, list, value) => `
+        <div class="form-group">
+            <label>${label}</label>
+            <select data-field="${name}">
+                ${list.map(entry => `<option value="${entry.id}" ${entry.id === value ? 'selected' : ''}>${escapeHtml(entry.label)}</option>`).join('')}
+            </select>
+        </div>
+    `;
+
+    getDetailsDiv(documentId).innerHTML = `
+        <div class="form-grid edit-form">
+            ${field('title', 'Title *', doc.attribution.title)}
+            ${field('author', 'Author *', doc.attribution.author)}
+            <div class="form-group">
+                <label>Content Type *</label>
+                <select data-field="content_type">
+                    ${CONTENT_TYPES.map(type => `<option value="${type}" ${type === doc.attribution.content_type ? 'selected' : ''}>${type}</option>`).join('')}
+                </select>
+            </div>
+            ${field('language', 'Language', doc.content_metadata.language)}
+            ${field('publisher', 'Publisher', doc.attribution.publisher)}
+            ${field('isbn', 'ISBN', doc.attribution.isbn)}
+            ${field('genre', 'Genre', doc.content_metadata.genre)}
+            ${field('chapter_section', 'Chapter/Section', doc.content_metadata.chapter_section)}
+            ${field('source_url', 'Source URL', doc.attribution.source_url)}
+            <div class="form-group">
+                <label>Training Weight</label>
+                <select data-field="weighting">
+                    ${[1, 2, 3, 4, 5].map(weight => `<option value="${weight}" ${weight === doc.training_metadata.weighting ? 'selected' : ''}>${weight}</option>`).join('')}
+                </select>
+            </div>
+            ${choice('license_status', 'License Status', Compliance.LICENSE_TYPES, copyright.license_status)}
+            ${field('spdx_id', 'SPDX License Id', copyright.spdx_id)}
+            ${choice('fair_use_assessment', 'Copyright Exception', Compliance.FAIR_USE_ASSESSMENTS, copyright.fair_use_assessment)}
+            ${field('fair_use_rationale', 'Exception Rationale', copyright.fair_use_rationale)}
+            ${choice('opt_out_mechanism', 'Opted Out Via', Compliance.OPT_OUT_MECHANISMS, copyright.opt_out_status.has_opted_out ? copyright.opt_out_status.opt_out_mechanism : 'not_applicable')}
+            ${choice('transparency_level', 'AI Act Transparency', Compliance.TRANSPARENCY_LEVELS, doc.ai_act_compliance.transparency_level)}
+        </div>
+        <div class="actions">
+            <button class="save-btn" onclick="saveEdit(${id})">💾 Save Changes</button>
+            <button class="cancel-edit-btn" onclick="renderDocumentDetails(loadedDocuments[${id}])">❌ Cancel</button>
+        </div>
+    `;
+}
+
+function readEditForm(documentId) {
+    const values = {};
+    getDetailsDiv(documentId).querySelectorAll('[data-field]').forEach(input => {
+        values[input.dataset.field] = input.value.trim();
+    });
+
+    return {
+        attribution: {
+            title: values.title,
+            author: values.author,
+            content_type: values.content_type,
+            publisher: values.publisher || null,
+            isbn: values.isbn || null,
+            source_url: values.source_url || null
+        },
+        content_metadata: {
+            language: values.language,
+            genre: values.genre || null,
+            chapter_section: values.chapter_section || null
+        },
+        training_metadata: {
+            weighting: parseInt(values.weighting)
+        },
+        copyright_compliance: {
+            license_status: values.license_status,
+            spdx_id: values.spdx_id || null,
+            fair_use_assessment: values.fair_use_assessment,
+            fair_use_rationale: values.fair_use_rationale || null,
+            opt_out_status: {
+                has_opted_out: values.opt_out_mechanism !== 'not_applicable',
+                opt_out_mechanism: values.opt_out_mechanism
+            },
+            compliance_date: new Date().toISOString()
+        },
+        ai_act_compliance: {
+            transparency_level: values.transparency_level
+        }
+    };
+}
+
+async function saveEdit(documentId) {
+    const doc = loadedDocuments[documentId];
+    const changes = readEditForm(documentId);
+
+    if (!changes.attribution.title || !changes.attribution.author) {
+        showStatus('Title and author are required', 'error');
+        return;
+    }
+
+    showStatus('Saving changes...', 'loading');
+
+    try {
+        const response = await fetch(corpusApi(`/documents/${encodeURIComponent(documentId)}`), {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'If-Match': `"${doc.version}"`
+            },
+            body: JSON.stringify(changes)
+        });
+        const result = await response.json();
+
+        if (response.status === 409) {
+            throw new Error('This document was changed by someone else. Close and reopen it to load the latest version.');
+        }
+        if (!response.ok) {
+            const details = (result.details || []).map(detail => `${detail.field} ${detail.message}`).join('; ');
+            throw new Error((result.error || 'Failed to save changes') + (details ? `: ${details}` : ''));
+        }
+
+        loadedDocuments[documentId] = result.document;
+        renderDocumentDetails(result.document);
+        showStatus(`✅ Saved "${result.document.attribution.title}" (version ${result.document.version})`, 'success');
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+async function deleteCorpusDocument(documentId) {
+    const doc = loadedDocuments[documentId];
+    if (!confirm(`Delete "${doc.attribution.title}" by ${doc.attribution.author} from the corpus? It can be restored from its revision history.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(corpusApi(`/documents/${encodeURIComponent(documentId)}`), { method: 'DELETE' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to delete document');
+        }
+
+        showStatus(`✅ Deleted "${doc.attribution.title}"`, 'success');
+        loadPage();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// REVIEW
+// ============================================================================
+
+// Buttons for the review actions open to a document in its current status
+const REVIEW_BUTTONS = {
+    draft: [['submit', '📤 Submit for Review', 'contributor'], ['archive', '📦 Archive', 'reviewer']],
+    pending_review: [['withdraw', '↩️ Withdraw', 'contributor'], ['approve', '✅ Approve', 'reviewer'], ['reject', '⛔ Reject', 'reviewer']],
+    approved: [['reopen', '🔁 Reopen', 'reviewer'], ['archive', '📦 Archive', 'reviewer']],
+    rejected: [['submit', '📤 Resubmit', 'contributor'], ['archive', '📦 Archive', 'reviewer']],
+    archived: [['reopen', '🔁 Reopen', 'reviewer']]
+};
+
+function renderReviewInfo(doc) {
+    const review = doc.review || {};
+    return `
+        <p><strong>Added By:</strong> ${escapeHtml((doc.provenance && doc.provenance.added_by) || 'unknown')}</p>
+        ${review.reviewed_by ? `<p><strong>Reviewed By:</strong> ${escapeHtml(review.reviewed_by)} (${new Date(review.reviewed_at).toLocaleString()})</p>` : ''}
+        <details class="review-history-details">
+            <summary>Review history</summary>
+            ${renderReviewHistory(doc)}
+        </details>
+    `;
+}
+
+function renderReviewButtons(doc) {
+    const id = jsArg(doc.document_id);
+    return (REVIEW_BUTTONS[doc.training_metadata.processing_status] || []).map(([action, label, role]) => `
+        <button class="review-btn" ${role === 'contributor' ? '' : `data-requires-role="${role}"`} onclick="reviewCorpusDocument(${id}, ${jsArg(action)})">${label}</button>
+    `).join('');
+}
+
+async function reviewCorpusDocument(documentId, action) {
+    const doc = loadedDocuments[documentId];
+    let comment = null;
+    if (action === 'reject') {
+        comment = prompt(`Why is "${doc.attribution.title}" rejected?`);
+        if (!comment) return;
+    }
+
+    try {
+        const updated = await sendReviewAction(doc, action, comment);
+        loadedDocuments[documentId] = updated;
+        renderDocumentDetails(updated);
+        showStatus(`✅ "${updated.attribution.title}" is now ${formatReviewStatus(updated.training_metadata.processing_status)}`, 'success');
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// REVISION HISTORY
+// ============================================================================
+
+// Bookkeeping fields left out of the metadata comparison
+const UNCOMPARED_FIELDS = ['_id', 'content_text', 'updated_at', 'version', 'schema_version', 'dedup', 'embedding'];
+
+function getHistoryDiv(documentId) {
+    return getDetailsDiv(documentId).querySelector('.revision-history');
+}
+
+async function showHistory(documentId) {
+    const id = jsArg(documentId);
+
+    try {
+        const response = await fetch(corpusApi(`/documents/${encodeURIComponent(documentId)}/revisions`));
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load revision history');
+        }
+
+        if (result.revisions.length === 0) {
+            getHistoryDiv(documentId).innerHTML = '<p class="empty-list">This document has not been changed since it was added.</p>';
+            return;
+        }
+
+        getHistoryDiv(documentId).innerHTML = `
+            <table class="revision-table">
+                <thead>
+                    <tr><th>Version</th><th>Change</th><th>By</th><th>When</th><th>Fields</th><th>Text</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${result.revisions.map(revision => `
+                        <tr>
+                            <td>${revision.version}</td>
+                            <td>${escapeHtml(revision.action)}${revision.restored_from ? ` (to v${revision.restored_from})` : ''}</td>
+                            <td>${escapeHtml(revision.changed_by)}</td>
+                            <td>${new Date(revision.changed_at).toLocaleString()}</td>
+                            <td>${revision.changed_fields.map(escapeHtml).join(', ') || '—'}</td>
+                            <td>${revision.content_diff ? `+${revision.content_diff.added} / −${revision.content_diff.removed} lines` : '—'}</td>
+                            <td class="run-actions">
+                                <button onclick="compareRevision(${id}, ${revision.version})">🔍 Compare</button>
+                                <button class="restore-btn" data-requires-role="reviewer" onclick="restoreRevision(${id}, ${revision.version})">⏪ Restore</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="revision-diff"></div>
+        `;
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// Leaf values of a document keyed by dotted path, as JSON for comparison
+function flattenFields(value, prefix = '', fields = {}) {
+    for (const [key, child] of Object.entries(value || {})) {
+        const path = prefix + key;
+        if (UNCOMPARED_FIELDS.includes(path)) continue;
+
+        if (child !== null && typeof child === 'object' && !Array.isArray(child)) {
+            flattenFields(child, `${path}.`, fields);
+        } else {
+            fields[path] = JSON.stringify(child);
+        }
+    }
+    return fields;
+}
+
+async function compareRevision(documentId, version) {
+    const doc = loadedDocuments[documentId];
+
+    try {
+        const response = await fetch(corpusApi(`/documents/${encodeURIComponent(documentId)}/revisions/${version}`));
+        const revision = await response.json();
+
+        if (!response.ok) {
+            throw new Error(revision.error || 'Failed to load revision');
+        }
+
+        const before = flattenFields(revision.snapshot);
+        const after = flattenFields(doc);
+        const fieldRows = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(path => before[path] !== after[path])
+            .sort()
+            .map(path => `
+                <tr>
+                    <td>${escapeHtml(path)}</td>
+                    <td class="diff-delete">${escapeHtml(before[path] === undefined ? '' : before[path])}</td>
+                    <td class="diff-insert">${escapeHtml(after[path] === undefined ? '' : after[path])}</td>
+                </tr>
+            `).join('');
+
+        const ops = TextDiff.diffLines(revision.snapshot.content_text, doc.content_text);
+        const changes = TextDiff.stats(ops);
+
+        getHistoryDiv(documentId).querySelector('.revision-diff').innerHTML = `
+            <h4>Version ${version} → current (version ${doc.version})</h4>
+            ${fieldRows ? `
+                <table class="revision-fields">
+                    <thead><tr><th>Field</th><th>Version ${version}</th><th>Current</th></tr></thead>
+                    <tbody>${fieldRows}</tbody>
+                </table>
+            ` : '<p>No metadata differences.</p>'}
+            ${changes.added || changes.removed ? `
+                <p><strong>Content text:</strong> ${changes.added} line(s) added, ${changes.removed} removed</p>
+                ${renderSideBySide(ops, `Version ${version}`, 'Current')}
+            ` : '<p>The content text is identical.</p>'}
+        `;
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+async function restoreRevision(documentId, version) {
+    const doc = loadedDocuments[documentId];
+    if (!confirm(`Restore "${doc.attribution.title}" to version ${version}? The current state stays in the history.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(corpusApi(`/documents/${encodeURIComponent(documentId)}/revisions/${version}/restore`), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'If-Match': `"${doc.version}"`
+            }
+        });
+        const result = await response.json();
+
+        if (response.status === 409 && result.current_version !== undefined) {
+            throw new Error('This document was changed by someone else. Close and reopen it to load the latest version.');
+        }
+        if (!response.ok) {
+            const details = (result.details || []).map(detail => `${detail.field} ${detail.message}`).join('; ');
+            throw new Error((result.error || 'Failed to restore revision') + (details ? `: ${details}` : ''));
+        }
+
+        loadedDocuments[documentId] = result.document;
+        renderDocumentDetails(result.document);
+        showHistory(documentId);
+        showStatus(`✅ Restored "${result.document.attribution.title}" to version ${version} (now version ${result.document.version})`, 'success');
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// CORPORA
+// ============================================================================
+
+let editingCorpusId = null;
+
+async function loadCorporaList() {
+    try {
+        const response = await fetch('/api/corpora');
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load corpora');
+        }
+
+        renderCorpora(result.corpora);
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+function renderCorpora(list) {
+    document.getElementById('corpora-count').textContent = `(${list.length} corpora)`;
+
+    document.getElementById('corpora-list').innerHTML = `
+        <table class="corpora-table">
+            <thead>
+                <tr><th>Corpus</th><th>Documents</th><th>Defaults</th><th>Created</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${list.map(corpus => `
+                    <tr>
+                        <td>
+                            ${corpus.corpus_id === currentCorpusId() ? '<strong>' : ''}${escapeHtml(corpus.name)}${corpus.corpus_id === currentCorpusId() ? '</strong>' : ''}
+                            <br><small>${escapeHtml(corpus.corpus_id)}${corpus.description ? ` · ${escapeHtml(corpus.description)}` : ''}</small>
+                        </td>
+                        <td>${corpus.document_count.toLocaleString()}</td>
+                        <td>${escapeHtml(describeCorpusDefaults(corpus.defaults || {}))}</td>
+                        <td>${new Date(corpus.created_at).toLocaleDateString()}</td>
+                        <td>
+                            <button class="edit-btn" data-requires-role="admin" onclick="editCorpus(${jsArg(corpus.corpus_id)})">Edit</button>
+                            ${corpus.corpus_id !== DEFAULT_CORPUS_ID ? `<button class="delete-btn" data-requires-role="admin" onclick="deleteCorpus(${jsArg(corpus.corpus_id)}, ${jsArg(corpus.name)})">Delete</button>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function describeCorpusDefaults(defaults) {
+    return [
+        defaults.language && `language ${defaults.language}`,
+        defaults.base_model && `base model ${defaults.base_model}`,
+        defaults.cleaning_preset && `cleaning ${defaults.cleaning_preset}`,
+        defaults.weighting && `weight ${defaults.weighting}`
+    ].filter(Boolean).join(' · ') || 'none';
+}
+
+function editCorpus(corpusId) {
+    const corpus = corpora.find(candidate => candidate.corpus_id === corpusId);
+    if (!corpus) return;
+
+    const defaults = corpus.defaults || {};
+    editingCorpusId = corpusId;
+    document.getElementById('corpus-id').value = corpus.corpus_id;
+    document.getElementById('corpus-id').disabled = true;
+    document.getElementById('corpus-name').value = corpus.name;
+    document.getElementById('corpus-description').value = corpus.description || '';
+    document.getElementById('corpus-language').value = defaults.language || '';
+    document.getElementById('corpus-base-model').value = defaults.base_model || '';
+    document.getElementById('corpus-cleaning-preset').value = defaults.cleaning_preset || '';
+    document.getElementById('corpus-weighting').value = defaults.weighting ? String(defaults.weighting) : '';
+    document.getElementById('corpus-save-btn').textContent = '💾 Save Corpus';
+    document.getElementById('corpus-cancel-btn').style.display = '';
+    document.getElementById('corpus-name').focus();
+}
+
+function resetCorpusForm() {
+    editingCorpusId = null;
+    for (const id of ['corpus-id', 'corpus-name', 'corpus-description', 'corpus-language', 'corpus-base-model', 'corpus-cleaning-preset', 'corpus-weighting']) {
+        document.getElementById(id).value = '';
+    }
+    document.getElementById('corpus-id').disabled = false;
+    document.getElementById('corpus-save-btn').textContent = '📁 Create Corpus';
+    document.getElementById('corpus-cancel-btn').style.display = 'none';
+}
+
+async function saveCorpus() {
+    const fields = {
+        name: document.getElementById('corpus-name').value.trim(),
+        description: document.getElementById('corpus-description').value.trim() || null,
+        defaults: {
+            language: document.getElementById('corpus-language').value.trim() || null,
+            base_model: document.getElementById('corpus-base-model').value.trim() || null,
+            cleaning_preset: document.getElementById('corpus-cleaning-preset').value || null,
+            weighting: parseInt(document.getElementById('corpus-weighting').value) || null
+        }
+    };
+    if (!editingCorpusId) {
+        fields.corpus_id = document.getElementById('corpus-id').value.trim();
+    }
+
+    if ((!editingCorpusId && !fields.corpus_id) || !fields.name) {
+        showStatus('Please enter an id and a name for the corpus', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch(editingCorpusId ? `/api/corpora/${encodeURIComponent(editingCorpusId)}` : '/api/corpora', {
+            method: editingCorpusId ? 'PATCH' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(fields)
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to save corpus');
+        }
+
+        showStatus(`✅ ${editingCorpusId ? 'Saved' : 'Created'} corpus "${result.corpus.name}"`, 'success');
+        resetCorpusForm();
+        await loadCorpora();
+        loadCorporaList();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+async function deleteCorpus(corpusId, name) {
+    if (!confirm(`Delete the corpus "${name}"? Only empty corpora can be deleted.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/corpora/${encodeURIComponent(corpusId)}`, { method: 'DELETE' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to delete corpus');
+        }
+
+        showStatus(`✅ Deleted corpus "${name}"`, 'success');
+        if (corpusId === currentCorpusId()) {
+            switchCorpus(DEFAULT_CORPUS_ID);
+            return;
+        }
+        await loadCorpora();
+        loadCorporaList();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// Copies get a new id in the target corpus; moves keep theirs. Both record where they came from
+async function transferCorpusDocument(documentId, mode) {
+    const doc = loadedDocuments[documentId];
+    const target = corpora.find(corpus => corpus.corpus_id === getDetailsDiv(documentId).querySelector('.transfer-target').value);
+    if (!target) return;
+
+    if (mode === 'move' && !confirm(`Move "${doc.attribution.title}" to ${target.name}? It is removed from this corpus.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(corpusApi('/documents/transfer'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ to: target.corpus_id, document_ids: [documentId], mode: mode })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `Failed to ${mode} document`);
+        }
+
+        const item = result.items[0];
+        if (item.status !== 'transferred') {
+            throw new Error(item.error || `Document not ${mode === 'move' ? 'moved' : 'copied'} (${item.status})`);
+        }
+
+        showStatus(`✅ ${mode === 'move' ? 'Moved' : 'Copied'} "${doc.attribution.title}" to ${target.name}`, 'success');
+        loadCorpora();
+        loadCorporaList();
+        if (mode === 'move') {
+            loadPage();
+        }
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// OPT-OUT REGISTRY
+// ============================================================================
+
+async function loadOptOuts() {
+    try {
+        const response = await fetch('/api/opt-outs');
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load the opt-out registry');
+        }
+
+        renderOptOuts(result.entries);
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+function renderOptOuts(entries) {
+    const listDiv = document.getElementById('opt-out-list');
+    document.getElementById('opt-out-count').textContent = `(${entries.length} entries)`;
+
+    if (entries.length === 0) {
+        listDiv.innerHTML = '<p class="empty-list">No opt-outs registered.</p>';
+        return;
+    }
+
+    listDiv.innerHTML = `
+        <table class="opt-out-table">
+            <thead>
+                <tr><th>Kind</th><th>Name or Domain</th><th>Mechanism</th><th>Reason / Reference</th><th>Registered</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${entries.map(entry => `
+                    <tr>
+                        <td>${escapeHtml(entry.kind)}</td>
+                        <td>${escapeHtml(entry.value)}</td>
+                        <td>${escapeHtml(Compliance.labelFor(Compliance.OPT_OUT_MECHANISMS, entry.mechanism))}</td>
+                        <td>${escapeHtml([entry.reason, entry.reference].filter(Boolean).join(' · '))}</td>
+                        <td>${new Date(entry.created_at).toLocaleDateString()}</td>
+                        <td><button class="delete-btn" data-requires-role="reviewer" onclick="removeOptOut(${jsArg(entry.entry_id)}, ${jsArg(entry.value)})">Remove</button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function addOptOut() {
+    const entry = {
+        kind: document.getElementById('opt-out-kind').value,
+        value: document.getElementById('opt-out-value').value.trim(),
+        mechanism: document.getElementById('opt-out-mechanism').value,
+        reason: document.getElementById('opt-out-reason').value.trim() || null,
+        reference: document.getElementById('opt-out-reference').value.trim() || null
+    };
+
+    if (!entry.value) {
+        showStatus('Please enter the author, publisher or domain that opted out', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/opt-outs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to register opt-out');
+        }
+
+        document.getElementById('opt-out-value').value = '';
+        document.getElementById('opt-out-reason').value = '';
+        document.getElementById('opt-out-reference').value = '';
+        showStatus(`✅ Registered opt-out for ${result.entry.kind} "${result.entry.value}": ${result.flagged} document(s) flagged`, 'success');
+        loadOptOuts();
+        loadPage();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+async function removeOptOut(entryId, value) {
+    if (!confirm(`Remove the opt-out for "${value}"? Documents it flagged become exportable again unless another entry covers them.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/opt-outs/${encodeURIComponent(entryId)}`, { method: 'DELETE' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to remove opt-out');
+        }
+
+        showStatus(`✅ Removed opt-out for "${result.entry.value}": ${result.unflagged} document(s) cleared`, 'success');
+        loadOptOuts();
+        loadPage();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+async function recheckOptOuts() {
+    showStatus('Re-checking all documents against the opt-out registry...', 'loading');
+
+    try {
+        const response = await fetch('/api/opt-outs/recheck', { method: 'POST' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to re-check documents');
+        }
+
+        showStatus(`✅ Checked ${result.scanned} documents: ${result.flagged} newly flagged, ${result.unflagged} cleared`, 'success');
+        loadPage();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// TRAINING RUNS
+// ============================================================================
+
+async function loadTrainingRuns() {
+    try {
+        const response = await fetch(corpusApi('/training-runs'));
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load training runs');
+        }
+
+        renderTrainingRuns(result.runs);
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+function renderTrainingRuns(runs) {
+    const listDiv = document.getElementById('training-run-list');
+    const frozen = runs.filter(run => run.status === 'frozen');
+    document.getElementById('training-run-count').textContent = `(${runs.length} runs)`;
+
+    // Frozen runs can be searched for and compared (by default the newest against the one before);
+    // selections the user made are kept
+    const options = frozen.map(run => `<option value="${escapeHtml(run.run_id)}">${escapeHtml(run.name)} (${escapeHtml(run.model_version)})</option>`).join('');
+    const selects = [['search-training-run', '<option value="">Any</option>', ''], ['run-diff-from', '', frozen[1]], ['run-diff-to', '', frozen[0]]];
+    for (const [id, first, fallback] of selects) {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = first + options;
+        if (select.dataset.touched && frozen.some(run => run.run_id === selected)) {
+            select.value = selected;
+        } else if (fallback) {
+            select.value = fallback.run_id;
+        }
+    }
+
+    if (runs.length === 0) {
+        listDiv.innerHTML = '<p class="empty-list">No training runs recorded.</p>';
+        return;
+    }
+
+    listDiv.innerHTML = `
+        <table class="training-run-table">
+            <thead>
+                <tr><th>Run</th><th>Model</th><th>Status</th><th>Snapshot</th><th>Trained</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${runs.map(run => {
+                    const id = jsArg(run.run_id);
+                    const link = corpusApi(`/training-runs/${encodeURIComponent(run.run_id)}`);
+                    return `
+                    <tr>
+                        <td>${escapeHtml(run.name)}${run.notes ? `<br><small>${escapeHtml(run.notes)}</small>` : ''}</td>
+                        <td>${escapeHtml(run.base_model)} ${escapeHtml(run.model_version)}</td>
+                        <td>${escapeHtml(run.status)}</td>
+                        <td>${run.snapshot
+                            ? `${run.snapshot.document_count.toLocaleString()} docs, ${run.snapshot.total_tokens.toLocaleString()} tokens<br><small>${new Date(run.snapshot.frozen_at).toLocaleString()}</small>`
+                            : ''}</td>
+                        <td>${run.training_date ? new Date(run.training_date).toLocaleDateString() : ''}</td>
+                        <td class="run-actions">${run.status === 'draft'
+                            ? `<button class="freeze-btn" data-requires-role="admin" onclick="freezeTrainingRun(${id})">🧊 Freeze</button>
+                               <button class="delete-btn" data-requires-role="admin" onclick="deleteTrainingRun(${id}, ${jsArg(run.name)})">Delete</button>`
+                            : run.status === 'frozen'
+                                ? `<button class="verify-btn" onclick="verifyTrainingRun(${id})">✔️ Verify</button>
+                                   <a href="${link}/snapshot">Snapshot</a>
+                                   <a data-requires-role="reviewer" href="${corpusApi(`/reports/ai-act-summary?format=html&training_run=${encodeURIComponent(run.run_id)}`)}" target="_blank" rel="noopener">AI Act Summary</a>`
+                                : ''}</td>
+                    </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function createTrainingRun() {
+    const run = {
+        name: document.getElementById('run-name').value.trim(),
+        model_version: document.getElementById('run-model-version').value.trim(),
+        base_model: document.getElementById('run-base-model').value.trim() || undefined,
+        training_date: document.getElementById('run-training-date').value || null,
+        notes: document.getElementById('run-notes').value.trim() || null
+    };
+
+    if (!run.name || !run.model_version) {
+        showStatus('Please enter a run name and model version', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch(corpusApi('/training-runs'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(run)
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to create training run');
+        }
+
+        ['run-name', 'run-model-version', 'run-base-model', 'run-training-date', 'run-notes'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        showStatus(`✅ Created draft run "${result.run.name}" (${result.run.model_version}). Freeze it right before exporting.`, 'success');
+        loadTrainingRuns();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+async function freezeTrainingRun(runId) {
+    if (!confirm('Freeze this run? The documents the export contains right now are recorded permanently and the run can no longer be changed or deleted.')) {
+        return;
+    }
+
+    showStatus('Freezing the training run snapshot...', 'loading');
+
+    try {
+        const response = await fetch(corpusApi(`/training-runs/${encodeURIComponent(runId)}/freeze`), { method: 'POST' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to freeze training run');
+        }
+
+        showStatus(`✅ Froze "${result.run.name}": ${result.run.snapshot.document_count} documents, ${result.run.snapshot.total_tokens.toLocaleString()} tokens`, 'success');
+        loadTrainingRuns();
+        loadPage();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+async function deleteTrainingRun(runId, name) {
+    if (!confirm(`Delete the draft run "${name}"?`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(corpusApi(`/training-runs/${encodeURIComponent(runId)}`), { method: 'DELETE' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to delete training run');
+        }
+
+        showStatus(`✅ Deleted draft run "${result.run.name}"`, 'success');
+        loadTrainingRuns();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+async function verifyTrainingRun(runId) {
+    try {
+        const response = await fetch(corpusApi(`/training-runs/${encodeURIComponent(runId)}/verify`));
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to verify training run');
+        }
+
+        const drift = result.changed.length + result.missing.length;
+        showStatus(drift
+            ? `⚠️ ${result.run.name}: ${result.changed.length} document(s) edited and ${result.missing.length} deleted since the snapshot, ${result.unchanged} unchanged`
+            : `✅ ${result.run.name}: all ${result.unchanged} documents are unchanged since the snapshot`, drift ? 'error' : 'success');
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+async function diffTrainingRuns() {
+    const from = document.getElementById('run-diff-from').value;
+    const to = document.getElementById('run-diff-to').value;
+    const diffDiv = document.getElementById('training-run-diff');
+
+    if (!from || !to || from === to) {
+        showStatus('Pick two different frozen runs to compare', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch(corpusApi(`/training-runs/diff?${new URLSearchParams({ from, to })}`));
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to compare training runs');
+        }
+
+        const list = (label, ids) => ids.length
+            ? `<p><strong>${label} (${ids.length}):</strong> ${ids.map(escapeHtml).join(', ')}</p>`
+            : '';
+        diffDiv.innerHTML = `
+            <div class="content-info">
+                <p><strong>${escapeHtml(result.from.model_version)} → ${escapeHtml(result.to.model_version)}:</strong>
+                    ${result.added.length} added, ${result.removed.length} removed, ${result.changed.length} changed, ${result.unchanged} unchanged</p>
+                ${list('Added', result.added)}
+                ${list('Removed', result.removed)}
+                ${list('Changed', result.changed)}
+            </div>
+        `;
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// EVENT LISTENERS
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('search-text').addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') searchCorpus();
+    });
+
+    document.getElementById('opt-out-mechanism').innerHTML = Compliance.OPT_OUT_MECHANISMS
+        .filter(mechanism => mechanism.id !== 'not_applicable')
+        .map(mechanism => `<option value="${mechanism.id}">${escapeHtml(mechanism.label)}</option>`)
+        .join('');
+
+    for (const id of ['search-training-run', 'run-diff-from', 'run-diff-to']) {
+        document.getElementById(id).addEventListener('change', function() {
+            this.dataset.touched = 'true';
+        });
+    }
+
+    searchCorpus();
+    labelVectorSearch();
+    loadCorporaList();
+    loadOptOuts();
+    loadTrainingRuns();
+});
@@ -0,0 +1,325 @@
+// Jobs panel - relies on showStatus(), escapeHtml(), jsArg() and currentUser from script.js
+
+// How often the list is refreshed while jobs are queued or running
+const JOBS_POLL_INTERVAL_MS = 3000;
+
+const JOB_STATUS_LABELS = {
+    queued: '⏳ Queued',
+    running: '🔄 Running',
+    succeeded: '✅ Succeeded',
+    failed: '❌ Failed',
+    cancelled: '⏹️ Cancelled'
+};
+
+let jobTypes = [];
+let jobs = [];
+let openJob = null;  // job expanded with its logs
+let jobsPollTimer = null;
+
+// ============================================================================
+// STARTING JOBS
+// ============================================================================
+
+async function loadJobTypes() {
+    try {
+        const response = await fetch('/api/jobs/types');
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load job types');
+        }
+
+        // Only the jobs the signed-in user's role may start are offered
+        jobTypes = result.types;
+        document.getElementById('job-type').innerHTML = jobTypes.filter(type => type.allowed).map(type =>
+            `<option value="${escapeHtml(type.type)}">${escapeHtml(type.label)}</option>`
+        ).join('');
+        renderJobParams();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+function selectedJobType() {
+    const type = document.getElementById('job-type').value;
+    return jobTypes.find(candidate => candidate.type === type) || null;
+}
+
+function renderJobParams() {
+    const jobType = selectedJobType();
+    document.getElementById('job-type-description').textContent = jobType ? jobType.description : '';
+    document.getElementById('job-params').innerHTML = jobType ? jobType.params.map(renderJobParam).join('') : '';
+}
+
+function renderJobParam(param) {
+    const id = `job-param-${param.name}`;
+
+    if (param.type === 'boolean') {
+        return `
+            <div class="form-group full-width">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="${id}">
+                    ${escapeHtml(param.label)}
+                </label>
+            </div>
+        `;
+    }
+
+    const input = param.type === 'select'
+        ? `<select id="${id}">
+               <option value="">Default</option>
+               ${param.options.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}
+           </select>`
+        : `<input type="${param.type === 'number' ? 'number' : 'text'}" id="${id}"${param.type === 'number' ? ' step="any"' : ''}>`;
+
+    return `
+        <div class="form-group">
+            <label for="${id}">${escapeHtml(param.label)}</label>
+            ${input}
+        </div>
+    `;
+}
+
+// Unset fields are left out, so the job type's defaults apply
+function getJobParams(jobType) {
+    const params = {};
+    for (const param of jobType.params) {
+        const field = document.getElementById(`job-param-${param.name}`);
+        if (param.type === 'boolean') {
+            if (field.checked) params[param.name] = true;
+        } else if (field.value.trim() !== '') {
+            params[param.name] = field.value.trim();
+        }
+    }
+    return params;
+}
+
+async function startJob() {
+    const jobType = selectedJobType();
+    if (!jobType) {
+        showStatus('Choose a job to start', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch(corpusApi('/jobs'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: jobType.type, params: getJobParams(jobType) })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to start the job');
+        }
+
+        showStatus(`${jobType.label} queued`, 'success');
+        openJob = result.job;
+        loadJobs();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// JOB LIST
+// ============================================================================
+
+async function loadJobs() {
+    clearTimeout(jobsPollTimer);
+    const params = new URLSearchParams();
+    const status = document.getElementById('jobs-status').value;
+    if (status) params.set('status', status);
+
+    try {
+        const response = await fetch(corpusApi(`/jobs?${params}`));
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load jobs');
+        }
+
+        jobs = result.jobs;
+        if (openJob) {
+            await loadJobDetails(openJob.job_id);
+        }
+        document.getElementById('jobs-count').textContent = `(${jobs.length.toLocaleString()})`;
+        renderJobs();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+
+    if (jobs.some(isActive) || (openJob && isActive(openJob))) {
+        jobsPollTimer = setTimeout(loadJobs, JOBS_POLL_INTERVAL_MS);
+    }
+}
+
+async function loadJobDetails(jobId) {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+    const result = await response.json();
+
+    if (!response.ok) {
+        openJob = null;
+        throw new Error(result.error || 'Failed to load the job');
+    }
+    openJob = result;
+}
+
+async function toggleJob(jobId) {
+    if (openJob && openJob.job_id === jobId) {
+        openJob = null;
+        renderJobs();
+        return;
+    }
+
+    try {
+        await loadJobDetails(jobId);
+        renderJobs();
+        if (isActive(openJob)) {
+            loadJobs();
+        }
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+async function cancelJob(jobId) {
+    if (!confirm('Cancel this job?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/cancel`, { method: 'POST' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to cancel the job');
+        }
+
+        showStatus(result.job.status === 'cancelled' ? 'Job cancelled' : 'The job will stop at its next progress report', 'success');
+        loadJobs();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+function isActive(job) {
+    return job.status === 'queued' || job.status === 'running';
+}
+
+function canCancel(job) {
+    return isActive(job) && currentUser
+        && (job.created_by === currentUser.username || currentUser.role === 'admin');
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function renderJobs() {
+    const listDiv = document.getElementById('jobs-list');
+
+    if (jobs.length === 0) {
+        listDiv.innerHTML = '<p class="empty-list">No jobs yet.</p>';
+        return;
+    }
+
+    listDiv.innerHTML = jobs.map(listed => {
+        const open = openJob && openJob.job_id === listed.job_id;
+        // The expanded job is fresher than the list when it was loaded after it
+        const job = open ? openJob : listed;
+
+        return `
+            <div class="document-card job-card${open ? ' selected' : ''}">
+                <div class="document-card-header" onclick="toggleJob(${jsArg(job.job_id)})">
+                    <div>
+                        <h3>${escapeHtml(jobLabel(job.type))} <span class="job-status job-status-${escapeHtml(job.status)}">${JOB_STATUS_LABELS[job.status] || escapeHtml(job.status)}</span></h3>
+                        <p class="document-byline">
+                            ${escapeHtml(job.job_id)} · queued by ${escapeHtml(job.created_by)}
+                            · attempt ${job.attempts} of ${job.max_attempts}
+                            ${job.finished_at ? `· took ${formatDuration(new Date(job.finished_at) - new Date(job.started_at || job.created_at))}` : ''}
+                        </p>
+                    </div>
+                    <span class="document-date">${new Date(job.created_at).toLocaleString()}</span>
+                </div>
+                ${renderJobProgress(job)}
+                ${job.error ? `<p class="job-error">${escapeHtml(job.error)}</p>` : ''}
+                ${canCancel(job) ? `<div class="actions"><button class="delete-btn" onclick="cancelJob(${jsArg(job.job_id)})">⏹️ Cancel</button></div>` : ''}
+                ${open ? renderJobDetails(job) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderJobProgress(job) {
+    const progress = job.progress || {};
+    if (job.status === 'queued' && !progress.done) {
+        return '';
+    }
+
+    const share = progress.total ? Math.min(progress.done / progress.total, 1) : null;
+    const counts = progress.total ? `${progress.done.toLocaleString()} / ${progress.total.toLocaleString()}` : `${(progress.done || 0).toLocaleString()} done`;
+
+    return `
+        <div class="job-progress">
+            <div class="job-progress-track">
+                <div class="job-progress-bar${share === null && job.status === 'running' ? ' indeterminate' : ''}" style="width: ${share === null ? 100 : share * 100}%"></div>
+            </div>
+            <span class="job-progress-label">${counts}${progress.message ? ` · ${escapeHtml(progress.message)}` : ''}</span>
+        </div>
+    `;
+}
+
+function renderJobDetails(job) {
+    const params = Object.keys(job.params || {}).length
+        ? `<h4>Parameters</h4><pre class="job-json">${escapeHtml(JSON.stringify(job.params, null, 2))}</pre>`
+        : '';
+    const result = job.result
+        ? `<h4>Result</h4>${renderExportFiles(job)}<pre class="job-json">${escapeHtml(JSON.stringify(job.result, null, 2))}</pre>`
+        : '';
+    const logs = (job.logs || []).map(line => `
+        <li class="job-log-${escapeHtml(line.level)}"><span class="job-log-time">${new Date(line.at).toLocaleTimeString()}</span> ${escapeHtml(line.message)}</li>
+    `).join('');
+
+    return `
+        <div class="document-details">
+            ${params}
+            ${result}
+            <h4>Log</h4>
+            <ul class="job-log">${logs || '<li>No log lines.</li>'}</ul>
+        </div>
+    `;
+}
+
+// Finished export jobs link to the files they wrote (downloads need the admin role)
+function renderExportFiles(job) {
+    if (job.type !== 'export' || job.status !== 'succeeded' || !currentUser || currentUser.role !== 'admin') {
+        return '';
+    }
+    const files = ['manifest.json'].concat((job.result.shards || []).map(shard => shard.file));
+    return `<p class="run-actions">${files.map(file =>
+        `<a href="/api/jobs/${encodeURIComponent(job.job_id)}/files/${encodeURIComponent(file)}">⬇️ ${escapeHtml(file)}</a>`
+    ).join(' ')}</p>`;
+}
+
+function jobLabel(type) {
+    const jobType = jobTypes.find(candidate => candidate.type === type);
+    return jobType ? jobType.label : type;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', async function() {
+    await loadJobTypes();
+    loadJobs();
+});
@@ -0,0 +1,49 @@
+// Only same-site paths are followed after logging in
+function nextPage() {
+    const next = new URLSearchParams(window.location.search).get('next');
+    return next && next.startsWith('/') && !next.startsWith('//') ? next : 'index.html';
+}
+
+function showStatus(message, type) {
+    const statusDiv = document.getElementById('status-message');
+    statusDiv.textContent = message;
+    statusDiv.className = type;
+    statusDiv.style.display = 'block';
+}
+
+async function login() {
+    const username = document.getElementById('login-username').value.trim();
+    const password = document.getElementById('login-password').value;
+
+    if (!username || !password) {
+        showStatus('Enter your username and password', 'error');
+        return;
+    }
+
+    const loginBtn = document.getElementById('login-btn');
+    loginBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to log in');
+        }
+
+        window.location.href = nextPage();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+        loginBtn.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('login-password').addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') login();
+    });
+});
@@ -0,0 +1,187 @@
+// Review queue - relies on showStatus(), escapeHtml(), renderContentInfo() and the review helpers from script.js
+
+const QUEUE_PAGE_SIZE = 20;
+
+let queueCursor = null;
+let queueDocuments = [];
+let reviewedDocument = null;  // full document open for review
+
+// Buttons shown for each status; the server enforces who may do what
+const QUEUE_ACTIONS = {
+    draft: [['archive', '📦 Archive']],
+    pending_review: [['approve', '✅ Approve'], ['reject', '⛔ Reject']],
+    approved: [['reopen', '🔁 Reopen'], ['archive', '📦 Archive']],
+    rejected: [['archive', '📦 Archive']],
+    archived: [['reopen', '🔁 Reopen']]
+};
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+function loadQueue() {
+    queueCursor = null;
+    queueDocuments = [];
+    document.getElementById('review-section').style.display = 'none';
+    loadMore();
+}
+
+// Oldest first, so documents are reviewed in the order they were submitted
+async function loadMore() {
+    const params = new URLSearchParams({
+        processing_status: document.getElementById('queue-status').value,
+        sort: 'updated_at',
+        order: 'asc',
+        limit: QUEUE_PAGE_SIZE
+    });
+    if (queueCursor) {
+        params.set('cursor', queueCursor);
+    }
+
+    try {
+        const response = await fetch(corpusApi(`/documents?${params}`));
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load the review queue');
+        }
+
+        queueCursor = result.next_cursor;
+        queueDocuments = queueDocuments.concat(result.documents);
+        document.getElementById('queue-count').textContent = `(${result.total.toLocaleString()})`;
+        document.getElementById('queue-more-btn').style.display = queueCursor ? '' : 'none';
+        renderQueue();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+function renderQueue() {
+    const listDiv = document.getElementById('queue-list');
+
+    if (queueDocuments.length === 0) {
+        listDiv.innerHTML = '<p class="empty-list">Nothing to review.</p>';
+        return;
+    }
+
+    listDiv.innerHTML = queueDocuments.map(doc => `
+        <div class="document-card${reviewedDocument && reviewedDocument.document_id === doc.document_id ? ' selected' : ''}">
+            <div class="document-card-header" onclick="openReview(${jsArg(doc.document_id)})">
+                <div>
+                    <h3>${escapeHtml(doc.title)}</h3>
+                    <p class="document-byline">
+                        ${escapeHtml(doc.author)} · ${escapeHtml(doc.content_type)}
+                        · ${(doc.character_count || 0).toLocaleString()} chars
+                        ${doc.chunk ? `· chunk ${doc.chunk.ordinal} of ${doc.chunk.total}` : ''}
+                        · added by ${escapeHtml(doc.added_by || 'unknown')}
+                        ${doc.submitted_by ? `· submitted by ${escapeHtml(doc.submitted_by)}` : ''}
+                        ${doc.cleared === false ? '· <span class="not-cleared-badge">⛔ not cleared for training</span>' : ''}
+                        ${doc.quality_status === 'warn' ? '· <span class="quality-warn">⚠️ quality warnings</span>' : ''}
+                    </p>
+                </div>
+                <span class="document-date">${new Date(doc.submitted_at || doc.updated_at).toLocaleDateString()}</span>
+            </div>
+        </div>
+    `).join('');
+}
+
+// ============================================================================
+// REVIEWING A DOCUMENT
+// ============================================================================
+
+async function openReview(documentId) {
+    try {
+        const [documentResponse, originalResponse] = await Promise.all([
+            fetch(corpusApi(`/documents/${encodeURIComponent(documentId)}`)),
+            fetch(corpusApi(`/documents/${encodeURIComponent(documentId)}/original`))
+        ]);
+        const doc = await documentResponse.json();
+        const original = await originalResponse.json();
+
+        if (!documentResponse.ok) {
+            throw new Error(doc.error || 'Failed to load document');
+        }
+        if (!originalResponse.ok) {
+            throw new Error(original.error || 'Failed to load the original text');
+        }
+
+        reviewedDocument = doc;
+        document.getElementById('review-comment').value = '';
+        renderReview(doc, original);
+        renderQueue();
+
+        const section = document.getElementById('review-section');
+        section.style.display = 'block';
+        section.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+function renderReview(doc, original) {
+    document.getElementById('review-title').textContent = `🧐 ${doc.attribution.title}`;
+    document.getElementById('review-info').innerHTML = `
+        ${renderContentInfo(doc)}
+        <p><strong>Document ID:</strong> ${escapeHtml(doc.document_id)} (version ${doc.version})</p>
+        <p><strong>Added By:</strong> ${escapeHtml((doc.provenance && doc.provenance.added_by) || 'unknown')}</p>
+    `;
+
+    document.getElementById('review-text-diff').innerHTML = renderTextComparison(doc, original);
+    document.getElementById('review-history').innerHTML = renderReviewHistory(doc);
+    renderReviewActions(doc);
+}
+
+function renderTextComparison(doc, original) {
+    if (!original.text) {
+        return '<p class="section-hint">No raw original was stored: the text was inserted already clean.</p>';
+    }
+
+    const ops = TextDiff.diffLines(original.text, doc.content_text);
+    const changes = TextDiff.stats(ops);
+    const note = original.original_of !== doc.document_id
+        ? `<p class="section-hint">This is a chunk; the original is the whole work it was split from (${escapeHtml(original.original_of)}).</p>`
+        : '';
+
+    return `
+        ${note}
+        <p><strong>Cleaning:</strong> ${changes.added} line(s) added, ${changes.removed} removed</p>
+        ${renderSideBySide(ops, 'Original', 'Cleaned')}
+    `;
+}
+
+function renderReviewActions(doc) {
+    const actions = [...(QUEUE_ACTIONS[doc.training_metadata.processing_status] || []), ['comment', '💬 Comment']];
+    document.getElementById('review-actions').innerHTML = actions.map(([action, label]) => `
+        <button class="review-btn review-${action}-btn" onclick="reviewDocument(${jsArg(action)})">${label}</button>
+    `).join('');
+}
+
+async function reviewDocument(action) {
+    const comment = document.getElementById('review-comment').value.trim() || null;
+    if (!comment && (action === 'reject' || action === 'comment')) {
+        showStatus(`Add a comment to ${action === 'reject' ? 'reject the document' : 'post'}`, 'error');
+        return;
+    }
+
+    try {
+        const updated = await sendReviewAction(reviewedDocument, action, comment);
+        showStatus(`✅ "${updated.attribution.title}" is now ${formatReviewStatus(updated.training_metadata.processing_status)}`, 'success');
+
+        if (updated.training_metadata.processing_status === document.getElementById('queue-status').value) {
+            await openReview(updated.document_id);
+        } else {
+            reviewedDocument = null;
+            loadQueue();
+        }
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// EVENT LISTENERS
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadQueue();
+});
@@ -1,64 +1,7 @@
 let currentDocumentData = null;
 
-// ============================================================================
-// TEXT CLEANING FUNCTIONS
-// ============================================================================
-
-/**
- * Main text cleaning function - automatically preprocesses text for corpus
- * Call this before creating the document structure
- */
-function cleanText(text) {
-    if (!text || typeof text !== 'string') {
-        return '';
-    }
-
-    let cleaned = text;
-
-    // 1. Normalize Unicode characters (é → é, smart quotes, etc.)
-    cleaned = cleaned.normalize('NFC');
-
-    // 2. Fix common OCR/PDF errors (double spaces, weird characters)
-    cleaned = cleaned.replace(/['']/g, "'");  // Normalize apostrophes
-    cleaned = cleaned.replace(/[""]/g, '"');   // Normalize quotes
-    cleaned = cleaned.replace(/…/g, '...');    // Normalize ellipsis
-    cleaned = cleaned.replace(/—/g, '--');     // Em dash to double dash
-    cleaned = cleaned.replace(/–/g, '-');      // En dash to single dash
-
-    // 3. Remove page numbers (standalone numbers on their own lines)
-    cleaned = cleaned.replace(/^\s*\d+\s*$/gm, '');
-
-    // 4. Fix hyphenation at line breaks (re-join words split across lines)
-    // "exam-\nple" becomes "example"
-    cleaned = cleaned.replace(/(\w+)-\s*\n\s*(\w+)/g, '$1$2');
-
-    // 5. Remove multiple spaces (but preserve single spaces)
-    cleaned = cleaned.replace(/[^\S\n]+/g, ' ');
-
-    // 6. Fix excessive line breaks (more than 2 becomes 2)
-    cleaned = cleaned.replace(/\n{3,}/g, '\n\n');
-
-    // 7. Remove spaces at beginning and end of lines
-    cleaned = cleaned.replace(/^[ \t]+|[ \t]+$/gm, '');
-
-    // 8. Remove citation markers like [1], [2], [3]
-    cleaned = cleaned.replace(/\[\d+\]/g, '');
-
-    // 9. Fix common spacing around punctuation
-    cleaned = cleaned.replace(/\s+([.,!?;:])/g, '$1');  // Remove space before punctuation
-    cleaned = cleaned.replace(/([.,!?;:])\s*([.,!?;:])/g, '$1 $2');  // Ensure space after punctuation
-
-    // 10. Remove URLs (optional - removes http/https links)
-    cleaned = cleaned.replace(/https?:\/\/[^\s]+/g, '');
-
-    // 11. Remove email addresses (optional)
-    cleaned = cleaned.replace(/[\w.-]+@[\w.-]+\.\w+/g, '');
-
-    // 12. Final trim - remove leading/trailing whitespace from entire text
-    cleaned = cleaned.trim();
-
-    return cleaned;
-}
+// Text cleaning and document construction live in /shared (textCleaning.js,
+// documentBuilder.js) so the server-side importers build identical documents.
 
 // ============================================================================
 // UTILITY FUNCTIONS
@@ -81,6 +24,42 @@ function hideStatus() {
     document.getElementById('status-message').style.display = 'none';
 }
 
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Quote a value for use as an argument inside an inline onclick handler
+function jsArg(value) {
+    return escapeHtml(JSON.stringify(value));
+}
+
+// Side-by-side table of TextDiff.diffLines() operations
+function renderSideBySide(ops, leftLabel, rightLabel) {
+    const cell = (side, type) => side
+        ? `<td class="diff-number">${side.number}</td><td class="diff-${type}">${escapeHtml(side.text)}</td>`
+        : '<td class="diff-number"></td><td class="diff-empty"></td>';
+    const rows = TextDiff.sideBySide(ops).map(row => `
+        <tr>
+            ${cell(row.left, row.type === 'equal' ? 'equal' : 'delete')}
+            ${cell(row.right, row.type === 'equal' ? 'equal' : 'insert')}
+        </tr>
+    `).join('');
+
+    return `
+        <div class="side-by-side-wrapper">
+            <table class="side-by-side">
+                <thead><tr><th colspan="2">${escapeHtml(leftLabel)}</th><th colspan="2">${escapeHtml(rightLabel)}</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
 function updateContentStats() {
     const contentTextarea = document.getElementById('content-text');
     const charCount = document.getElementById('char-count');
@@ -96,7 +75,453 @@ function updateContentStats() {
     
     if (charCount) charCount.textContent = `${chars.toLocaleString()} characters`;
     if (wordCount) wordCount.textContent = `${words.toLocaleString()} words`;
-    if (tokenEstimate) tokenEstimate.textContent = `~${tokens.toLocaleString()} tokens`;
+    if (tokenEstimate) {
+        tokenEstimate.textContent = `~${tokens.toLocaleString()} tokens`;
+        scheduleTokenCount(text);
+    }
+    if (document.getElementById('quality-summary')) {
+        scheduleQualityCheck(text);
+    }
+}
+
+// Exact counts come from the server's tokenizer; wait until typing pauses
+let tokenCountTimer = null;
+
+function scheduleTokenCount(text) {
+    clearTimeout(tokenCountTimer);
+    if (!text) return;
+
+    tokenCountTimer = setTimeout(async () => {
+        try {
+            const response = await fetch(corpusApi('/tokenizer/count'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text: text })
+            });
+            if (!response.ok) return;
+
+            const result = await response.json();
+            const tokenEstimate = document.getElementById('token-estimate');
+            // Ignore answers for text that has changed since
+            if (tokenEstimate && document.getElementById('content-text').value === text) {
+                tokenEstimate.textContent = formatTokenCount(result.token_count, result.tokenizer);
+            }
+        } catch (error) {
+            console.error('Token count error:', error);
+        }
+    }, 500);
+}
+
+function formatTokenCount(count, tokenizer) {
+    if (!tokenizer || tokenizer.startsWith('estimate:')) {
+        return `~${count.toLocaleString()} tokens`;
+    }
+    return `${count.toLocaleString()} tokens (${tokenizer.split('@')[0]})`;
+}
+
+const REVIEW_STATUS_LABELS = {
+    draft: '📝 Draft',
+    pending_review: '⏳ Pending review',
+    approved: '✅ Approved',
+    rejected: '⛔ Rejected',
+    archived: '📦 Archived'
+};
+
+function formatReviewStatus(status) {
+    return REVIEW_STATUS_LABELS[status] || status || 'Unknown';
+}
+
+// ============================================================================
+// TEXT QUALITY
+// ============================================================================
+
+// The server's thresholds (GET /api/quality), so previews judge text the way the insert will
+let qualityThresholds = null;
+
+const QUALITY_STATUS_LABELS = {
+    pass: '✅ Passed',
+    warn: '⚠️ Warnings',
+    reject: '⛔ Fails the quality checks'
+};
+
+async function loadQualityThresholds() {
+    try {
+        const response = await fetch('/api/quality');
+        if (!response.ok) return;
+
+        qualityThresholds = (await response.json()).thresholds;
+        updateContentStats();
+    } catch (error) {
+        console.error('Quality thresholds error:', error);
+    }
+}
+
+function assessQuality(text, language) {
+    return TextQuality.assess(text, {
+        language: language,
+        thresholds: qualityThresholds || TextQuality.DEFAULT_THRESHOLDS
+    });
+}
+
+// Measure the text as it will be stored (after cleaning) once typing pauses
+let qualityCheckTimer = null;
+
+function scheduleQualityCheck(text) {
+    clearTimeout(qualityCheckTimer);
+    const summary = document.getElementById('quality-summary');
+    if (!text.trim()) {
+        summary.textContent = '';
+        return;
+    }
+
+    qualityCheckTimer = setTimeout(() => {
+        const contentType = document.getElementById('content-type').value;
+        const cleaned = TextCleaning.runPipeline(text.trim(), getCleaningSpec(), contentType).text;
+        const quality = assessQuality(cleaned, document.getElementById('content-language').value);
+
+        summary.textContent = `quality: ${QUALITY_STATUS_LABELS[quality.status]}`;
+        summary.title = quality.issues.map(issue => issue.message).join('\n');
+        summary.className = `quality-${quality.status}`;
+    }, 500);
+}
+
+function formatQualityMetric(metric, value) {
+    return metric.percent ? `${(value * 100).toFixed(1)}%` : String(value);
+}
+
+function renderQualityInfo(data) {
+    const quality = data.training_metadata && data.training_metadata.quality;
+    if (!quality) return '';
+
+    const metrics = quality.metrics;
+    const detected = metrics.detected_language;
+    return `
+        <p><strong>Quality:</strong> <span class="quality-${quality.status}">${QUALITY_STATUS_LABELS[quality.status]}</span></p>
+        ${quality.issues.length ? `<ul class="quality-issues">${quality.issues.map(issue => `
+            <li class="quality-${issue.level}">${escapeHtml(issue.message)}</li>
+        `).join('')}</ul>` : ''}
+        <details class="quality-metrics">
+            <summary>Quality metrics</summary>
+            <table>
+                ${TextQuality.METRICS.map(metric => `
+                    <tr title="${escapeHtml(metric.description)}">
+                        <td>${escapeHtml(metric.label)}</td>
+                        <td>${escapeHtml(formatQualityMetric(metric, metrics[metric.id]))}</td>
+                    </tr>
+                `).join('')}
+                <tr>
+                    <td>Detected language</td>
+                    <td>${detected ? `${escapeHtml(detected.language)} (${Math.round(detected.confidence * 100)}% of matched words)` : 'not enough text'}</td>
+                </tr>
+            </table>
+        </details>
+    `;
+}
+
+// ============================================================================
+// SIGNED-IN USER
+// ============================================================================
+
+let currentUser = null;
+
+// Pages need a signed-in user; the body gets a role-* class so actions the
+// role cannot perform (marked data-requires-role) are hidden
+async function loadCurrentUser() {
+    try {
+        const response = await fetch('/api/auth/me');
+        if (response.status === 401) {
+            window.location.href = `login.html?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+            return;
+        }
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load the signed-in user');
+        }
+
+        currentUser = result.user;
+        document.body.classList.add(`role-${currentUser.role}`);
+        document.querySelector('.main-nav').insertAdjacentHTML('beforeend', `
+            <span class="nav-user">👤 ${escapeHtml(currentUser.display_name)} (${escapeHtml(currentUser.role)})</span>
+            <a href="#" onclick="logout(); return false;">🚪 Log out</a>
+        `);
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+async function logout() {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    window.location.href = 'login.html';
+}
+
+// ============================================================================
+// CORPORA
+// ============================================================================
+
+// The corpus every page works on is remembered per browser
+const CORPUS_STORAGE_KEY = 'corpus-tool.corpus';
+const DEFAULT_CORPUS_ID = 'default';
+
+let corpora = [];
+
+function currentCorpusId() {
+    return localStorage.getItem(CORPUS_STORAGE_KEY) || DEFAULT_CORPUS_ID;
+}
+
+function currentCorpus() {
+    return corpora.find(corpus => corpus.corpus_id === currentCorpusId()) || null;
+}
+
+// URL of a corpus-scoped API route, e.g. corpusApi('/documents') -> /api/corpora/<id>/documents
+function corpusApi(path) {
+    return `/api/corpora/${encodeURIComponent(currentCorpusId())}${path}`;
+}
+
+// Fill the corpus switcher in the header; links marked data-corpus-href point into the current corpus
+async function loadCorpora() {
+    document.querySelectorAll('[data-corpus-href]').forEach(link => {
+        link.href = corpusApi(link.dataset.corpusHref);
+    });
+
+    try {
+        const response = await fetch('/api/corpora');
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load corpora');
+        }
+
+        corpora = result.corpora;
+        // A corpus deleted meanwhile (or in another tab) falls back to the default one
+        if (!currentCorpus() && currentCorpusId() !== DEFAULT_CORPUS_ID) {
+            switchCorpus(DEFAULT_CORPUS_ID);
+            return;
+        }
+
+        const switcher = document.getElementById('corpus-switcher');
+        if (switcher) {
+            switcher.innerHTML = corpora.map(corpus =>
+                `<option value="${escapeHtml(corpus.corpus_id)}">${escapeHtml(corpus.name)} (${corpus.document_count.toLocaleString()})</option>`
+            ).join('');
+            switcher.value = currentCorpusId();
+        }
+        applyCorpusDefaults();
+    } catch (error) {
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// Pages showing documents reload for the new corpus; the add form only takes its defaults
+function switchCorpus(corpusId) {
+    localStorage.setItem(CORPUS_STORAGE_KEY, corpusId);
+    if (document.getElementById('content-text') && currentCorpus()) {
+        document.querySelectorAll('[data-corpus-href]').forEach(link => {
+            link.href = corpusApi(link.dataset.corpusHref);
+        });
+        applyCorpusDefaults();
+        updateContentStats();
+        showStatus(`Adding to ${currentCorpus().name}`, 'success');
+        return;
+    }
+    window.location.reload();
+}
+
+// Preset the add form with the current corpus's language, weight and cleaning preset
+function applyCorpusDefaults() {
+    const language = document.getElementById('content-language');
+    if (!language) return;
+
+    const defaults = (currentCorpus() || {}).defaults || {};
+    if (defaults.language && !Array.from(language.options).some(option => option.value === defaults.language)) {
+        language.add(new Option(defaults.language, defaults.language));
+    }
+    language.value = defaults.language || 'en-US';
+    document.getElementById('training-weight').value = String(defaults.weighting || 1);
+    document.getElementById('cleaning-preset').value = defaults.cleaning_preset || '';
+    applyCleaningPreset();
+}
+
+// ============================================================================
+// REVIEW
+// ============================================================================
+
+// Send a review action for a loaded document; returns the updated document
+async function sendReviewAction(doc, action, comment = null) {
+    const response = await fetch(corpusApi(`/documents/${encodeURIComponent(doc.document_id)}/review`), {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'If-Match': `"${doc.version}"`
+        },
+        body: JSON.stringify({ action: action, comment: comment })
+    });
+    const result = await response.json();
+
+    if (response.status === 409 && result.current_version !== undefined) {
+        throw new Error('This document was changed by someone else. Reload it to see the latest version.');
+    }
+    if (!response.ok) {
+        throw new Error(result.error || `Failed to ${action} document`);
+    }
+    return result.document;
+}
+
+function renderReviewHistory(doc) {
+    const history = (doc.review && doc.review.history) || [];
+    if (history.length === 0) {
+        return '<p class="empty-list">No review history.</p>';
+    }
+
+    return `<ul class="review-history">${history.slice().reverse().map(entry => `
+        <li>
+            <strong>${escapeHtml(entry.action)}</strong>
+            ${entry.from && entry.from !== entry.to ? `${escapeHtml(formatReviewStatus(entry.from))} → ` : ''}${escapeHtml(formatReviewStatus(entry.to))}
+            · ${escapeHtml(entry.by || 'unknown')} · ${new Date(entry.at).toLocaleString()}
+            ${entry.comment ? `<blockquote>${escapeHtml(entry.comment)}</blockquote>` : ''}
+        </li>
+    `).join('')}</ul>`;
+}
+
+// ============================================================================
+// CLEANING OPTIONS
+// ============================================================================
+
+function renderCleaningRules() {
+    const rulesDiv = document.getElementById('cleaning-rules');
+    if (!rulesDiv) return;
+
+    rulesDiv.innerHTML = TextCleaning.RULES.map(rule => `
+        <label class="cleaning-rule" title="${escapeHtml(rule.description)}">
+            <input type="checkbox" value="${rule.id}">
+            ${escapeHtml(rule.description)}
+        </label>
+    `).join('');
+
+    applyCleaningPreset();
+}
+
+/**
+ * Tick the rules of the selected preset, or of the content type's preset on Auto.
+ */
+function applyCleaningPreset() {
+    const presetSelect = document.getElementById('cleaning-preset');
+    if (!presetSelect) return;
+
+    const contentType = document.getElementById('content-type').value;
+    const preset = presetSelect.value || TextCleaning.presetForContentType(contentType);
+    const presetRules = TextCleaning.PRESETS[preset];
+
+    document.querySelectorAll('#cleaning-rules input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = presetRules.includes(checkbox.value);
+    });
+}
+
+function getCleaningSpec() {
+    const contentType = document.getElementById('content-type').value;
+    const preset = document.getElementById('cleaning-preset').value || TextCleaning.presetForContentType(contentType);
+    const rules = Array.from(document.querySelectorAll('#cleaning-rules input[type="checkbox"]'))
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value);
+
+    return { preset: preset, rules: rules };
+}
+
+// ============================================================================
+// COPYRIGHT & COMPLIANCE
+// ============================================================================
+
+function renderComplianceOptions() {
+    const licenseSelect = document.getElementById('compliance-license');
+    if (!licenseSelect) return;
+
+    const options = list => list.map(entry => `<option value="${entry.id}">${escapeHtml(entry.label)}</option>`).join('');
+
+    licenseSelect.innerHTML = '<option value="">Select license status...</option>' + options(Compliance.LICENSE_TYPES);
+    document.getElementById('compliance-fair-use').innerHTML = options(Compliance.FAIR_USE_ASSESSMENTS);
+    document.getElementById('compliance-opt-out-mechanism').innerHTML = options(Compliance.OPT_OUT_MECHANISMS);
+    document.getElementById('compliance-transparency').innerHTML = options(Compliance.TRANSPARENCY_LEVELS);
+    document.getElementById('spdx-ids').innerHTML = Compliance.COMMON_SPDX_IDS.map(id => `<option value="${id}">`).join('');
+
+    resetComplianceFields();
+}
+
+function resetComplianceFields() {
+    document.getElementById('compliance-license').value = '';
+    document.getElementById('compliance-spdx').value = '';
+    document.getElementById('compliance-fair-use').value = 'not_assessed';
+    document.getElementById('compliance-rationale').value = '';
+    document.getElementById('compliance-opted-out').checked = false;
+    document.getElementById('compliance-opt-out-mechanism').value = 'not_applicable';
+    document.getElementById('compliance-transparency').value = 'full_disclosure';
+    document.getElementById('compliance-summary-included').checked = true;
+    document.getElementById('compliance-documented').checked = true;
+    updateClearanceHint();
+}
+
+function getComplianceFields() {
+    const optedOut = document.getElementById('compliance-opted-out').checked;
+    return {
+        license_status: document.getElementById('compliance-license').value,
+        spdx_id: document.getElementById('compliance-spdx').value.trim(),
+        fair_use_assessment: document.getElementById('compliance-fair-use').value,
+        fair_use_rationale: document.getElementById('compliance-rationale').value.trim(),
+        has_opted_out: optedOut,
+        opt_out_mechanism: optedOut ? document.getElementById('compliance-opt-out-mechanism').value : 'not_applicable',
+        transparency_level: document.getElementById('compliance-transparency').value,
+        summary_included: document.getElementById('compliance-summary-included').checked,
+        documented_for_authorities: document.getElementById('compliance-documented').checked
+    };
+}
+
+/**
+ * Show whether the document would be exported for training with the current choices.
+ */
+function updateClearanceHint() {
+    const hint = document.getElementById('clearance-hint');
+    if (!hint) return;
+
+    const fields = getComplianceFields();
+    document.getElementById('compliance-opt-out-mechanism').disabled = !fields.has_opted_out;
+
+    if (!fields.license_status) {
+        hint.textContent = '';
+        return;
+    }
+
+    const { cleared, reason } = Compliance.clearance({
+        copyright_compliance: {
+            license_status: fields.license_status,
+            spdx_id: fields.spdx_id,
+            fair_use_assessment: fields.fair_use_assessment,
+            opt_out_status: { has_opted_out: fields.has_opted_out, opt_out_mechanism: fields.opt_out_mechanism }
+        }
+    });
+    hint.className = `clearance-hint ${cleared ? 'cleared' : 'not-cleared'}`;
+    hint.textContent = cleared
+        ? `✅ Cleared for training. ${reason}`
+        : `⛔ Not cleared for training: it will be stored but left out of exports. ${reason}`;
+}
+
+function validateComplianceFields() {
+    const fields = getComplianceFields();
+
+    if (!fields.license_status) {
+        return 'Please select a license status';
+    }
+    if (fields.license_status === 'open_license' && !fields.spdx_id) {
+        return 'Open licenses need an SPDX license id (e.g. CC-BY-4.0)';
+    }
+    if (fields.spdx_id && !Compliance.SPDX_PATTERN.test(fields.spdx_id)) {
+        return `"${fields.spdx_id}" is not a valid SPDX license id or expression`;
+    }
+    if (Compliance.EXEMPT_ASSESSMENTS.includes(fields.fair_use_assessment) && !fields.fair_use_rationale) {
+        return 'Please explain why the copyright exception applies';
+    }
+    if (fields.has_opted_out && fields.opt_out_mechanism === 'not_applicable') {
+        return 'Please select how the rights holder opted out';
+    }
+    return null;
 }
 
 // ============================================================================
@@ -129,88 +554,140 @@ function validateForm() {
         return false;
     }
     
+    const complianceError = validateComplianceFields();
+    if (complianceError) {
+        showStatus(complianceError, 'error');
+        return false;
+    }
+    
     return true;
 }
 
+// ============================================================================
+// FILE UPLOAD
+// ============================================================================
+
+// Result of the last /api/extract call, kept so the document records its source file
+let uploadedSource = null;
+
+async function uploadFile() {
+    const fileInput = document.getElementById('content-file');
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    showStatus(`Extracting text from ${file.name}...`, 'loading');
+
+    try {
+        const formData = new FormData();
+        formData.append('file', file);
+
+        const response = await fetch('/api/extract', { method: 'POST', body: formData });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to extract text');
+        }
+
+        uploadedSource = result;
+        applyExtractedMetadata(result);
+        renderUploadSections(result.sections);
+        setContentText(result.text);
+
+        showStatus(`Extracted ${result.character_count.toLocaleString()} characters from ${result.source_file.name}. Review the metadata before inserting.`, 'success');
+    } catch (error) {
+        uploadedSource = null;
+        fileInput.value = '';
+        renderUploadSections([]);
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Pre-fill empty form fields from metadata embedded in the uploaded file.
+ */
+function applyExtractedMetadata(result) {
+    const metadata = result.metadata || {};
+    const fill = (id, value) => {
+        const field = document.getElementById(id);
+        if (value && !field.value.trim()) field.value = value;
+    };
+
+    fill('content-title', metadata.title);
+    fill('content-author', metadata.author);
+    fill('content-publisher', metadata.publisher);
+    fill('content-isbn', metadata.isbn);
+    fill('content-url', metadata.source_url);
+
+    const contentType = document.getElementById('content-type');
+    if (result.suggested_content_type && !contentType.value) {
+        contentType.value = result.suggested_content_type;
+        applyCleaningPreset();
+    }
+
+    // Only languages the form offers; "es-ES" falls back to "es"
+    const language = document.getElementById('content-language');
+    const options = Array.from(language.options).map(option => option.value);
+    const match = [metadata.language, (metadata.language || '').split('-')[0]].find(value => options.includes(value));
+    if (match) language.value = match;
+}
+
+function renderUploadSections(sections) {
+    const group = document.getElementById('upload-section-group');
+    const select = document.getElementById('upload-section');
+
+    if (!sections || sections.length < 2) {
+        group.style.display = 'none';
+        select.innerHTML = '';
+        return;
+    }
+
+    select.innerHTML = '<option value="">Whole file</option>' + sections
+        .map((section, index) => `<option value="${index}">${escapeHtml(section.title || `Section ${index + 1}`)}</option>`)
+        .join('');
+    group.style.display = 'flex';
+}
+
+function selectUploadSection() {
+    if (!uploadedSource) return;
+
+    const value = document.getElementById('upload-section').value;
+    const section = value === '' ? null : uploadedSource.sections[parseInt(value)];
+
+    setContentText(section ? section.text : uploadedSource.text);
+    document.getElementById('content-chapter').value = section ? section.title || '' : '';
+}
+
+function setContentText(text) {
+    document.getElementById('content-text').value = text;
+    updateContentStats();
+}
+
 // ============================================================================
 // DOCUMENT CREATION
 // ============================================================================
 
 function createDocumentStructure() {
-    const title = document.getElementById('content-title').value.trim();
-    const author = document.getElementById('content-author').value.trim();
-    const contentType = document.getElementById('content-type').value;
-    const language = document.getElementById('content-language').value;
-    const publisher = document.getElementById('content-publisher').value.trim();
-    const isbn = document.getElementById('content-isbn').value.trim();
-    const genre = document.getElementById('content-genre').value.trim();
-    const chapter = document.getElementById('content-chapter').value.trim();
-    const sourceUrl = document.getElementById('content-url').value.trim();
-    const weight = parseInt(document.getElementById('training-weight').value);
-    const rawContentText = document.getElementById('content-text').value.trim();
-    
-    // *** CLEAN THE TEXT AUTOMATICALLY ***
-    const contentText = cleanText(rawContentText);
-    
-    const documentId = `text_content_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const currentDate = new Date().toISOString();
-    
-    return {
-        document_id: documentId,
-        content_text: contentText,  // Using cleaned text
-        attribution: {
-            author: author,
-            title: title,
-            publisher: publisher || null,
-            isbn: isbn || null,
-            publication_date: null,
-            source_url: sourceUrl || null,
-            content_type: contentType
-        },
-        content_metadata: {
-            language: language,
-            topic_category: ["other"],
-            genre: genre || null,
-            chapter_section: chapter || null,
-            page_numbers: null
-        },
-        copyright_compliance: {
-            license_status: "user_provided",
-            fair_use_assessment: "not_assessed",
-            opt_out_status: {
-                has_opted_out: false,
-                opt_out_mechanism: "not_applicable",
-                last_checked: currentDate
-            },
-            compliance_date: currentDate
-        },
-        provenance: {
-            acquisition_date: currentDate,
-            acquisition_method: "manual_input",
-            original_publication_date: currentDate,
-            data_lineage: [
-                {
-                    step: "Manual text input via corpus tool (auto-cleaned)",
-                    timestamp: currentDate,
-                    tool_used: "text-corpus-tool v1.0"
-                }
-            ]
-        },
-        training_metadata: {
-            token_count: Math.ceil(contentText.length / 4),  // Using cleaned text length
-            character_count: contentText.length,  // Using cleaned text length
-            processing_status: "ready_for_training",
-            weighting: weight
-        },
-        ai_act_compliance: {
-            summary_included: true,
-            transparency_level: "full_disclosure",
-            documented_for_authorities: true
-        },
-        created_at: currentDate,
-        updated_at: currentDate,
-        version: 1
-    };
+    return DocumentBuilder.buildDocument({
+        title: document.getElementById('content-title').value.trim(),
+        author: document.getElementById('content-author').value.trim(),
+        content_type: document.getElementById('content-type').value,
+        language: document.getElementById('content-language').value,
+        publisher: document.getElementById('content-publisher').value.trim(),
+        isbn: document.getElementById('content-isbn').value.trim(),
+        genre: document.getElementById('content-genre').value.trim(),
+        chapter_section: document.getElementById('content-chapter').value.trim(),
+        source_url: document.getElementById('content-url').value.trim(),
+        weighting: parseInt(document.getElementById('training-weight').value),
+        processing_status: document.getElementById('save-as-draft').checked ? 'draft' : 'pending_review',
+        content_text: document.getElementById('content-text').value.trim(),
+        cleaning: getCleaningSpec(),
+        ...getComplianceFields(),
+        ...(uploadedSource && {
+            publication_date: uploadedSource.metadata.publication_date,
+            source_file: uploadedSource.source_file,
+            acquisition_method: 'file_upload',
+            lineage_step: `Text extracted from ${uploadedSource.source_file.name} (${uploadedSource.format}) via corpus tool (auto-cleaned)`
+        })
+    });
 }
 
 // ============================================================================
@@ -224,33 +701,80 @@ function generatePreview() {
     
     try {
         currentDocumentData = createDocumentStructure();
+        const quality = assessQuality(currentDocumentData.content_text, currentDocumentData.content_metadata.language);
+        currentDocumentData.training_metadata.quality = quality;
         showPreview(currentDocumentData);
-        showStatus('Preview generated successfully! (Text automatically cleaned)', 'success');
+        if (quality.status === 'reject') {
+            showStatus(`Preview generated, but the text would be rejected: ${quality.issues.filter(issue => issue.level === 'reject').map(issue => issue.message).join('; ')}`, 'error');
+        } else {
+            showStatus('Preview generated successfully! (Text automatically cleaned)', 'success');
+        }
+        renderChunkPreview(currentDocumentData.content_text);
+        renderTopicSuggestions(currentDocumentData.content_text);
         
     } catch (error) {
         showStatus('Error generating preview: ' + error.message, 'error');
     }
 }
 
+/**
+ * Render the content information block shown in the preview panel.
+ * Also used by the corpus browser (corpus.js) for stored documents.
+ */
+function renderContentInfo(data) {
+    return `
+        <p><strong>Title:</strong> ${escapeHtml(data.attribution.title)}</p>
+        <p><strong>Author:</strong> ${escapeHtml(data.attribution.author)}</p>
+        <p><strong>Content Type:</strong> ${escapeHtml(data.attribution.content_type)}</p>
+        <p><strong>Language:</strong> ${escapeHtml(data.content_metadata.language)}</p>
+        <p><strong>Publisher:</strong> ${escapeHtml(data.attribution.publisher || 'Not specified')}</p>
+        <p><strong>ISBN:</strong> ${escapeHtml(data.attribution.isbn || 'Not specified')}</p>
+        <p><strong>Genre:</strong> ${escapeHtml(data.content_metadata.genre || 'Not specified')}</p>
+        <p><strong>Topics:</strong> ${escapeHtml((data.content_metadata.topic_category || []).join(', ') || 'Not specified')}</p>
+        <p><strong>Chapter/Section:</strong> ${escapeHtml(data.content_metadata.chapter_section || 'Not specified')}</p>
+        <p><strong>Source URL:</strong> ${escapeHtml(data.attribution.source_url || 'Not specified')}</p>
+        ${data.provenance && data.provenance.source_file ? `<p><strong>Source File:</strong> ${escapeHtml(data.provenance.source_file.name)} (${escapeHtml(data.provenance.source_file.format)})</p>` : ''}
+        <p><strong>Content Length:</strong> ${data.training_metadata.character_count} chars</p>
+        <p><strong>Tokens:</strong> ${escapeHtml(formatTokenCount(data.training_metadata.token_count, data.training_metadata.tokenizer))}</p>
+        <p><strong>Training Weight:</strong> ${data.training_metadata.weighting}</p>
+        <p><strong>Review Status:</strong> ${escapeHtml(formatReviewStatus(data.training_metadata.processing_status))}</p>
+        ${renderQualityInfo(data)}
+        ${renderCleaningInfo(data)}
+        ${renderComplianceInfo(data)}
+    `;
+}
+
+function renderComplianceInfo(data) {
+    const copyright = data.copyright_compliance;
+    if (!copyright) return '';
+
+    const optOut = copyright.opt_out_status || {};
+    const { cleared, reason } = Compliance.clearance(data);
+    return `
+        <p><strong>License:</strong> ${escapeHtml(Compliance.labelFor(Compliance.LICENSE_TYPES, copyright.license_status))}${copyright.spdx_id ? ` (${escapeHtml(copyright.spdx_id)})` : ''}</p>
+        <p><strong>Copyright Exception:</strong> ${escapeHtml(Compliance.labelFor(Compliance.FAIR_USE_ASSESSMENTS, copyright.fair_use_assessment))}${copyright.fair_use_rationale ? ` — ${escapeHtml(copyright.fair_use_rationale)}` : ''}</p>
+        <p><strong>Opt-out:</strong> ${optOut.has_opted_out
+            ? `Yes, ${escapeHtml(Compliance.labelFor(Compliance.OPT_OUT_MECHANISMS, optOut.opt_out_mechanism))}${optOut.registry_entry_id ? ` (registry entry ${escapeHtml(optOut.registry_entry_id)})` : ''}`
+            : 'No'}</p>
+        <p><strong>Training Clearance:</strong> ${cleared ? '✅ Cleared' : '⛔ Not cleared'} (${escapeHtml(reason)})</p>
+    `;
+}
+
+function renderCleaningInfo(data) {
+    const steps = (data.provenance && data.provenance.data_lineage) || [];
+    const cleaningStep = steps.filter(step => step.cleaning).pop();
+    if (!cleaningStep) return '';
+
+    const { preset, rules } = cleaningStep.cleaning;
+    return `<p><strong>Cleaning:</strong> ${escapeHtml(preset || 'custom')} (${rules.length} rules: ${escapeHtml(rules.join(', '))})</p>`;
+}
+
 function showPreview(data) {
     const previewSection = document.getElementById('preview-section');
     const contentInfoDiv = document.getElementById('content-info-display');
     const schemaContentDiv = document.getElementById('schema-content');
     
-    contentInfoDiv.innerHTML = `
-        <p><strong>Title:</strong> ${data.attribution.title}</p>
-        <p><strong>Author:</strong> ${data.attribution.author}</p>
-        <p><strong>Content Type:</strong> ${data.attribution.content_type}</p>
-        <p><strong>Language:</strong> ${data.content_metadata.language}</p>
-        <p><strong>Publisher:</strong> ${data.attribution.publisher || 'Not specified'}</p>
-        <p><strong>ISBN:</strong> ${data.attribution.isbn || 'Not specified'}</p>
-        <p><strong>Genre:</strong> ${data.content_metadata.genre || 'Not specified'}</p>
-        <p><strong>Chapter/Section:</strong> ${data.content_metadata.chapter_section || 'Not specified'}</p>
-        <p><strong>Source URL:</strong> ${data.attribution.source_url || 'Not specified'}</p>
-        <p><strong>Content Length:</strong> ${data.training_metadata.character_count} chars</p>
-        <p><strong>Estimated Tokens:</strong> ${data.training_metadata.token_count}</p>
-        <p><strong>Training Weight:</strong> ${data.training_metadata.weighting}</p>
-    `;
+    contentInfoDiv.innerHTML = renderContentInfo(data);
     
     schemaContentDiv.textContent = JSON.stringify(data, null, 2);
     
@@ -258,6 +782,118 @@ function showPreview(data) {
     previewSection.scrollIntoView({ behavior: 'smooth' });
 }
 
+// ============================================================================
+// CHUNKING
+// ============================================================================
+
+function getChunkingOptions() {
+    const mode = document.getElementById('chunk-mode').value;
+    if (!mode) return null;
+
+    return {
+        mode: mode,
+        max_tokens: parseInt(document.getElementById('chunk-max-tokens').value) || undefined,
+        overlap_tokens: parseInt(document.getElementById('chunk-overlap-tokens').value) || 0
+    };
+}
+
+/**
+ * Ask the server where the cleaned text would be split and list the chunks
+ * in the preview panel, so boundaries can be checked before inserting.
+ */
+async function renderChunkPreview(text) {
+    const section = document.getElementById('chunk-preview-section');
+    const container = document.getElementById('chunk-preview');
+    const chunking = getChunkingOptions();
+
+    section.style.display = chunking ? 'block' : 'none';
+    if (!chunking) return;
+
+    container.innerHTML = '<p>Calculating chunk boundaries...</p>';
+
+    try {
+        const response = await fetch('/api/chunk', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: text, chunking: chunking })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to preview chunks');
+        }
+
+        container.innerHTML = `
+            <p><strong>${result.chunks.length} chunks</strong> of at most ${result.max_tokens} tokens
+               (${result.overlap_tokens} overlap, ${escapeHtml(formatTokenCount(result.total_tokens, result.tokenizer))} in total)</p>
+            <ol class="chunk-list">
+                ${result.chunks.map(chunk => `
+                    <li>
+                        <strong>${escapeHtml(chunk.chapter_section || currentDocumentData.content_metadata.chapter_section || 'Untitled section')}</strong>
+                        · ${chunk.token_count.toLocaleString()} tokens · ${chunk.character_count.toLocaleString()} chars
+                        <div class="chunk-boundary">“${escapeHtml(chunk.starts_with)}” … “${escapeHtml(chunk.ends_with)}”</div>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    } catch (error) {
+        container.innerHTML = `<p class="error">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// ============================================================================
+// TOPICS
+// ============================================================================
+
+/**
+ * Ask the server which taxonomy topics fit the cleaned text and offer them as
+ * checkboxes; the suggestions start out selected as the document's topic_category.
+ */
+async function renderTopicSuggestions(text) {
+    const container = document.getElementById('topic-suggestions');
+    container.innerHTML = '<p>Suggesting topics...</p>';
+
+    try {
+        const response = await fetch('/api/topics/suggest', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: text })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to suggest topics');
+        }
+        if (!currentDocumentData || currentDocumentData.content_text !== text) return;
+
+        if (result.topics.length === 0) {
+            container.innerHTML = '<p class="section-hint">No topic in the taxonomy fits this text; it is filed under "other".</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="section-hint">Suggested from the topic taxonomy${result.matching === 'lexical' ? ' by shared wording (lexical matching, not meaning)' : ''}; untick any that do not apply.</p>
+            ${result.topics.map(topic => `
+                <label class="checkbox-label">
+                    <input type="checkbox" class="topic-checkbox" value="${escapeHtml(topic.id)}" checked onchange="updateTopicCategory()">
+                    ${escapeHtml(topic.label)} <span class="topic-score">(${topic.score.toFixed(2)})</span>
+                </label>
+            `).join('')}
+        `;
+        updateTopicCategory();
+    } catch (error) {
+        container.innerHTML = `<p class="error">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function updateTopicCategory() {
+    if (!currentDocumentData) return;
+
+    const selected = Array.from(document.querySelectorAll('#topic-suggestions .topic-checkbox:checked')).map(input => input.value);
+    currentDocumentData.content_metadata.topic_category = selected.length ? selected : ['other'];
+
+    document.getElementById('content-info-display').innerHTML = renderContentInfo(currentDocumentData);
+    document.getElementById('schema-content').textContent = JSON.stringify(currentDocumentData, null, 2);
+}
+
 function cancelPreview() {
     document.getElementById('preview-section').style.display = 'none';
     currentDocumentData = null;
@@ -269,14 +905,19 @@ function clearForm() {
         document.getElementById('content-title').value = '';
         document.getElementById('content-author').value = '';
         document.getElementById('content-type').value = '';
-        document.getElementById('content-language').value = 'en-US';
         document.getElementById('content-publisher').value = '';
         document.getElementById('content-isbn').value = '';
         document.getElementById('content-genre').value = '';
         document.getElementById('content-chapter').value = '';
         document.getElementById('content-url').value = '';
-        document.getElementById('training-weight').value = '1';
+        document.getElementById('save-as-draft').checked = false;
         document.getElementById('content-text').value = '';
+        applyCorpusDefaults();
+        document.getElementById('chunk-mode').value = '';
+        resetComplianceFields();
+        document.getElementById('content-file').value = '';
+        uploadedSource = null;
+        renderUploadSections([]);
         
         updateContentStats();
         cancelPreview();
@@ -297,7 +938,15 @@ async function insertDocument() {
     showStatus('Inserting document to MongoDB...', 'loading');
     
     try {
-        const response = await fetch('/api/insert-document', {
+        const chunking = getChunkingOptions();
+        const params = new URLSearchParams();
+        if (chunking) {
+            params.set('chunk_mode', chunking.mode);
+            if (chunking.max_tokens) params.set('chunk_max_tokens', chunking.max_tokens);
+            params.set('chunk_overlap_tokens', chunking.overlap_tokens);
+        }
+
+        const response = await fetch(corpusApi(`/insert-document${chunking ? `?${params}` : ''}`), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -307,11 +956,19 @@ async function insertDocument() {
         
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to insert document');
+            const details = (error.details || [])
+                .map(detail => `${detail.field} ${detail.message}`)
+                .join('; ');
+            throw new Error((error.error || 'Failed to insert document') + (details ? `: ${details}` : ''));
         }
         
         const result = await response.json();
-        showStatus(`✅ Successfully inserted document! ID: ${result.insertedId}`, 'success');
+        const inserted = result.chunk_count
+            ? `✅ Successfully inserted ${result.chunk_count} chunks of ${result.parent_id}!`
+            : `✅ Successfully inserted document! ID: ${result.insertedId}`;
+        showStatus(result.opted_out
+            ? `${inserted} ⚠️ It is marked as opted out of training (see the opt-out registry), so it will not be exported.`
+            : inserted, 'success');
         
         setTimeout(() => {
             clearForm();
@@ -331,6 +988,10 @@ async function insertDocument() {
 // ============================================================================
 
 document.addEventListener('DOMContentLoaded', function() {
+    loadCurrentUser();
+    loadCorpora();
+    loadQualityThresholds();
+
     const contentTextarea = document.getElementById('content-text');
     if (contentTextarea) {
         contentTextarea.addEventListener('input', updateContentStats);
@@ -338,4 +999,6 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Initialize stats display
     updateContentStats();
+    renderCleaningRules();
+    renderComplianceOptions();
 });
\ No newline at end of file
@@ -1,22 +1,72 @@
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
+const { fork } = require('child_process');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Cross-origin requests are only accepted from the origins listed in CORS_ORIGINS (comma-separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.use(trackRequest); // Request id, structured request log line and latency metrics
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false }));
 app.use(express.json({ limit: '10mb' })); // Increased limit for large text content
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
+app.use('/shared', express.static('shared')); // Modules used by both the browser and the server
+app.use('/api', authenticateRequest); // Every API route except login and health needs a signed-in user
 
 // Import services
-const MongoService = require('./services/mongoservice');
+const Logger = require('./services/Logger');
+const MongoService = require('./services/MongoService');
+const { VersionConflictError, InvalidQueryError, DuplicateDocumentError, LowQualityError } = MongoService;
+const { DocumentValidationError } = require('./services/DocumentValidator');
+const ExportService = require('./services/ExportService');
+const ImportService = require('./services/ImportService');
+const DuplicateService = require('./services/DuplicateService');
+const ChunkingService = require('./services/ChunkingService');
+const ExtractionService = require('./services/ExtractionService');
+const OptOutService = require('./services/OptOutService');
+const ReportService = require('./services/ReportService');
+const AnalyticsService = require('./services/AnalyticsService');
+const SearchService = require('./services/SearchService');
+const EmbeddingService = require('./services/EmbeddingService');
+const TrainingRunService = require('./services/TrainingRunService');
+const UserService = require('./services/UserService');
+const ReviewService = require('./services/ReviewService');
+const JobService = require('./services/JobService');
+const JobTypes = require('./services/JobTypes');
+const JobWorker = require('./services/JobWorker');
+const CorpusService = require('./services/CorpusService');
+const AuditService = require('./services/AuditService');
+const MetricsService = require('./services/MetricsService');
+const TextCleaning = require('./shared/textCleaning');
+const TextQuality = require('./shared/textQuality');
+const DocumentBuilder = require('./shared/documentBuilder');
+const Compliance = require('./shared/compliance');
 
 // Initialize services
-const mongoService = new MongoService(process.env.MONGODB_URI);
+const logger = new Logger();
+const mongoService = new MongoService(process.env.MONGODB_URI, { logger });
+const corpusService = new CorpusService(mongoService);
+const metrics = new MetricsService({ corpusService, logger });
+const chunkingService = new ChunkingService(mongoService);
+const userService = new UserService(mongoService);
+const jobService = new JobService(mongoService);
+const extractionService = new ExtractionService();
+
+// Document routes work on one corpus: /api/corpora/<corpus_id>/... or, for the
+// default corpus, /api/... as before corpora existed (mounted below the other routes)
+const corpusRoutes = express.Router();
+const corpusServices = new WeakMap();
+
+// Uploaded files are kept in memory only for as long as extraction takes
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 100 * 1024 * 1024, files: 1 } });
 
 // ============================================================================
 // ROUTES
@@ -27,22 +77,238 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Log in with a username and password; the session token is kept in an HttpOnly cookie
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const user = await userService.authenticate(username, password);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        const session = await userService.createToken(user.username, { kind: 'session' });
+        res.cookie(SESSION_COOKIE, session.token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure,
+            path: '/',
+            expires: session.expires_at
+        });
+
+        req.log.info('Logged in', { username: user.username });
+
+        res.json({ success: true, user: user, expires_at: session.expires_at });
+    } catch (error) {
+        req.log.error('Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in: ' + error.message });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        if (req.user.token_kind === 'session') {
+            await userService.revokeToken(req.user.username, req.user.token_id);
+        }
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.json({ success: true });
+    } catch (error) {
+        req.log.error('Error logging out:', error);
+        res.status(500).json({ error: 'Failed to log out: ' + error.message });
+    }
+});
+
+// The signed-in user
+app.get('/api/auth/me', (req, res) => {
+    const { token_id, token_kind, ...user } = req.user;
+    res.json({ user: user, roles: UserService.ROLES });
+});
+
+// Change your own password (ends your other sessions)
+app.post('/api/auth/password', async (req, res) => {
+    try {
+        const { current_password, new_password } = req.body || {};
+        if (!(await userService.authenticate(req.user.username, current_password))) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+        await userService.updateUser(req.user.username, { password: new_password });
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.json({ success: true, message: 'Password changed, please log in again' });
+    } catch (error) {
+        sendUserError(res, error, 'change password');
+    }
+});
+
+// Your API tokens, for scripts and the CLI against a remote server (Authorization: Bearer <token>)
+app.get('/api/auth/tokens', async (req, res) => {
+    try {
+        res.json({ tokens: await userService.listTokens(req.user.username) });
+    } catch (error) {
+        sendUserError(res, error, 'list API tokens');
+    }
+});
+
+app.post('/api/auth/tokens', async (req, res) => {
+    try {
+        const token = await userService.createToken(req.user.username, { kind: 'api', name: (req.body || {}).name });
+
+        req.log.info('Created API token', { token_id: token.token_id });
+
+        res.status(201).json({ ...token, message: 'Store this token now, it cannot be shown again' });
+    } catch (error) {
+        sendUserError(res, error, 'create API token');
+    }
+});
+
+app.delete('/api/auth/tokens/:token_id', async (req, res) => {
+    try {
+        if (!(await userService.revokeToken(req.user.username, req.params.token_id))) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+        res.json({ success: true, message: 'Token revoked' });
+    } catch (error) {
+        sendUserError(res, error, 'revoke API token');
+    }
+});
+
+// User accounts (admin only)
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ users: await userService.listUsers(), roles: UserService.ROLES });
+    } catch (error) {
+        sendUserError(res, error, 'list users');
+    }
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        const user = await userService.createUser(req.body || {});
+
+        req.log.info('Created user', { username: user.username, role: user.role });
+
+        res.status(201).json({ success: true, user: user });
+    } catch (error) {
+        sendUserError(res, error, 'create user');
+    }
+});
+
+app.patch('/api/users/:username', requireRole('admin'), async (req, res) => {
+    try {
+        const changes = req.body || {};
+        if (req.params.username === req.user.username && (changes.role !== undefined || changes.disabled !== undefined)) {
+            return res.status(400).json({ error: 'You cannot change your own role or disable your own account' });
+        }
+
+        const user = await userService.updateUser(req.params.username, changes);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        req.log.info('Updated user', { username: user.username });
+
+        res.json({ success: true, user: user });
+    } catch (error) {
+        sendUserError(res, error, 'update user');
+    }
+});
+
+app.delete('/api/users/:username', requireRole('admin'), async (req, res) => {
+    try {
+        if (req.params.username === req.user.username) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+        if (!(await userService.deleteUser(req.params.username))) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        req.log.info('Deleted user', { username: req.params.username });
+
+        res.json({ success: true, message: 'User deleted' });
+    } catch (error) {
+        sendUserError(res, error, 'delete user');
+    }
+});
+
+// Corpora (projects) with their document counts and defaults for new documents
+app.get('/api/corpora', async (req, res) => {
+    try {
+        res.json({ corpora: await corpusService.listCorpora({ withCounts: true }) });
+    } catch (error) {
+        sendCorpusError(res, error, 'list corpora');
+    }
+});
+
+// Create a corpus { corpus_id, name, description?, defaults?: { language, base_model, cleaning_preset, weighting } }
+app.post('/api/corpora', requireRole('admin'), async (req, res) => {
+    try {
+        const corpus = await corpusService.createCorpus(req.body || {}, { actor: requestActor(req) });
+
+        req.log.info('Created corpus', { corpus: corpus.corpus_id, name: corpus.name });
+
+        res.status(201).json({ success: true, corpus: corpus });
+    } catch (error) {
+        sendCorpusError(res, error, 'create corpus');
+    }
+});
+
+app.get('/api/corpora/:corpus', async (req, res) => {
+    try {
+        const corpus = await corpusService.getCorpus(req.params.corpus);
+        if (!corpus) {
+            return res.status(404).json({ error: 'Corpus not found' });
+        }
+        res.json(corpus);
+    } catch (error) {
+        sendCorpusError(res, error, 'fetch corpus');
+    }
+});
+
+// Change a corpus's name, description or defaults (given defaults are merged into the current ones)
+app.patch('/api/corpora/:corpus', requireRole('admin'), async (req, res) => {
+    try {
+        const corpus = await corpusService.updateCorpus(req.params.corpus, req.body || {});
+        if (!corpus) {
+            return res.status(404).json({ error: 'Corpus not found' });
+        }
+
+        req.log.info('Updated corpus', { corpus: corpus.corpus_id });
+
+        res.json({ success: true, corpus: corpus });
+    } catch (error) {
+        sendCorpusError(res, error, 'update corpus');
+    }
+});
+
+// Delete an empty corpus (the default corpus is permanent)
+app.delete('/api/corpora/:corpus', requireRole('admin'), async (req, res) => {
+    try {
+        const corpus = await corpusService.deleteCorpus(req.params.corpus);
+        if (!corpus) {
+            return res.status(404).json({ error: 'Corpus not found' });
+        }
+
+        req.log.info('Deleted corpus', { corpus: corpus.corpus_id });
+
+        res.json({ success: true, message: 'Corpus deleted' });
+    } catch (error) {
+        sendCorpusError(res, error, 'delete corpus');
+    }
+});
+
 // Insert text document to MongoDB
-app.post('/api/insert-document', async (req, res) => {
+corpusRoutes.post('/insert-document', async (req, res) => {
     try {
         const document = req.body;
         
-        // Validation
-        if (!document.content_text || !document.attribution) {
-            return res.status(400).json({ 
-                error: 'Missing required fields: content_text and attribution' 
-            });
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            return res.status(400).json({ error: 'Request body must be a JSON document' });
         }
 
-        if (!document.attribution.title || !document.attribution.author) {
-            return res.status(400).json({ 
-                error: 'Missing required attribution fields: title and author' 
-            });
+        // Documents posted without a recorded cleaning pass get the same pipeline as the UI
+        DocumentBuilder.ensureCleaned(document, CorpusService.cleaningSpec(req.corpus, req.query));
+        CorpusService.applyDefaults(document, req.corpus);
+        const chunking = ChunkingService.parseOptions(req.query);
+        if (refuseCustomHeadingPattern(req, res, chunking)) {
+            return;
         }
 
         // Ensure timestamps are Date objects
@@ -54,21 +320,66 @@ app.post('/api/insert-document', async (req, res) => {
             document.version = 1;
         }
         
-        const result = await mongoService.insertDocument(document);
+        // Long works can be stored as linked, training-sized chunks instead
+        if (chunking) {
+            const chunked = await req.services.chunkingService.insertChunked(document, chunking, { actor: requestActor(req) });
+            metrics.countInserts(req.corpus.corpus_id, 'api', { inserted: chunked.document_ids.length });
+
+            req.log.info('Inserted document as chunks', { parent_id: chunked.parent_id, chunk_count: chunked.document_ids.length, title: document.attribution.title, author: document.attribution.author });
+
+            return res.json({
+                success: true,
+                parent_id: chunked.parent_id,
+                chunk_count: chunked.document_ids.length,
+                document_ids: chunked.document_ids,
+                opted_out: chunked.opted_out,
+                message: `Document successfully added to corpus as ${chunked.document_ids.length} chunks${chunked.opted_out ? OPTED_OUT_NOTICE : ''}`
+            });
+        }
+
+        const result = await req.services.mongoService.insertDocument(document, { actor: requestActor(req) });
+        metrics.countInserts(req.corpus.corpus_id, 'api', { inserted: 1 });
+        const optedOut = document.copyright_compliance?.opt_out_status?.has_opted_out === true;
         
-        console.log(`✅ Inserted document: ${document.attribution.title} by ${document.attribution.author}`);
+        req.log.info('Inserted document', { document_id: document.document_id, title: document.attribution.title, author: document.attribution.author, opted_out: optedOut });
         
         res.json({ 
             success: true, 
             insertedId: result.insertedId,
-            message: 'Document successfully added to corpus'
+            opted_out: optedOut,
+            message: `Document successfully added to corpus${optedOut ? OPTED_OUT_NOTICE : ''}`
         });
         
     } catch (error) {
-        console.error('Error inserting document:', error);
+        if (error instanceof TextCleaning.CleaningConfigError || error instanceof InvalidQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        // Schema violations are client errors, report every failing field
+        if (error instanceof DocumentValidationError) {
+            metrics.countInserts(req.corpus.corpus_id, 'api', { rejected: 1 });
+            return res.status(400).json({
+                error: error.message,
+                schema_version: error.schemaVersion,
+                details: error.details
+            });
+        }
+
+        if (error instanceof DuplicateDocumentError) {
+            metrics.countInserts(req.corpus.corpus_id, 'api', { duplicate: 1 });
+            return res.status(409).json(duplicateResponse(error));
+        }
+
+        if (error instanceof LowQualityError) {
+            metrics.countInserts(req.corpus.corpus_id, 'api', { rejected: 1 });
+            return res.status(422).json(qualityResponse(error));
+        }
+
+        req.log.error('Error inserting document:', error);
         
         // Handle specific MongoDB errors
         if (error.message.includes('already exists')) {
+            metrics.countInserts(req.corpus.corpus_id, 'api', { duplicate: 1 });
             return res.status(409).json({ error: error.message });
         }
         
@@ -78,96 +389,1425 @@ app.post('/api/insert-document', async (req, res) => {
     }
 });
 
+// Extract text and embedded metadata from an uploaded PDF, EPUB, DOCX, HTML, SRT/VTT or text file
+// (multipart field "file"). Nothing is stored; the form is pre-filled from the result.
+app.post('/api/extract', (req, res) => {
+    upload.single('file')(req, res, async (uploadError) => {
+        if (uploadError) {
+            const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ error: uploadError.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'Upload a file in the "file" field' });
+        }
+
+        try {
+            const result = await extractionService.extract(req.file.buffer, req.file.originalname, req.file.mimetype);
+
+            req.log.info('Extracted text', { file: result.source_file.name, format: result.format, character_count: result.character_count });
+
+            res.json(result);
+        } catch (error) {
+            if (error instanceof ExtractionService.UnsupportedFormatError) {
+                return res.status(415).json({ error: error.message });
+            }
+            if (error instanceof ExtractionService.ExtractionError) {
+                return res.status(422).json({ error: error.message });
+            }
+            req.log.error('Error extracting text:', error);
+            res.status(500).json({ error: 'Failed to extract text: ' + error.message });
+        }
+    });
+});
+
+// Bulk import: a JSON batch, a JSONL body, or a .zip/.tar.gz archive of text, PDF, EPUB, DOCX,
+// HTML or subtitle files with an optional metadata.json/metadata.csv sidecar. Query parameters set default metadata.
+corpusRoutes.post('/import',
+    express.text({ type: ['application/x-ndjson', 'application/jsonl'], limit: '50mb' }),
+    express.raw({ type: ['application/zip', 'application/gzip', 'application/x-gzip', 'application/x-tar'], limit: '100mb' }),
+    async (req, res) => {
+        try {
+            const defaults = { ...CorpusService.metadataDefaults(req.corpus), ...ImportService.pickDefaults(req.query) };
+            const cleaning = CorpusService.cleaningSpec(req.corpus, req.query);
+            const chunking = ChunkingService.parseOptions(req.query);
+            if (refuseCustomHeadingPattern(req, res, chunking)) {
+                return;
+            }
+            const contentType = req.get('Content-Type') || '';
+            let items;
+
+            if (Buffer.isBuffer(req.body)) {
+                items = await req.services.importService.loadArchive(req.body, ImportService.archiveType(contentType), { defaults, cleaning });
+            } else if (typeof req.body === 'string') {
+                items = req.services.importService.parseJsonl(req.body, { defaults, cleaning });
+            } else if (Array.isArray(req.body) || Array.isArray(req.body?.documents)) {
+                const batchCleaning = req.body.cleaning || cleaning;
+                if (refuseCustomRules(req, res, batchCleaning)) {
+                    return;
+                }
+                // A malformed spec fails the request instead of every document in it
+                TextCleaning.resolvePipeline(batchCleaning, 'other');
+                items = req.services.importService.parseBatch(Array.isArray(req.body) ? req.body : req.body.documents, { defaults, cleaning: batchCleaning });
+            } else {
+                return res.status(400).json({
+                    error: 'Send a JSON array (or { "documents": [...] }), JSONL, or a zip/tar.gz archive'
+                });
+            }
+
+            const report = await req.services.importService.importItems(items, { chunking, actor: requestActor(req) });
+            metrics.countInserts(req.corpus.corpus_id, 'import', report.summary);
+
+            req.log.info('Imported documents', { inserted: report.summary.inserted, opted_out: report.summary.opted_out, duplicate: report.summary.duplicate, rejected: report.summary.rejected });
+
+            res.json(report);
+        } catch (error) {
+            if (error instanceof InvalidQueryError || error instanceof TextCleaning.CleaningConfigError) {
+                return res.status(400).json({ error: error.message });
+            }
+            if (error instanceof ImportService.ArchiveTooLargeError) {
+                return res.status(413).json({ error: error.message });
+            }
+            req.log.error('Error importing documents:', error);
+            res.status(500).json({ error: 'Failed to import documents: ' + error.message });
+        }
+    }
+);
+
+// List the cleaning rules and presets available to pipeline specs
+app.get('/api/cleaning', (req, res) => {
+    res.json({
+        rules: TextCleaning.RULES,
+        presets: TextCleaning.PRESETS,
+        content_type_presets: TextCleaning.CONTENT_TYPE_PRESETS
+    });
+});
+
+// Quality metrics and the reject/warn thresholds applied on insert and content edits
+app.get('/api/quality', (req, res) => {
+    res.json({
+        metrics: TextQuality.METRICS,
+        min_words: TextQuality.MIN_WORDS,
+        thresholds: mongoService.quality.thresholds
+    });
+});
+
+// Dry-run the quality checks: { text, language? } -> metrics, status and issues
+app.post('/api/quality', (req, res) => {
+    const { text, language } = req.body || {};
+
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'Missing required field: text' });
+    }
+
+    res.json(TextQuality.assess(text, { language: language, thresholds: mongoService.quality.thresholds }));
+});
+
+// Controlled vocabularies for the copyright and AI Act compliance fields
+app.get('/api/compliance', (req, res) => {
+    res.json({
+        license_types: Compliance.LICENSE_TYPES,
+        fair_use_assessments: Compliance.FAIR_USE_ASSESSMENTS,
+        opt_out_mechanisms: Compliance.OPT_OUT_MECHANISMS,
+        transparency_levels: Compliance.TRANSPARENCY_LEVELS,
+        common_spdx_ids: Compliance.COMMON_SPDX_IDS
+    });
+});
+
+// Opt-out registry: rights holders (by author, publisher or source domain) excluded from training
+app.get('/api/opt-outs', async (req, res) => {
+    try {
+        res.json({ entries: await mongoService.optOuts.listEntries() });
+    } catch (error) {
+        req.log.error('Error listing opt-outs:', error);
+        res.status(500).json({ error: 'Failed to list opt-outs: ' + error.message });
+    }
+});
+
+// Register an opt-out { kind, value, mechanism?, reason?, reference? } and flag the documents it covers
+app.post('/api/opt-outs', requireRole('reviewer'), async (req, res) => {
+    try {
+        const result = await corpusService.addOptOut(req.body || {});
+
+        req.log.info('Registered opt-out', { entry_id: result.entry.entry_id, kind: result.entry.kind, value: result.entry.value, flagged: result.flagged });
+
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        if (error instanceof OptOutService.InvalidOptOutEntryError) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error instanceof OptOutService.OptOutEntryExistsError) {
+            return res.status(409).json({ error: error.message, entry: error.entry });
+        }
+        req.log.error('Error registering opt-out:', error);
+        res.status(500).json({ error: 'Failed to register opt-out: ' + error.message });
+    }
+});
+
+// Re-check documents against the whole registry (flags new matches, clears stale registry flags)
+app.post('/api/opt-outs/recheck', requireRole('reviewer'), async (req, res) => {
+    try {
+        const summary = await corpusService.recheckOptOuts();
+        req.log.info('Rechecked opt-outs', { scanned: summary.scanned, flagged: summary.flagged, unflagged: summary.unflagged });
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        req.log.error('Error rechecking opt-outs:', error);
+        res.status(500).json({ error: 'Failed to recheck opt-outs: ' + error.message });
+    }
+});
+
+// Remove an opt-out; documents it flagged are cleared unless another entry still covers them
+app.delete('/api/opt-outs/:entry_id', requireRole('reviewer'), async (req, res) => {
+    try {
+        const result = await corpusService.removeOptOut(req.params.entry_id);
+        if (!result) {
+            return res.status(404).json({ error: 'Opt-out entry not found' });
+        }
+
+        req.log.info('Removed opt-out', { entry_id: result.entry.entry_id, kind: result.entry.kind, value: result.entry.value, unflagged: result.unflagged });
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        req.log.error('Error removing opt-out:', error);
+        res.status(500).json({ error: 'Failed to remove opt-out: ' + error.message });
+    }
+});
+
+// Dry-run the cleaning pipeline: { text, content_type?, cleaning? } -> cleaned text and applied rules
+app.post('/api/clean', (req, res) => {
+    const { text, content_type, cleaning } = req.body || {};
+
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'Missing required field: text' });
+    }
+    if (refuseCustomRules(req, res, cleaning)) {
+        return;
+    }
+
+    try {
+        const result = TextCleaning.runPipeline(text, cleaning, content_type);
+        res.json({
+            ...result,
+            original_character_count: text.length,
+            character_count: result.text.length
+        });
+    } catch (error) {
+        if (error instanceof TextCleaning.CleaningConfigError) {
+            return res.status(400).json({ error: error.message });
+        }
+        throw error;
+    }
+});
+
+// Dry run for chunking: where a text would be split, without storing anything
+app.post('/api/chunk', (req, res) => {
+    const { text, chunking } = req.body || {};
+
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'Missing required field: text' });
+    }
+    if (refuseCustomHeadingPattern(req, res, chunking)) {
+        return;
+    }
+
+    try {
+        res.json(chunkingService.preview(text, chunking || {}));
+    } catch (error) {
+        if (error instanceof InvalidQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+        req.log.error('Error previewing chunks:', error);
+        res.status(500).json({ error: 'Failed to preview chunks: ' + error.message });
+    }
+});
+
+// Get the JSON Schema every inserted/updated document is validated against
+app.get('/api/schema', (req, res) => {
+    res.json(require('./artifacts/corpusDocument.schema.json'));
+});
+
 // Get collection statistics
-app.get('/api/stats', async (req, res) => {
+corpusRoutes.get('/stats', async (req, res) => {
     try {
-        const stats = await mongoService.getCollectionStats();
+        const stats = await req.services.mongoService.getCollectionStats();
         res.json(stats);
     } catch (error) {
-        console.error('Error fetching stats:', error);
+        req.log.error('Error fetching stats:', error);
         res.status(500).json({ error: 'Failed to fetch collection statistics' });
     }
 });
 
-// Get recent documents (optional endpoint for admin/debugging)
-app.get('/api/documents', async (req, res) => {
+// Breakdowns, ingestion over time and token-length histogram for the analytics dashboard
+corpusRoutes.get('/analytics', async (req, res) => {
+    let scope, options;
     try {
-        const limit = parseInt(req.query.limit) || 10;
-        const documents = await mongoService.findDocuments({}, limit);
-        
-        // Return only metadata, not full content
-        const documentSummaries = documents.map(doc => ({
-            document_id: doc.document_id,
-            title: doc.attribution.title,
-            author: doc.attribution.author,
-            content_type: doc.attribution.content_type,
-            created_at: doc.created_at,
-            character_count: doc.training_metadata.character_count,
-            weighting: doc.training_metadata.weighting
-        }));
-        
-        res.json(documentSummaries);
+        ({ scope, options } = AnalyticsService.parseOptions(req.query));
     } catch (error) {
-        console.error('Error fetching documents:', error);
-        res.status(500).json({ error: 'Failed to fetch documents' });
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        res.json(await req.services.analyticsService.buildAnalytics(scope, options));
+    } catch (error) {
+        req.log.error('Error building analytics:', error);
+        res.status(500).json({ error: 'Failed to build analytics: ' + error.message });
     }
 });
 
-// Health check endpoint
-app.get('/api/health', async (req, res) => {
+// Cluster near-duplicate documents across the whole corpus
+corpusRoutes.get('/duplicates', async (req, res) => {
+    let threshold;
+    if (req.query.threshold !== undefined) {
+        threshold = Number(req.query.threshold);
+        if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+            return res.status(400).json({ error: 'threshold must be a number between 0 and 1' });
+        }
+    }
+
     try {
-        // Test MongoDB connection
-        await mongoService.connect();
-        res.json({ 
-            status: 'healthy', 
-            database: 'connected',
-            timestamp: new Date().toISOString()
-        });
+        res.json(await req.services.duplicateService.clusterReport({ threshold }));
     } catch (error) {
-        res.status(503).json({ 
-            status: 'unhealthy', 
-            database: 'disconnected',
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
+        req.log.error('Error building duplicate report:', error);
+        res.status(500).json({ error: 'Failed to build duplicate report: ' + error.message });
     }
 });
 
-// ============================================================================
-// ERROR HANDLING
-// ============================================================================
+// Installed tokenizers and the one used for token counts
+corpusRoutes.get('/tokenizer', (req, res) => {
+    try {
+        res.json(req.services.mongoService.tokenizers.describe());
+    } catch (error) {
+        req.log.error('Error loading tokenizers:', error);
+        res.status(500).json({ error: 'Failed to load tokenizers: ' + error.message });
+    }
+});
 
-// 404 handler
-app.use((req, res) => {
-    res.status(404).json({ error: 'Endpoint not found' });
+// Count tokens in a text with the target base model's tokenizer (or another base model's)
+corpusRoutes.post('/tokenizer/count', (req, res) => {
+    const { text, base_model } = req.body || {};
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'text must be a string' });
+    }
+
+    try {
+        res.json(req.services.mongoService.tokenizers.countTokens(text, base_model || undefined));
+    } catch (error) {
+        req.log.error('Error counting tokens:', error);
+        res.status(500).json({ error: 'Failed to count tokens: ' + error.message });
+    }
 });
 
-// Global error handler
-app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({ error: 'Internal server error' });
+// Recount tokens for documents counted with another tokenizer (all documents with { "force": true })
+corpusRoutes.post('/tokenizer/recompute', requireRole('admin'), async (req, res) => {
+    try {
+        const summary = await req.services.mongoService.recomputeTokenCounts({ force: req.body?.force === true });
+        req.log.info('Recomputed token counts', { tokenizer: summary.tokenizer, updated: summary.updated, skipped: summary.skipped });
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        req.log.error('Error recomputing token counts:', error);
+        res.status(500).json({ error: 'Failed to recompute token counts: ' + error.message });
+    }
 });
 
-// ============================================================================
-// SERVER STARTUP
-// ============================================================================
+// Embedding provider and model used for vector search and topic suggestions, and whether
+// they match by meaning (semantic) or shared vocabulary (lexical)
+app.get('/api/embeddings', (req, res) => {
+    try {
+        res.json(mongoService.embeddings.describe());
+    } catch (error) {
+        req.log.error('Error loading embedding settings:', error);
+        res.status(500).json({ error: 'Failed to load embedding settings: ' + error.message });
+    }
+});
 
-// Graceful shutdown handling
-process.on('SIGINT', async () => {
-    console.log('\n⏹️  Shutting down server...');
+// Embed documents with no vector or one from another model (all documents with { "force": true })
+corpusRoutes.post('/embeddings/recompute', requireRole('admin'), async (req, res) => {
     try {
-        await mongoService.close();
-        console.log('✅ MongoDB connection closed');
-        process.exit(0);
+        const summary = await req.services.mongoService.recomputeEmbeddings({ force: req.body?.force === true });
+        req.log.info('Recomputed embeddings', { model: summary.model, updated: summary.updated, skipped: summary.skipped, failed: summary.failed });
+        res.json({ success: true, ...summary });
     } catch (error) {
-        console.error('❌ Error during shutdown:', error);
-        process.exit(1);
+        req.log.error('Error recomputing embeddings:', error);
+        res.status(500).json({ error: 'Failed to recompute embeddings: ' + error.message });
     }
 });
 
+// Documents closest in meaning to q, filtered like /api/documents
+corpusRoutes.get('/search/semantic', async (req, res) => {
+    try {
+        const { query, criteria, options } = SearchService.parseSemanticOptions(req.query);
+        res.json(await req.services.searchService.semanticSearch(query, criteria, options));
+    } catch (error) {
+        if (error instanceof InvalidQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error instanceof EmbeddingService.EmbeddingError) {
+            return res.status(503).json({ error: error.message });
+        }
+
+        req.log.error('Error running semantic search:', error);
+        res.status(500).json({ error: 'Failed to run semantic search: ' + error.message });
+    }
+});
+
+// Topic taxonomy that topic_category labels are suggested from
+app.get('/api/topics', (req, res) => {
+    try {
+        res.json(mongoService.embeddings.getTaxonomy());
+    } catch (error) {
+        req.log.error('Error loading topic taxonomy:', error);
+        res.status(500).json({ error: 'Failed to load topic taxonomy: ' + error.message });
+    }
+});
+
+// Suggest topic_category labels for a text (preview panel)
+app.post('/api/topics/suggest', async (req, res) => {
+    const { text, limit } = req.body || {};
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'text must be a string' });
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > 10)) {
+        return res.status(400).json({ error: 'limit must be between 1 and 10' });
+    }
+
+    try {
+        res.json({
+            topics: await mongoService.embeddings.suggestTopics(text, { limit: limit }),
+            matching: mongoService.embeddings.matching()
+        });
+    } catch (error) {
+        if (error instanceof EmbeddingService.EmbeddingError) {
+            return res.status(503).json({ error: error.message });
+        }
+
+        req.log.error('Error suggesting topics:', error);
+        res.status(500).json({ error: 'Failed to suggest topics: ' + error.message });
+    }
+});
+
+// Search and page through documents (metadata only, no full content)
+corpusRoutes.get('/documents', async (req, res) => {
+    try {
+        const { criteria, options } = SearchService.parseOptions(req.query);
+        res.json(await req.services.searchService.search(criteria, options));
+    } catch (error) {
+        if (error instanceof InvalidQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        req.log.error('Error fetching documents:', error);
+        res.status(500).json({ error: 'Failed to fetch documents' });
+    }
+});
+
+// Get a single document with its full content
+corpusRoutes.get('/documents/:document_id', async (req, res) => {
+    try {
+        const document = await req.services.mongoService.getDocumentById(req.params.document_id);
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        res.set('ETag', `"${document.version}"`);
+        res.json(document);
+    } catch (error) {
+        req.log.error('Error fetching document:', error);
+        res.status(500).json({ error: 'Failed to fetch document' });
+    }
+});
+
+// Partially update a document (optimistic concurrency on `version`)
+corpusRoutes.patch('/documents/:document_id', requireRole('reviewer'), async (req, res) => {
+    try {
+        const { version, ...updateData } = req.body || {};
+        const expectedVersion = parseExpectedVersion(req.get('If-Match'), version);
+
+        if (expectedVersion === undefined) {
+            return res.status(428).json({
+                error: 'The current document version is required (send "version" in the body or an If-Match header)'
+            });
+        }
+
+        const document = await req.services.mongoService.updateDocument(req.params.document_id, updateData, expectedVersion, { actor: requestActor(req) });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        req.log.info('Updated document', { document_id: document.document_id, version: document.version });
+
+        res.json({
+            success: true,
+            document: document,
+            message: 'Document successfully updated'
+        });
+    } catch (error) {
+        sendUpdateError(res, error, 'update document');
+    }
+});
+
+// Revision history of a document, newest first (previous states, without their content)
+corpusRoutes.get('/documents/:document_id/revisions', async (req, res) => {
+    try {
+        const revisions = await req.services.mongoService.revisions.listRevisions(req.params.document_id);
+        const document = await req.services.mongoService.getDocumentById(req.params.document_id);
+        if (!document && revisions.length === 0) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        res.json({
+            document_id: req.params.document_id,
+            current_version: document ? document.version : null,
+            deleted: !document,
+            revisions: revisions
+        });
+    } catch (error) {
+        req.log.error('Error listing revisions:', error);
+        res.status(500).json({ error: 'Failed to list revisions: ' + error.message });
+    }
+});
+
+// A previous state of a document, as stored in the revision
+corpusRoutes.get('/documents/:document_id/revisions/:version', async (req, res) => {
+    try {
+        const revision = await req.services.mongoService.revisions.getRevision(req.params.document_id, parseInt(req.params.version));
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        res.json(revision);
+    } catch (error) {
+        req.log.error('Error fetching revision:', error);
+        res.status(500).json({ error: 'Failed to fetch revision: ' + error.message });
+    }
+});
+
+// Restore a previous state; the current version is required unless the document was deleted
+corpusRoutes.post('/documents/:document_id/revisions/:version/restore', requireRole('reviewer'), async (req, res) => {
+    try {
+        const expectedVersion = parseExpectedVersion(req.get('If-Match'), (req.body || {}).version);
+        const current = await req.services.mongoService.getDocumentById(req.params.document_id);
+
+        if (current && expectedVersion === undefined) {
+            return res.status(428).json({
+                error: 'The current document version is required (send "version" in the body or an If-Match header)'
+            });
+        }
+
+        const version = parseInt(req.params.version);
+        const document = await req.services.mongoService.revisions.restoreRevision(req.params.document_id, version, current ? expectedVersion : null, {
+            actor: requestActor(req)
+        });
+        if (!document) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        req.log.info('Restored document', { document_id: document.document_id, restored_from: version, version: document.version });
+
+        res.json({
+            success: true,
+            document: document,
+            message: `Document restored to version ${version}`
+        });
+    } catch (error) {
+        sendUpdateError(res, error, 'restore revision');
+    }
+});
+
+// Review a document: { action: submit|withdraw|approve|reject|archive|reopen|comment, comment, version }
+corpusRoutes.post('/documents/:document_id/review', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const expectedVersion = parseExpectedVersion(req.get('If-Match'), body.version);
+        const document = await req.services.mongoService.reviews.apply(req.params.document_id, body.action, {
+            user: req.user,
+            comment: body.comment ?? null,
+            expectedVersion: expectedVersion === undefined ? null : expectedVersion
+        });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        req.log.info('Reviewed document', { document_id: document.document_id, action: body.action, processing_status: document.training_metadata.processing_status });
+
+        res.json({ success: true, document: document });
+    } catch (error) {
+        if (error instanceof ReviewService.ReviewError) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error instanceof ReviewService.ReviewPermissionError) {
+            return res.status(403).json({ error: error.message });
+        }
+        if (error instanceof ReviewService.ReviewStateError) {
+            return res.status(409).json({ error: error.message, status: error.status });
+        }
+        sendUpdateError(res, error, 'review document');
+    }
+});
+
+// The raw text a document was cleaned from (for chunks: the whole work), for reviewers to compare
+corpusRoutes.get('/documents/:document_id/original', async (req, res) => {
+    try {
+        const document = await req.services.mongoService.getDocumentById(req.params.document_id);
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const original = await req.services.mongoService.reviews.getOriginal(document);
+        res.json({
+            document_id: document.document_id,
+            original_of: original ? original.document_id : null,
+            text: original ? original.text : null,
+            stored_at: original ? original.stored_at : null
+        });
+    } catch (error) {
+        req.log.error('Error fetching original text:', error);
+        res.status(500).json({ error: 'Failed to fetch original text: ' + error.message });
+    }
+});
+
+// Move documents with pre-review statuses into the lifecycle ({ approve_existing: true } approves ready_for_training ones)
+corpusRoutes.post('/review/migrate', requireRole('admin'), async (req, res) => {
+    try {
+        const moved = await req.services.mongoService.reviews.migrateLegacyStatuses({
+            approveExisting: (req.body || {}).approve_existing === true,
+            actor: requestActor(req)
+        });
+
+        req.log.info('Migrated legacy review statuses', { moved: moved });
+
+        res.json({ success: true, migrated: moved });
+    } catch (error) {
+        req.log.error('Error migrating statuses:', error);
+        res.status(500).json({ error: 'Failed to migrate statuses: ' + error.message });
+    }
+});
+
+// Copy or move documents to another corpus { to, document_ids, mode: copy|move }, keeping their provenance.
+// Copies need the reviewer role; moving takes documents out of this corpus and needs admin.
+corpusRoutes.post('/documents/transfer', async (req, res) => {
+    const { to, document_ids, mode = 'copy' } = req.body || {};
+    const role = mode === 'move' ? 'admin' : 'reviewer';
+    if (!UserService.hasRole(req.user, role)) {
+        return res.status(403).json({ error: `This action requires the ${role} role (you are ${req.user.role})` });
+    }
+
+    try {
+        const report = await corpusService.transferDocuments(req.corpus.corpus_id, String(to || ''), document_ids, { mode: mode, actor: requestActor(req) });
+        metrics.countInserts(to, mode, { inserted: report.summary.transferred, duplicate: report.summary.duplicate, rejected: report.summary.rejected });
+
+        req.log.info(mode === 'move' ? 'Moved documents' : 'Copied documents', { from: req.corpus.corpus_id, to: to, total: report.summary.total, transferred: report.summary.transferred });
+
+        res.json(report);
+    } catch (error) {
+        sendCorpusError(res, error, `${mode} documents`);
+    }
+});
+
+// Delete a document. Its last state is kept as a revision; ?purge=true erases the history too (takedown requests)
+corpusRoutes.delete('/documents/:document_id', requireRole('admin'), async (req, res) => {
+    try {
+        const purge = req.query.purge === 'true';
+        const deleted = await req.services.mongoService.deleteDocument(req.params.document_id, { actor: requestActor(req), purge: purge });
+        if (!deleted) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        req.log.info('Deleted document', { document_id: req.params.document_id, purged: purge });
+
+        res.json({ success: true, purged: purge, message: `Document successfully deleted${purge ? ' with its revision history' : ''}` });
+    } catch (error) {
+        req.log.error('Error deleting document:', error);
+        res.status(500).json({ error: 'Failed to delete document' });
+    }
+});
+
+// Stream trainable documents as JSONL or plain text for fine-tuning runs
+corpusRoutes.get('/export', requireRole('admin'), async (req, res) => {
+    let filters, options;
+    try {
+        ({ filters, options } = ExportService.parseOptions(req.query));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const extension = options.format === 'jsonl' ? 'jsonl' : 'txt';
+        const filename = `corpus-export-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+        res.set({
+            'Content-Type': options.format === 'jsonl' ? 'application/x-ndjson; charset=utf-8' : 'text/plain; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+
+        const count = await req.services.exportService.exportToStream(res, filters, { ...options, actor: requestActor(req) });
+        res.end();
+
+        const excluded = await req.services.exportService.countExcluded(filters);
+        req.log.info('Exported corpus', { records: count, format: options.format, upsample: options.upsample, excluded_not_cleared: excluded });
+    } catch (error) {
+        req.log.error('Error exporting corpus:', error);
+
+        // Headers are gone once streaming starts, so the only signal left is a truncated response
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ error: 'Failed to export corpus: ' + error.message });
+    }
+});
+
+// Training runs: which documents (and which content) went into which model version
+corpusRoutes.get('/training-runs', async (req, res) => {
+    try {
+        res.json({ runs: await req.services.trainingRunService.listRuns() });
+    } catch (error) {
+        req.log.error('Error listing training runs:', error);
+        res.status(500).json({ error: 'Failed to list training runs: ' + error.message });
+    }
+});
+
+// Create a draft run { name, base_model?, model_version, training_date?, filters?, upsample?, notes? }
+corpusRoutes.post('/training-runs', requireRole('reviewer'), async (req, res) => {
+    try {
+        const run = await req.services.trainingRunService.createRun(req.body || {});
+        req.log.info('Created training run', { run_id: run.run_id, name: run.name, base_model: run.base_model, model_version: run.model_version });
+        res.status(201).json({ success: true, run: run });
+    } catch (error) {
+        sendTrainingRunError(res, error, 'create training run');
+    }
+});
+
+// Compare the snapshots of two frozen runs: ?from=<run_id>&to=<run_id>
+corpusRoutes.get('/training-runs/diff', async (req, res) => {
+    if (!req.query.from || !req.query.to) {
+        return res.status(400).json({ error: 'from and to run ids are required' });
+    }
+    try {
+        res.json(await req.services.trainingRunService.diffRuns(String(req.query.from), String(req.query.to)));
+    } catch (error) {
+        sendTrainingRunError(res, error, 'diff training runs');
+    }
+});
+
+corpusRoutes.get('/training-runs/:run_id', async (req, res) => {
+    try {
+        const run = await req.services.trainingRunService.getRun(req.params.run_id);
+        if (!run) {
+            return res.status(404).json({ error: 'Training run not found' });
+        }
+        res.json(run);
+    } catch (error) {
+        sendTrainingRunError(res, error, 'fetch training run');
+    }
+});
+
+// Change a run; frozen runs only accept training_date and notes
+corpusRoutes.patch('/training-runs/:run_id', requireRole('reviewer'), async (req, res) => {
+    try {
+        const run = await req.services.trainingRunService.updateRun(req.params.run_id, req.body || {});
+        if (!run) {
+            return res.status(404).json({ error: 'Training run not found' });
+        }
+        res.json({ success: true, run: run });
+    } catch (error) {
+        sendTrainingRunError(res, error, 'update training run');
+    }
+});
+
+// Delete a draft run (frozen runs are permanent)
+corpusRoutes.delete('/training-runs/:run_id', requireRole('admin'), async (req, res) => {
+    try {
+        const run = await req.services.trainingRunService.deleteRun(req.params.run_id);
+        if (!run) {
+            return res.status(404).json({ error: 'Training run not found' });
+        }
+        res.json({ success: true, run: run });
+    } catch (error) {
+        sendTrainingRunError(res, error, 'delete training run');
+    }
+});
+
+// Snapshot the documents the run's filters export now and mark them with the run
+corpusRoutes.post('/training-runs/:run_id/freeze', requireRole('admin'), async (req, res) => {
+    try {
+        const run = await req.services.trainingRunService.freezeRun(req.params.run_id);
+        if (!run) {
+            return res.status(404).json({ error: 'Training run not found' });
+        }
+        req.log.info('Froze training run', { run_id: run.run_id, document_count: run.snapshot.document_count, total_tokens: run.snapshot.total_tokens });
+        res.json({ success: true, run: run });
+    } catch (error) {
+        sendTrainingRunError(res, error, 'freeze training run');
+    }
+});
+
+// The frozen snapshot as JSONL: one { document_id, content_hash, token_count, weighting } per line
+corpusRoutes.get('/training-runs/:run_id/snapshot', async (req, res) => {
+    try {
+        const run = await req.services.trainingRunService.getRun(req.params.run_id);
+        if (!run) {
+            return res.status(404).json({ error: 'Training run not found' });
+        }
+        if (run.status !== 'frozen') {
+            return res.status(409).json({ error: `Training run ${run.run_id} has no snapshot yet (${run.status})` });
+        }
+
+        res.set({
+            'Content-Type': 'application/x-ndjson; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${run.run_id}-snapshot.jsonl"`
+        });
+        for await (const entry of req.services.trainingRunService.iterateSnapshot(run.run_id)) {
+            if (res.destroyed) break;
+            if (!res.write(JSON.stringify(entry) + '\n')) {
+                await new Promise(resolve => res.once('drain', resolve));
+            }
+        }
+        res.end();
+    } catch (error) {
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        sendTrainingRunError(res, error, 'fetch training run snapshot');
+    }
+});
+
+// Compare a frozen snapshot with the corpus as it is now
+corpusRoutes.get('/training-runs/:run_id/verify', async (req, res) => {
+    try {
+        const result = await req.services.trainingRunService.verifyRun(req.params.run_id);
+        if (!result) {
+            return res.status(404).json({ error: 'Training run not found' });
+        }
+        res.json(result);
+    } catch (error) {
+        sendTrainingRunError(res, error, 'verify training run');
+    }
+});
+
+// Background jobs for long-running corpus operations, run by the job worker
+app.get('/api/jobs/types', (req, res) => {
+    res.json({ types: JobTypes.describe(role => UserService.hasRole(req.user, role)) });
+});
+
+// List the corpus's jobs newest first: ?status=<status>&type=<type>&limit=<n>.
+// Only jobs the user may read (see canReadJob) are listed.
+corpusRoutes.get('/jobs', async (req, res) => {
+    try {
+        const jobs = await jobService.listJobs({
+            status: req.query.status ? String(req.query.status) : null,
+            type: req.query.type ? String(req.query.type) : null,
+            corpus: req.corpus.corpus_id,
+            visibleTo: UserService.hasRole(req.user, 'admin') ? null : { username: requestActor(req), types: readableJobTypes(req.user) },
+            limit: req.query.limit ? Number(req.query.limit) : undefined
+        });
+        res.json({ jobs: jobs });
+    } catch (error) {
+        sendJobError(res, error, 'list jobs');
+    }
+});
+
+// Queue a job on the corpus { type, params?, max_attempts? }; each type needs its own role
+corpusRoutes.post('/jobs', async (req, res) => {
+    const { type, params, max_attempts } = req.body || {};
+    const jobType = JobTypes.TYPES[type];
+    if (jobType && !UserService.hasRole(req.user, jobType.role)) {
+        return res.status(403).json({ error: `Starting a ${type} job requires the ${jobType.role} role (you are ${req.user.role})` });
+    }
+    try {
+        const job = await jobService.enqueue(type, params, { actor: requestActor(req), maxAttempts: max_attempts, corpus: req.corpus.corpus_id });
+        req.log.info('Queued job', { job_id: job.job_id, type: job.type });
+        res.status(201).json({ success: true, job: job });
+    } catch (error) {
+        sendJobError(res, error, 'queue job');
+    }
+});
+
+// A job with its parameters, log and result, for the user who queued it and users who could start it
+app.get('/api/jobs/:job_id', async (req, res) => {
+    try {
+        const job = await jobService.getJob(req.params.job_id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!canReadJob(req, job)) {
+            return res.status(403).json({ error: `Only the user who queued this job or a user with the ${jobRole(job)} role can read it` });
+        }
+        res.json(job);
+    } catch (error) {
+        sendJobError(res, error, 'get job');
+    }
+});
+
+// Jobs can be cancelled by whoever queued them and by admins
+app.post('/api/jobs/:job_id/cancel', async (req, res) => {
+    try {
+        const job = await jobService.getJob(req.params.job_id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (job.created_by !== requestActor(req) && !UserService.hasRole(req.user, 'admin')) {
+            return res.status(403).json({ error: 'Only the user who queued a job or an admin can cancel it' });
+        }
+        const cancelled = await jobService.cancel(job.job_id, { actor: requestActor(req) });
+        req.log.info(cancelled.status === 'cancelled' ? 'Cancelled job' : 'Asked job to stop', { job_id: job.job_id });
+        res.json({ success: true, job: cancelled });
+    } catch (error) {
+        sendJobError(res, error, 'cancel job');
+    }
+});
+
+// Download a shard or the manifest written by a finished export job
+app.get('/api/jobs/:job_id/files/:file', requireRole('admin'), async (req, res) => {
+    try {
+        const job = await jobService.getJob(req.params.job_id);
+        if (!job || job.type !== 'export' || job.status !== 'succeeded') {
+            return res.status(404).json({ error: 'No finished export job with this id' });
+        }
+        // Only names the job wrote itself, so nothing outside its directory can be requested
+        const files = ['manifest.json'].concat((job.result.shards || []).map(shard => shard.file));
+        if (!files.includes(req.params.file)) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        res.download(path.join(job.result.directory, req.params.file), req.params.file, error => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'File not found; the export directory may have been removed' });
+            }
+        });
+    } catch (error) {
+        sendJobError(res, error, 'download export file');
+    }
+});
+
+// EU AI Act training data summary as JSON, Markdown or printable HTML. POST takes
+// the same options as a JSON body, for document_ids lists too long for a URL.
+corpusRoutes.get('/reports/ai-act-summary', requireRole('reviewer'), (req, res) => sendAiActSummary(req, req.query, res));
+corpusRoutes.post('/reports/ai-act-summary', requireRole('reviewer'), (req, res) => sendAiActSummary(req, { ...req.query, ...req.body }, res));
+
+async function sendAiActSummary(req, raw, res) {
+    let scope, options;
+    try {
+        ({ scope, options } = ReportService.parseOptions(raw));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const { report, body, contentType } = await req.services.reportService.generate(scope, options);
+        if (options.format !== 'json' && (raw.download === 'true' || raw.download === true)) {
+            const extension = options.format === 'markdown' ? 'md' : 'html';
+            res.set('Content-Disposition', `attachment; filename="ai-act-summary-${report.generated_at.slice(0, 10)}.${extension}"`);
+        }
+        res.type(contentType).send(body);
+    } catch (error) {
+        req.log.error('Error building AI Act summary:', error);
+        res.status(500).json({ error: 'Failed to build AI Act summary: ' + error.message });
+    }
+}
+
+// Audit trail of document changes and exports across all corpora, newest first
+// (?action=, actor, corpus, document_id, from, to, limit, before)
+app.get('/api/audit-log', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await mongoService.audit.listEntries(req.query));
+    } catch (error) {
+        if (error instanceof AuditService.InvalidAuditQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+        req.log.error('Error listing audit log:', error);
+        res.status(500).json({ error: 'Failed to list audit log: ' + error.message });
+    }
+});
+
+// Prometheus metrics. With METRICS_TOKEN set, scrapers send it as a bearer token;
+// otherwise any signed-in user or API token can read them.
+app.get('/metrics', async (req, res) => {
+    try {
+        if (!(await canReadMetrics(req))) {
+            return res.status(401).json({ error: 'Authentication required: send the metrics token or an API token' });
+        }
+        res.type('text/plain; version=0.0.4').send(await metrics.render());
+    } catch (error) {
+        req.log.error('Error rendering metrics:', error);
+        res.status(500).json({ error: 'Failed to render metrics: ' + error.message });
+    }
+});
+
+// Readiness check: pings the database and verifies every corpus has its indexes.
+// /api/health only says the process is up.
+app.get('/api/ready', async (req, res) => {
+    const checks = {};
+    try {
+        const latency = await withTimeout(mongoService.storage.ping(), READY_TIMEOUT_MS, 'Database ping');
+        checks.database = { status: 'ok', latency_ms: latency };
+    } catch (error) {
+        checks.database = { status: 'failed', error: error.message };
+    }
+
+    if (checks.database.status === 'ok') {
+        try {
+            const missing = await withTimeout(findMissingIndexes(), READY_TIMEOUT_MS, 'Index check');
+            checks.indexes = { status: missing.length ? 'failed' : 'ok', missing: missing };
+        } catch (error) {
+            checks.indexes = { status: 'failed', error: error.message };
+        }
+    } else {
+        checks.indexes = { status: 'skipped' };
+    }
+
+    const ready = Object.values(checks).every(check => check.status === 'ok');
+    if (!ready) {
+        req.log.warn('Not ready', { checks: checks });
+    }
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        checks: checks,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Health check endpoint (liveness; see /api/ready for the database checks)
+app.get('/api/health', async (req, res) => {
+    try {
+        // Test MongoDB connection
+        await mongoService.connect();
+        res.json({ 
+            status: 'healthy', 
+            database: 'connected',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(503).json({ 
+            status: 'unhealthy', 
+            database: 'disconnected',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Corpus routes come last, so /api/corpora/... and the other /api routes above take precedence
+app.use('/api/corpora/:corpus', loadCorpus, corpusRoutes);
+app.use('/api', loadCorpus, corpusRoutes);
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Resolve the version a client expects to update, from an If-Match header
+ * (`"3"` or `3`) or a `version` field in the body. Returns undefined when
+ * neither is present.
+ */
+function parseExpectedVersion(ifMatch, bodyVersion) {
+    const raw = ifMatch !== undefined ? ifMatch.replace(/^W\//, '').replace(/"/g, '') : bodyVersion;
+    if (raw === undefined || raw === null || raw === '') {
+        return undefined;
+    }
+    const version = Number(raw);
+    return Number.isInteger(version) ? version : undefined;
+}
+
+const OPTED_OUT_NOTICE = ', but it is marked as opted out of training and will not be exported';
+
+// Map training run errors to 400 (bad input) / 409 (wrong run state) / 500
+function sendTrainingRunError(res, error, action) {
+    if (error instanceof TrainingRunService.InvalidTrainingRunError) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof TrainingRunService.TrainingRunStateError) {
+        return res.status(409).json({ error: error.message, status: error.run.status });
+    }
+    res.req.log.error(`Failed to ${action}:`, error);
+    res.status(500).json({ error: `Failed to ${action}: ${error.message}` });
+}
+
+// Map job errors to 400 (bad type or parameters) / 409 (job already finished) / 500
+function sendJobError(res, error, action) {
+    if (error instanceof JobService.InvalidJobError || error instanceof InvalidQueryError
+        || error instanceof TextCleaning.CleaningConfigError) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof JobService.JobStateError) {
+        return res.status(409).json({ error: error.message, status: error.job.status });
+    }
+    res.req.log.error(`Failed to ${action}:`, error);
+    res.status(500).json({ error: `Failed to ${action}: ${error.message}` });
+}
+
+// Map corpus errors to 400 / 404 (unknown corpus) / 409 (exists, not empty) / 500
+function sendCorpusError(res, error, action) {
+    if (error instanceof CorpusService.InvalidCorpusError) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof CorpusService.CorpusNotFoundError) {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error instanceof CorpusService.CorpusExistsError || error instanceof CorpusService.CorpusNotEmptyError) {
+        return res.status(409).json({ error: error.message });
+    }
+    res.req.log.error(`Failed to ${action}:`, error);
+    res.status(500).json({ error: `Failed to ${action}: ${error.message}` });
+}
+
+/**
+ * Route middleware for corpusRoutes: looks up the corpus named in the path
+ * (the default corpus on the /api/... routes) and sets req.corpus and
+ * req.services, the document services working on it.
+ */
+async function loadCorpus(req, res, next) {
+    try {
+        const { corpus, mongoService: corpusMongoService } = await corpusService.resolve(req.params.corpus || MongoService.DEFAULT_CORPUS);
+        if (!corpusServices.has(corpusMongoService)) {
+            corpusServices.set(corpusMongoService, {
+                mongoService: corpusMongoService,
+                exportService: new ExportService(corpusMongoService),
+                importService: new ImportService(corpusMongoService),
+                duplicateService: new DuplicateService(corpusMongoService),
+                chunkingService: new ChunkingService(corpusMongoService),
+                reportService: new ReportService(corpusMongoService),
+                analyticsService: new AnalyticsService(corpusMongoService),
+                searchService: new SearchService(corpusMongoService),
+                trainingRunService: new TrainingRunService(corpusMongoService)
+            });
+        }
+        req.corpus = corpus;
+        req.services = corpusServices.get(corpusMongoService);
+        // Prefix of the route pattern reported in request logs and metrics
+        req.routeBase = req.params.corpus ? '/api/corpora/:corpus' : '/api';
+        next();
+    } catch (error) {
+        sendCorpusError(res, error, 'load corpus');
+    }
+}
+
+// Who made a change, recorded on documents, lineage steps and revisions
+function requestActor(req) {
+    return req.user.username;
+}
+
+const SESSION_COOKIE = 'corpus_session';
+const PUBLIC_API_PATHS = ['/auth/login', '/health', '/ready'];
+
+function readCookie(req, name) {
+    for (const part of (req.get('Cookie') || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve the user from an `Authorization: Bearer <token>` header or the
+ * session cookie set at login. Requests without a valid token get 401,
+ * except for the public paths.
+ */
+async function authenticateRequest(req, res, next) {
+    try {
+        const header = req.get('Authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : readCookie(req, SESSION_COOKIE);
+        req.user = token ? await userService.verifyToken(token) : null;
+        if (req.user) {
+            req.log = req.log.child({ user: req.user.username });
+        }
+    } catch (error) {
+        req.log.error('Error checking credentials:', error);
+        return res.status(503).json({ error: 'Failed to check credentials: ' + error.message });
+    }
+
+    if (!req.user && !PUBLIC_API_PATHS.includes(req.path)) {
+        return res.status(401).json({ error: 'Authentication required: log in or send an API token' });
+    }
+    next();
+}
+
+// Bound on each readiness check, so a hanging database fails the probe instead of stalling it
+const READY_TIMEOUT_MS = 5000;
+
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Indexes missing in any corpus; corpora sharing a collection are checked once
+async function findMissingIndexes() {
+    const missing = new Map();
+    for (const service of await corpusService.allServices()) {
+        for (const entry of await service.missingIndexes()) {
+            missing.set(`${entry.collection}:${entry.index}`, entry);
+        }
+    }
+    return [...missing.values()];
+}
+
+// /metrics is outside /api: METRICS_TOKEN if set, else any valid API or session token
+async function canReadMetrics(req) {
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : readCookie(req, SESSION_COOKIE);
+    if (!token) {
+        return false;
+    }
+    if (process.env.METRICS_TOKEN) {
+        const expected = Buffer.from(process.env.METRICS_TOKEN);
+        const given = Buffer.from(token);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+    return Boolean(await userService.verifyToken(token));
+}
+
+/**
+ * First middleware: gives each request an id (a well-formed incoming
+ * X-Request-Id, else a new UUID), echoed in the response and on every log
+ * line through req.log, and logs and measures the request once it is done.
+ * Metrics use the matched route pattern, never the raw path.
+ */
+function trackRequest(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ request_id: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const started = process.hrtime.bigint();
+    res.once('close', () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        const route = req.route ? (req.routeBase || '') + req.route.path : (res.statusCode < 400 ? 'static' : 'other');
+        metrics.observeRequest({ method: req.method, route: route, status: res.statusCode, seconds: seconds });
+
+        const fields = {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            route: route,
+            status: res.statusCode,
+            duration_ms: Math.round(seconds * 1e5) / 100,
+            corpus: req.corpus?.corpus_id,
+            aborted: !res.writableFinished
+        };
+        if (route === 'static') {
+            req.log.debug('request', fields);
+        } else {
+            req.log.info('request', fields);
+        }
+    });
+    next();
+}
+
+// Custom cleaning rules are regular expressions run in the server process, where a pattern that
+// backtracks catastrophically would stall every request, so only admins may send them.
+// Sends 403 and returns true when the spec has custom rules and the user is not an admin.
+function refuseCustomRules(req, res, spec) {
+    if (!TextCleaning.hasCustomRules(spec) || UserService.hasRole(req.user, 'admin')) {
+        return false;
+    }
+    res.status(403).json({ error: `Custom cleaning rules require the admin role (you are ${req.user.role})` });
+    return true;
+}
+
+// Chapter heading patterns run on the request thread in the same way; non-admins chunk with the default one
+function refuseCustomHeadingPattern(req, res, chunking) {
+    if (!ChunkingService.hasCustomHeadingPattern(chunking) || UserService.hasRole(req.user, 'admin')) {
+        return false;
+    }
+    res.status(403).json({ error: `A custom heading_pattern requires the admin role (you are ${req.user.role})` });
+    return true;
+}
+
+// Role needed to start a job of this type; jobs of retired types are left to admins
+function jobRole(job) {
+    return JobTypes.TYPES[job.type]?.role || 'admin';
+}
+
+// Job parameters, results and logs can be read by whoever queued the job and by users whose role
+// could start one like it (admins read every job)
+function canReadJob(req, job) {
+    return job.created_by === requestActor(req) || UserService.hasRole(req.user, jobRole(job));
+}
+
+function readableJobTypes(user) {
+    return Object.keys(JobTypes.TYPES).filter(type => UserService.hasRole(user, JobTypes.TYPES[type].role));
+}
+
+// Route middleware: only users whose role includes `role` get through
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!UserService.hasRole(req.user, role)) {
+            return res.status(403).json({ error: `This action requires the ${role} role (you are ${req.user.role})` });
+        }
+        next();
+    };
+}
+
+// Map user account errors to 400 / 409 / 500
+function sendUserError(res, error, action) {
+    if (error instanceof UserService.InvalidUserError) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof UserService.UserExistsError) {
+        return res.status(409).json({ error: error.message });
+    }
+    res.req.log.error(`Failed to ${action}:`, error);
+    res.status(500).json({ error: `Failed to ${action}: ${error.message}` });
+}
+
+// Map errors from updating or restoring a document to 400 / 409 / 500 responses
+function sendUpdateError(res, error, action) {
+    if (error instanceof DocumentValidationError) {
+        return res.status(400).json({
+            error: error.message,
+            schema_version: error.schemaVersion,
+            details: error.details
+        });
+    }
+
+    if (error instanceof VersionConflictError) {
+        return res.status(409).json({
+            error: error.message,
+            current_version: error.currentVersion
+        });
+    }
+
+    if (error instanceof DuplicateDocumentError) {
+        return res.status(409).json(duplicateResponse(error));
+    }
+
+    if (error instanceof LowQualityError) {
+        return res.status(422).json(qualityResponse(error));
+    }
+
+    res.req.log.error(`Failed to ${action}:`, error);
+    res.status(500).json({ error: `Failed to ${action}: ${error.message}` });
+}
+
+// 409 body for a near-duplicate: the existing document and how similar it is
+function duplicateResponse(error) {
+    return {
+        error: error.message,
+        duplicate_of: error.match,
+        similarity: error.similarity
+    };
+}
+
+// 422 body for text refused by the quality thresholds: every metric and issue
+function qualityResponse(error) {
+    return {
+        error: error.message,
+        quality: error.quality
+    };
+}
+
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+// 404 handler
+app.use((req, res) => {
+    res.status(404).json({ error: 'Endpoint not found' });
+});
+
+// Global error handler
+app.use((err, req, res, next) => {
+    req.log.error('Unhandled error:', err);
+    res.status(500).json({ error: 'Internal server error', request_id: req.id });
+});
+
+// ============================================================================
+// SERVER STARTUP
+// ============================================================================
+
+// Graceful shutdown on Ctrl-C and on SIGTERM from docker, systemd and the like: running jobs
+// go back to the queue and the store is closed (releasing its lock) before the process exits.
+// Set first thing, so a second signal and the forked worker's restart both see the server going down.
+let shuttingDown = false;
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down server', { signal: signal });
+    try {
+        await stopJobWorker();
+        await mongoService.close();
+        logger.info('Database connection closed');
+        process.exit(0);
+    } catch (error) {
+        logger.error('Error during shutdown:', error);
+        process.exit(1);
+    }
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+// Restart delay for a forked job worker that exited unexpectedly
+const WORKER_RESTART_DELAY_MS = 5000;
+
+let jobWorkerProcess = null;
+let inlineJobWorker = null;
+
+/**
+ * Start the job worker as JOB_WORKER says: process (default) forks
+ * bin/worker.js and restarts it if it dies, inline runs it inside the
+ * server, off leaves it to a separately started `npm run worker`.
+ */
+function startJobWorker() {
+    const mode = process.env.JOB_WORKER || 'process';
+    if (mode === 'off') {
+        logger.info('Job worker off (run "npm run worker" to process jobs)');
+    } else if (mode === 'inline') {
+        inlineJobWorker = new JobWorker(mongoService, { logger: logger.child({ component: 'worker' }) });
+        inlineJobWorker.start();
+    } else if (mode === 'process') {
+        jobWorkerProcess = fork(path.join(__dirname, 'bin', 'worker.js'));
+        jobWorkerProcess.on('exit', (code, signal) => {
+            jobWorkerProcess = null;
+            if (!shuttingDown) {
+                logger.error('Job worker exited; restarting', { exit: signal || `code ${code}`, restart_in_ms: WORKER_RESTART_DELAY_MS });
+                setTimeout(() => shuttingDown || startJobWorker(), WORKER_RESTART_DELAY_MS);
+            }
+        });
+    } else {
+        logger.warn(`Unknown JOB_WORKER "${mode}" (expected process, inline or off); no job worker started`);
+    }
+}
+
+// Running jobs are put back in the queue by the worker as it stops
+async function stopJobWorker() {
+    if (inlineJobWorker) {
+        await inlineJobWorker.stop();
+    }
+    if (jobWorkerProcess) {
+        const exited = new Promise(resolve => jobWorkerProcess.once('exit', resolve));
+        jobWorkerProcess.kill('SIGTERM');
+        await exited;
+    }
+}
+
+/**
+ * Create the first admin account from ADMIN_USERNAME / ADMIN_PASSWORD when
+ * there are no accounts yet, so a fresh install can be logged into.
+ */
+async function ensureInitialAdmin() {
+    try {
+        if (await userService.countUsers() > 0) {
+            return;
+        }
+        if (!process.env.ADMIN_USERNAME || !process.env.ADMIN_PASSWORD) {
+            logger.warn('No user accounts yet: set ADMIN_USERNAME and ADMIN_PASSWORD, or run "npx corpus user add <username> --role admin"');
+            return;
+        }
+        const admin = await userService.createUser({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD, role: 'admin' });
+        logger.info('Created initial admin account', { username: admin.username });
+    } catch (error) {
+        logger.error('Could not check user accounts:', error);
+    }
+}
+
 // Start server
 app.listen(PORT, () => {
-    console.log(`🚀 Text Content Corpus Tool running on http://localhost:${PORT}`);
-    console.log(`📚 Ready to process books, articles, and text content`);
-    console.log(`📊 Database: ${process.env.MONGODB_URI || 'mongodb://localhost:27017/corpora'}`);
+    logger.info(`Text Content Corpus Tool running on http://localhost:${PORT}`, {
+        port: Number(PORT),
+        storage: mongoService.storage.describe(),
+        collection: mongoService.collectionName,
+        cors: CORS_ORIGINS.length ? CORS_ORIGINS : 'same origin only'
+    });
+    ensureInitialAdmin();
+    startJobWorker();
 });
\ No newline at end of file
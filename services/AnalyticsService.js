@@ -0,0 +1,291 @@
+const ExportService = require('./ExportService');
+const { InvalidQueryError } = require('./MongoService');
+
+const INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_TOP_AUTHORS = 20;
+const MAX_TOP_AUTHORS = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Token-length histogram bucket edges: [0, 128), [128, 256), ... [65536, ∞)
+const HISTOGRAM_EDGES = [0, 128, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768, 65536];
+
+// Breakdown name -> how to read its value from a document
+const BREAKDOWNS = {
+    content_type: doc => doc.attribution?.content_type,
+    language: doc => doc.content_metadata?.language,
+    author: doc => doc.attribution?.author,
+    genre: doc => doc.content_metadata?.genre,
+    weighting: doc => doc.training_metadata?.weighting,
+    processing_status: doc => doc.training_metadata?.processing_status
+};
+
+const ANALYTICS_PROJECTION = {
+    'attribution.author': 1,
+    'attribution.content_type': 1,
+    'content_metadata.language': 1,
+    'content_metadata.genre': 1,
+    'training_metadata.token_count': 1,
+    'training_metadata.character_count': 1,
+    'training_metadata.weighting': 1,
+    'training_metadata.processing_status': 1,
+    'training_metadata.tokenizer': 1,
+    created_at: 1
+};
+
+/**
+ * Corpus analytics for the dashboard: totals, breakdowns by content type,
+ * language, author, genre, weighting and processing status, documents and
+ * tokens ingested per day/week/month, and a histogram of document lengths in
+ * tokens.
+ *
+ * Effective tokens are what a document contributes to an upsampled export
+ * (tokens repeated once per point of weighting), so they show how the weights
+ * shift the training mix. By default every document is counted; scope.training
+ * limits the analytics to the documents an export would contain.
+ */
+class AnalyticsService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+        this.exportService = new ExportService(mongoService);
+    }
+
+    /**
+     * Normalize analytics options coming from query parameters or CLI flags.
+     * Throws InvalidQueryError on bad input.
+     */
+    static parseOptions(raw = {}) {
+        const scope = {
+            training: raw.training === true || raw.training === 'true' || raw.training === '1'
+        };
+
+        for (const key of ['created_from', 'created_to']) {
+            if (raw[key] !== undefined) {
+                const date = new Date(raw[key]);
+                if (isNaN(date.getTime())) {
+                    throw new InvalidQueryError(`${key} must be an ISO 8601 date`);
+                }
+                scope[key] = date;
+            }
+        }
+
+        const interval = raw.interval || null;
+        if (interval !== null && !INTERVALS.includes(interval)) {
+            throw new InvalidQueryError(`interval must be one of: ${INTERVALS.join(', ')}`);
+        }
+
+        let top = DEFAULT_TOP_AUTHORS;
+        if (raw.top !== undefined) {
+            top = parseInt(raw.top);
+            if (!Number.isInteger(top) || top < 1 || top > MAX_TOP_AUTHORS) {
+                throw new InvalidQueryError(`top must be between 1 and ${MAX_TOP_AUTHORS}`);
+            }
+        }
+
+        return { scope: scope, options: { interval: interval, top: top } };
+    }
+
+    buildQuery(scope = {}) {
+        const criteria = { created_from: scope.created_from, created_to: scope.created_to };
+        return scope.training ? this.exportService.buildQuery(criteria) : this.mongoService.buildDocumentQuery(criteria);
+    }
+
+    /**
+     * Aggregate the documents in scope. Without an interval the ingestion
+     * series is bucketed by day for up to 90 days, by week for up to two
+     * years and by month beyond that.
+     */
+    async buildAnalytics(scope = {}, { interval = null, top = DEFAULT_TOP_AUTHORS } = {}) {
+        const totals = {
+            documents: 0,
+            characters: 0,
+            tokens: 0,
+            effective_tokens: 0,
+            average_weight: 0,
+            average_tokens: 0,
+            authors: 0
+        };
+        const breakdowns = Object.fromEntries(Object.keys(BREAKDOWNS).map(name => [name, new Map()]));
+        const histogram = HISTOGRAM_EDGES.map((min, i) => ({
+            min: min,
+            max: i + 1 < HISTOGRAM_EDGES.length ? HISTOGRAM_EDGES[i + 1] : null,
+            documents: 0,
+            tokens: 0
+        }));
+        const tokenizers = new Set();
+        const daily = new Map();
+        let weightSum = 0;
+
+        for await (const doc of this.mongoService.iterateDocuments(this.buildQuery(scope), { projection: ANALYTICS_PROJECTION })) {
+            const counts = {
+                documents: 1,
+                characters: doc.training_metadata?.character_count || 0,
+                tokens: doc.training_metadata?.token_count || 0,
+                effective_tokens: effectiveTokens(doc)
+            };
+
+            totals.documents++;
+            totals.characters += counts.characters;
+            totals.tokens += counts.tokens;
+            totals.effective_tokens += counts.effective_tokens;
+            weightSum += doc.training_metadata?.weighting || 1;
+            if (doc.training_metadata?.tokenizer) tokenizers.add(doc.training_metadata.tokenizer);
+
+            for (const [name, read] of Object.entries(BREAKDOWNS)) {
+                const value = read(doc);
+                tally(breakdowns[name], value === undefined || value === '' ? null : value, counts);
+            }
+
+            const bucket = histogram.findLast(row => counts.tokens >= row.min);
+            bucket.documents++;
+            bucket.tokens += counts.tokens;
+
+            if (doc.created_at) addTo(daily, periodStart(new Date(doc.created_at), 'day').getTime(), counts);
+        }
+
+        totals.average_weight = totals.documents ? round(weightSum / totals.documents, 2) : 0;
+        totals.average_tokens = totals.documents ? Math.round(totals.tokens / totals.documents) : 0;
+        totals.authors = breakdowns.author.size;
+
+        const rows = Object.fromEntries(Object.entries(breakdowns).map(([name, values]) => [name, toRows(values, totals)]));
+        rows.weighting.sort((a, b) => (a.value ?? Infinity) - (b.value ?? Infinity));
+        rows.author = rows.author.slice(0, top);
+
+        const series = ingestionSeries(daily, interval);
+
+        return {
+            generated_at: new Date().toISOString(),
+            scope: {
+                selection: scope.training ? 'training' : 'all',
+                created_from: scope.created_from ? scope.created_from.toISOString() : null,
+                created_to: scope.created_to ? scope.created_to.toISOString() : null
+            },
+            tokenizers: [...tokenizers].sort(),
+            totals: totals,
+            breakdowns: rows,
+            interval: series.interval,
+            ingestion: series.periods,
+            token_histogram: histogram.map(row => ({ ...row, document_share: share(row.documents, totals.documents) }))
+        };
+    }
+}
+
+// ============================================================================
+// AGGREGATION HELPERS
+// ============================================================================
+
+// Same multiplier as an upsampled export: one copy per point of weighting
+function effectiveTokens(doc) {
+    const copies = Math.max(1, Math.round(doc.training_metadata?.weighting || 1));
+    return (doc.training_metadata?.token_count || 0) * copies;
+}
+
+function tally(rows, value, counts) {
+    if (!rows.has(value)) rows.set(value, { value: value, documents: 0, characters: 0, tokens: 0, effective_tokens: 0 });
+    const row = rows.get(value);
+    row.documents++;
+    row.characters += counts.characters;
+    row.tokens += counts.tokens;
+    row.effective_tokens += counts.effective_tokens;
+}
+
+function toRows(rows, totals) {
+    return [...rows.values()]
+        .sort((a, b) => b.tokens - a.tokens || b.documents - a.documents)
+        .map(row => ({
+            ...row,
+            document_share: share(row.documents, totals.documents),
+            token_share: share(row.tokens, totals.tokens),
+            effective_token_share: share(row.effective_tokens, totals.effective_tokens)
+        }));
+}
+
+function share(part, whole) {
+    return whole ? round(part / whole, 4) : 0;
+}
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// ============================================================================
+// TIME SERIES
+// ============================================================================
+
+function chooseInterval(earliest, latest) {
+    const days = (latest - earliest) / DAY_MS;
+    if (days <= 90) return 'day';
+    if (days <= 730) return 'week';
+    return 'month';
+}
+
+// Start of the UTC day, ISO week (Monday) or month containing date
+function periodStart(date, interval) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (interval === 'week') {
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    } else if (interval === 'month') {
+        start.setUTCDate(1);
+    }
+    return start;
+}
+
+function nextPeriod(start, interval) {
+    const next = new Date(start);
+    if (interval === 'day') next.setUTCDate(next.getUTCDate() + 1);
+    else if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+    else next.setUTCMonth(next.getUTCMonth() + 1);
+    return next;
+}
+
+function periodLabel(start, interval) {
+    return interval === 'month' ? start.toISOString().slice(0, 7) : start.toISOString().slice(0, 10);
+}
+
+function addTo(periods, key, counts) {
+    if (!periods.has(key)) periods.set(key, { documents: 0, characters: 0, tokens: 0, effective_tokens: 0 });
+    const period = periods.get(key);
+    period.documents += counts.documents;
+    period.characters += counts.characters;
+    period.tokens += counts.tokens;
+    period.effective_tokens += counts.effective_tokens;
+}
+
+/**
+ * Roll the per-day counts up into documents, characters, tokens and effective
+ * tokens added per period, with running totals. Periods without additions
+ * between the first and the last are included so the series can be charted
+ * as is.
+ */
+function ingestionSeries(daily, interval) {
+    if (!daily.size) {
+        return { interval: interval || 'day', periods: [] };
+    }
+
+    const days = [...daily.keys()].sort((a, b) => a - b);
+    const earliest = new Date(days[0]);
+    const latest = new Date(days[days.length - 1]);
+    const resolved = interval || chooseInterval(earliest, latest);
+
+    const periods = new Map();
+    for (let start = periodStart(earliest, resolved); start <= latest; start = nextPeriod(start, resolved)) {
+        periods.set(periodLabel(start, resolved), { documents: 0, characters: 0, tokens: 0, effective_tokens: 0 });
+    }
+    for (const day of days) {
+        addTo(periods, periodLabel(periodStart(new Date(day), resolved), resolved), daily.get(day));
+    }
+
+    let documents = 0;
+    let tokens = 0;
+    return {
+        interval: resolved,
+        periods: [...periods.entries()].map(([label, period]) => {
+            documents += period.documents;
+            tokens += period.tokens;
+            return { period: label, ...period, cumulative_documents: documents, cumulative_tokens: tokens };
+        })
+    };
+}
+
+module.exports = AnalyticsService;
+module.exports.INTERVALS = INTERVALS;
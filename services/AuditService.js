@@ -0,0 +1,133 @@
+const COLLECTION = 'audit-log';
+const ACTIONS = ['insert', 'update', 'review', 'restore', 'delete', 'copy', 'move', 'export'];
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+
+class InvalidAuditQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidAuditQueryError';
+    }
+}
+
+/**
+ * Append-only trail of every change to corpus documents and every export:
+ * who did what to which document in which corpus, when, with a summary of
+ * the payload (attribution and sizes, the fields an edit changed, the
+ * filters of an export; never the text itself).
+ *
+ * Unlike revisions, entries are never updated or removed, not even when a
+ * takedown purges a document's history, so the log still shows that the
+ * document existed and who removed it. Bookkeeping that is not a change by
+ * someone (opt-out registry flags, token recounts, training run marks) is
+ * not recorded.
+ */
+class AuditService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+    }
+
+    async collection() {
+        const db = await this.mongoService.connect();
+        return db.collection(COLLECTION);
+    }
+
+    /**
+     * Append an entry for `action` in this service's corpus. documentId and
+     * version name the document the action applied to (none for exports).
+     */
+    async record(action, { actor = null, documentId = null, version = null, summary = {} } = {}) {
+        const entry = {
+            audit_id: `aud_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            action: action,
+            actor: actor || 'unknown',
+            corpus: this.mongoService.corpus,
+            document_id: documentId,
+            version: version,
+            summary: summary,
+            created_at: new Date()
+        };
+
+        const collection = await this.collection();
+        await collection.insertOne({ ...entry });
+        return entry;
+    }
+
+    /**
+     * Entries newest first, filtered by { action, actor, corpus, document_id,
+     * from, to } (every value may be a string, as from a query). `before`
+     * (an audit_id) continues a listing after its last entry.
+     * Returns { entries, next_before }.
+     */
+    async listEntries(raw = {}) {
+        const query = {};
+        for (const field of ['actor', 'corpus', 'document_id']) {
+            if (raw[field]) {
+                query[field] = String(raw[field]);
+            }
+        }
+        if (raw.action) {
+            const actions = String(raw.action).split(',').map(action => action.trim()).filter(Boolean);
+            const unknown = actions.filter(action => !ACTIONS.includes(action));
+            if (unknown.length) {
+                throw new InvalidAuditQueryError(`action must be one of: ${ACTIONS.join(', ')}`);
+            }
+            query.action = { $in: actions };
+        }
+        for (const [field, operator] of [['from', '$gte'], ['to', '$lte']]) {
+            if (raw[field]) {
+                const date = new Date(raw[field]);
+                if (isNaN(date.getTime())) {
+                    throw new InvalidAuditQueryError(`${field} must be an ISO 8601 date`);
+                }
+                query.created_at = { ...query.created_at, [operator]: date };
+            }
+        }
+
+        const limit = raw.limit === undefined ? DEFAULT_LIST_LIMIT : parseInt(raw.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+            throw new InvalidAuditQueryError(`limit must be an integer from 1 to ${MAX_LIST_LIMIT}`);
+        }
+
+        const collection = await this.collection();
+        if (raw.before) {
+            const last = await collection.findOne({ audit_id: String(raw.before) });
+            if (!last) {
+                throw new InvalidAuditQueryError(`Unknown audit entry: ${raw.before}`);
+            }
+            query.$or = [
+                { created_at: { $lt: last.created_at } },
+                { created_at: last.created_at, audit_id: { $lt: last.audit_id } }
+            ];
+        }
+
+        const entries = await collection.find(query, { projection: { _id: 0 } })
+            .sort({ created_at: -1, audit_id: -1 })
+            .limit(limit + 1)
+            .toArray();
+        const more = entries.length > limit;
+        return { entries: entries.slice(0, limit), next_before: more ? entries[limit - 1].audit_id : null };
+    }
+
+    /**
+     * What an audit entry keeps of a document: attribution, sizes and state.
+     */
+    static summarizeDocument(document) {
+        return {
+            title: document.attribution?.title ?? null,
+            author: document.attribution?.author ?? null,
+            content_type: document.attribution?.content_type ?? null,
+            language: document.content_metadata?.language ?? null,
+            license_status: document.copyright_compliance?.license_status ?? null,
+            character_count: document.training_metadata?.character_count ?? null,
+            token_count: document.training_metadata?.token_count ?? null,
+            processing_status: document.training_metadata?.processing_status ?? null,
+            ...(document.chunk && { parent_id: document.chunk.parent_id, chunk: document.chunk.ordinal })
+        };
+    }
+}
+
+module.exports = AuditService;
+module.exports.InvalidAuditQueryError = InvalidAuditQueryError;
+module.exports.COLLECTION = COLLECTION;
+module.exports.ACTIONS = ACTIONS;
@@ -0,0 +1,330 @@
+const { InvalidQueryError } = require('./MongoService');
+
+const MODES = ['chapters', 'paragraphs', 'tokens'];
+const DEFAULT_MAX_TOKENS = 2048;
+const MAX_CHAPTER_TITLE_LENGTH = 200;
+
+// Markdown headings, "Chapter 12 ...", "Part Two", "Prologue" or a lone roman numeral on its own line
+const DEFAULT_HEADING_PATTERN = '^(?:#{1,3}[^\\S\\n]+\\S.*|(?:chapter|part|book|prologue|epilogue|interlude)\\b.*|[IVXLC]+\\.?)$';
+// Longest heading_pattern accepted; like custom cleaning rules, only admins may send one at all
+const MAX_HEADING_PATTERN_LENGTH = 200;
+
+/**
+ * Splits long works into training-sized segments and stores them as linked
+ * child documents. Chunks are packed up to max_tokens, counted per paragraph
+ * or word with the target model's tokenizer (a single word longer than that
+ * becomes its own chunk), and consecutive chunks of the same chapter share up
+ * to overlap_tokens.
+ *
+ *   chapters    split at chapter headings, then pack paragraphs within each chapter
+ *   paragraphs  pack whole paragraphs (oversized ones are split between words)
+ *   tokens      fixed token windows over words
+ */
+class ChunkingService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+    }
+
+    /**
+     * Read chunking options from query parameters or CLI flags
+     * (chunk_mode, chunk_max_tokens, chunk_overlap_tokens, chunk_heading_pattern).
+     * Returns null when chunking was not requested; throws InvalidQueryError on bad input.
+     */
+    static parseOptions(raw = {}) {
+        if (!raw.chunk_mode || raw.chunk_mode === 'none') {
+            return null;
+        }
+        return ChunkingService.normalize({
+            mode: raw.chunk_mode,
+            max_tokens: raw.chunk_max_tokens,
+            overlap_tokens: raw.chunk_overlap_tokens,
+            heading_pattern: raw.chunk_heading_pattern
+        });
+    }
+
+    /**
+     * Validate a { mode, max_tokens, overlap_tokens, heading_pattern } spec and fill in defaults.
+     */
+    static normalize(spec = {}) {
+        if (!MODES.includes(spec.mode)) {
+            throw new InvalidQueryError(`chunk mode must be one of: ${MODES.join(', ')}`);
+        }
+
+        const maxTokens = spec.max_tokens !== undefined && spec.max_tokens !== '' ? Number(spec.max_tokens) : DEFAULT_MAX_TOKENS;
+        if (!Number.isInteger(maxTokens) || maxTokens < 16) {
+            throw new InvalidQueryError('max_tokens must be an integer of at least 16');
+        }
+
+        const overlapTokens = spec.overlap_tokens !== undefined && spec.overlap_tokens !== '' ? Number(spec.overlap_tokens) : 0;
+        if (!Number.isInteger(overlapTokens) || overlapTokens < 0 || overlapTokens >= maxTokens / 2) {
+            throw new InvalidQueryError('overlap_tokens must be a non-negative integer below half of max_tokens');
+        }
+
+        const headingPattern = spec.heading_pattern || DEFAULT_HEADING_PATTERN;
+        if (typeof headingPattern !== 'string') {
+            throw new InvalidQueryError('heading_pattern must be a string');
+        }
+        if (headingPattern.length > MAX_HEADING_PATTERN_LENGTH) {
+            throw new InvalidQueryError(`heading_pattern is longer than ${MAX_HEADING_PATTERN_LENGTH} characters`);
+        }
+        try {
+            new RegExp(headingPattern, 'gim');
+        } catch (error) {
+            throw new InvalidQueryError(`Invalid heading_pattern: ${error.message}`);
+        }
+
+        return { mode: spec.mode, max_tokens: maxTokens, overlap_tokens: overlapTokens, heading_pattern: headingPattern };
+    }
+
+    /**
+     * Whether a chunking spec (raw or normalized) brings its own heading
+     * pattern. The pattern runs synchronously on the whole text, so one that
+     * backtracks catastrophically stalls the process running it.
+     */
+    static hasCustomHeadingPattern(spec) {
+        return Boolean(spec && spec.heading_pattern && spec.heading_pattern !== DEFAULT_HEADING_PATTERN);
+    }
+
+    /**
+     * Chunk boundaries for a text: [{ start, end, chapter_section, token_count }].
+     * Offsets index into text; token counts are exact for each chunk.
+     */
+    plan(text, spec) {
+        const options = ChunkingService.normalize(spec);
+        const tokenizers = this.mongoService.tokenizers;
+        const wordCounts = new Map();
+        const countWord = (word) => {
+            if (!wordCounts.has(word)) {
+                wordCounts.set(word, tokenizers.countTokens(word).token_count);
+            }
+            return wordCounts.get(word);
+        };
+
+        const sections = options.mode === 'chapters'
+            ? splitChapters(text, new RegExp(options.heading_pattern, 'gim'))
+            : [{ start: 0, end: text.length, title: null }];
+
+        const chunks = [];
+        for (const section of sections) {
+            let units;
+            if (options.mode === 'tokens') {
+                units = wordUnits(text, section.start, section.end, countWord);
+            } else {
+                units = [];
+                for (const paragraph of paragraphUnits(text, section.start, section.end)) {
+                    paragraph.tokens = tokenizers.countTokens(text.slice(paragraph.start, paragraph.end)).token_count;
+                    units.push(...(paragraph.tokens > options.max_tokens
+                        ? wordUnits(text, paragraph.start, paragraph.end, countWord)
+                        : [paragraph]));
+                }
+            }
+
+            // Keep a chapter heading together with the text that follows it when both fit
+            if (section.title && units.length > 1 && units[0].end - units[0].start <= section.heading_length
+                && units[0].tokens + units[1].tokens <= options.max_tokens) {
+                units.splice(0, 2, { start: units[0].start, end: units[1].end, tokens: units[0].tokens + units[1].tokens });
+            }
+
+            for (const range of pack(units, options.max_tokens, options.overlap_tokens)) {
+                chunks.push({ ...range, chapter_section: section.title });
+            }
+        }
+
+        return chunks.map(chunk => ({
+            ...chunk,
+            token_count: tokenizers.countTokens(text.slice(chunk.start, chunk.end)).token_count
+        }));
+    }
+
+    /**
+     * Dry run for the UI: chunk boundaries with short excerpts of where each chunk starts and ends.
+     */
+    preview(text, spec) {
+        const options = ChunkingService.normalize(spec);
+        const chunks = this.plan(text, options);
+        return {
+            ...options,
+            tokenizer: this.mongoService.tokenizers.currentId(),
+            total_tokens: this.mongoService.tokenizers.countTokens(text).token_count,
+            chunks: chunks.map((chunk, index) => ({
+                ordinal: index + 1,
+                chapter_section: chunk.chapter_section,
+                start: chunk.start,
+                end: chunk.end,
+                character_count: chunk.end - chunk.start,
+                token_count: chunk.token_count,
+                starts_with: text.slice(chunk.start, Math.min(chunk.end, chunk.start + 80)),
+                ends_with: text.slice(Math.max(chunk.start, chunk.end - 80), chunk.end)
+            }))
+        };
+    }
+
+    /**
+     * Split a complete document into child documents. Children inherit every
+     * block of the parent, get their own text, counts and chapter_section, and
+     * carry a chunk block linking them to the parent document_id.
+     */
+    buildChunks(document, spec) {
+        const options = ChunkingService.normalize(spec);
+        const text = document.content_text || '';
+        const chunks = this.plan(text, options);
+        const timestamp = new Date().toISOString();
+
+        return chunks.map((chunk, index) => {
+            const child = structuredClone(document);
+            const ordinal = index + 1;
+            const contentText = text.slice(chunk.start, chunk.end);
+
+            child.document_id = `${document.document_id}_chunk_${String(ordinal).padStart(4, '0')}`;
+            child.content_text = contentText;
+            child.chunk = {
+                parent_id: document.document_id,
+                ordinal: ordinal,
+                total: chunks.length,
+                mode: options.mode,
+                max_tokens: options.max_tokens,
+                overlap_tokens: options.overlap_tokens,
+                start_offset: chunk.start
+            };
+
+            if (chunk.chapter_section) {
+                child.content_metadata = { ...child.content_metadata, chapter_section: chunk.chapter_section };
+            }
+            if (child.training_metadata) {
+                child.training_metadata.character_count = contentText.length;
+                child.training_metadata.token_count = chunk.token_count;
+            }
+            if (child.provenance && Array.isArray(child.provenance.data_lineage)) {
+                child.provenance.data_lineage.push({
+                    step: `Chunked by ${options.mode} (max ${options.max_tokens} tokens, ${options.overlap_tokens} overlap): part ${ordinal} of ${chunks.length}`,
+                    timestamp: timestamp,
+                    tool_used: 'text-corpus-tool chunking'
+                });
+            }
+            return child;
+        });
+    }
+
+    /**
+     * Insert a document as chunks. All chunks go in or none do: if one is
+     * rejected (validation, duplicate) the chunks inserted so far are removed
+     * again and the error is rethrown.
+     * Returns { parent_id, document_ids, opted_out } (chunks share the work's
+     * attribution, so the opt-out registry flags all of them or none).
+     * `actor` is recorded as the user who added the chunks.
+     */
+    async insertChunked(document, spec, { actor = null } = {}) {
+        // The raw original is kept once, under the parent id, instead of on every chunk
+        const originalText = typeof document.original_text === 'string' ? document.original_text : null;
+        delete document.original_text;
+
+        const children = this.buildChunks(document, spec);
+        const inserted = [];
+
+        try {
+            for (const child of children) {
+                await this.mongoService.insertDocument(child, { actor });
+                inserted.push(child.document_id);
+            }
+        } catch (error) {
+            for (const documentId of inserted) {
+                await this.mongoService.deleteDocument(documentId, { purge: true });
+            }
+            throw error;
+        }
+
+        if (originalText !== null) {
+            await this.mongoService.reviews.storeOriginal(document.document_id, originalText);
+        }
+
+        return {
+            parent_id: document.document_id,
+            document_ids: inserted,
+            opted_out: children.some(child => child.copyright_compliance?.opt_out_status?.has_opted_out === true)
+        };
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Sections between chapter headings. Text before the first heading becomes
+ * an untitled section of its own.
+ */
+function splitChapters(text, headingRegex) {
+    const headings = [...text.matchAll(headingRegex)].filter(match => match[0].trim());
+    const sections = [];
+
+    if (!headings.length || headings[0].index > 0) {
+        sections.push({ start: 0, end: headings.length ? headings[0].index : text.length, title: null });
+    }
+    headings.forEach((match, index) => {
+        sections.push({
+            start: match.index,
+            end: index + 1 < headings.length ? headings[index + 1].index : text.length,
+            heading_length: match[0].length,
+            title: match[0].trim().replace(/^#+\s*/, '').slice(0, MAX_CHAPTER_TITLE_LENGTH)
+        });
+    });
+
+    return sections.filter(section => text.slice(section.start, section.end).trim());
+}
+
+// Runs of non-blank lines between from and to
+function paragraphUnits(text, from, to) {
+    const units = [];
+    const regex = /[^\n]*\S[^\n]*(?:\n[^\n]*\S[^\n]*)*/g;
+    for (const match of text.slice(from, to).matchAll(regex)) {
+        units.push({ start: from + match.index, end: from + match.index + match[0].length });
+    }
+    return units;
+}
+
+function wordUnits(text, from, to, countWord) {
+    const units = [];
+    for (const match of text.slice(from, to).matchAll(/\S+/g)) {
+        units.push({ start: from + match.index, end: from + match.index + match[0].length, tokens: countWord(match[0]) });
+    }
+    return units;
+}
+
+/**
+ * Greedily pack consecutive units into ranges of at most maxTokens. Each new
+ * range starts with the trailing units of the previous one that fit in
+ * overlapTokens, but always moves forward by at least one unit.
+ */
+function pack(units, maxTokens, overlapTokens) {
+    const ranges = [];
+    let first = 0;
+
+    while (first < units.length) {
+        let next = first;
+        let tokens = 0;
+        while (next < units.length && (next === first || tokens + units[next].tokens <= maxTokens)) {
+            tokens += units[next].tokens;
+            next++;
+        }
+        ranges.push({ start: units[first].start, end: units[next - 1].end });
+
+        if (next >= units.length) {
+            break;
+        }
+
+        let overlapStart = next;
+        let overlap = 0;
+        while (overlapStart - 1 > first && overlap + units[overlapStart - 1].tokens <= overlapTokens) {
+            overlap += units[overlapStart - 1].tokens;
+            overlapStart--;
+        }
+        first = overlapStart;
+    }
+
+    return ranges;
+}
+
+module.exports = ChunkingService;
+module.exports.MODES = MODES;
+module.exports.DEFAULT_MAX_TOKENS = DEFAULT_MAX_TOKENS;
+module.exports.MAX_HEADING_PATTERN_LENGTH = MAX_HEADING_PATTERN_LENGTH;
@@ -0,0 +1,533 @@
+const MongoService = require('./MongoService');
+const OptOutService = require('./OptOutService');
+const { DocumentValidationError } = require('./DocumentValidator');
+const TextCleaning = require('../shared/textCleaning');
+const DocumentBuilder = require('../shared/documentBuilder');
+
+const { DEFAULT_CORPUS, VersionConflictError, DuplicateDocumentError, LowQualityError } = MongoService;
+
+const COLLECTION = 'corpora';
+const CORPUS_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+const LANGUAGE_PATTERN = /^([a-z]{2,3}(-[A-Z]{2})?|other)$/;
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const TRANSFER_MODES = ['copy', 'move'];
+const MAX_TRANSFER_DOCUMENTS = 1000;
+
+// Per-corpus settings; null falls back to the tool's own default
+const DEFAULT_SETTINGS = { language: null, base_model: null, cleaning_preset: null, weighting: null };
+
+// Fields a copy gets afresh instead of taking them from its source
+const COPY_RESET_FIELDS = ['_id', 'embedding', 'dedup', 'training_runs', 'review'];
+
+class InvalidCorpusError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidCorpusError';
+    }
+}
+
+class CorpusExistsError extends Error {
+    constructor(corpusId) {
+        super(`Corpus "${corpusId}" already exists`);
+        this.name = 'CorpusExistsError';
+    }
+}
+
+class CorpusNotFoundError extends Error {
+    constructor(corpusId) {
+        super(`No corpus "${corpusId}"`);
+        this.name = 'CorpusNotFoundError';
+    }
+}
+
+class CorpusNotEmptyError extends Error {
+    constructor(corpusId, count) {
+        super(`Corpus "${corpusId}" still holds ${count} document(s); move or delete them first`);
+        this.name = 'CorpusNotEmptyError';
+        this.count = count;
+    }
+}
+
+/**
+ * Named corpora (projects) kept side by side in one storage. Each corpus
+ * has its own documents collection and defaults for new documents: language,
+ * base model (tokenizer), cleaning preset and weighting. Everything else -
+ * users, the opt-out registry, revisions, originals, jobs and training runs -
+ * is shared, with jobs and training runs tagged with their corpus.
+ *
+ * The documents stored before corpora existed form the "default" corpus,
+ * which is registered on first use and cannot be deleted.
+ *
+ * resolve() hands out one MongoService per corpus, built on the base
+ * service's storage, so the document services work on a corpus unchanged.
+ */
+class CorpusService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+        this.services = new Map();
+        this.indexed = false;
+    }
+
+    async collection() {
+        const db = await this.mongoService.connect();
+        const corpora = db.collection(COLLECTION);
+
+        if (!this.indexed) {
+            await corpora.createIndexes([
+                { key: { corpus_id: 1 }, name: 'corpus_id', unique: true }
+            ]);
+            try {
+                await corpora.updateOne(
+                    { corpus_id: DEFAULT_CORPUS },
+                    {
+                        $setOnInsert: {
+                            name: 'Default corpus',
+                            description: null,
+                            collection: this.mongoService.collectionName,
+                            defaults: { ...DEFAULT_SETTINGS },
+                            created_by: null,
+                            created_at: new Date(),
+                            updated_at: new Date()
+                        }
+                    },
+                    { upsert: true }
+                );
+            } catch (error) {
+                // Another process registered it at the same time
+                if (error.code !== 11000) {
+                    throw error;
+                }
+            }
+            this.indexed = true;
+        }
+        return corpora;
+    }
+
+    /**
+     * Corpora oldest first. withCounts adds each corpus's document_count.
+     */
+    async listCorpora({ withCounts = false } = {}) {
+        const corpora = await this.collection();
+        const list = await corpora.find({}, { projection: { _id: 0 } }).sort({ created_at: 1 }).toArray();
+
+        if (withCounts) {
+            for (const corpus of list) {
+                const { mongoService } = await this.resolve(corpus);
+                corpus.document_count = await mongoService.countDocuments();
+            }
+        }
+        return list;
+    }
+
+    async getCorpus(corpusId) {
+        const corpora = await this.collection();
+        return await corpora.findOne({ corpus_id: corpusId }, { projection: { _id: 0 } });
+    }
+
+    /**
+     * Create a corpus from { corpus_id, name, description, defaults }. Its
+     * documents go to their own collection next to the default one.
+     */
+    async createCorpus(raw = {}, { actor = null } = {}) {
+        const corpusId = typeof raw.corpus_id === 'string' ? raw.corpus_id.trim() : '';
+        if (!CORPUS_ID_PATTERN.test(corpusId)) {
+            throw new InvalidCorpusError('corpus_id must be 1-50 lowercase letters, digits, "-" or "_", starting with a letter or digit');
+        }
+
+        const now = new Date();
+        const corpus = {
+            corpus_id: corpusId,
+            ...validateCorpus(raw),
+            collection: `${this.mongoService.collectionName}.${corpusId}`,
+            created_by: actor || 'unknown',
+            created_at: now,
+            updated_at: now
+        };
+
+        const corpora = await this.collection();
+        try {
+            await corpora.insertOne({ ...corpus });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new CorpusExistsError(corpusId);
+            }
+            throw error;
+        }
+        return corpus;
+    }
+
+    /**
+     * Change a corpus's name, description or defaults (given defaults are
+     * merged into the current ones). Returns the updated corpus or null.
+     */
+    async updateCorpus(corpusId, raw = {}) {
+        const existing = await this.getCorpus(corpusId);
+        if (!existing) {
+            return null;
+        }
+
+        const fields = validateCorpus({
+            name: raw.name !== undefined ? raw.name : existing.name,
+            description: raw.description !== undefined ? raw.description : existing.description,
+            defaults: { ...existing.defaults, ...raw.defaults }
+        });
+
+        const corpora = await this.collection();
+        return await corpora.findOneAndUpdate(
+            { corpus_id: corpusId },
+            { $set: { ...fields, updated_at: new Date() } },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+    }
+
+    /**
+     * Delete an empty corpus. Returns the deleted corpus or null.
+     */
+    async deleteCorpus(corpusId) {
+        if (corpusId === DEFAULT_CORPUS) {
+            throw new InvalidCorpusError('The default corpus cannot be deleted');
+        }
+        const existing = await this.getCorpus(corpusId);
+        if (!existing) {
+            return null;
+        }
+
+        const { mongoService } = await this.resolve(existing);
+        const count = await mongoService.countDocuments();
+        if (count > 0) {
+            throw new CorpusNotEmptyError(corpusId, count);
+        }
+
+        const corpora = await this.collection();
+        const deleted = await corpora.findOneAndDelete({ corpus_id: corpusId }, { projection: { _id: 0 } });
+        this.services.delete(corpusId);
+        return deleted;
+    }
+
+    /**
+     * A corpus (by id, or an already loaded one) and the MongoService working
+     * on its documents. Throws CorpusNotFoundError.
+     */
+    async resolve(corpusOrId) {
+        const corpus = typeof corpusOrId === 'string' ? await this.getCorpus(corpusOrId) : corpusOrId;
+        if (!corpus) {
+            throw new CorpusNotFoundError(corpusOrId);
+        }
+
+        const base = this.mongoService;
+        const baseModel = corpus.defaults?.base_model || base.tokenizers.baseModel;
+        const cached = this.services.get(corpus.corpus_id);
+        if (cached && cached.collectionName === corpus.collection && cached.tokenizers.baseModel === baseModel) {
+            return { corpus: corpus, mongoService: cached };
+        }
+
+        const mongoService = new MongoService(null, {
+            logger: base.logger,
+            storage: base.storage,
+            corpus: corpus.corpus_id,
+            collection: corpus.collection,
+            duplicateThreshold: base.duplicateThreshold,
+            tokenizers: base.tokenizers.forBaseModel(baseModel),
+            quality: base.quality,
+            embeddings: base.embeddings
+        });
+        this.services.set(corpus.corpus_id, mongoService);
+        return { corpus: corpus, mongoService: mongoService };
+    }
+
+    /**
+     * The cleaning spec for text added to a corpus: the cleaning options
+     * given (see TextCleaning.specFromOptions), else the corpus's preset.
+     * null leaves the choice to the content type.
+     */
+    static cleaningSpec(corpus, options = {}) {
+        const spec = TextCleaning.specFromOptions(options);
+        if (spec || !corpus.defaults?.cleaning_preset) {
+            return spec;
+        }
+        return { preset: corpus.defaults.cleaning_preset };
+    }
+
+    /**
+     * Metadata a corpus fills in where a new document leaves it unset, as
+     * flat fields (see DocumentBuilder.buildDocument and import defaults).
+     */
+    static metadataDefaults(corpus) {
+        const defaults = corpus.defaults || {};
+        return {
+            ...(defaults.language && { language: defaults.language }),
+            ...(defaults.weighting && { weighting: defaults.weighting })
+        };
+    }
+
+    /**
+     * The same defaults for a complete document, filled in where it has none.
+     */
+    static applyDefaults(document, corpus) {
+        const { language, weighting } = CorpusService.metadataDefaults(corpus);
+        if (language && isPlainObject(document.content_metadata) && !document.content_metadata.language) {
+            document.content_metadata.language = language;
+        }
+        if (weighting && isPlainObject(document.training_metadata) && !document.training_metadata.weighting) {
+            document.training_metadata.weighting = weighting;
+        }
+        return document;
+    }
+
+    // ========================================================================
+    // OPT-OUTS
+    // ========================================================================
+    // The registry is shared, so entries apply to the documents of every corpus
+
+    async addOptOut(raw = {}) {
+        const entry = await this.mongoService.optOuts.registerEntry(raw);
+        let flagged = 0;
+        for (const mongoService of await this.allServices()) {
+            flagged += await mongoService.optOuts.flagMatchingDocuments(entry);
+        }
+        return { entry: entry, flagged: flagged };
+    }
+
+    async removeOptOut(entryId) {
+        const entry = await this.mongoService.optOuts.unregisterEntry(entryId);
+        if (!entry) {
+            return null;
+        }
+
+        let unflagged = 0;
+        for (const mongoService of await this.allServices()) {
+            unflagged += (await mongoService.optOuts.recheckDocuments(OptOutService.flaggedBy(entryId))).unflagged;
+        }
+        return { entry: entry, unflagged: unflagged };
+    }
+
+    async recheckOptOuts() {
+        const summary = { scanned: 0, flagged: 0, unflagged: 0, skipped: 0 };
+        for (const mongoService of await this.allServices()) {
+            const counts = await mongoService.optOuts.recheckDocuments();
+            for (const key of Object.keys(summary)) {
+                summary[key] += counts[key];
+            }
+        }
+        return summary;
+    }
+
+    async allServices() {
+        const services = [];
+        for (const corpus of await this.listCorpora()) {
+            services.push((await this.resolve(corpus)).mongoService);
+        }
+        return services;
+    }
+
+    // ========================================================================
+    // COPY AND MOVE
+    // ========================================================================
+
+    /**
+     * Copy or move documents from one corpus to another, keeping their
+     * provenance and recording the transfer as a lineage step.
+     *
+     * A copy is a new document (new id, version 1) entering review like any
+     * other; its source is left alone. A move keeps the document id, review
+     * state and revision history and removes the document from its source.
+     * Both are checked for near-duplicates in the target corpus.
+     *
+     * Returns { summary: { total, transferred, duplicate, rejected, missing,
+     * conflict }, items: [...] }, like an import report.
+     */
+    async transferDocuments(fromId, toId, documentIds, { mode = 'copy', actor = null } = {}) {
+        if (!TRANSFER_MODES.includes(mode)) {
+            throw new InvalidCorpusError(`mode must be one of: ${TRANSFER_MODES.join(', ')}`);
+        }
+        if (!Array.isArray(documentIds) || !documentIds.length || documentIds.length > MAX_TRANSFER_DOCUMENTS
+            || !documentIds.every(id => typeof id === 'string' && id)) {
+            throw new InvalidCorpusError(`document_ids must list 1 to ${MAX_TRANSFER_DOCUMENTS} document ids`);
+        }
+        if (fromId === toId) {
+            throw new InvalidCorpusError('Documents can only be copied or moved to another corpus');
+        }
+
+        const from = await this.resolve(fromId);
+        const to = await this.resolve(toId);
+        const results = [];
+
+        for (const documentId of [...new Set(documentIds)]) {
+            results.push(await this.transferDocument(from, to, documentId, mode, actor));
+        }
+
+        const count = (status) => results.filter(result => result.status === status).length;
+        return {
+            summary: {
+                total: results.length,
+                transferred: count('transferred'),
+                duplicate: count('duplicate'),
+                rejected: count('rejected'),
+                missing: count('missing'),
+                conflict: count('conflict')
+            },
+            items: results
+        };
+    }
+
+    async transferDocument(from, to, documentId, mode, actor) {
+        const result = { document_id: documentId };
+        const source = await from.mongoService.getDocumentById(documentId);
+        if (!source) {
+            return { ...result, status: 'missing', error: `No document ${documentId} in corpus "${from.corpus.corpus_id}"` };
+        }
+
+        const now = new Date();
+        const document = mode === 'copy'
+            ? await copyOf(source, from.mongoService, now)
+            : { ...source, version: (source.version || 1) + 1, updated_at: now };
+        delete document._id;
+
+        const verb = mode === 'copy' ? 'Copied' : 'Moved';
+        if (document.provenance && Array.isArray(document.provenance.data_lineage)) {
+            document.provenance.data_lineage = [...document.provenance.data_lineage, {
+                step: `${verb} from corpus "${from.corpus.corpus_id}"`,
+                timestamp: now.toISOString(),
+                tool_used: DocumentBuilder.TOOL_NAME,
+                performed_by: actor || 'unknown',
+                source: { corpus: from.corpus.corpus_id, document_id: source.document_id, version: source.version }
+            }];
+        }
+        result.title = document.attribution?.title;
+
+        try {
+            await to.mongoService.insertDocument(document, { actor, transfer: mode });
+        } catch (error) {
+            if (error instanceof DocumentValidationError) {
+                return { ...result, status: 'rejected', error: error.message, details: error.details };
+            }
+            if (error instanceof LowQualityError) {
+                return { ...result, status: 'rejected', error: error.message, quality_issues: error.quality.issues };
+            }
+            if (error instanceof DuplicateDocumentError) {
+                return { ...result, status: 'duplicate', error: error.message, duplicate_of: error.match, similarity: error.similarity };
+            }
+            if (error.message.includes('already exists')) {
+                return { ...result, status: 'duplicate', error: error.message };
+            }
+            throw error;
+        }
+
+        if (mode === 'move') {
+            // Only the version that was copied over may be removed; an edit made meanwhile undoes the move
+            const sourceDocuments = await from.mongoService.documents();
+            const removed = await sourceDocuments.deleteOne({ document_id: documentId, version: source.version });
+            if (removed.deletedCount === 0) {
+                await (await to.mongoService.documents()).deleteOne({ document_id: documentId });
+                const current = await from.mongoService.getDocumentById(documentId);
+                const conflict = new VersionConflictError(documentId, source.version, current ? current.version : null);
+                await to.mongoService.audit.record('delete', {
+                    actor: actor,
+                    documentId: documentId,
+                    version: document.version,
+                    summary: { reason: `Move undone: ${conflict.message}` }
+                });
+                return { ...result, status: 'conflict', error: conflict.message };
+            }
+            await to.mongoService.revisions.record(source, document, { action: 'move', actor });
+            // The insert above is the target corpus's entry; this one records the document leaving
+            await from.mongoService.audit.record('move', {
+                actor: actor,
+                documentId: documentId,
+                version: source.version,
+                summary: { target: { corpus: to.corpus.corpus_id, document_id: documentId, version: document.version } }
+            });
+        }
+
+        return { ...result, status: 'transferred', ...(mode === 'copy' && { copied_to: document.document_id }) };
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function validateCorpus(raw) {
+    const text = (value) => typeof value === 'string' ? value.trim() : '';
+
+    const name = text(raw.name);
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw new InvalidCorpusError(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+    }
+    const description = text(raw.description) || null;
+    if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new InvalidCorpusError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+
+    return { name: name, description: description, defaults: validateDefaults(raw.defaults || {}) };
+}
+
+function validateDefaults(raw) {
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new InvalidCorpusError('defaults must be an object');
+    }
+    const unknown = Object.keys(raw).filter(key => !(key in DEFAULT_SETTINGS));
+    if (unknown.length) {
+        throw new InvalidCorpusError(`Unknown defaults: ${unknown.join(', ')} (expected ${Object.keys(DEFAULT_SETTINGS).join(', ')})`);
+    }
+
+    const value = (key) => raw[key] === undefined || raw[key] === null || raw[key] === '' ? null : raw[key];
+    const defaults = { ...DEFAULT_SETTINGS };
+
+    if (value('language') !== null) {
+        if (!LANGUAGE_PATTERN.test(String(raw.language))) {
+            throw new InvalidCorpusError('defaults.language must be an ISO 639 code (e.g. "en" or "pt-BR") or "other"');
+        }
+        defaults.language = String(raw.language);
+    }
+    if (value('base_model') !== null) {
+        const baseModel = String(raw.base_model).trim();
+        if (!baseModel || baseModel.length > 100) {
+            throw new InvalidCorpusError('defaults.base_model must be a model name of at most 100 characters');
+        }
+        defaults.base_model = baseModel;
+    }
+    if (value('cleaning_preset') !== null) {
+        if (!TextCleaning.PRESETS[raw.cleaning_preset]) {
+            throw new InvalidCorpusError(`defaults.cleaning_preset must be one of: ${Object.keys(TextCleaning.PRESETS).join(', ')}`);
+        }
+        defaults.cleaning_preset = raw.cleaning_preset;
+    }
+    if (value('weighting') !== null) {
+        const weighting = Number(raw.weighting);
+        if (!Number.isInteger(weighting) || weighting < 1 || weighting > 5) {
+            throw new InvalidCorpusError('defaults.weighting must be an integer from 1 to 5');
+        }
+        defaults.weighting = weighting;
+    }
+    return defaults;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A new document with the source's content and provenance; the raw original comes along if it is its own
+async function copyOf(source, mongoService, now) {
+    const document = { ...source };
+    for (const field of COPY_RESET_FIELDS) {
+        delete document[field];
+    }
+    Object.assign(document, { document_id: DocumentBuilder.generateDocumentId(), version: 1, created_at: now, updated_at: now });
+
+    if (!source.chunk?.parent_id) {
+        const original = await mongoService.reviews.getOriginal(source);
+        if (original) {
+            document.original_text = original.text;
+        }
+    }
+    return document;
+}
+
+module.exports = CorpusService;
+module.exports.COLLECTION = COLLECTION;
+module.exports.InvalidCorpusError = InvalidCorpusError;
+module.exports.CorpusExistsError = CorpusExistsError;
+module.exports.CorpusNotFoundError = CorpusNotFoundError;
+module.exports.CorpusNotEmptyError = CorpusNotEmptyError;
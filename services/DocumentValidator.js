@@ -0,0 +1,73 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const schema = require('../artifacts/corpusDocument.schema.json');
+
+// The schema version is carried in the $id so there is a single source of truth
+const SCHEMA_VERSION = schema.$id.match(/\/(\d+\.\d+\.\d+)\//)[1];
+
+class DocumentValidationError extends Error {
+    constructor(details) {
+        super('Document failed schema validation');
+        this.name = 'DocumentValidationError';
+        this.details = details;
+        this.schemaVersion = SCHEMA_VERSION;
+    }
+}
+
+class DocumentValidator {
+    constructor() {
+        const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+        addFormats(ajv);
+        this.validateFn = ajv.compile(schema);
+    }
+
+    /**
+     * Validate a document against the current schema.
+     * Dates and ObjectIds are serialized first so documents read back from
+     * MongoDB validate the same way as JSON request bodies.
+     */
+    validate(document) {
+        const plain = JSON.parse(JSON.stringify(document));
+        const valid = this.validateFn(plain);
+
+        return {
+            valid,
+            errors: valid ? [] : this.validateFn.errors.map(formatError)
+        };
+    }
+
+    /**
+     * Stamp the current schema version and throw a DocumentValidationError
+     * listing every failing field if the document does not conform.
+     */
+    assertValid(document) {
+        document.schema_version = SCHEMA_VERSION;
+
+        const { valid, errors } = this.validate(document);
+        if (!valid) {
+            throw new DocumentValidationError(errors);
+        }
+        return document;
+    }
+}
+
+function formatError(error) {
+    let field = error.instancePath || '/';
+
+    // Point missing/unexpected properties at the property itself, not its parent
+    if (error.keyword === 'required') {
+        field = `${error.instancePath}/${error.params.missingProperty}`;
+    } else if (error.keyword === 'additionalProperties') {
+        field = `${error.instancePath}/${error.params.additionalProperty}`;
+    }
+
+    return {
+        field: field,
+        message: error.keyword === 'additionalProperties' ? 'is not an allowed property' : error.message,
+        keyword: error.keyword
+    };
+}
+
+module.exports = DocumentValidator;
+module.exports.DocumentValidationError = DocumentValidationError;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
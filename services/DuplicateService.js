@@ -0,0 +1,118 @@
+const MinHash = require('./MinHash');
+
+/**
+ * Corpus-wide near-duplicate report. Documents are bucketed by their LSH
+ * band keys, candidate pairs inside a bucket are confirmed against the
+ * similarity threshold, and confirmed pairs are merged into clusters.
+ */
+class DuplicateService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+    }
+
+    async clusterReport({ threshold = this.mongoService.duplicateThreshold } = {}) {
+        const entries = [];
+        const summaryProjection = { document_id: 1, 'attribution.title': 1, 'attribution.author': 1, 'chunk.parent_id': 1, created_at: 1 };
+
+        // Documents that already carry a compatible signature
+        for await (const doc of this.mongoService.iterateDocuments(
+            { 'dedup.algorithm': MinHash.ALGORITHM, 'dedup.shingle_size': MinHash.SHINGLE_SIZE },
+            { projection: { ...summaryProjection, dedup: 1 } }
+        )) {
+            entries.push(toEntry(doc, doc.dedup));
+        }
+
+        // Older documents (or ones signed with other parameters) are signed on the fly
+        for await (const doc of this.mongoService.iterateDocuments(
+            { $or: [{ 'dedup.algorithm': { $ne: MinHash.ALGORITHM } }, { 'dedup.shingle_size': { $ne: MinHash.SHINGLE_SIZE } }] },
+            { projection: { ...summaryProjection, content_text: 1 } }
+        )) {
+            entries.push(toEntry(doc, MinHash.createDedupInfo(doc.content_text)));
+        }
+
+        const buckets = new Map();
+        entries.forEach((entry, index) => {
+            for (const band of entry.bands) {
+                if (!buckets.has(band)) buckets.set(band, []);
+                buckets.get(band).push(index);
+            }
+        });
+
+        const parent = entries.map((_, index) => index);
+        const find = (index) => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+
+        const checked = new Set();
+        const pairs = [];
+        for (const members of buckets.values()) {
+            for (let i = 0; i < members.length; i++) {
+                for (let j = i + 1; j < members.length; j++) {
+                    const a = members[i];
+                    const b = members[j];
+                    const key = `${a}:${b}`;
+                    if (checked.has(key)) continue;
+                    checked.add(key);
+
+                    // Chunks of the same work may legitimately repeat passages
+                    if (entries[a].parentId && entries[a].parentId === entries[b].parentId) continue;
+
+                    const score = MinHash.similarity(entries[a].signature, entries[b].signature);
+                    if (score >= threshold) {
+                        pairs.push({ a, b, similarity: score });
+                        parent[find(a)] = find(b);
+                    }
+                }
+            }
+        }
+
+        const clusters = new Map();
+        for (const pair of pairs) {
+            const root = find(pair.a);
+            if (!clusters.has(root)) clusters.set(root, { members: new Set(), pairs: [] });
+            const cluster = clusters.get(root);
+            cluster.members.add(pair.a).add(pair.b);
+            cluster.pairs.push(pair);
+        }
+
+        const report = [...clusters.values()]
+            .map(cluster => ({
+                size: cluster.members.size,
+                max_similarity: Math.max(...cluster.pairs.map(pair => pair.similarity)),
+                documents: [...cluster.members].map(index => entries[index].summary),
+                pairs: cluster.pairs.map(pair => ({
+                    document_ids: [entries[pair.a].summary.document_id, entries[pair.b].summary.document_id],
+                    similarity: pair.similarity
+                }))
+            }))
+            .sort((x, y) => y.size - x.size || y.max_similarity - x.max_similarity);
+
+        return {
+            generated_at: new Date().toISOString(),
+            threshold: threshold,
+            documents_scanned: entries.length,
+            duplicate_documents: report.reduce((sum, cluster) => sum + cluster.size, 0),
+            clusters: report
+        };
+    }
+}
+
+function toEntry(doc, dedup) {
+    return {
+        summary: {
+            document_id: doc.document_id,
+            title: doc.attribution?.title,
+            author: doc.attribution?.author,
+            created_at: doc.created_at
+        },
+        parentId: doc.chunk?.parent_id || null,
+        signature: dedup.signature,
+        bands: dedup.bands
+    };
+}
+
+module.exports = DuplicateService;
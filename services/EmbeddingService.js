@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const PROVIDERS = ['hashing', 'http'];
+// What similarity between two vectors means: shared words for hashing, meaning for a model
+const MATCHING = { hashing: 'lexical', http: 'semantic' };
+
+// Feature-hashing embedder: no model files, no network, deterministic
+const HASHING_VERSION = 1;
+const DEFAULT_HASHING_DIMENSIONS = 512;
+const HASHING_MAX_CHARACTERS = 200000;
+
+// Text sent to an embedding server is cut to this many characters (model context limits)
+const DEFAULT_MAX_CHARACTERS = 8000;
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const DEFAULT_TAXONOMY_FILE = path.join(__dirname, '..', 'artifacts', 'topicTaxonomy.json');
+const DEFAULT_TOPIC_LIMIT = 3;
+
+// Dropped before hashing so shared function words do not make every text look alike
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below between both
+but by can could did do does doing down during each few for from further had has have having he her here hers
+herself him himself his how i if in into is it its itself just me more most my myself no nor not now of off on once
+only or other our ours ourselves out over own same she should so some such than that the their theirs them
+themselves then there these they this those through to too under until up very was we were what when where which
+while who whom why will with would you your yours yourself yourselves
+`.trim().split(/\s+/));
+
+class EmbeddingConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EmbeddingConfigError';
+    }
+}
+
+class EmbeddingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EmbeddingError';
+    }
+}
+
+/**
+ * Text embeddings for vector search and topic suggestions.
+ *
+ * EMBEDDING_PROVIDER selects how vectors are made:
+ *   hashing (default)  offline feature hashing of word unigrams and bigrams
+ *                      (EMBEDDING_DIMENSIONS, default 512). Lexical: finds
+ *                      texts that share vocabulary, not synonyms or
+ *                      paraphrases; needs nothing installed.
+ *   http               an OpenAI-compatible /embeddings endpoint at
+ *                      EMBEDDING_URL running EMBEDDING_MODEL, e.g. a local
+ *                      Ollama or text-embeddings-inference server on the CPU.
+ *                      Semantic: similarity follows meaning.
+ *
+ * matching() says which of the two a search or suggestion gets, so the API
+ * and UI do not present lexical matches as semantic ones.
+ *
+ * Vectors are L2-normalized and stored on each document as
+ * embedding: { model, dimensions, vector }. The model id changes with the
+ * provider, model or dimensions, so vectors made another way are ignored by
+ * search and recomputed by MongoService.recomputeEmbeddings().
+ *
+ * Topic suggestions compare a text with the topics of a taxonomy
+ * (TOPIC_TAXONOMY_FILE, default artifacts/topicTaxonomy.json), each embedded
+ * from its label and description.
+ */
+class EmbeddingService {
+    constructor({ provider = null, url = null, model = null, dimensions = null, maxCharacters = null, taxonomyFile = null, logger = console } = {}) {
+        this.provider = provider || process.env.EMBEDDING_PROVIDER || 'hashing';
+        if (!PROVIDERS.includes(this.provider)) {
+            throw new EmbeddingConfigError(`EMBEDDING_PROVIDER must be one of: ${PROVIDERS.join(', ')}`);
+        }
+
+        this.url = url || process.env.EMBEDDING_URL || null;
+        this.model = model || process.env.EMBEDDING_MODEL || null;
+        if (this.provider === 'http' && (!this.url || !this.model)) {
+            throw new EmbeddingConfigError('The http embedding provider needs EMBEDDING_URL and EMBEDDING_MODEL');
+        }
+
+        this.dimensions = this.provider === 'hashing'
+            ? parseInt(dimensions || process.env.EMBEDDING_DIMENSIONS) || DEFAULT_HASHING_DIMENSIONS
+            : null;  // whatever the model returns
+        this.maxCharacters = maxCharacters || parseInt(process.env.EMBEDDING_MAX_CHARACTERS) || DEFAULT_MAX_CHARACTERS;
+        this.taxonomyFile = taxonomyFile || process.env.TOPIC_TAXONOMY_FILE || DEFAULT_TAXONOMY_FILE;
+        this.logger = logger;
+        this.taxonomy = null;
+        this.topicVectors = null;
+    }
+
+    /**
+     * Id recorded with every stored vector; vectors with another id are stale.
+     */
+    currentId() {
+        return this.provider === 'hashing'
+            ? `hashing-${this.dimensions}@${HASHING_VERSION}`
+            : `http:${this.model}`;
+    }
+
+    // 'lexical' (hashing) or 'semantic' (an embedding model)
+    matching() {
+        return MATCHING[this.provider];
+    }
+
+    describe() {
+        return {
+            provider: this.provider,
+            matching: this.matching(),
+            model: this.currentId(),
+            dimensions: this.dimensions,
+            ...(this.provider === 'http' && { url: this.url }),
+            taxonomy: { file: this.taxonomyFile, topics: this.getTaxonomy().topics.length }
+        };
+    }
+
+    /**
+     * Embed a list of texts. Returns one normalized vector per text.
+     * Throws EmbeddingError when the embedding server fails.
+     */
+    async embed(texts) {
+        if (this.provider === 'hashing') {
+            return texts.map(text => hashingVector(text, this.dimensions));
+        }
+
+        let response;
+        try {
+            response = await axios.post(this.url, {
+                model: this.model,
+                input: texts.map(text => String(text || '').slice(0, this.maxCharacters))
+            }, { timeout: DEFAULT_TIMEOUT_MS });
+        } catch (error) {
+            throw new EmbeddingError(`Embedding server at ${this.url} failed: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+        }
+
+        const data = response.data && Array.isArray(response.data.data) ? response.data.data : null;
+        if (!data || data.length !== texts.length || !data.every(item => Array.isArray(item.embedding))) {
+            throw new EmbeddingError(`Embedding server at ${this.url} returned an unexpected response`);
+        }
+        return data
+            .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+            .map(item => normalize(item.embedding));
+    }
+
+    /**
+     * The embedding block stored with a document, or null (logged) when the
+     * embedding server is unavailable, so inserts and edits never fail on it
+     * and the document is embedded by the next recompute instead.
+     */
+    async embedDocument(text) {
+        try {
+            const [vector] = await this.embed([text]);
+            return { model: this.currentId(), dimensions: vector.length, vector: vector.map(round) };
+        } catch (error) {
+            if (!(error instanceof EmbeddingError)) throw error;
+            this.logger.warn('Document left without an embedding until the next recompute', {
+                event: 'embedding_failed',
+                provider: this.provider,
+                model: this.model,
+                error: error
+            });
+            return null;
+        }
+    }
+
+    static similarity(a, b) {
+        if (!a || !b || a.length !== b.length) {
+            return 0;
+        }
+        let dot = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+        }
+        return dot;
+    }
+
+    // ========================================================================
+    // TOPICS
+    // ========================================================================
+
+    /**
+     * The topic taxonomy: { min_score, topics: [{ id, label, description }] }.
+     * Topic ids are what ends up in content_metadata.topic_category.
+     */
+    getTaxonomy() {
+        if (!this.taxonomy) {
+            this.taxonomy = loadTaxonomy(this.taxonomyFile);
+        }
+        return this.taxonomy;
+    }
+
+    /**
+     * Topics of the taxonomy closest to a text, best first:
+     * [{ id, label, score }] with at most `limit` topics scoring at least
+     * minScore (default: the taxonomy's min_score).
+     */
+    async suggestTopics(text, { limit = DEFAULT_TOPIC_LIMIT, minScore = null } = {}) {
+        const taxonomy = this.getTaxonomy();
+        if (!this.topicVectors || this.topicVectors.model !== this.currentId()) {
+            const vectors = await this.embed(taxonomy.topics.map(topic => `${topic.label}. ${topic.description || ''}`));
+            this.topicVectors = { model: this.currentId(), vectors: vectors };
+        }
+
+        const [vector] = await this.embed([text]);
+        const threshold = minScore ?? taxonomy.min_score;
+        return taxonomy.topics
+            .map((topic, i) => ({ id: topic.id, label: topic.label, score: round(EmbeddingService.similarity(vector, this.topicVectors.vectors[i])) }))
+            .filter(topic => topic.score >= threshold)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+// ============================================================================
+// HASHING EMBEDDER
+// ============================================================================
+
+function terms(text) {
+    const words = String(text || '').slice(0, HASHING_MAX_CHARACTERS).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return words.filter(word => word.length > 1 && !STOPWORDS.has(word)).map(stem);
+}
+
+// Light English suffix stripping so "networks" and "network" share a feature
+function stem(word) {
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+// 32-bit FNV-1a
+function hash(feature) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+        h ^= feature.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Sublinear term frequencies of unigrams and (half-weighted) bigrams, hashed
+ * into `dimensions` buckets with a hash-derived sign so collisions cancel out
+ * on average instead of piling up.
+ */
+function hashingVector(text, dimensions) {
+    const words = terms(text);
+    const counts = new Map();
+    for (let i = 0; i < words.length; i++) {
+        counts.set(words[i], (counts.get(words[i]) || 0) + 1);
+        if (i + 1 < words.length) {
+            const bigram = `${words[i]} ${words[i + 1]}`;
+            counts.set(bigram, (counts.get(bigram) || 0) + 1);
+        }
+    }
+
+    const vector = new Array(dimensions).fill(0);
+    for (const [feature, count] of counts) {
+        const h = hash(feature);
+        const weight = (1 + Math.log(count)) * (feature.includes(' ') ? 0.5 : 1);
+        vector[h % dimensions] += (h >>> 31) ? -weight : weight;
+    }
+    return normalize(vector);
+}
+
+function normalize(vector) {
+    const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return length ? vector.map(value => value / length) : vector.map(() => 0);
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+function loadTaxonomy(file) {
+    let taxonomy;
+    try {
+        taxonomy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new EmbeddingConfigError(`Cannot read topic taxonomy ${file}: ${error.message}`);
+    }
+
+    const topics = Array.isArray(taxonomy) ? taxonomy : taxonomy.topics;
+    if (!Array.isArray(topics) || !topics.every(topic => topic && typeof topic.id === 'string' && topic.id.length <= 50 && typeof topic.label === 'string')) {
+        throw new EmbeddingConfigError(`Topic taxonomy ${file} must list topics as { id (at most 50 characters), label, description }`);
+    }
+    return { min_score: typeof taxonomy.min_score === 'number' ? taxonomy.min_score : 0.1, topics: topics };
+}
+
+module.exports = EmbeddingService;
+module.exports.EmbeddingConfigError = EmbeddingConfigError;
+module.exports.EmbeddingError = EmbeddingError;
+module.exports.PROVIDERS = PROVIDERS;
+module.exports.MATCHING = MATCHING;
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { InvalidQueryError } = require('./MongoService');
+
+const FORMATS = ['jsonl', 'text'];
+// Columnar formats asked for by name; there is no writer for them, so they are refused rather than written as JSONL
+const COLUMNAR_FORMATS = ['parquet', 'arrow', 'columnar'];
+const DEFAULT_SEPARATOR = '\n\n<|endoftext|>\n\n';
+
+/**
+ * Streams trainable documents out of the corpus as JSONL
+ * ({"text": ..., "meta": ...} per line) or plain text with separators,
+ * either to a single stream or to a directory of numbered shards.
+ */
+class ExportService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+    }
+
+    /**
+     * Normalize export options coming from query parameters or CLI flags.
+     * Every value may be a string; throws InvalidQueryError on bad input.
+     */
+    static parseOptions(raw = {}) {
+        const list = (value) => value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : undefined;
+        const flag = (value) => value === true || value === 'true' || value === '1';
+
+        const format = raw.format || 'jsonl';
+        assertFormat(format);
+
+        const filters = {
+            content_type: list(raw.content_type),
+            language: list(raw.language),
+            training_run: raw.training_run ? String(raw.training_run) : undefined
+        };
+
+        for (const key of ['weight_min', 'weight_max']) {
+            if (raw[key] !== undefined) {
+                const weight = Number(raw[key]);
+                if (!Number.isFinite(weight)) {
+                    throw new InvalidQueryError(`${key} must be a number`);
+                }
+                filters[key] = weight;
+            }
+        }
+
+        for (const key of ['created_from', 'created_to']) {
+            if (raw[key] !== undefined) {
+                const date = new Date(raw[key]);
+                if (isNaN(date.getTime())) {
+                    throw new InvalidQueryError(`${key} must be an ISO 8601 date`);
+                }
+                filters[key] = date;
+            }
+        }
+
+        let shardSize = null;
+        if (raw.shard_size !== undefined) {
+            shardSize = parseInt(raw.shard_size);
+            if (!Number.isInteger(shardSize) || shardSize < 1) {
+                throw new InvalidQueryError('shard_size must be a positive number of records');
+            }
+        }
+
+        return {
+            filters: filters,
+            options: {
+                format: format,
+                upsample: flag(raw.upsample),
+                separator: raw.separator !== undefined ? unescapeSeparator(String(raw.separator)) : DEFAULT_SEPARATOR,
+                shardSize: shardSize
+            }
+        };
+    }
+
+    /**
+     * Build the query for trainable documents: the caller's filters, limited
+     * to documents approved in review and cleared for training (not opted
+     * out, with a license or copyright exception that allows training).
+     */
+    buildQuery(filters = {}) {
+        return {
+            ...this.mongoService.buildDocumentQuery({ ...filters, cleared: true }),
+            'training_metadata.processing_status': 'approved'
+        };
+    }
+
+    async countDocuments(filters = {}) {
+        return await this.mongoService.countDocuments(this.buildQuery(filters));
+    }
+
+    /**
+     * Documents matching the filters that are approved but left out because
+     * they are not cleared (opted out, or no license or exception).
+     */
+    async countExcluded(filters = {}) {
+        return await this.mongoService.countDocuments({
+            ...this.mongoService.buildDocumentQuery({ ...filters, cleared: false }),
+            'training_metadata.processing_status': 'approved'
+        });
+    }
+
+    /**
+     * Yield export records as formatted strings. With upsampling a document
+     * is emitted once per point of training_metadata.weighting.
+     * options.onDocument is called after each document's records.
+     */
+    async *records(filters = {}, options = {}) {
+        const { format = 'jsonl', upsample = false, separator = DEFAULT_SEPARATOR, onDocument = null } = options;
+        assertFormat(format);
+
+        for await (const document of this.mongoService.iterateDocuments(this.buildQuery(filters))) {
+            const record = formatRecord(document, format, separator);
+            const copies = upsample ? Math.max(1, Math.round(document.training_metadata.weighting || 1)) : 1;
+
+            for (let i = 0; i < copies; i++) {
+                yield record;
+            }
+            if (onDocument) {
+                onDocument();
+            }
+        }
+    }
+
+    /**
+     * Write all records to a writable stream, honoring backpressure.
+     * The export is recorded in the audit log as made by options.actor.
+     * Returns the number of records written.
+     */
+    async exportToStream(writable, filters = {}, options = {}) {
+        let count = 0;
+
+        for await (const record of this.records(filters, options)) {
+            // Stop early if the consumer went away (e.g. HTTP client disconnected)
+            if (writable.destroyed) {
+                break;
+            }
+            if (!writable.write(record)) {
+                await waitForDrain(writable);
+            }
+            count++;
+        }
+
+        await this.mongoService.audit.record('export', {
+            actor: options.actor,
+            summary: { ...describeExport(filters, options), records: count, complete: !writable.destroyed }
+        });
+        return count;
+    }
+
+    /**
+     * Write records into outputDir as part-00000.<ext>, part-00001.<ext>, ...
+     * holding at most options.shardSize records each, plus a manifest.json
+     * describing the export. options.onProgress is called after each document
+     * with the number of records written and documents exported so far. The
+     * export is recorded in the audit log as made by options.actor. Returns
+     * the manifest.
+     */
+    async exportToDirectory(outputDir, filters = {}, options = {}) {
+        const { format = 'jsonl', shardSize = null, onProgress = null } = options;
+        assertFormat(format);
+        const extension = format === 'jsonl' ? 'jsonl' : 'txt';
+
+        await fs.promises.mkdir(outputDir, { recursive: true });
+
+        const shards = [];
+        let stream = null;
+
+        const closeShard = async () => {
+            if (stream) {
+                stream.end();
+                await once(stream, 'finish');
+                stream = null;
+            }
+        };
+
+        let written = 0;
+        let documents = 0;
+        const onDocument = () => {
+            documents++;
+            if (onProgress) {
+                onProgress(written, documents);
+            }
+        };
+        try {
+            for await (const record of this.records(filters, { ...options, onDocument })) {
+                const current = shards[shards.length - 1];
+                if (!current || (shardSize && current.records >= shardSize)) {
+                    await closeShard();
+                    const file = `part-${String(shards.length).padStart(5, '0')}.${extension}`;
+                    stream = fs.createWriteStream(path.join(outputDir, file), { encoding: 'utf8' });
+                    shards.push({ file: file, records: 0 });
+                }
+
+                if (!stream.write(record)) {
+                    await once(stream, 'drain');
+                }
+                shards[shards.length - 1].records++;
+                written++;
+            }
+        } catch (error) {
+            if (stream) {
+                stream.destroy();
+            }
+            throw error;
+        }
+        await closeShard();
+
+        const manifest = {
+            created_at: new Date().toISOString(),
+            format: format,
+            upsample: Boolean(options.upsample),
+            shard_size: shardSize,
+            filters: filters,
+            total_records: shards.reduce((sum, shard) => sum + shard.records, 0),
+            excluded_not_cleared: await this.countExcluded(filters),
+            shards: shards
+        };
+        await fs.promises.writeFile(path.join(outputDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+        await this.mongoService.audit.record('export', {
+            actor: options.actor,
+            summary: {
+                ...describeExport(filters, options),
+                records: manifest.total_records,
+                shards: shards.length,
+                excluded_not_cleared: manifest.excluded_not_cleared,
+                directory: outputDir
+            }
+        });
+        return manifest;
+    }
+}
+
+function assertFormat(format) {
+    if (COLUMNAR_FORMATS.includes(String(format).toLowerCase())) {
+        throw new InvalidQueryError(`Columnar export (${format}) is not supported; shards are written as jsonl or text`);
+    }
+    if (!FORMATS.includes(format)) {
+        throw new InvalidQueryError(`format must be one of: ${FORMATS.join(', ')}`);
+    }
+}
+
+// What the audit log keeps of an export's options
+function describeExport(filters, options) {
+    return {
+        format: options.format || 'jsonl',
+        upsample: Boolean(options.upsample),
+        filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined))
+    };
+}
+
+function formatRecord(document, format, separator) {
+    if (format === 'text') {
+        return document.content_text + separator;
+    }
+
+    return JSON.stringify({
+        text: document.content_text,
+        meta: {
+            document_id: document.document_id,
+            title: document.attribution.title,
+            author: document.attribution.author,
+            content_type: document.attribution.content_type,
+            language: document.content_metadata.language,
+            genre: document.content_metadata.genre,
+            source_url: document.attribution.source_url,
+            license_status: document.copyright_compliance.license_status,
+            spdx_id: document.copyright_compliance.spdx_id || null,
+            weighting: document.training_metadata.weighting,
+            token_count: document.training_metadata.token_count,
+            ...(document.chunk && { parent_id: document.chunk.parent_id, chunk: document.chunk.ordinal })
+        }
+    }) + '\n';
+}
+
+function waitForDrain(writable) {
+    return new Promise(resolve => {
+        const done = () => {
+            writable.off('drain', done);
+            writable.off('close', done);
+            resolve();
+        };
+        writable.on('drain', done);
+        writable.on('close', done);
+    });
+}
+
+// Allow "\n" and "\t" escapes when the separator is passed on a command line or URL
+function unescapeSeparator(value) {
+    return value.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+}
+
+module.exports = ExportService;
+module.exports.FORMATS = FORMATS;
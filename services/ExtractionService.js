@@ -0,0 +1,444 @@
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const { parse: parseHtml } = require('node-html-parser');
+
+// File extension -> format handled by extract()
+const FORMATS = {
+    '.pdf': 'pdf',
+    '.epub': 'epub',
+    '.docx': 'docx',
+    '.html': 'html',
+    '.htm': 'html',
+    '.xhtml': 'html',
+    '.srt': 'srt',
+    '.vtt': 'vtt',
+    '.txt': 'text',
+    '.md': 'text'
+};
+
+const MIME_FORMATS = {
+    'application/pdf': 'pdf',
+    'application/epub+zip': 'epub',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'text/html': 'html',
+    'application/xhtml+xml': 'html',
+    'application/x-subrip': 'srt',
+    'text/vtt': 'vtt',
+    'text/plain': 'text',
+    'text/markdown': 'text'
+};
+
+// Content type suggested to the form for each format (null: let the user pick)
+const SUGGESTED_CONTENT_TYPES = {
+    epub: 'book',
+    html: 'article',
+    srt: 'audio',
+    vtt: 'audio'
+};
+
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'footer', 'hr', 'main', 'ol', 'p', 'pre',
+    'section', 'table', 'tr', 'ul'
+]);
+
+// Page furniture that never belongs in the training text
+const BOILERPLATE_SELECTOR = [
+    'script', 'style', 'noscript', 'template', 'nav', 'aside', 'footer', 'form', 'iframe', 'svg',
+    'button', 'select', '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+    '[role="complementary"]', '[aria-hidden="true"]'
+].join(', ');
+const BOILERPLATE_NAMES = /\b(nav|navbar|menu|sidebar|footer|comments?|share|sharing|social|advert|ads|cookie|banner|related|promo|newsletter|subscribe|breadcrumbs?)\b/i;
+
+class UnsupportedFormatError extends Error {
+    constructor(fileName) {
+        super(`Unsupported file type: ${fileName}. Upload a PDF, EPUB, DOCX, HTML, SRT, VTT or text file`);
+        this.name = 'UnsupportedFormatError';
+    }
+}
+
+class ExtractionError extends Error {
+    constructor(fileName, cause) {
+        super(`Could not extract text from ${fileName}: ${cause.message}`);
+        this.name = 'ExtractionError';
+    }
+}
+
+/**
+ * Local text extraction from uploaded files. Nothing leaves the machine.
+ *
+ * extract() returns
+ *   {
+ *     format, text, character_count,
+ *     sections: [{ title, text }],          // EPUB chapters, in reading order
+ *     metadata: { title, author, isbn, publisher, language, publication_date, source_url },
+ *     suggested_content_type,
+ *     source_file: { name, format, mime_type, size_bytes, sha256 }
+ *   }
+ */
+class ExtractionService {
+    static formatFor(fileName, mimeType) {
+        return FORMATS[path.extname(fileName || '').toLowerCase()]
+            || MIME_FORMATS[String(mimeType || '').split(';')[0].trim().toLowerCase()]
+            || null;
+    }
+
+    static isSupported(fileName, mimeType) {
+        return ExtractionService.formatFor(fileName, mimeType) !== null;
+    }
+
+    async extract(buffer, fileName, mimeType = null) {
+        const format = ExtractionService.formatFor(fileName, mimeType);
+        if (!format) {
+            throw new UnsupportedFormatError(fileName);
+        }
+
+        let result;
+        try {
+            switch (format) {
+                case 'pdf': result = await extractPdf(buffer); break;
+                case 'epub': result = extractEpub(buffer); break;
+                case 'docx': result = extractDocx(buffer); break;
+                case 'html': result = extractHtml(decodeText(buffer)); break;
+                case 'srt':
+                case 'vtt': result = { text: subtitlesToText(decodeText(buffer)), metadata: {} }; break;
+                default: result = { text: decodeText(buffer), metadata: {} };
+            }
+        } catch (error) {
+            throw new ExtractionError(fileName, error);
+        }
+
+        const text = result.text.trim();
+        if (!text) {
+            throw new ExtractionError(fileName, new Error(format === 'pdf'
+                ? 'no text layer found (scanned PDFs need OCR first)'
+                : 'the file contains no text'));
+        }
+        const metadata = { ...result.metadata };
+        if (!metadata.isbn) {
+            metadata.isbn = findIsbn(text.slice(0, 20000));
+        }
+        metadata.language = normalizeLanguage(metadata.language);
+
+        return {
+            format: format,
+            text: text,
+            character_count: text.length,
+            sections: result.sections || [],
+            metadata: Object.fromEntries(Object.entries(metadata).filter(([, value]) => value)),
+            suggested_content_type: SUGGESTED_CONTENT_TYPES[format] || null,
+            source_file: {
+                name: path.basename(fileName),
+                format: format,
+                mime_type: mimeType || null,
+                size_bytes: buffer.length,
+                sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+            }
+        };
+    }
+}
+
+// ============================================================================
+// FORMATS
+// ============================================================================
+
+async function extractPdf(buffer) {
+    // pdf.js ships as an ES module only
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const pdf = await pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        isEvalSupported: false,
+        disableFontFace: true,
+        verbosity: 0
+    }).promise;
+
+    try {
+        const pages = [];
+        for (let number = 1; number <= pdf.numPages; number++) {
+            const page = await pdf.getPage(number);
+            const content = await page.getTextContent();
+            pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join(''));
+            page.cleanup();
+        }
+
+        const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+        return {
+            text: pages.join('\n\n'),
+            metadata: {
+                title: cleanMetadata(info.Title),
+                author: cleanMetadata(info.Author),
+                publication_date: parsePdfDate(info.CreationDate)
+            }
+        };
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+function extractEpub(buffer) {
+    const zip = new AdmZip(buffer);
+    const read = (entryPath) => {
+        const entry = zip.getEntry(entryPath);
+        if (!entry) {
+            throw new Error(`missing ${entryPath}`);
+        }
+        return entry.getData().toString('utf8');
+    };
+
+    const container = read('META-INF/container.xml');
+    const opfPath = attribute(container.match(/<rootfile\b[^>]*>/i)?.[0], 'full-path');
+    if (!opfPath) {
+        throw new Error('no package document in META-INF/container.xml');
+    }
+    const opf = read(opfPath);
+    const baseDir = path.posix.dirname(opfPath);
+
+    const manifest = {};
+    for (const item of opf.match(/<item\b[^>]*>/gi) || []) {
+        manifest[attribute(item, 'id')] = { href: attribute(item, 'href'), type: attribute(item, 'media-type') };
+    }
+
+    const sections = [];
+    for (const itemref of opf.match(/<itemref\b[^>]*>/gi) || []) {
+        const item = manifest[attribute(itemref, 'idref')];
+        if (!item || !/html/.test(item.type || '')) continue;
+
+        const entryPath = path.posix.normalize(path.posix.join(baseDir === '.' ? '' : baseDir, decodeURIComponent(item.href)));
+        const root = parseHtml(read(entryPath));
+        root.querySelectorAll('script, style').forEach(node => node.remove());
+
+        const text = htmlToText(root.querySelector('body') || root);
+        if (!text) continue;
+
+        const heading = root.querySelector('h1, h2, h3');
+        sections.push({
+            title: (heading && collapse(heading.text)) || collapse(root.querySelector('title')?.text || '') || `Section ${sections.length + 1}`,
+            text: text
+        });
+    }
+
+    const isbnIdentifier = (opf.match(/<dc:identifier\b[^>]*>[\s\S]*?<\/dc:identifier>/gi) || [])
+        .map(identifier => decodeXml(identifier.replace(/<[^>]+>/g, '')).trim())
+        .find(identifier => /^(urn:isbn:)?[\d\- ]{9,}[\dXx]$/i.test(identifier));
+
+    return {
+        text: sections.map(section => section.text).join('\n\n'),
+        sections: sections,
+        metadata: {
+            title: xmlElementText(opf, 'dc:title'),
+            author: xmlElementText(opf, 'dc:creator'),
+            publisher: xmlElementText(opf, 'dc:publisher'),
+            language: xmlElementText(opf, 'dc:language'),
+            publication_date: parseDate(xmlElementText(opf, 'dc:date')),
+            isbn: isbnIdentifier ? isbnIdentifier.replace(/^urn:isbn:/i, '') : null
+        }
+    };
+}
+
+function extractDocx(buffer) {
+    const zip = new AdmZip(buffer);
+    const documentXml = zip.getEntry('word/document.xml');
+    if (!documentXml) {
+        throw new Error('missing word/document.xml');
+    }
+
+    const paragraphs = [];
+    for (const paragraph of documentXml.getData().toString('utf8').match(/<w:p\b[^>]*>[\s\S]*?<\/w:p>/g) || []) {
+        let text = '';
+        for (const [token, runText] of paragraph.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br\b[^>]*\/>/g)) {
+            if (runText !== undefined) text += decodeXml(runText);
+            else text += token.startsWith('<w:tab') ? '\t' : '\n';
+        }
+        if (text.trim()) paragraphs.push(text);
+    }
+
+    const coreXml = zip.getEntry('docProps/core.xml')?.getData().toString('utf8') || '';
+    return {
+        text: paragraphs.join('\n\n'),
+        metadata: {
+            title: xmlElementText(coreXml, 'dc:title'),
+            author: xmlElementText(coreXml, 'dc:creator'),
+            publication_date: parseDate(xmlElementText(coreXml, 'dcterms:created'))
+        }
+    };
+}
+
+/**
+ * Main text of a web page: the largest article/main region (or the body),
+ * without navigation, sidebars, comments, forms and scripts.
+ */
+function extractHtml(html) {
+    const root = parseHtml(html);
+    const meta = (selector) => cleanMetadata(root.querySelector(selector)?.getAttribute('content'));
+
+    const metadata = {
+        title: meta('meta[property="og:title"]') || cleanMetadata(root.querySelector('title')?.text) || cleanMetadata(root.querySelector('h1')?.text),
+        author: meta('meta[name="author"]') || meta('meta[property="article:author"]'),
+        publisher: meta('meta[property="og:site_name"]'),
+        language: root.querySelector('html')?.getAttribute('lang') || null,
+        publication_date: parseDate(meta('meta[property="article:published_time"]')),
+        source_url: cleanMetadata(root.querySelector('link[rel="canonical"]')?.getAttribute('href')) || meta('meta[property="og:url"]')
+    };
+
+    root.querySelectorAll(BOILERPLATE_SELECTOR).forEach(node => node.remove());
+
+    const candidates = root.querySelectorAll('article, main, [role="main"]');
+    const content = candidates.length
+        ? candidates.reduce((best, node) => node.text.length > best.text.length ? node : best)
+        : (root.querySelector('body') || root);
+
+    // Outside an article the page header is boilerplate too
+    if (content.tagName === 'BODY' || !candidates.length) {
+        content.querySelectorAll('header').forEach(node => node.remove());
+    }
+    content.querySelectorAll('*').forEach(node => {
+        const names = `${node.getAttribute('class') || ''} ${node.getAttribute('id') || ''}`;
+        if (BOILERPLATE_NAMES.test(names)) node.remove();
+    });
+
+    return { text: htmlToText(content), metadata: metadata };
+}
+
+/**
+ * Spoken text from SRT or WebVTT subtitles: cue numbers, timings, styling and
+ * repeated (rolling) captions are dropped and cues are joined into paragraphs,
+ * starting a new one at speaker changes.
+ */
+function subtitlesToText(content) {
+    const paragraphs = [];
+    let current = '';
+    let previousCue = '';
+    let currentSpeaker = null;
+
+    const flush = () => {
+        if (current.trim()) paragraphs.push(current.trim());
+        current = '';
+    };
+
+    for (const block of content.replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/)) {
+        const lines = block.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (!lines.length || /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+        const cueLines = lines.filter(line => !/^\d+$/.test(line) && !line.includes('-->'));
+        if (!cueLines.length) continue;
+
+        const speaker = cueLines.join(' ').match(/<v(?:\.[^\s>]+)?\s+([^>]+)>/)?.[1];
+        const cue = collapse(cueLines.join(' ')
+            .replace(/<[^>]+>/g, '')
+            .replace(/\{\\[^}]*\}/g, '')
+            .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' '));
+        if (!cue || cue === previousCue) continue;
+
+        // Auto-generated captions repeat the previous line before adding new words
+        const text = previousCue && cue.startsWith(previousCue) ? cue.slice(previousCue.length).trim() : cue;
+        previousCue = cue;
+        if (!text) continue;
+
+        if (speaker && speaker.trim() !== currentSpeaker) {
+            flush();
+            currentSpeaker = speaker.trim();
+            current = `${currentSpeaker}: ${text}`;
+        } else {
+            current += (current ? ' ' : '') + text;
+            if (current.length >= 600 && /[.!?]["')\]]?$/.test(text)) flush();
+        }
+    }
+    flush();
+
+    return paragraphs.join('\n\n');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function htmlToText(node) {
+    const parts = [];
+    const walk = (current) => {
+        if (current.nodeType === 3) {
+            parts.push(current.text.replace(/\s+/g, ' '));
+            return;
+        }
+        if (current.nodeType !== 1) return;
+
+        const tag = (current.rawTagName || '').toLowerCase();
+        if (tag === 'br') {
+            parts.push('\n');
+            return;
+        }
+        if (tag === 'li') parts.push('\n');
+
+        const block = BLOCK_TAGS.has(tag);
+        if (block) parts.push('\n\n');
+        current.childNodes.forEach(walk);
+        if (block) parts.push('\n\n');
+    };
+    walk(node);
+
+    return parts.join('')
+        .replace(/[^\S\n]*\n[^\S\n]*/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function decodeText(buffer) {
+    return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+        .replace(/&amp;/g, '&');
+}
+
+function attribute(tag, name) {
+    const match = tag && tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+    return match ? decodeXml(match[2] ?? match[3]) : null;
+}
+
+function xmlElementText(xml, tagName) {
+    const match = xml.match(new RegExp(`<${tagName}\\b[^>]*>([\\s\\S]*?)</${tagName}>`, 'i'));
+    return match ? cleanMetadata(decodeXml(match[1].replace(/<[^>]+>/g, ''))) : null;
+}
+
+function collapse(value) {
+    return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+function cleanMetadata(value) {
+    const cleaned = collapse(value);
+    return cleaned && !/^untitled$/i.test(cleaned) ? cleaned : null;
+}
+
+function parseDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// PDF dates look like D:20230115093000+01'00'
+function parsePdfDate(value) {
+    const match = String(value || '').match(/^D:(\d{4})(\d{2})?(\d{2})?/);
+    return match ? parseDate(`${match[1]}-${match[2] || '01'}-${match[3] || '01'}`) : null;
+}
+
+function findIsbn(text) {
+    const match = text.match(/ISBN(?:-1[03])?:?\s*((?:97[89][- ]?)?\d{1,5}[- ]?\d{1,7}[- ]?\d{1,7}[- ]?[\dXx])\b/);
+    if (!match) return null;
+    const digits = match[1].replace(/[^\dXx]/g, '');
+    return digits.length === 10 || digits.length === 13 ? match[1] : null;
+}
+
+// "en_us" / "EN-us" -> "en-US", as required by the schema's language pattern
+function normalizeLanguage(value) {
+    const match = String(value || '').trim().match(/^([a-z]{2,3})(?:[-_]([a-z]{2}))?\b/i);
+    if (!match) return null;
+    return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+module.exports = ExtractionService;
+module.exports.UnsupportedFormatError = UnsupportedFormatError;
+module.exports.ExtractionError = ExtractionError;
+module.exports.FORMATS = FORMATS;
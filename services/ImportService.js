@@ -0,0 +1,500 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const tar = require('tar');
+const DocumentBuilder = require('../shared/documentBuilder');
+const { DocumentValidationError } = require('./DocumentValidator');
+const { DuplicateDocumentError, LowQualityError } = require('./MongoService');
+const ChunkingService = require('./ChunkingService');
+const ExtractionService = require('./ExtractionService');
+
+// .txt/.md plus everything ExtractionService can read (PDF, EPUB, DOCX, HTML, SRT/VTT)
+const IMPORT_EXTENSIONS = Object.keys(ExtractionService.FORMATS);
+const SIDECAR_NAMES = ['metadata.json', 'metadata.csv'];
+
+// Archives are refused beyond this much extracted content or this many entries, so a small
+// upload cannot fill the disk (IMPORT_MAX_EXTRACTED_MB, IMPORT_MAX_ARCHIVE_ENTRIES)
+const DEFAULT_MAX_EXTRACTED_MB = 512;
+const DEFAULT_MAX_ARCHIVE_ENTRIES = 10000;
+
+class ArchiveTooLargeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ArchiveTooLargeError';
+    }
+}
+
+// Sidecar/JSONL columns that map directly onto DocumentBuilder fields
+const METADATA_FIELDS = [
+    'title', 'author', 'content_type', 'language', 'publisher', 'isbn',
+    'genre', 'chapter_section', 'source_url', 'weighting',
+    'license_status', 'spdx_id', 'fair_use_assessment', 'fair_use_rationale'
+];
+
+/**
+ * Bulk import of text files and JSON/JSONL batches. Every item is built with
+ * the same cleaning and document construction as the UI, then inserted
+ * independently so one bad item never aborts the batch.
+ */
+class ImportService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+        this.chunkingService = new ChunkingService(mongoService);
+        this.extractionService = new ExtractionService();
+    }
+
+    /**
+     * Metadata applied to every item that does not set it itself,
+     * taken from query parameters or CLI flags.
+     */
+    static pickDefaults(raw = {}) {
+        return pickMetadata(raw);
+    }
+
+    /**
+     * Archive type for a file name or content type, or null if it is not an archive.
+     */
+    static archiveType(nameOrContentType) {
+        const value = String(nameOrContentType || '').toLowerCase();
+        if (value.endsWith('.zip') || value.includes('application/zip')) {
+            return 'zip';
+        }
+        if (/\.(tar|tar\.gz|tgz)$/.test(value) || /application\/(x-tar|gzip|x-gzip)/.test(value)) {
+            return 'tar';
+        }
+        return null;
+    }
+
+    /**
+     * Extraction limits for loadArchive(): { maxBytes, maxEntries }.
+     */
+    static archiveLimits() {
+        const megabytes = parseFloat(process.env.IMPORT_MAX_EXTRACTED_MB) || DEFAULT_MAX_EXTRACTED_MB;
+        return {
+            maxBytes: Math.floor(megabytes * 1024 * 1024),
+            maxEntries: parseInt(process.env.IMPORT_MAX_ARCHIVE_ENTRIES) || DEFAULT_MAX_ARCHIVE_ENTRIES
+        };
+    }
+
+    /**
+     * Whether a single file can be imported with loadFile().
+     */
+    static isImportableFile(fileName) {
+        return IMPORT_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+    }
+
+    // ========================================================================
+    // LOADERS - turn an input into a list of import items
+    // ========================================================================
+
+    /**
+     * Read text, PDF, EPUB, DOCX, HTML and subtitle files (recursively) from a
+     * directory, merging metadata from a metadata.json/metadata.csv sidecar
+     * keyed by relative file path. Metadata embedded in the files fills in
+     * whatever the sidecar does not set.
+     * Returns items of the form { source, fields } or { source, error }.
+     */
+    async loadDirectory(directory, { metadataPath = null, defaults = {}, cleaning = null } = {}) {
+        const sidecarPath = metadataPath || SIDECAR_NAMES
+            .map(name => path.join(directory, name))
+            .find(candidate => fs.existsSync(candidate));
+        const sidecar = sidecarPath ? await loadSidecar(sidecarPath) : {};
+
+        const files = (await listFiles(directory))
+            .filter(file => IMPORT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .sort();
+
+        const items = [];
+        for (const file of files) {
+            const relative = path.relative(directory, file).split(path.sep).join('/');
+            const metadata = sidecar[relative] || sidecar[path.basename(file)] || {};
+            items.push(await this.loadFile(file, { source: relative, metadata, defaults, cleaning }));
+        }
+
+        return items;
+    }
+
+    /**
+     * Load a single file as an import item. Precedence for metadata, lowest
+     * first: title from the file name, suggested content type, defaults,
+     * metadata embedded in the file, explicit metadata (sidecar row).
+     */
+    async loadFile(file, { source = path.basename(file), metadata = {}, defaults = {}, cleaning = null } = {}) {
+        let extracted;
+        try {
+            extracted = await this.extractionService.extract(await fs.promises.readFile(file), file);
+        } catch (error) {
+            return { source: source, error: error.message };
+        }
+
+        return {
+            source: source,
+            fields: {
+                title: titleFromFilename(file),
+                ...(extracted.suggested_content_type && { content_type: extracted.suggested_content_type }),
+                ...defaults,
+                ...pickMetadata(extracted.metadata),
+                ...(extracted.metadata.publication_date && { publication_date: extracted.metadata.publication_date }),
+                ...pickMetadata(metadata),
+                content_text: extracted.text,
+                cleaning: cleaning,
+                acquisition_method: 'bulk_import',
+                source_file: extracted.source_file,
+                lineage_step: extracted.format === 'text'
+                    ? `Bulk import of ${source} via corpus tool (auto-cleaned)`
+                    : `Bulk import of ${source} via corpus tool (text extracted from ${extracted.format}, auto-cleaned)`
+            }
+        };
+    }
+
+    /**
+     * Extract a .zip, .tar or .tar.gz archive to a temporary directory and
+     * load it like a directory. The archive may be a path or a Buffer.
+     * Throws ArchiveTooLargeError, before anything past the limits is
+     * written, when it holds more than options.limits allow
+     * ({ maxBytes, maxEntries }, by default from the environment).
+     */
+    async loadArchive(archive, archiveType, { limits = ImportService.archiveLimits(), ...options } = {}) {
+        const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'corpus-import-'));
+        let archivePath = archive;
+
+        try {
+            if (Buffer.isBuffer(archive)) {
+                archivePath = path.join(tempDir, `upload.${archiveType}`);
+                await fs.promises.writeFile(archivePath, archive);
+            }
+
+            const extractDir = path.join(tempDir, 'contents');
+            await fs.promises.mkdir(extractDir);
+
+            if (archiveType === 'zip') {
+                extractZip(archivePath, extractDir, limits);
+            } else {
+                await extractTar(archivePath, extractDir, limits);
+            }
+
+            // Archives often wrap everything in a single top-level folder
+            const entries = await fs.promises.readdir(extractDir, { withFileTypes: true });
+            const root = entries.length === 1 && entries[0].isDirectory()
+                ? path.join(extractDir, entries[0].name)
+                : extractDir;
+
+            return await this.loadDirectory(root, options);
+        } finally {
+            await fs.promises.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Parse JSONL text: one document or set of flat metadata fields per line.
+     */
+    parseJsonl(text, { defaults = {}, cleaning = null } = {}) {
+        return text.split(/\r?\n/)
+            .map((line, index) => ({ line: line.trim(), source: `line ${index + 1}` }))
+            .filter(({ line }) => line)
+            .map(({ line, source }) => {
+                try {
+                    return toItem(JSON.parse(line), source, defaults, cleaning);
+                } catch (error) {
+                    return { source: source, error: `Invalid JSON: ${error.message}` };
+                }
+            });
+    }
+
+    /**
+     * Turn an array of documents / flat field objects (a JSON batch) into items.
+     */
+    parseBatch(records, { defaults = {}, cleaning = null } = {}) {
+        return records.map((record, index) => toItem(record, `item ${index + 1}`, defaults, cleaning));
+    }
+
+    // ========================================================================
+    // IMPORT
+    // ========================================================================
+
+    /**
+     * Insert every item and report what happened to each one. With a chunking
+     * spec (see ChunkingService) every item is stored as linked chunks.
+     * `actor` is recorded as the user who added the documents.
+     * Returns { summary: { total, inserted, duplicate, rejected }, items: [...] }.
+     */
+    async importItems(items, { chunking = null, actor = null } = {}) {
+        const results = [];
+
+        for (const item of items) {
+            results.push(await this.importItem(item, chunking, actor));
+        }
+
+        const count = (status) => results.filter(result => result.status === status).length;
+        return {
+            summary: {
+                total: results.length,
+                inserted: count('inserted'),
+                duplicate: count('duplicate'),
+                rejected: count('rejected'),
+                opted_out: results.filter(result => result.opted_out).length
+            },
+            items: results
+        };
+    }
+
+    async importItem(item, chunking = null, actor = null) {
+        const result = { source: item.source };
+
+        if (item.error) {
+            return { ...result, status: 'rejected', error: item.error };
+        }
+
+        let document;
+        try {
+            document = item.document
+                ? prepareDocument(item.document, item.cleaning)
+                : DocumentBuilder.buildDocument(item.fields);
+        } catch (error) {
+            return { ...result, status: 'rejected', error: error.message };
+        }
+
+        result.document_id = document.document_id;
+        result.title = document.attribution?.title;
+
+        // Match the insert route: timestamps are stored as Date objects
+        document.created_at = new Date();
+        document.updated_at = new Date();
+
+        try {
+            if (chunking) {
+                const chunked = await this.chunkingService.insertChunked(document, chunking, { actor });
+                return { ...result, status: 'inserted', chunk_count: chunked.document_ids.length, ...(chunked.opted_out && { opted_out: true }) };
+            }
+            await this.mongoService.insertDocument(document, { actor });
+            const warnings = document.training_metadata?.quality?.issues || [];
+            return {
+                ...result,
+                status: 'inserted',
+                ...(isOptedOut(document) && { opted_out: true }),
+                ...(warnings.length && { quality_issues: warnings })
+            };
+        } catch (error) {
+            if (error instanceof DocumentValidationError) {
+                return { ...result, status: 'rejected', error: error.message, details: error.details };
+            }
+            if (error instanceof LowQualityError) {
+                return { ...result, status: 'rejected', error: error.message, quality_issues: error.quality.issues };
+            }
+            if (error instanceof DuplicateDocumentError) {
+                return { ...result, status: 'duplicate', error: error.message, duplicate_of: error.match, similarity: error.similarity };
+            }
+            if (error.message.includes('already exists')) {
+                return { ...result, status: 'duplicate', error: error.message };
+            }
+            throw error;
+        }
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function toItem(record, source, defaults, cleaning) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { source: source, error: 'Expected a JSON object' };
+    }
+
+    // Records with an attribution block are complete documents, anything else is flat fields
+    if (record.attribution) {
+        return { source: source, document: record, cleaning: cleaning };
+    }
+
+    return {
+        source: source,
+        fields: {
+            ...defaults,
+            ...pickMetadata(record),
+            content_text: record.content_text || record.text || '',
+            cleaning: cleaning,
+            acquisition_method: 'bulk_import',
+            lineage_step: 'Bulk JSON import via corpus tool (auto-cleaned)'
+        }
+    };
+}
+
+// Ready-made documents go through the same cleaning unless their lineage says they were cleaned
+function prepareDocument(document, cleaning) {
+    return DocumentBuilder.ensureCleaned({
+        ...document,
+        document_id: document.document_id || DocumentBuilder.generateDocumentId(),
+        version: document.version || 1
+    }, cleaning);
+}
+
+// Stored, but flagged by the opt-out registry (or marked by hand) and therefore never exported
+function isOptedOut(document) {
+    return document.copyright_compliance?.opt_out_status?.has_opted_out === true;
+}
+
+function pickMetadata(metadata) {
+    const picked = {};
+    for (const field of METADATA_FIELDS) {
+        if (metadata[field] !== undefined && metadata[field] !== '') {
+            picked[field] = metadata[field];
+        }
+    }
+    // Accept the UI's shorter "chapter" label as well
+    if (!picked.chapter_section && metadata.chapter) {
+        picked.chapter_section = metadata.chapter;
+    }
+    return picked;
+}
+
+function titleFromFilename(file) {
+    return path.basename(file, path.extname(file)).replace(/[_-]+/g, ' ').trim();
+}
+
+async function listFiles(directory) {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Load a sidecar into { "<file>": { metadata } }. JSON sidecars may be an
+ * object keyed by file name or an array of objects with a "file" property;
+ * CSV sidecars need a header row with a "file" column.
+ */
+async function loadSidecar(sidecarPath) {
+    const content = await fs.promises.readFile(sidecarPath, 'utf8');
+    const rows = path.extname(sidecarPath).toLowerCase() === '.csv'
+        ? parseCsv(content)
+        : JSON.parse(content);
+
+    if (!Array.isArray(rows)) {
+        return rows;
+    }
+
+    const byFile = {};
+    for (const row of rows) {
+        const file = row.file || row.filename;
+        if (file) {
+            byFile[file] = row;
+        }
+    }
+    return byFile;
+}
+
+// Zip entries declare their sizes up front, and adm-zip inflates no entry past its declared size
+function extractZip(archivePath, extractDir, limits) {
+    const zip = new AdmZip(archivePath);
+    const entries = zip.getEntries();
+    assertWithinLimits(entries.length, entries.reduce((sum, entry) => sum + entry.header.size, 0), limits);
+    zip.extractAllTo(extractDir, true);
+}
+
+// A tar entry's size is only known once its header is reached, so the archive is read through
+// once without writing anything, stopping at the first entry past a limit, and extracted after
+async function extractTar(archivePath, extractDir, limits) {
+    await new Promise((resolve, reject) => {
+        let entries = 0;
+        let bytes = 0;
+        const input = fs.createReadStream(archivePath);
+        const parser = new tar.Parser({
+            onReadEntry: entry => {
+                entries++;
+                bytes += entry.size || 0;
+                entry.resume();
+                try {
+                    assertWithinLimits(entries, bytes, limits);
+                } catch (error) {
+                    parser.abort(error);
+                }
+            }
+        });
+        let refused = null;
+        parser.on('abort', error => {
+            refused = error;
+        });
+        const fail = error => {
+            input.destroy();
+            reject(refused || error);
+        };
+        parser.on('error', fail);
+        parser.on('end', resolve);
+        input.on('error', fail);
+        input.pipe(parser);
+    });
+    await tar.x({ file: archivePath, cwd: extractDir });
+}
+
+function assertWithinLimits(entries, bytes, { maxBytes, maxEntries }) {
+    if (entries > maxEntries) {
+        throw new ArchiveTooLargeError(`Archive holds more than ${maxEntries} entries`);
+    }
+    if (bytes > maxBytes) {
+        throw new ArchiveTooLargeError(`Archive extracts to more than ${maxBytes} bytes`);
+    }
+}
+
+/**
+ * Minimal RFC 4180 CSV parser returning one object per row, keyed by header.
+ */
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+    if (!header) {
+        return [];
+    }
+
+    const keys = header.map(key => key.trim().toLowerCase());
+    return records.map(cells => Object.fromEntries(keys.map((key, index) => [key, (cells[index] || '').trim()])));
+}
+
+module.exports = ImportService;
+module.exports.ArchiveTooLargeError = ArchiveTooLargeError;
+module.exports.parseCsv = parseCsv;
@@ -0,0 +1,322 @@
+const JobTypes = require('./JobTypes');
+const MongoService = require('./MongoService');
+
+const COLLECTION = 'jobs';
+const STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const ACTIVE_STATUSES = ['queued', 'running'];
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_ATTEMPTS_LIMIT = 10;
+const MAX_LOG_LINES = 500;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+
+// Failed attempts are retried after RETRY_DELAY_MS × the attempt number
+const RETRY_DELAY_MS = 30 * 1000;
+
+// A running job whose worker has not reported for this long is taken to be orphaned
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+class InvalidJobError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidJobError';
+    }
+}
+
+class JobStateError extends Error {
+    constructor(job, message) {
+        super(message || `Job ${job.job_id} is ${job.status}`);
+        this.name = 'JobStateError';
+        this.job = job;
+    }
+}
+
+/**
+ * Persistent queue for long-running corpus operations (see JobTypes for
+ * what can be queued). Jobs are enqueued by the API or CLI and picked up by a
+ * JobWorker, which reports progress and log lines back here.
+ *
+ * A job moves queued -> running -> succeeded, failed or cancelled. A failed
+ * attempt goes back to queued with a delay until max_attempts is used up,
+ * and a job whose worker stopped reporting is requeued the same way.
+ * Cancelling a queued job ends it at once; a running job is asked to stop
+ * and ends as cancelled when its worker notices.
+ */
+class JobService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+        this.indexed = false;
+    }
+
+    async collection() {
+        const db = await this.mongoService.connect();
+        const jobs = db.collection(COLLECTION);
+
+        if (!this.indexed) {
+            await jobs.createIndexes([
+                { key: { job_id: 1 }, name: 'job_id', unique: true },
+                { key: { status: 1, run_after: 1, created_at: 1 }, name: 'status_run_after' },
+                { key: { created_at: -1 }, name: 'created_at' }
+            ]);
+            this.indexed = true;
+        }
+        return jobs;
+    }
+
+    /**
+     * Queue a job of a registered type. params are validated by the type
+     * (InvalidJobError or InvalidQueryError); `actor` is recorded as
+     * created_by and is who document changes made by the job are attributed to.
+     * The job works on `corpus` (a corpus id, default the default corpus).
+     */
+    async enqueue(type, params = {}, { actor = null, maxAttempts = null, corpus = null } = {}) {
+        const jobType = JobTypes.TYPES[type];
+        if (!jobType) {
+            throw new InvalidJobError(`type must be one of: ${Object.keys(JobTypes.TYPES).join(', ')}`);
+        }
+
+        const attempts = maxAttempts === null || maxAttempts === undefined ? DEFAULT_MAX_ATTEMPTS : maxAttempts;
+        if (!Number.isInteger(attempts) || attempts < 1 || attempts > MAX_ATTEMPTS_LIMIT) {
+            throw new InvalidJobError(`max_attempts must be between 1 and ${MAX_ATTEMPTS_LIMIT}`);
+        }
+
+        const now = new Date();
+        const job = {
+            job_id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type: type,
+            corpus: corpus || MongoService.DEFAULT_CORPUS,
+            params: jobType.parseParams(params || {}),
+            status: 'queued',
+            progress: { done: 0, total: null, message: null },
+            attempts: 0,
+            max_attempts: attempts,
+            cancel_requested: false,
+            result: null,
+            error: null,
+            logs: [{ at: now, level: 'info', message: `Queued by ${actor || 'unknown'}` }],
+            created_by: actor || 'unknown',
+            created_at: now,
+            run_after: now,
+            started_at: null,
+            finished_at: null,
+            heartbeat_at: null,
+            worker_id: null
+        };
+
+        const jobs = await this.collection();
+        await jobs.insertOne({ ...job });
+        return job;
+    }
+
+    /**
+     * Jobs newest first, without their logs. status, type and corpus narrow the list;
+     * visibleTo { username, types } keeps only the jobs that user queued and jobs of the
+     * given types.
+     */
+    async listJobs({ status = null, type = null, corpus = null, visibleTo = null, limit = DEFAULT_LIST_LIMIT } = {}) {
+        if (status && !STATUSES.includes(status)) {
+            throw new InvalidJobError(`status must be one of: ${STATUSES.join(', ')}`);
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+            throw new InvalidJobError(`limit must be between 1 and ${MAX_LIST_LIMIT}`);
+        }
+
+        const query = {};
+        if (status) query.status = status;
+        if (type) query.type = type;
+        if (corpus) Object.assign(query, MongoService.corpusQuery(corpus));
+        if (visibleTo) query.$or = [{ created_by: visibleTo.username }, { type: { $in: visibleTo.types } }];
+
+        const jobs = await this.collection();
+        return await jobs.find(query, { projection: { _id: 0, logs: 0 } })
+            .sort({ created_at: -1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    /**
+     * A job including its log, or null.
+     */
+    async getJob(jobId) {
+        const jobs = await this.collection();
+        return await jobs.findOne({ job_id: jobId }, { projection: { _id: 0 } });
+    }
+
+    /**
+     * Cancel a queued job, or ask the worker running it to stop.
+     * Returns the job, or null if there is no such job.
+     */
+    async cancel(jobId, { actor = null } = {}) {
+        const jobs = await this.collection();
+        const line = logLine('warn', `Cancelled by ${actor || 'unknown'}`);
+
+        const cancelled = await jobs.findOneAndUpdate(
+            { job_id: jobId, status: 'queued' },
+            { $set: { status: 'cancelled', cancel_requested: true, finished_at: new Date() }, $push: pushLog(line) },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+        if (cancelled) {
+            return cancelled;
+        }
+
+        const stopping = await jobs.findOneAndUpdate(
+            { job_id: jobId, status: 'running' },
+            { $set: { cancel_requested: true }, $push: pushLog(logLine('warn', `Cancellation requested by ${actor || 'unknown'}`)) },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+        if (stopping) {
+            return stopping;
+        }
+
+        const existing = await this.getJob(jobId);
+        if (existing) {
+            throw new JobStateError(existing, `Job ${jobId} has already ${existing.status === 'cancelled' ? 'been cancelled' : existing.status}`);
+        }
+        return null;
+    }
+
+    // ========================================================================
+    // WORKER SIDE
+    // ========================================================================
+
+    /**
+     * Take the oldest job that is due, marking it running on this worker.
+     * Returns the job or null when the queue is empty.
+     */
+    async claimNext(workerId) {
+        const jobs = await this.collection();
+        const now = new Date();
+        return await jobs.findOneAndUpdate(
+            { status: 'queued', run_after: { $lte: now } },
+            {
+                $set: { status: 'running', worker_id: workerId, started_at: now, heartbeat_at: now, error: null },
+                $inc: { attempts: 1 },
+                $push: pushLog(logLine('info', `Started on ${workerId}`))
+            },
+            { sort: { run_after: 1, created_at: 1 }, returnDocument: 'after', projection: { _id: 0 } }
+        );
+    }
+
+    /**
+     * Store progress and log lines of a running job and refresh its
+     * heartbeat. Returns whether the job has been asked to stop.
+     */
+    async report(jobId, { progress = null, logs = [] } = {}) {
+        const jobs = await this.collection();
+        const update = { $set: { heartbeat_at: new Date() } };
+        if (progress) {
+            update.$set.progress = progress;
+        }
+        if (logs.length) {
+            update.$push = pushLog(...logs);
+        }
+
+        const job = await jobs.findOneAndUpdate(
+            { job_id: jobId, status: 'running' },
+            update,
+            { returnDocument: 'after', projection: { cancel_requested: 1 } }
+        );
+        return !job || job.cancel_requested === true;
+    }
+
+    async complete(jobId, result, { logs = [], progress = null } = {}) {
+        return await this.finish(jobId, 'succeeded', { result: result ?? null }, logs.concat(logLine('info', 'Finished')), progress);
+    }
+
+    async markCancelled(jobId, { logs = [], progress = null } = {}) {
+        return await this.finish(jobId, 'cancelled', {}, logs.concat(logLine('warn', 'Stopped after cancellation')), progress);
+    }
+
+    /**
+     * Record a failed attempt. The job is queued again after a delay while it
+     * has attempts left and the error is not permanent (bad parameters, a
+     * state that will not change by itself), otherwise it ends as failed.
+     */
+    async fail(jobId, error, { permanent = false, logs = [], progress = null } = {}) {
+        const jobs = await this.collection();
+        const job = await jobs.findOne({ job_id: jobId }, { projection: { attempts: 1, max_attempts: 1, cancel_requested: 1 } });
+        const lines = logs.concat(logLine('error', error.message));
+
+        if (job && !permanent && !job.cancel_requested && job.attempts < job.max_attempts) {
+            const delay = RETRY_DELAY_MS * job.attempts;
+            lines.push(logLine('info', `Attempt ${job.attempts} of ${job.max_attempts} failed; retrying in ${Math.round(delay / 1000)}s`));
+            await jobs.updateOne(
+                { job_id: jobId, status: 'running' },
+                {
+                    $set: { status: 'queued', error: error.message, run_after: new Date(Date.now() + delay), worker_id: null, ...(progress && { progress: progress }) },
+                    $push: pushLog(...lines)
+                }
+            );
+            return 'queued';
+        }
+
+        await this.finish(jobId, 'failed', { error: error.message }, lines, progress);
+        return 'failed';
+    }
+
+    /**
+     * Put a running job back in the queue without using up an attempt,
+     * e.g. when its worker is shutting down.
+     */
+    async release(jobId, { logs = [], progress = null } = {}) {
+        const jobs = await this.collection();
+        await jobs.updateOne(
+            { job_id: jobId, status: 'running' },
+            {
+                $set: { status: 'queued', run_after: new Date(), worker_id: null, ...(progress && { progress: progress }) },
+                $inc: { attempts: -1 },
+                $push: pushLog(...logs.concat(logLine('warn', 'Worker stopped; the job will start again')))
+            }
+        );
+    }
+
+    /**
+     * Requeue (or fail, without attempts left) running jobs whose worker has
+     * stopped reporting, e.g. because it crashed. Returns how many were found.
+     */
+    async recoverStale() {
+        const jobs = await this.collection();
+        const stale = await jobs.find(
+            { status: 'running', heartbeat_at: { $lt: new Date(Date.now() - STALE_AFTER_MS) } },
+            { projection: { job_id: 1 } }
+        ).toArray();
+
+        for (const job of stale) {
+            await this.fail(job.job_id, new Error('The worker running this job stopped responding'));
+        }
+        return stale.length;
+    }
+
+    async finish(jobId, status, fields, logs, progress) {
+        const jobs = await this.collection();
+        return await jobs.findOneAndUpdate(
+            { job_id: jobId, status: 'running' },
+            {
+                $set: { status: status, finished_at: new Date(), ...fields, ...(progress && { progress: progress }) },
+                $push: pushLog(...logs)
+            },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function logLine(level, message) {
+    return { at: new Date(), level: level, message: String(message) };
+}
+
+// Logs keep the most recent MAX_LOG_LINES lines
+function pushLog(...lines) {
+    return { logs: { $each: lines, $slice: -MAX_LOG_LINES } };
+}
+
+module.exports = JobService;
+module.exports.InvalidJobError = InvalidJobError;
+module.exports.JobStateError = JobStateError;
+module.exports.COLLECTION = COLLECTION;
+module.exports.STATUSES = STATUSES;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
+module.exports.logLine = logLine;
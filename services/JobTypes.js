@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const MongoService = require('./MongoService');
+const ExportService = require('./ExportService');
+const DuplicateService = require('./DuplicateService');
+const SearchService = require('./SearchService');
+const TrainingRunService = require('./TrainingRunService');
+const CorpusService = require('./CorpusService');
+const { DocumentValidationError } = require('./DocumentValidator');
+const TextCleaning = require('../shared/textCleaning');
+const DocumentBuilder = require('../shared/documentBuilder');
+
+const { InvalidQueryError, VersionConflictError, DuplicateDocumentError, LowQualityError } = MongoService;
+
+// Export jobs write their shards to EXPORT_DIR/<job_id>/
+const DEFAULT_EXPORT_DIR = path.join(__dirname, '..', 'exports');
+
+// Document filters a reclean job accepts, as for GET /api/documents
+const RECLEAN_FILTERS = ['author', 'title', 'genre', 'content_type', 'language', 'processing_status', 'quality_status', 'parent_id', 'created_from', 'created_to'];
+
+// Errors that will not go away by trying again
+const PERMANENT_ERRORS = [InvalidQueryError, TextCleaning.CleaningConfigError, TrainingRunService.InvalidTrainingRunError, TrainingRunService.TrainingRunStateError, CorpusService.CorpusNotFoundError];
+
+/**
+ * The operations that can be queued as background jobs. Each type has a
+ * label, the role needed to start it, its parameters (for the jobs panel and
+ * CLI flags), parseParams(raw), which normalizes them or throws
+ * InvalidQueryError, and run(context), which does the work and returns the
+ * job result.
+ *
+ * context: { job_id, params, actor, mongoService, progress(done, total, message),
+ * log(message, level) }. mongoService works on the corpus the job was queued
+ * for. progress() also throws once the job is cancelled or its worker stops,
+ * so handlers just call it from their loops.
+ */
+const TYPES = {
+    recount_tokens: {
+        label: 'Recount tokens',
+        description: 'Recount tokens of documents counted with another tokenizer than the current one',
+        role: 'admin',
+        params: [{ name: 'force', label: 'Recount every document', type: 'boolean' }],
+        parseParams: raw => ({ force: flag(raw.force) }),
+        run: async ({ params, mongoService, progress, log }) => {
+            log(`Counting with ${mongoService.tokenizers.currentId()}`);
+            return await mongoService.recomputeTokenCounts({
+                force: params.force,
+                onProgress: summary => progress(summary.scanned, null, `${summary.updated} recounted`)
+            });
+        }
+    },
+
+    recompute_embeddings: {
+        label: 'Recompute embeddings',
+        description: 'Embed documents with no vector or one from another embedding model',
+        role: 'admin',
+        params: [{ name: 'force', label: 'Embed every document', type: 'boolean' }],
+        parseParams: raw => ({ force: flag(raw.force) }),
+        run: async ({ params, mongoService, progress, log }) => {
+            log(`Embedding with ${mongoService.embeddings.currentId()}`);
+            const summary = await mongoService.recomputeEmbeddings({
+                force: params.force,
+                onProgress: current => progress(current.scanned, null, `${current.updated} embedded${current.failed ? `, ${current.failed} failed` : ''}`)
+            });
+            // Retried later, when the embedding server may be back
+            if (summary.failed) {
+                throw new Error(`${summary.failed} of ${summary.scanned} documents could not be embedded`);
+            }
+            return summary;
+        }
+    },
+
+    recheck_opt_outs: {
+        label: 'Recheck opt-outs',
+        description: 'Check every document in the corpus against the opt-out registry again',
+        role: 'reviewer',
+        params: [],
+        parseParams: () => ({}),
+        run: async ({ mongoService, progress }) => {
+            const total = await mongoService.countDocuments();
+            return await mongoService.optOuts.recheckDocuments({}, {
+                onProgress: summary => progress(summary.scanned, total, `${summary.flagged} flagged, ${summary.unflagged} cleared`)
+            });
+        }
+    },
+
+    find_duplicates: {
+        label: 'Find near-duplicates',
+        description: 'Cluster near-duplicate documents across the whole corpus',
+        role: 'contributor',
+        params: [{ name: 'threshold', label: 'Similarity threshold (0-1)', type: 'number' }],
+        parseParams: raw => {
+            if (raw.threshold === undefined || raw.threshold === null || raw.threshold === '') {
+                return { threshold: null };
+            }
+            const threshold = Number(raw.threshold);
+            if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+                throw new InvalidQueryError('threshold must be a number between 0 and 1');
+            }
+            return { threshold: threshold };
+        },
+        run: async ({ params, mongoService, log }) => {
+            const report = await new DuplicateService(mongoService).clusterReport(params.threshold ? { threshold: params.threshold } : {});
+            log(`${report.clusters.length} clusters of near-duplicates`);
+            return report;
+        }
+    },
+
+    export: {
+        label: 'Export training data',
+        description: 'Write trainable documents as sharded training data files on the server',
+        role: 'admin',
+        params: [
+            { name: 'format', label: 'Format', type: 'select', options: ExportService.FORMATS },
+            { name: 'upsample', label: 'Repeat documents by training weight', type: 'boolean' },
+            { name: 'shard_size', label: 'Records per shard', type: 'number' },
+            { name: 'content_type', label: 'Content types (comma-separated)', type: 'text' },
+            { name: 'language', label: 'Languages (comma-separated)', type: 'text' },
+            { name: 'training_run', label: 'Training run', type: 'text' }
+        ],
+        parseParams: raw => {
+            // Validated now, stored as given and parsed again when the job runs
+            ExportService.parseOptions(raw);
+            return pick(raw, ['format', 'upsample', 'separator', 'shard_size', 'content_type', 'language', 'training_run',
+                'weight_min', 'weight_max', 'created_from', 'created_to']);
+        },
+        run: async ({ job_id, params, actor, mongoService, progress, log }) => {
+            const exportService = new ExportService(mongoService);
+            const { filters, options } = ExportService.parseOptions(params);
+            const directory = path.join(process.env.EXPORT_DIR || DEFAULT_EXPORT_DIR, job_id);
+            // Progress counts documents: with upsampling the number of records is only known at the end
+            const total = await exportService.countDocuments(filters);
+
+            // A retried attempt starts over
+            await fs.promises.rm(directory, { recursive: true, force: true });
+            log(`Writing ${options.format} to ${directory}`);
+            progress(0, total, `0 of ${total} documents exported`);
+
+            try {
+                const manifest = await exportService.exportToDirectory(directory, filters, {
+                    ...options,
+                    actor: actor,
+                    onProgress: (written, documents) => progress(documents, total, `${documents} of ${total} documents exported, ${written} records written`)
+                });
+                log(`${manifest.total_records} records in ${manifest.shards.length} shard(s)`);
+                return { directory: directory, ...manifest };
+            } catch (error) {
+                await fs.promises.rm(directory, { recursive: true, force: true });
+                throw error;
+            }
+        }
+    },
+
+    reclean: {
+        label: 'Re-clean documents',
+        description: 'Run the cleaning pipeline over stored documents again and save the texts it changes as new versions',
+        role: 'reviewer',
+        params: [
+            { name: 'cleaning_preset', label: 'Cleaning preset', type: 'select', options: Object.keys(TextCleaning.PRESETS) },
+            { name: 'cleaning_enable', label: 'Extra rules (comma-separated)', type: 'text' },
+            { name: 'cleaning_disable', label: 'Rules to skip (comma-separated)', type: 'text' },
+            { name: 'content_type', label: 'Content types (comma-separated)', type: 'text' },
+            { name: 'processing_status', label: 'Review statuses (comma-separated)', type: 'text' },
+            { name: 'dry_run', label: 'Dry run (count changes, save nothing)', type: 'boolean' }
+        ],
+        parseParams: raw => {
+            const cleaning = TextCleaning.specFromOptions(raw);
+            // Resolving the pipeline rejects unknown presets and rules before the job is queued
+            TextCleaning.resolvePipeline(cleaning, 'other');
+            const filters = pick(raw, RECLEAN_FILTERS);
+            SearchService.parseOptions(filters);
+            return { cleaning: cleaning, filters: filters, dry_run: flag(raw.dry_run) };
+        },
+        run: async ({ params, actor, mongoService, progress, log }) => {
+            const { criteria } = SearchService.parseOptions(params.filters);
+            const query = mongoService.buildDocumentQuery(criteria);
+            const total = await mongoService.countDocuments(query);
+            const summary = { scanned: 0, changed: 0, updated: 0, failed: 0, dry_run: params.dry_run };
+
+            for await (const doc of mongoService.iterateDocuments(query, {
+                projection: { document_id: 1, version: 1, content_text: 1, 'attribution.content_type': 1, 'provenance.data_lineage': 1 }
+            })) {
+                summary.scanned++;
+                const cleaning = TextCleaning.runPipeline(doc.content_text, params.cleaning, doc.attribution?.content_type);
+
+                if (cleaning.text !== doc.content_text) {
+                    summary.changed++;
+                    if (!params.dry_run) {
+                        await saveCleaned(mongoService, doc, cleaning, actor, summary, log);
+                    }
+                }
+                progress(summary.scanned, total, `${summary.changed} changed`);
+            }
+
+            log(params.dry_run
+                ? `Dry run: cleaning would change ${summary.changed} of ${summary.scanned} documents`
+                : `Saved ${summary.updated} re-cleaned documents${summary.failed ? `, ${summary.failed} refused` : ''}`);
+            return summary;
+        }
+    },
+
+    freeze_training_run: {
+        label: 'Freeze training run',
+        description: 'Snapshot the documents of a draft training run',
+        role: 'admin',
+        params: [{ name: 'run_id', label: 'Training run id', type: 'text' }],
+        parseParams: raw => {
+            if (!raw.run_id || typeof raw.run_id !== 'string') {
+                throw new InvalidQueryError('run_id is required');
+            }
+            return { run_id: raw.run_id };
+        },
+        run: async ({ params, mongoService, progress }) => {
+            const trainingRuns = new TrainingRunService(mongoService);
+            const draft = await trainingRuns.getRun(params.run_id);
+            if (!draft) {
+                throw new InvalidQueryError(`Training run ${params.run_id} not found`);
+            }
+
+            const total = await trainingRuns.exportService.countDocuments(draft.filters || {});
+            const run = await trainingRuns.freezeRun(params.run_id, {
+                onProgress: summary => progress(summary.document_count, total, `${summary.document_count} documents snapshotted`)
+            });
+            return { run_id: run.run_id, status: run.status, snapshot: run.snapshot };
+        }
+    }
+};
+
+// Save one re-cleaned text as a new version; refusals are logged and counted, not fatal
+async function saveCleaned(mongoService, doc, cleaning, actor, summary, log) {
+    const lineage = Array.isArray(doc.provenance?.data_lineage) ? doc.provenance.data_lineage : [];
+    try {
+        await mongoService.updateDocument(doc.document_id, {
+            content_text: cleaning.text,
+            provenance: {
+                data_lineage: lineage.concat({
+                    step: 'Re-cleaned by background job',
+                    timestamp: new Date().toISOString(),
+                    tool_used: DocumentBuilder.TOOL_NAME,
+                    performed_by: actor,
+                    cleaning: { preset: cleaning.preset, rules: cleaning.rules }
+                })
+            }
+        }, doc.version, { actor: actor });
+        summary.updated++;
+    } catch (error) {
+        if (!(error instanceof VersionConflictError || error instanceof LowQualityError
+            || error instanceof DuplicateDocumentError || error instanceof DocumentValidationError)) {
+            throw error;
+        }
+        summary.failed++;
+        log(`${doc.document_id}: ${error.message}`, 'warn');
+    }
+}
+
+function isPermanentError(error) {
+    return PERMANENT_ERRORS.some(type => error instanceof type);
+}
+
+/**
+ * The job types as the jobs panel lists them, with what the given user may start.
+ */
+function describe(canStart = () => true) {
+    return Object.entries(TYPES).map(([type, definition]) => ({
+        type: type,
+        label: definition.label,
+        description: definition.description,
+        role: definition.role,
+        params: definition.params,
+        allowed: canStart(definition.role)
+    }));
+}
+
+function flag(value) {
+    return value === true || value === 'true' || value === '1';
+}
+
+function pick(raw, keys) {
+    const picked = {};
+    for (const key of keys) {
+        if (raw[key] !== undefined && raw[key] !== null && raw[key] !== '') {
+            picked[key] = raw[key];
+        }
+    }
+    return picked;
+}
+
+module.exports = {
+    TYPES: TYPES,
+    describe: describe,
+    isPermanentError: isPermanentError
+};
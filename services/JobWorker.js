@@ -0,0 +1,192 @@
+const os = require('os');
+const JobService = require('./JobService');
+const JobTypes = require('./JobTypes');
+const CorpusService = require('./CorpusService');
+const { DEFAULT_CORPUS } = require('./MongoService');
+
+const { logLine } = JobService;
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+// Progress and log lines are written to the job this often, which also serves as its heartbeat
+const REPORT_INTERVAL_MS = 1000;
+// How often orphaned jobs of crashed workers are looked for
+const RECOVER_INTERVAL_MS = 60 * 1000;
+
+// Thrown out of progress() to unwind a job that was cancelled or whose worker is stopping
+class JobStoppedError extends Error {
+    constructor(reason) {
+        super(reason === 'cancelled' ? 'Job cancelled' : 'Worker stopping');
+        this.name = 'JobStoppedError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Runs queued jobs one at a time: claims the oldest due job, runs its
+ * JobTypes handler and records the outcome. Progress and log lines from the
+ * handler are buffered and flushed every REPORT_INTERVAL_MS, which also tells
+ * the worker whether the job has been cancelled meanwhile.
+ *
+ * Started by server.js (JOB_WORKER=process forks bin/worker.js, inline runs
+ * it inside the server) or on its own with `npm run worker`; several workers
+ * can share one queue.
+ */
+class JobWorker {
+    constructor(mongoService, { workerId = null, pollIntervalMs = null, logger = console } = {}) {
+        this.mongoService = mongoService;
+        this.jobs = new JobService(mongoService);
+        this.corpora = new CorpusService(mongoService);
+        this.workerId = workerId || `${os.hostname()}:${process.pid}`;
+        this.pollIntervalMs = pollIntervalMs || parseInt(process.env.JOB_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+        this.logger = logger;
+        this.stopping = false;
+        this.loop = null;
+        this.wake = null;
+        this.lastRecovery = 0;
+    }
+
+    start() {
+        if (!this.loop) {
+            this.stopping = false;
+            this.loop = this.run();
+            this.logger.info(`Job worker ${this.workerId} started`, { event: 'worker_started', worker_id: this.workerId });
+        }
+        return this.loop;
+    }
+
+    /**
+     * Stop after the current job: a running job is interrupted at its next
+     * progress report and put back in the queue for another worker.
+     */
+    async stop() {
+        this.stopping = true;
+        if (this.wake) {
+            this.wake();
+        }
+        await this.loop;
+        this.loop = null;
+    }
+
+    async run() {
+        while (!this.stopping) {
+            let job = null;
+            try {
+                if (Date.now() - this.lastRecovery >= RECOVER_INTERVAL_MS) {
+                    this.lastRecovery = Date.now();
+                    const recovered = await this.jobs.recoverStale();
+                    if (recovered) {
+                        this.logger.warn(`Recovered ${recovered} job(s) left running by a stopped worker`, {
+                            event: 'jobs_recovered',
+                            worker_id: this.workerId,
+                            count: recovered
+                        });
+                    }
+                }
+                job = await this.jobs.claimNext(this.workerId);
+            } catch (error) {
+                this.logger.error('Job queue unavailable', { event: 'queue_unavailable', worker_id: this.workerId, error: error });
+            }
+
+            if (job) {
+                await this.runJob(job);
+            } else {
+                await new Promise(resolve => {
+                    this.wake = resolve;
+                    setTimeout(resolve, this.pollIntervalMs);
+                });
+                this.wake = null;
+            }
+        }
+    }
+
+    async runJob(job) {
+        const jobType = JobTypes.TYPES[job.type];
+        const state = { progress: null, logs: [], stop: null };
+
+        const flush = async () => {
+            const logs = state.logs.splice(0);
+            try {
+                if (await this.jobs.report(job.job_id, { progress: state.progress, logs: logs })) {
+                    state.stop = state.stop || 'cancelled';
+                }
+            } catch (error) {
+                this.logger.error(`Could not report progress of ${job.job_id}`, { event: 'job_report_failed', ...jobFields(job, this.workerId), error: error });
+            }
+        };
+
+        // Reports also run while a handler is busy between progress calls, keeping the heartbeat alive
+        const timer = setInterval(flush, REPORT_INTERVAL_MS);
+
+        const context = {
+            job_id: job.job_id,
+            params: job.params,
+            actor: job.created_by,
+            mongoService: null,
+            progress: (done, total = null, message = null) => {
+                state.progress = { done: done, total: total, message: message };
+                if (this.stopping && !state.stop) {
+                    state.stop = 'stopping';
+                }
+                if (state.stop) {
+                    throw new JobStoppedError(state.stop);
+                }
+            },
+            log: (message, level = 'info') => {
+                state.logs.push(logLine(level, message));
+            }
+        };
+
+        this.logger.info(`Running ${job.type} job ${job.job_id}`, {
+            event: 'job_started',
+            ...jobFields(job, this.workerId),
+            max_attempts: job.max_attempts
+        });
+
+        try {
+            if (!jobType) {
+                throw new Error(`Unknown job type ${job.type}; is this worker older than the one that queued it?`);
+            }
+            // Jobs queued before corpora existed work on the default corpus
+            context.mongoService = (await this.corpora.resolve(job.corpus || DEFAULT_CORPUS)).mongoService;
+            const result = await jobType.run(context);
+            clearInterval(timer);
+            const progress = state.progress && { ...state.progress, total: state.progress.total ?? state.progress.done };
+            await this.jobs.complete(job.job_id, result, { logs: state.logs, progress: progress });
+            this.logger.info(`Job ${job.job_id} succeeded`, { event: 'job_succeeded', ...jobFields(job, this.workerId) });
+        } catch (error) {
+            clearInterval(timer);
+            await this.recordFailure(job, error, state);
+        }
+    }
+
+    async recordFailure(job, error, state) {
+        try {
+            if (error instanceof JobStoppedError && error.reason === 'stopping') {
+                await this.jobs.release(job.job_id, { logs: state.logs, progress: state.progress });
+                this.logger.info(`Job ${job.job_id} put back in the queue`, { event: 'job_released', ...jobFields(job, this.workerId) });
+            } else if (error instanceof JobStoppedError) {
+                await this.jobs.markCancelled(job.job_id, { logs: state.logs, progress: state.progress });
+                this.logger.info(`Job ${job.job_id} cancelled`, { event: 'job_cancelled', ...jobFields(job, this.workerId) });
+            } else {
+                const permanent = !JobTypes.TYPES[job.type] || JobTypes.isPermanentError(error);
+                const outcome = await this.jobs.fail(job.job_id, error, { permanent: permanent, logs: state.logs, progress: state.progress });
+                this.logger.error(`Job ${job.job_id} failed${outcome === 'queued' ? ' (will retry)' : ''}`, {
+                    event: 'job_failed',
+                    ...jobFields(job, this.workerId),
+                    retry: outcome === 'queued',
+                    error: error
+                });
+            }
+        } catch (reportError) {
+            this.logger.error(`Could not record the outcome of ${job.job_id}`, { event: 'job_report_failed', ...jobFields(job, this.workerId), error: reportError });
+        }
+    }
+}
+
+// Fields identifying a job in the worker's own log lines
+function jobFields(job, workerId) {
+    return { job_id: job.job_id, type: job.type, corpus: job.corpus || DEFAULT_CORPUS, attempt: job.attempts, worker_id: workerId };
+}
+
+module.exports = JobWorker;
+module.exports.JobStoppedError = JobStoppedError;
@@ -0,0 +1,1194 @@
+const fs = require('fs');
+const path = require('path');
+const { BSON, ObjectId } = require('mongodb');
+
+const { EJSON } = BSON;
+
+// A collection file is rewritten without superseded lines once it has grown this much past its live documents
+const COMPACT_SLACK_BYTES = 1024 * 1024;
+
+// Writers in other processes (the job worker, the CLI) take turns through a lock file
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 5;
+const STALE_LOCK_MS = 30000;
+
+// Collection names become file names
+const COLLECTION_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+class DuplicateKeyError extends Error {
+    constructor(collection, index, key) {
+        super(`E11000 duplicate key error collection: ${collection} index: ${index} dup key: ${key}`);
+        this.name = 'DuplicateKeyError';
+        this.code = 11000;
+    }
+}
+
+class UnsupportedOperationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsupportedOperationError';
+    }
+}
+
+/**
+ * File-based stand-in for a MongoDB database: every collection is a
+ * <name>.jsonl file in one directory, holding one Extended JSON document per
+ * line. Updates and deletes append the new state (or a `$deleted` marker)
+ * and the last line for an _id wins; files are compacted as superseded lines
+ * pile up. Collections are held in memory and follow what other processes
+ * append, so the server, its job worker and the CLI can share a directory.
+ *
+ * Implements the part of the driver's collection API the services use:
+ * find (with sort, skip, limit, projections including textScore and
+ * $substrCP), findOne, countDocuments, insertOne/Many, updateOne/Many
+ * (with upsert), findOneAndUpdate/Delete, deleteOne/Many, aggregate ($match,
+ * $group, $sort, $skip, $limit), createIndexes (unique keys are enforced,
+ * a text index enables $text) and indexes(). Anything else throws
+ * UnsupportedOperationError rather than silently behaving differently.
+ */
+class JsonlDatabase {
+    constructor(directory) {
+        this.directory = directory;
+        this.lockFile = path.join(directory, '.lock');
+        this.collections = new Map();
+        this.lockHeld = false;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    collection(name) {
+        if (!COLLECTION_NAME_PATTERN.test(name)) {
+            throw new UnsupportedOperationError(`Invalid collection name: ${name}`);
+        }
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new JsonlCollection(this, name));
+        }
+        return this.collections.get(name);
+    }
+
+    // Only { ping: 1 }, which checks that the directory is still writable
+    async command(command) {
+        if (command && command.ping) {
+            fs.accessSync(this.directory, fs.constants.R_OK | fs.constants.W_OK);
+            return { ok: 1 };
+        }
+        throw new UnsupportedOperationError(`Unsupported command: ${JSON.stringify(command)}`);
+    }
+
+    /**
+     * Run fn holding the directory's lock file. Everything done under the
+     * lock is synchronous, so no other write of this process can interleave.
+     */
+    withLock(fn) {
+        if (this.lockHeld) {
+            return fn();
+        }
+
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        let fd;
+        for (;;) {
+            try {
+                fd = fs.openSync(this.lockFile, 'wx');
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                if (isStaleLock(this.lockFile)) {
+                    fs.rmSync(this.lockFile, { force: true });
+                    continue;
+                }
+                if (Date.now() > deadline) {
+                    throw new Error(`Timed out waiting for the storage lock ${this.lockFile}`);
+                }
+                sleepSync(LOCK_RETRY_MS);
+            }
+        }
+
+        this.lockHeld = true;
+        try {
+            return fn();
+        } finally {
+            this.lockHeld = false;
+            fs.closeSync(fd);
+            fs.rmSync(this.lockFile, { force: true });
+        }
+    }
+}
+
+class JsonlCollection {
+    constructor(db, name) {
+        this.db = db;
+        this.collectionName = name;
+        this.file = path.join(db.directory, `${name}.jsonl`);
+        this.indexSpecs = new Map();
+        this.documents = new Map();  // _id key -> stored document, in insertion order
+        this.lineBytes = new Map();  // _id key -> size of the line holding its current state
+        this.liveBytes = 0;
+        this.offset = 0;             // bytes of the file read so far
+        this.inode = null;
+    }
+
+    // ========================================================================
+    // READING
+    // ========================================================================
+
+    find(query = {}, options = {}) {
+        return new JsonlCursor(this, query, options);
+    }
+
+    async findOne(query = {}, { projection = null, sort = null } = {}) {
+        const [document] = await this.find(query, { projection, sort, limit: 1 }).toArray();
+        return document || null;
+    }
+
+    async countDocuments(query = {}) {
+        this.sync();
+        const filter = compileQuery(query, this);
+        let count = 0;
+        for (const document of this.documents.values()) {
+            if (filter.test(document)) count++;
+        }
+        return count;
+    }
+
+    aggregate(pipeline = []) {
+        const run = () => {
+            this.sync();
+            let documents = [...this.documents.values()];
+            for (const stage of pipeline) {
+                documents = applyStage(documents, stage, this);
+            }
+            return documents.map(clone);
+        };
+        return {
+            toArray: async () => run(),
+            [Symbol.asyncIterator]: async function* () {
+                yield* run();
+            }
+        };
+    }
+
+    async indexes() {
+        return [{ name: '_id_', key: { _id: 1 } }].concat([...this.indexSpecs.values()].map(clone));
+    }
+
+    // ========================================================================
+    // WRITING
+    // ========================================================================
+
+    async createIndexes(specs) {
+        return this.mutate(() => {
+            for (const spec of specs) {
+                const name = spec.name || Object.entries(spec.key).map(([field, kind]) => `${field}_${kind}`).join('_');
+                const index = { ...spec, name: name };
+                if (index.unique) {
+                    const seen = new Set();
+                    for (const document of this.documents.values()) {
+                        const key = uniqueKey(document, index);
+                        if (seen.has(key)) {
+                            throw new DuplicateKeyError(this.collectionName, name, key);
+                        }
+                        seen.add(key);
+                    }
+                }
+                this.indexSpecs.set(name, index);
+            }
+            return specs.map(spec => spec.name);
+        });
+    }
+
+    async createIndex(key, options = {}) {
+        const [name] = await this.createIndexes([{ key: key, ...options }]);
+        return name;
+    }
+
+    async insertOne(document) {
+        return this.mutate(() => {
+            this.insert(document);
+            return { acknowledged: true, insertedId: document._id };
+        });
+    }
+
+    async insertMany(documents) {
+        return this.mutate(() => {
+            const insertedIds = {};
+            documents.forEach((document, position) => {
+                this.insert(document);
+                insertedIds[position] = document._id;
+            });
+            return { acknowledged: true, insertedCount: documents.length, insertedIds: insertedIds };
+        });
+    }
+
+    async updateOne(query, update, { upsert = false } = {}) {
+        return this.mutate(() => this.update(query, update, { upsert, multi: false }));
+    }
+
+    async updateMany(query, update, { upsert = false } = {}) {
+        return this.mutate(() => this.update(query, update, { upsert, multi: true }));
+    }
+
+    async findOneAndUpdate(query, update, { sort = null, projection = null, returnDocument = 'before', upsert = false } = {}) {
+        return this.mutate(() => {
+            const filter = compileQuery(query, this);
+            const [existing] = this.select(filter, sort, 1);
+
+            if (!existing) {
+                if (!upsert) {
+                    return null;
+                }
+                const inserted = this.upsert(query, update);
+                return returnDocument === 'after' ? project(inserted, projection, filter) : null;
+            }
+
+            const updated = this.replace(existing, applyUpdate(clone(existing), update, { inserting: false }));
+            return project(returnDocument === 'after' ? updated : existing, projection, filter);
+        });
+    }
+
+    async findOneAndDelete(query, { sort = null, projection = null } = {}) {
+        return this.mutate(() => {
+            const filter = compileQuery(query, this);
+            const [existing] = this.select(filter, sort, 1);
+            if (!existing) {
+                return null;
+            }
+            this.write([{ _id: existing._id, $deleted: true }]);
+            return project(existing, projection, filter);
+        });
+    }
+
+    async deleteOne(query) {
+        return this.mutate(() => this.remove(query, 1));
+    }
+
+    async deleteMany(query = {}) {
+        return this.mutate(() => this.remove(query, 0));
+    }
+
+    // ========================================================================
+    // INTERNALS (synchronous, called under the lock)
+    // ========================================================================
+
+    mutate(fn) {
+        return this.db.withLock(() => {
+            this.sync();
+            this.discardTornLine();
+            const result = fn();
+            this.compactIfNeeded();
+            return result;
+        });
+    }
+
+    // Matching stored documents (not copies) in sort order
+    select(filter, sort, limit = 0) {
+        const selected = [];
+        for (const document of this.documents.values()) {
+            if (filter.test(document)) {
+                selected.push(document);
+                // Without a sort the first matches are the answer
+                if (!sort && limit && selected.length === limit) break;
+            }
+        }
+        if (sort) {
+            selected.sort(sortComparator(sort, filter));
+        }
+        return limit ? selected.slice(0, limit) : selected;
+    }
+
+    // Like the driver, an _id is added to the caller's document
+    insert(document) {
+        if (document._id === undefined) {
+            document._id = new ObjectId();
+        }
+        if (this.documents.has(idKey(document._id))) {
+            throw new DuplicateKeyError(this.collectionName, '_id_', keyString(document._id));
+        }
+        this.assertUnique(document);
+        this.write([document]);
+    }
+
+    update(query, update, { upsert, multi }) {
+        const filter = compileQuery(query, this);
+        const matched = this.select(filter, null, multi ? 0 : 1);
+
+        if (matched.length === 0 && upsert) {
+            const inserted = this.upsert(query, update);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+        }
+
+        let modified = 0;
+        for (const existing of matched) {
+            const updated = applyUpdate(clone(existing), update, { inserting: false });
+            if (!valuesEqual(existing, updated)) {
+                this.replace(existing, updated);
+                modified++;
+            }
+        }
+        return { acknowledged: true, matchedCount: matched.length, modifiedCount: modified, upsertedCount: 0, upsertedId: null };
+    }
+
+    // A new document from the query's equality conditions with the update applied
+    upsert(query, update) {
+        const document = {};
+        for (const [field, condition] of Object.entries(query)) {
+            if (field.startsWith('$')) continue;
+            if (!isOperatorObject(condition)) {
+                setPath(document, field, clone(condition));
+            } else if ('$eq' in condition) {
+                setPath(document, field, clone(condition.$eq));
+            }
+        }
+        applyUpdate(document, update, { inserting: true });
+        this.insert(document);
+        return this.documents.get(idKey(document._id));
+    }
+
+    replace(existing, updated) {
+        if (!valuesEqual(existing._id, updated._id)) {
+            throw new UnsupportedOperationError('The _id of a document cannot be changed');
+        }
+        this.assertUnique(updated);
+        this.write([updated]);
+        return this.documents.get(idKey(updated._id));
+    }
+
+    remove(query, limit) {
+        const matched = this.select(compileQuery(query, this), null, limit);
+        if (matched.length) {
+            this.write(matched.map(document => ({ _id: document._id, $deleted: true })));
+        }
+        return { acknowledged: true, deletedCount: matched.length };
+    }
+
+    assertUnique(document) {
+        const ownKey = idKey(document._id);
+        for (const index of this.indexSpecs.values()) {
+            if (!index.unique) continue;
+            const key = uniqueKey(document, index);
+            for (const [otherKey, other] of this.documents) {
+                if (otherKey !== ownKey && uniqueKey(other, index) === key) {
+                    throw new DuplicateKeyError(this.collectionName, index.name, key);
+                }
+            }
+        }
+    }
+
+    // Append records and apply them as read back, so memory always matches the file
+    write(records) {
+        const lines = records.map(record => EJSON.stringify(record, { relaxed: true }));
+        const data = lines.map(line => line + '\n').join('');
+        fs.appendFileSync(this.file, data);
+        if (this.inode === null) {
+            this.inode = fs.statSync(this.file).ino;
+        }
+        for (const line of lines) {
+            this.applyLine(line, Buffer.byteLength(line) + 1);
+        }
+        this.offset += Buffer.byteLength(data);
+    }
+
+    /**
+     * Catch up with the file: read lines appended since the last look (by this
+     * or another process), or everything again after the file was replaced.
+     */
+    sync() {
+        let stat;
+        try {
+            stat = fs.statSync(this.file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            if (this.inode !== null) {
+                this.reset();
+            }
+            return;
+        }
+
+        if (stat.ino !== this.inode || stat.size < this.offset) {
+            this.reset();
+            this.inode = stat.ino;
+        }
+        if (stat.size > this.offset) {
+            this.readFrom(stat.size);
+        }
+    }
+
+    reset() {
+        this.documents.clear();
+        this.lineBytes.clear();
+        this.liveBytes = 0;
+        this.offset = 0;
+        this.inode = null;
+    }
+
+    readFrom(size) {
+        const buffer = Buffer.alloc(size - this.offset);
+        const fd = fs.openSync(this.file, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // A line still being appended by another process is read next time
+        const end = buffer.lastIndexOf(0x0a);
+        let start = 0;
+        while (start <= end) {
+            const newline = buffer.indexOf(0x0a, start);
+            this.applyLine(buffer.toString('utf8', start, newline), newline - start + 1);
+            start = newline + 1;
+        }
+        this.offset += end + 1;
+    }
+
+    applyLine(line, bytes) {
+        if (!line.trim()) {
+            return;
+        }
+        const record = EJSON.parse(line, { relaxed: true });
+        const key = idKey(record._id);
+
+        this.liveBytes -= this.lineBytes.get(key) || 0;
+        if (record.$deleted) {
+            this.documents.delete(key);
+            this.lineBytes.delete(key);
+        } else {
+            this.documents.set(key, record);
+            this.lineBytes.set(key, bytes);
+            this.liveBytes += bytes;
+        }
+    }
+
+    // Nobody else appends while the lock is held, so bytes after the last
+    // complete line were left by a writer that died mid-append
+    discardTornLine() {
+        if (this.inode !== null && fs.statSync(this.file).size > this.offset) {
+            fs.truncateSync(this.file, this.offset);
+        }
+    }
+
+    compactIfNeeded() {
+        if (this.offset <= 2 * this.liveBytes + COMPACT_SLACK_BYTES) {
+            return;
+        }
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        const data = [...this.documents.values()].map(document => EJSON.stringify(document, { relaxed: true }) + '\n').join('');
+        fs.writeFileSync(temporary, data);
+        fs.renameSync(temporary, this.file);
+        this.reset();
+        this.sync();
+    }
+}
+
+class JsonlCursor {
+    constructor(collection, query, { projection = null, sort = null, skip = 0, limit = 0 } = {}) {
+        this.collection = collection;
+        this.query = query;
+        this.projection = projection;
+        this.sortSpec = sort;
+        this.skipCount = skip;
+        this.limitCount = limit;
+    }
+
+    sort(spec) {
+        this.sortSpec = spec;
+        return this;
+    }
+
+    skip(count) {
+        this.skipCount = count;
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    project(projection) {
+        this.projection = projection;
+        return this;
+    }
+
+    async toArray() {
+        const { documents, filter } = this.run();
+        return documents.map(document => project(document, this.projection, filter));
+    }
+
+    async *[Symbol.asyncIterator]() {
+        const { documents, filter } = this.run();
+        for (const document of documents) {
+            yield project(document, this.projection, filter);
+        }
+    }
+
+    async close() {}
+
+    run() {
+        this.collection.sync();
+        const filter = compileQuery(this.query, this.collection);
+        let documents = this.collection.select(filter, this.sortSpec, this.sortSpec ? 0 : this.skipCount + this.limitCount);
+        documents = documents.slice(this.skipCount, this.limitCount ? this.skipCount + this.limitCount : undefined);
+        return { documents, filter };
+    }
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Compile a query into { test(document), score(document) }; score is the
+ * $text relevance, for textScore projections and sorts.
+ */
+function compileQuery(query, collection) {
+    const textQuery = findTextQuery(query);
+    const text = textQuery ? compileTextSearch(textQuery, collection) : null;
+    return {
+        test: document => matchesQuery(document, query, text),
+        score: document => (text ? text.score(document) : 0)
+    };
+}
+
+function findTextQuery(query) {
+    if (query.$text) {
+        return query.$text;
+    }
+    for (const sub of query.$and || []) {
+        const found = findTextQuery(sub);
+        if (found) return found;
+    }
+    return null;
+}
+
+function matchesQuery(document, query, text) {
+    for (const [field, condition] of Object.entries(query)) {
+        if (field === '$and') {
+            if (!condition.every(sub => matchesQuery(document, sub, text))) return false;
+        } else if (field === '$or') {
+            if (!condition.some(sub => matchesQuery(document, sub, text))) return false;
+        } else if (field === '$nor') {
+            if (condition.some(sub => matchesQuery(document, sub, text))) return false;
+        } else if (field === '$text') {
+            if (!text.test(document)) return false;
+        } else if (field.startsWith('$')) {
+            throw new UnsupportedOperationError(`Unsupported query operator: ${field}`);
+        } else if (!matchesCondition(valuesAt(document, field), condition, text)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// candidates: the values a dotted path reaches (several through arrays, undefined when missing)
+function matchesCondition(candidates, condition, text) {
+    if (condition instanceof RegExp) {
+        return candidates.some(value => expand(value).some(item => typeof item === 'string' && condition.test(item)));
+    }
+    if (!isOperatorObject(condition)) {
+        return candidates.some(value => equalsOrContains(value, condition));
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$eq':
+                return candidates.some(value => equalsOrContains(value, operand));
+            case '$ne':
+                return !candidates.some(value => equalsOrContains(value, operand));
+            case '$in':
+                return operand.some(target => target instanceof RegExp
+                    ? matchesCondition(candidates, target, text)
+                    : candidates.some(value => equalsOrContains(value, target)));
+            case '$nin':
+                return !operand.some(target => candidates.some(value => equalsOrContains(value, target)));
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte':
+                return candidates.some(value => expand(value).some(item => compareWith(operator, item, operand)));
+            case '$exists':
+                return operand ? candidates.some(value => value !== undefined) : candidates.every(value => value === undefined);
+            case '$regex': {
+                const pattern = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+                return matchesCondition(candidates, pattern, text);
+            }
+            case '$options':
+                return true;
+            case '$not':
+                return !matchesCondition(candidates, operand, text);
+            case '$size':
+                return candidates.some(value => Array.isArray(value) && value.length === operand);
+            case '$elemMatch':
+                return candidates.some(value => Array.isArray(value) && value.some(element =>
+                    isOperatorObject(operand) ? matchesCondition([element], operand, text) : isPlainObject(element) && matchesQuery(element, operand, text)));
+            default:
+                throw new UnsupportedOperationError(`Unsupported query operator: ${operator}`);
+        }
+    });
+}
+
+function compareWith(operator, value, operand) {
+    if (typeRank(value) !== typeRank(operand) || value === undefined || value === null) {
+        return false;
+    }
+    const order = compareValues(value, operand);
+    switch (operator) {
+        case '$gt': return order > 0;
+        case '$gte': return order >= 0;
+        case '$lt': return order < 0;
+        default: return order <= 0;
+    }
+}
+
+// An array field matches a value it equals or contains; null matches a missing field
+function equalsOrContains(value, target) {
+    if (target === null && (value === undefined || value === null)) {
+        return true;
+    }
+    return expand(value).some(item => valuesEqual(item, target));
+}
+
+function expand(value) {
+    return Array.isArray(value) ? [value, ...value] : [value];
+}
+
+function valuesAt(document, field) {
+    const values = [];
+    collectValues(document, field.split('.'), 0, values);
+    return values.length ? values : [undefined];
+}
+
+function collectValues(value, segments, position, values) {
+    if (position === segments.length) {
+        values.push(value);
+        return;
+    }
+    if (Array.isArray(value)) {
+        if (/^\d+$/.test(segments[position])) {
+            collectValues(value[Number(segments[position])], segments, position + 1, values);
+        }
+        for (const element of value) {
+            if (isPlainObject(element)) {
+                collectValues(element, segments, position, values);
+            }
+        }
+        return;
+    }
+    if (!isPlainObject(value)) {
+        values.push(undefined);
+        return;
+    }
+    collectValues(value[segments[position]], segments, position + 1, values);
+}
+
+// ============================================================================
+// TEXT SEARCH
+// ============================================================================
+
+/**
+ * $text over the fields of the collection's text index, like MongoDB with
+ * default_language none: case-insensitive words without stemming, any term
+ * matches, "quoted phrases" must all appear, -term excludes. The score is
+ * the share of the document's words that are search terms.
+ */
+function compileTextSearch(textQuery, collection) {
+    const index = [...collection.indexSpecs.values()].find(spec => Object.values(spec.key).includes('text'));
+    if (!index) {
+        throw new UnsupportedOperationError(`text index required for $text query on ${collection.collectionName}`);
+    }
+    const fields = Object.keys(index.key).filter(field => index.key[field] === 'text');
+
+    const phrases = [];
+    const rest = String(textQuery.$search || '').replace(/"([^"]*)"/g, (match, phrase) => {
+        const phraseWords = words(phrase);
+        if (phraseWords.length) phrases.push(phraseWords.join(' '));
+        return ' ';
+    });
+    const terms = [];
+    const negated = [];
+    for (const token of rest.split(/\s+/).filter(Boolean)) {
+        if (token.startsWith('-') && token.length > 1) {
+            negated.push(...words(token.slice(1)));
+        } else {
+            terms.push(...words(token));
+        }
+    }
+
+    // Word counts are kept per stored document; stored documents are replaced, never changed
+    const cache = new WeakMap();
+    const analyze = (document) => {
+        if (!cache.has(document)) {
+            const documentWords = fields.flatMap(field => valuesAt(document, field).flatMap(expand))
+                .filter(value => typeof value === 'string')
+                .flatMap(words);
+            const counts = new Map();
+            for (const word of documentWords) {
+                counts.set(word, (counts.get(word) || 0) + 1);
+            }
+            cache.set(document, { counts, total: documentWords.length, joined: ` ${documentWords.join(' ')} ` });
+        }
+        return cache.get(document);
+    };
+
+    return {
+        test: (document) => {
+            const analyzed = analyze(document);
+            if (negated.some(word => analyzed.counts.has(word))) {
+                return false;
+            }
+            return phrases.length
+                ? phrases.every(phrase => analyzed.joined.includes(` ${phrase} `))
+                : terms.some(word => analyzed.counts.has(word));
+        },
+        score: (document) => {
+            const analyzed = analyze(document);
+            if (!analyzed.total) return 0;
+            const hits = [...new Set(terms)].reduce((sum, word) => sum + (analyzed.counts.get(word) || 0), 0);
+            return (hits + phrases.length) / analyzed.total;
+        }
+    };
+}
+
+function words(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// ============================================================================
+// SORTING AND PROJECTION
+// ============================================================================
+
+function sortComparator(spec, filter) {
+    const keys = Object.entries(spec);
+    return (a, b) => {
+        for (const [field, direction] of keys) {
+            const order = isPlainObject(direction) && direction.$meta === 'textScore'
+                ? filter.score(b) - filter.score(a)
+                : compareValues(valuesAt(a, field)[0], valuesAt(b, field)[0]) * (direction === -1 || direction === 'desc' ? -1 : 1);
+            if (order !== 0) return order;
+        }
+        return 0;
+    };
+}
+
+/**
+ * Copy of a stored document shaped by a projection: inclusion (with the
+ * listed dotted paths), exclusion, { $meta: 'textScore' } and
+ * { $substrCP: ['$field', start, length] }.
+ */
+function project(document, projection, filter) {
+    if (!projection || !Object.keys(projection).length) {
+        return clone(document);
+    }
+
+    const entries = Object.entries(projection);
+    const computed = entries.filter(([, spec]) => isPlainObject(spec));
+    const plain = entries.filter(([, spec]) => !isPlainObject(spec));
+    const inclusive = plain.some(([field, spec]) => field !== '_id' && spec) || computed.some(([, spec]) => !('$meta' in spec));
+
+    let result;
+    if (inclusive) {
+        result = {};
+        if (projection._id === undefined || projection._id) {
+            result._id = clone(document._id);
+        }
+        for (const [field, spec] of plain) {
+            if (field !== '_id' && spec) {
+                pickPath(document, result, field.split('.'));
+            }
+        }
+    } else {
+        result = clone(document);
+        for (const [field, spec] of plain) {
+            if (!spec) {
+                removePath(result, field.split('.'));
+            }
+        }
+    }
+
+    for (const [field, spec] of computed) {
+        if (spec.$meta === 'textScore') {
+            result[field] = filter.score(document);
+        } else if (spec.$substrCP) {
+            const [expression, start, length] = spec.$substrCP;
+            const value = evaluate(document, expression);
+            result[field] = typeof value === 'string' ? Array.from(value).slice(start, start + length).join('') : '';
+        } else {
+            throw new UnsupportedOperationError(`Unsupported projection for ${field}: ${JSON.stringify(spec)}`);
+        }
+    }
+    return result;
+}
+
+function pickPath(source, target, segments) {
+    const [head, ...rest] = segments;
+    if (!isPlainObject(source) || !(head in source)) {
+        return;
+    }
+    const value = source[head];
+    if (!rest.length) {
+        target[head] = clone(value);
+    } else if (Array.isArray(value)) {
+        const picked = Array.isArray(target[head]) ? target[head] : value.map(() => ({}));
+        value.forEach((element, position) => pickPath(element, picked[position], rest));
+        target[head] = picked;
+    } else if (isPlainObject(value)) {
+        target[head] = isPlainObject(target[head]) ? target[head] : {};
+        pickPath(value, target[head], rest);
+    }
+}
+
+function removePath(target, segments) {
+    const [head, ...rest] = segments;
+    if (Array.isArray(target)) {
+        target.forEach(element => removePath(element, segments));
+    } else if (isPlainObject(target)) {
+        if (!rest.length) {
+            delete target[head];
+        } else {
+            removePath(target[head], rest);
+        }
+    }
+}
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+function applyStage(documents, stage, collection) {
+    const [name, spec] = Object.entries(stage)[0];
+    switch (name) {
+        case '$match': {
+            const filter = compileQuery(spec, collection);
+            return documents.filter(filter.test);
+        }
+        case '$sort':
+            return [...documents].sort(sortComparator(spec, compileQuery({}, collection)));
+        case '$skip':
+            return documents.slice(spec);
+        case '$limit':
+            return documents.slice(0, spec);
+        case '$group':
+            return group(documents, spec);
+        default:
+            throw new UnsupportedOperationError(`Unsupported aggregation stage: ${name}`);
+    }
+}
+
+function group(documents, spec) {
+    const { _id: idExpression, ...accumulators } = spec;
+    const groups = new Map();
+
+    for (const document of documents) {
+        const id = isPlainObject(idExpression)
+            ? Object.fromEntries(Object.entries(idExpression).map(([field, expression]) => [field, evaluate(document, expression) ?? null]))
+            : evaluate(document, idExpression) ?? null;
+        const key = keyString(id);
+        if (!groups.has(key)) {
+            groups.set(key, { _id: id, states: {} });
+        }
+        const entry = groups.get(key);
+
+        for (const [field, accumulator] of Object.entries(accumulators)) {
+            const [operator, expression] = Object.entries(accumulator)[0];
+            const value = evaluate(document, expression);
+            const state = entry.states[field] || (entry.states[field] = { operator, sum: 0, count: 0, values: [], value: undefined });
+            accumulate(state, operator, value);
+        }
+    }
+
+    return [...groups.values()].map(entry => {
+        const result = { _id: entry._id };
+        for (const [field, state] of Object.entries(entry.states)) {
+            result[field] = finishAccumulator(state);
+        }
+        return result;
+    });
+}
+
+function accumulate(state, operator, value) {
+    switch (operator) {
+        case '$sum':
+        case '$avg':
+            if (typeof value === 'number') {
+                state.sum += value;
+                state.count++;
+            }
+            break;
+        case '$min':
+        case '$max':
+            if (value !== undefined && value !== null && (state.value === undefined
+                || (operator === '$min' ? compareValues(value, state.value) < 0 : compareValues(value, state.value) > 0))) {
+                state.value = value;
+            }
+            break;
+        case '$first':
+            if (state.count++ === 0) state.value = value ?? null;
+            break;
+        case '$last':
+            state.value = value ?? null;
+            break;
+        case '$push':
+            if (value !== undefined) state.values.push(value);
+            break;
+        case '$addToSet':
+            if (value !== undefined && !state.values.some(existing => valuesEqual(existing, value))) state.values.push(value);
+            break;
+        default:
+            throw new UnsupportedOperationError(`Unsupported accumulator: ${operator}`);
+    }
+}
+
+function finishAccumulator(state) {
+    switch (state.operator) {
+        case '$sum': return state.sum;
+        case '$avg': return state.count ? state.sum / state.count : null;
+        case '$push':
+        case '$addToSet': return state.values;
+        default: return state.value ?? null;
+    }
+}
+
+// '$field.path' reads a field, anything else is a literal
+function evaluate(document, expression) {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return getPath(document, expression.slice(1));
+    }
+    return expression;
+}
+
+// ============================================================================
+// UPDATES
+// ============================================================================
+
+function applyUpdate(document, update, { inserting }) {
+    const operators = Object.entries(update);
+    if (!operators.length || operators.some(([operator]) => !operator.startsWith('$'))) {
+        throw new UnsupportedOperationError('Update document requires atomic operators');
+    }
+
+    for (const [operator, fields] of operators) {
+        for (const [field, value] of Object.entries(fields)) {
+            switch (operator) {
+                case '$set':
+                    setPath(document, field, clone(value));
+                    break;
+                case '$setOnInsert':
+                    if (inserting) setPath(document, field, clone(value));
+                    break;
+                case '$unset':
+                    unsetPath(document, field);
+                    break;
+                case '$inc': {
+                    const current = getPath(document, field);
+                    if (current !== undefined && current !== null && typeof current !== 'number') {
+                        throw new UnsupportedOperationError(`Cannot apply $inc to the non-numeric field ${field}`);
+                    }
+                    setPath(document, field, (current || 0) + value);
+                    break;
+                }
+                case '$push':
+                case '$addToSet': {
+                    const current = getPath(document, field);
+                    if (current !== undefined && !Array.isArray(current)) {
+                        throw new UnsupportedOperationError(`Cannot apply ${operator} to the non-array field ${field}`);
+                    }
+                    const modifiers = isPlainObject(value) && '$each' in value;
+                    let items = (modifiers ? value.$each : [value]).map(clone);
+                    let array = (current || []).slice();
+                    if (operator === '$addToSet') {
+                        items = items.filter((item, position) => !array.some(existing => valuesEqual(existing, item))
+                            && items.findIndex(other => valuesEqual(other, item)) === position);
+                    }
+                    array.push(...items);
+                    if (modifiers && value.$slice !== undefined) {
+                        array = value.$slice < 0 ? array.slice(value.$slice) : array.slice(0, value.$slice);
+                    }
+                    setPath(document, field, array);
+                    break;
+                }
+                case '$pull': {
+                    const current = getPath(document, field);
+                    if (Array.isArray(current)) {
+                        setPath(document, field, current.filter(element => !pullMatches(element, value)));
+                    }
+                    break;
+                }
+                default:
+                    throw new UnsupportedOperationError(`Unsupported update operator: ${operator}`);
+            }
+        }
+    }
+    return document;
+}
+
+function pullMatches(element, condition) {
+    if (isOperatorObject(condition)) {
+        return matchesCondition([element], condition, null);
+    }
+    if (isPlainObject(condition)) {
+        return isPlainObject(element) && matchesQuery(element, condition, null);
+    }
+    return valuesEqual(element, condition);
+}
+
+function getPath(document, field) {
+    let value = document;
+    for (const segment of field.split('.')) {
+        if (Array.isArray(value) && /^\d+$/.test(segment)) {
+            value = value[Number(segment)];
+        } else if (isPlainObject(value)) {
+            value = value[segment];
+        } else {
+            return undefined;
+        }
+    }
+    return value;
+}
+
+function setPath(document, field, value) {
+    const segments = field.split('.');
+    let target = document;
+    for (const segment of segments.slice(0, -1)) {
+        const key = Array.isArray(target) ? Number(segment) : segment;
+        if (target[key] === undefined || target[key] === null) {
+            target[key] = {};
+        } else if (typeof target[key] !== 'object' || target[key] instanceof Date || target[key] instanceof ObjectId) {
+            throw new UnsupportedOperationError(`Cannot create field ${segment} of ${field} inside a non-object value`);
+        }
+        target = target[key];
+    }
+    const last = segments[segments.length - 1];
+    target[Array.isArray(target) ? Number(last) : last] = value;
+}
+
+function unsetPath(document, field) {
+    const segments = field.split('.');
+    const parent = segments.length > 1 ? getPath(document, segments.slice(0, -1).join('.')) : document;
+    const last = segments[segments.length - 1];
+    if (Array.isArray(parent) && /^\d+$/.test(last)) {
+        parent[Number(last)] = null;
+    } else if (isPlainObject(parent)) {
+        delete parent[last];
+    }
+}
+
+// ============================================================================
+// VALUES
+// ============================================================================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+        && !(value instanceof Date) && !(value instanceof ObjectId) && !(value instanceof RegExp);
+}
+
+function isOperatorObject(value) {
+    return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+function clone(value) {
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (isPlainObject(value)) {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = clone(item);
+        }
+        return copy;
+    }
+    return value;
+}
+
+// MongoDB's ordering across types: null, numbers, strings, objects, arrays, ObjectIds, booleans, dates
+function typeRank(value) {
+    if (value === undefined || value === null) return 1;
+    if (typeof value === 'number') return 2;
+    if (typeof value === 'string') return 3;
+    if (value instanceof ObjectId) return 7;
+    if (typeof value === 'boolean') return 8;
+    if (value instanceof Date) return 9;
+    if (Array.isArray(value)) return 5;
+    return 4;
+}
+
+function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) {
+        return rankA - rankB;
+    }
+    switch (rankA) {
+        case 1:
+            return 0;
+        case 2:
+        case 8:
+            return Number(a) - Number(b);
+        case 3:
+            return a < b ? -1 : a > b ? 1 : 0;
+        case 7:
+            return compareValues(a.toHexString(), b.toHexString());
+        case 9:
+            return a.getTime() - b.getTime();
+        case 5:
+            for (let position = 0; position < Math.min(a.length, b.length); position++) {
+                const order = compareValues(a[position], b[position]);
+                if (order !== 0) return order;
+            }
+            return a.length - b.length;
+        default:
+            return compareValues(keyString(a), keyString(b));
+    }
+}
+
+function valuesEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+    if (a instanceof ObjectId || b instanceof ObjectId) {
+        return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+    }
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, position) => valuesEqual(item, b[position]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => key in b && valuesEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+function keyString(value) {
+    return EJSON.stringify(value === undefined ? null : value, { relaxed: false });
+}
+
+function idKey(id) {
+    return id instanceof ObjectId ? id.toHexString() : keyString(id);
+}
+
+function uniqueKey(document, index) {
+    return keyString(Object.keys(index.key).map(field => getPath(document, field) ?? null));
+}
+
+function isStaleLock(file) {
+    try {
+        return Date.now() - fs.statSync(file).mtimeMs > STALE_LOCK_MS;
+    } catch (error) {
+        return error.code === 'ENOENT';
+    }
+}
+
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+module.exports = JsonlDatabase;
+module.exports.DuplicateKeyError = DuplicateKeyError;
+module.exports.UnsupportedOperationError = UnsupportedOperationError;
@@ -0,0 +1,98 @@
+const util = require('util');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FORMATS = ['json', 'text'];
+
+/**
+ * Structured logs for the server and job workers: one JSON object per line
+ * ({ time, level, msg, ...fields }), ready for a log shipper. LOG_FORMAT=text
+ * prints "time LEVEL message key=value ..." instead, for reading in a
+ * terminal. LOG_LEVEL (default info) drops lower levels.
+ *
+ * child(fields) returns a logger adding fields to every line (a request id,
+ * a worker id). log(), warn() and error() also take console-style arguments,
+ * so a Logger can be handed to the services that take a `logger = console`.
+ */
+class Logger {
+    constructor({ format = null, level = null, fields = {}, stream = process.stdout } = {}) {
+        this.format = FORMATS.includes(format || process.env.LOG_FORMAT) ? (format || process.env.LOG_FORMAT) : 'json';
+        this.level = LEVELS.includes(level || process.env.LOG_LEVEL) ? (level || process.env.LOG_LEVEL) : 'info';
+        this.fields = fields;
+        this.stream = stream;
+    }
+
+    child(fields) {
+        return new Logger({ format: this.format, level: this.level, fields: { ...this.fields, ...fields }, stream: this.stream });
+    }
+
+    debug(...args) {
+        this.write('debug', args);
+    }
+
+    info(...args) {
+        this.write('info', args);
+    }
+
+    warn(...args) {
+        this.write('warn', args);
+    }
+
+    error(...args) {
+        this.write('error', args);
+    }
+
+    log(...args) {
+        this.write('info', args);
+    }
+
+    /**
+     * (message, fields) as the structured call, anything else the way
+     * console would print it. An Error among the arguments is logged as the
+     * error field with its stack.
+     */
+    write(level, args) {
+        if (LEVELS.indexOf(level) < LEVELS.indexOf(this.level)) {
+            return;
+        }
+
+        let message, fields = {};
+        const error = args.find(arg => arg instanceof Error);
+        if (args.length === 2 && typeof args[0] === 'string' && isPlainObject(args[1])) {
+            message = args[0];
+            fields = { ...args[1] };
+        } else {
+            message = args.filter(arg => arg !== error).map(arg => typeof arg === 'string' ? arg : util.inspect(arg)).join(' ');
+        }
+        // Console-style callers end the message with a colon before the error
+        message = message.trim().replace(/:$/, '');
+        if (error) {
+            fields.error = error;
+        }
+        if (fields.error instanceof Error) {
+            fields.error = { name: fields.error.name, message: fields.error.message, stack: fields.error.stack };
+        }
+
+        const entry = { time: new Date().toISOString(), level: level, msg: message, ...this.fields, ...fields };
+        this.stream.write(this.format === 'text' ? formatText(entry) : `${JSON.stringify(entry)}\n`);
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function formatText({ time, level, msg, ...fields }) {
+    const stack = fields.error?.stack;
+    const pairs = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${JSON.stringify(key === 'error' ? value.message : value)}`);
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${pairs.length ? `  ${pairs.join(' ')}` : ''}\n${stack && level === 'error' ? `${stack}\n` : ''}`;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Error);
+}
+
+module.exports = Logger;
+module.exports.LEVELS = LEVELS;
+module.exports.FORMATS = FORMATS;
@@ -0,0 +1,195 @@
+// Upper bounds (seconds) of the request latency histogram buckets
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * The server's metrics in the Prometheus text format (GET /metrics):
+ * request counts and latencies by route, documents inserted, refused as
+ * duplicates and rejected per corpus, and the size of every corpus, read
+ * from the database on each scrape.
+ *
+ * Counters live in the server process and start from zero when it restarts,
+ * which Prometheus's rate() expects. Inserts made by the CLI or a job
+ * worker are not counted; the corpus size gauges include them.
+ */
+class MetricsService {
+    constructor({ corpusService = null, logger = console } = {}) {
+        this.corpusService = corpusService;
+        this.logger = logger;
+        this.metrics = [];
+
+        this.requests = this.register(new Counter('http_requests_total', 'HTTP requests by route and status code', ['method', 'route', 'status']));
+        this.latency = this.register(new Histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route'], LATENCY_BUCKETS));
+        this.inserted = this.register(new Counter('corpus_documents_inserted_total', 'Documents inserted, by corpus and how they arrived (api, import, copy, move)', ['corpus', 'source']));
+        this.duplicates = this.register(new Counter('corpus_documents_duplicate_total', 'Documents refused as duplicates of a stored one', ['corpus', 'source']));
+        this.rejected = this.register(new Counter('corpus_documents_rejected_total', 'Documents refused by schema validation or the quality thresholds', ['corpus', 'source']));
+        this.documents = this.register(new Gauge('corpus_documents', 'Documents stored in a corpus', ['corpus']));
+        this.tokens = this.register(new Gauge('corpus_tokens', 'Tokens of the documents stored in a corpus', ['corpus']));
+        this.characters = this.register(new Gauge('corpus_characters', 'Characters of the documents stored in a corpus', ['corpus']));
+        this.scrapeErrors = this.register(new Counter('corpus_metrics_collect_errors_total', 'Scrapes whose corpus gauges could not be read from the database', []));
+        this.startTime = this.register(new Gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds', []));
+        this.memory = this.register(new Gauge('process_resident_memory_bytes', 'Resident memory size in bytes', []));
+
+        this.startTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+        this.scrapeErrors.inc({}, 0);
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Count a finished request. route is the matched route pattern (e.g.
+     * /api/corpora/:corpus/documents/:document_id), never the raw path, so
+     * ids do not create a series each.
+     */
+    observeRequest({ method, route, status, seconds }) {
+        this.requests.inc({ method: method, route: route, status: String(status) });
+        this.latency.observe({ method: method, route: route }, seconds);
+    }
+
+    /**
+     * Count the outcome of adding documents to a corpus:
+     * { inserted, duplicate, rejected } (numbers, any may be missing).
+     */
+    countInserts(corpus, source, { inserted = 0, duplicate = 0, rejected = 0 } = {}) {
+        const labels = { corpus: corpus, source: source };
+        this.inserted.inc(labels, inserted);
+        this.duplicates.inc(labels, duplicate);
+        this.rejected.inc(labels, rejected);
+    }
+
+    /**
+     * Refresh the gauges and render every metric in the text exposition format.
+     */
+    async render() {
+        this.memory.set({}, process.memoryUsage().rss);
+        await this.collectCorpora();
+        return this.metrics.map(metric => metric.render()).join('');
+    }
+
+    // A database that is down fails the gauges, not the scrape: request metrics are still worth having
+    async collectCorpora() {
+        if (!this.corpusService) {
+            return;
+        }
+
+        for (const gauge of [this.documents, this.tokens, this.characters]) {
+            gauge.reset();
+        }
+        try {
+            for (const corpus of await this.corpusService.listCorpora()) {
+                const { mongoService } = await this.corpusService.resolve(corpus);
+                const stats = await mongoService.getCollectionStats();
+                const labels = { corpus: corpus.corpus_id };
+                this.documents.set(labels, stats.totalDocuments);
+                this.tokens.set(labels, stats.totalTokens || 0);
+                this.characters.set(labels, stats.totalCharacters || 0);
+            }
+        } catch (error) {
+            this.scrapeErrors.inc({});
+            this.logger.error('Could not read corpus sizes for metrics:', error);
+        }
+    }
+}
+
+// ============================================================================
+// METRIC TYPES
+// ============================================================================
+
+class Metric {
+    constructor(name, help, labelNames, type) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.type = type;
+        this.series = new Map();
+    }
+
+    // One series per combination of label values
+    seriesFor(labels, create) {
+        const key = this.labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: labels, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    formatLabels(labels, extra = {}) {
+        const pairs = [...this.labelNames.map(name => [name, labels[name]]), ...Object.entries(extra)]
+            .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+        return pairs.length ? `{${pairs.join(',')}}` : '';
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super(name, help, labelNames, 'counter');
+    }
+
+    inc(labels, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${this.formatLabels(series.labels)} ${series.value}`];
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super(name, help, labelNames, 'gauge');
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${this.formatLabels(series.labels)} ${series.value}`];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, labelNames, 'histogram');
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries(series) {
+        return [
+            ...this.buckets.map((bound, i) => `${this.name}_bucket${this.formatLabels(series.labels, { le: String(bound) })} ${series.counts[i]}`),
+            `${this.name}_bucket${this.formatLabels(series.labels, { le: '+Inf' })} ${series.count}`,
+            `${this.name}_sum${this.formatLabels(series.labels)} ${series.sum}`,
+            `${this.name}_count${this.formatLabels(series.labels)} ${series.count}`
+        ];
+    }
+}
+
+function escapeLabelValue(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+module.exports = MetricsService;
+module.exports.LATENCY_BUCKETS = LATENCY_BUCKETS;
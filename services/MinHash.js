@@ -0,0 +1,139 @@
+/**
+ * MinHash signatures over word shingles, with LSH banding for indexed
+ * candidate lookup. Parameters are recorded on every document (dedup block)
+ * because signatures are only comparable when they were computed the same way.
+ */
+
+const SHINGLE_SIZE = 5;
+const NUM_PERMUTATIONS = 128;
+const BANDS = 16;
+const ROWS_PER_BAND = NUM_PERMUTATIONS / BANDS;
+const ALGORITHM = 'minhash-fmix32-v1';
+
+// Fixed seeds (one per permutation) so signatures are stable across runs
+const SEEDS = (() => {
+    const seeds = new Uint32Array(NUM_PERMUTATIONS);
+    let state = 0x9e3779b9;
+    for (let i = 0; i < NUM_PERMUTATIONS; i++) {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        seeds[i] = state;
+    }
+    return seeds;
+})();
+
+// 32-bit FNV-1a string hash
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// MurmurHash3 finalizer, used to derive one hash function per seed
+function fmix32(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+/**
+ * Hashes of the distinct word shingles in a text. Case, punctuation and
+ * whitespace differences are ignored so re-cleaned copies still match.
+ */
+function shingleHashes(text, shingleSize = SHINGLE_SIZE) {
+    const words = String(text || '')
+        .toLowerCase()
+        .normalize('NFKC')
+        .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+
+    const hashes = new Set();
+    if (words.length <= shingleSize) {
+        if (words.length) hashes.add(hashString(words.join(' ')));
+        return hashes;
+    }
+
+    for (let i = 0; i + shingleSize <= words.length; i++) {
+        hashes.add(hashString(words.slice(i, i + shingleSize).join(' ')));
+    }
+    return hashes;
+}
+
+function computeSignature(text) {
+    const signature = new Array(NUM_PERMUTATIONS).fill(0xffffffff);
+
+    for (const hash of shingleHashes(text)) {
+        for (let i = 0; i < NUM_PERMUTATIONS; i++) {
+            const value = fmix32(hash ^ SEEDS[i]);
+            if (value < signature[i]) {
+                signature[i] = value;
+            }
+        }
+    }
+
+    return signature;
+}
+
+/**
+ * LSH band keys ("<band>:<hash>"). Two documents share at least one key
+ * with high probability when their Jaccard similarity is above roughly
+ * (1 / BANDS) ^ (1 / ROWS_PER_BAND) ≈ 0.7.
+ */
+function bandKeys(signature) {
+    const keys = [];
+    for (let band = 0; band < BANDS; band++) {
+        const rows = signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND);
+        keys.push(`${band}:${hashString(rows.join(',')).toString(16)}`);
+    }
+    return keys;
+}
+
+/**
+ * Estimated Jaccard similarity: the share of positions where signatures agree.
+ */
+function similarity(signatureA, signatureB) {
+    if (!signatureA || !signatureB || signatureA.length !== signatureB.length) {
+        return 0;
+    }
+    let equal = 0;
+    for (let i = 0; i < signatureA.length; i++) {
+        if (signatureA[i] === signatureB[i]) equal++;
+    }
+    return equal / signatureA.length;
+}
+
+/**
+ * The dedup block stored on each document.
+ */
+function createDedupInfo(text) {
+    const signature = computeSignature(text);
+    return {
+        algorithm: ALGORITHM,
+        shingle_size: SHINGLE_SIZE,
+        num_permutations: NUM_PERMUTATIONS,
+        signature: signature,
+        bands: bandKeys(signature)
+    };
+}
+
+function isCompatible(dedup) {
+    return Boolean(dedup) && dedup.algorithm === ALGORITHM && dedup.shingle_size === SHINGLE_SIZE;
+}
+
+module.exports = {
+    ALGORITHM,
+    SHINGLE_SIZE,
+    NUM_PERMUTATIONS,
+    BANDS,
+    computeSignature,
+    bandKeys,
+    similarity,
+    createDedupInfo,
+    isCompatible
+};
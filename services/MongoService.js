@@ -1,84 +1,860 @@
-const { MongoClient } = require('mongodb');
+const { ObjectId } = require('mongodb');
+const DocumentValidator = require('./DocumentValidator');
+const MinHash = require('./MinHash');
+const TokenizerService = require('./TokenizerService');
+const OptOutService = require('./OptOutService');
+const RevisionService = require('./RevisionService');
+const AuditService = require('./AuditService');
+const ReviewService = require('./ReviewService');
+const QualityService = require('./QualityService');
+const EmbeddingService = require('./EmbeddingService');
+const UserService = require('./UserService');
+const StorageService = require('./StorageService');
+const Compliance = require('../shared/compliance');
+
+const DEFAULT_DUPLICATE_THRESHOLD = 0.8;
+const DEFAULT_COLLECTION = 'text-corpus';
+// Corpus of the documents stored before named corpora existed (see CorpusService)
+const DEFAULT_CORPUS = 'default';
+
+// MongoDB error codes: unique index violated, index exists with other options or keys
+const DUPLICATE_KEY_CODE = 11000;
+const INDEX_CONFLICT_CODES = [85, 86];
+
+// Answered with 409 by the insert route
+const DOCUMENT_EXISTS_MESSAGE = 'Document with this ID already exists in corpus';
+
+// Fields managed by the service that a partial update may never overwrite
+const IMMUTABLE_FIELDS = ['_id', 'document_id', 'created_at', 'updated_at', 'version', 'schema_version', 'dedup', 'embedding', 'chunk', 'training_runs', 'review'];
+
+class VersionConflictError extends Error {
+    constructor(documentId, expectedVersion, currentVersion) {
+        super(`Document ${documentId} has been modified (expected version ${expectedVersion}, current version ${currentVersion})`);
+        this.name = 'VersionConflictError';
+        this.currentVersion = currentVersion;
+    }
+}
+
+class DuplicateDocumentError extends Error {
+    constructor(match, similarity) {
+        super(`Similar content already exists in corpus: "${match.attribution.title}" by ${match.attribution.author} (${Math.round(similarity * 100)}% similar)`);
+        this.name = 'DuplicateDocumentError';
+        this.match = {
+            document_id: match.document_id,
+            title: match.attribution.title,
+            author: match.attribution.author
+        };
+        this.similarity = similarity;
+    }
+}
+
+class InvalidQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidQueryError';
+    }
+}
+
+// Sort keys accepted by findDocuments, mapped to document paths
+const SORT_FIELDS = {
+    created_at: 'created_at',
+    updated_at: 'updated_at',
+    title: 'attribution.title',
+    author: 'attribution.author',
+    weighting: 'training_metadata.weighting',
+    character_count: 'training_metadata.character_count',
+    token_count: 'training_metadata.token_count',
+    ordinal: 'chunk.ordinal',
+    relevance: null
+};
+const DATE_SORT_FIELDS = ['created_at', 'updated_at'];
+
+// What encodeCursor() writes for an _id and for a date (Date#toJSON)
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{3})?Z$/;
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Conditions for the documents after a cursor position, for $or. Missing and
+ * null sort values come first in ascending order and last in descending
+ * order, and range operators never match them, so they get clauses of their
+ * own (chunk ordinals, for instance, are missing on whole documents).
+ */
+function afterPosition(sortPath, value, id, direction) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    if (value === null) {
+        const clauses = [{ [sortPath]: null, _id: { [op]: id } }];
+        return direction === 1 ? clauses.concat({ [sortPath]: { $ne: null } }) : clauses;
+    }
+    const clauses = [{ [sortPath]: { [op]: value } }, { [sortPath]: value, _id: { [op]: id } }];
+    return direction === 1 ? clauses : clauses.concat({ [sortPath]: null });
+}
+
+function encodeCursor(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Read a cursor made by encodeCursor() for the given sort: { offset } for
+ * relevance, { value, id } otherwise, with a date sort's value as a Date.
+ * Cursors come back from clients, so anything else (an operator object as
+ * value, a negative offset) is rejected rather than put into the query.
+ */
+function decodeCursor(cursor, sort) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new InvalidQueryError('Invalid pagination cursor');
+    }
+    if (!isPlainObject(position)) {
+        throw new InvalidQueryError('Invalid pagination cursor');
+    }
+
+    if (sort === 'relevance') {
+        if (!Number.isSafeInteger(position.offset) || position.offset < 0) {
+            throw new InvalidQueryError('Invalid pagination cursor');
+        }
+        return { offset: position.offset };
+    }
+
+    const { value, id } = position;
+    if (typeof id !== 'string' || !OBJECT_ID_PATTERN.test(id)) {
+        throw new InvalidQueryError('Invalid pagination cursor');
+    }
+    if (value === null) {
+        return { value: null, id: id };
+    }
+    if (DATE_SORT_FIELDS.includes(sort)) {
+        const date = typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : null;
+        if (!date || isNaN(date.getTime())) {
+            throw new InvalidQueryError('Invalid pagination cursor');
+        }
+        return { value: date, id: id };
+    }
+    if (typeof value !== 'string' && !(typeof value === 'number' && Number.isFinite(value))) {
+        throw new InvalidQueryError('Invalid pagination cursor');
+    }
+    return { value: value, id: id };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function mergeDeep(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+        result[key] = isPlainObject(value) && isPlainObject(target[key])
+            ? mergeDeep(target[key], value)
+            : value;
+    }
+    return result;
+}
 
 class MongoService {
-    constructor(connectionString) {
-        this.connectionString = connectionString;
-        this.client = null;
+    /**
+     * Query for records tagged with a corpus id (jobs, training runs); those
+     * from before corpora existed belong to the default corpus.
+     */
+    static corpusQuery(corpus) {
+        return corpus === DEFAULT_CORPUS ? { corpus: { $in: [DEFAULT_CORPUS, null] } } : { corpus: corpus };
+    }
+
+    constructor(connectionString, { logger = console, storage = null, corpus = null, collection = null, duplicateThreshold = null, tokenizers = null, optOuts = null, revisions = null, reviews = null, audit = null, quality = null, embeddings = null } = {}) {
+        this.logger = logger;
+        // MongoDB or another backend (StorageService); connectionString is used by the mongodb backend
+        this.storage = storage || new StorageService({ uri: connectionString, logger });
+        // Corpus id (see CorpusService) and the collection its documents live in
+        this.corpus = corpus || DEFAULT_CORPUS;
+        this.collectionName = collection || process.env.CORPUS_COLLECTION || DEFAULT_COLLECTION;
+        // Estimated Jaccard similarity at or above which an insert counts as a near-duplicate
+        this.duplicateThreshold = duplicateThreshold
+            || parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD)
+            || DEFAULT_DUPLICATE_THRESHOLD;
         this.db = null;
+        this.connecting = null;
+        this.validator = new DocumentValidator();
+        // Exact token counts for the target base model, computed on every insert and content edit
+        this.tokenizers = tokenizers || new TokenizerService({ logger });
+        // Quality metrics and reject/warn thresholds, checked on every insert and content edit
+        this.quality = quality || new QualityService();
+        // Text embeddings for semantic search, computed on every insert and content edit
+        this.embeddings = embeddings || new EmbeddingService({ logger });
+        // Opt-out registry every insert and attribution edit is checked against
+        this.optOuts = optOuts || new OptOutService(this);
+        // Previous states of edited and deleted documents
+        this.revisions = revisions || new RevisionService(this);
+        // Review lifecycle every new document enters, and the raw originals reviewers compare against
+        this.reviews = reviews || new ReviewService(this);
+        // Who inserted, changed, deleted or exported what
+        this.audit = audit || new AuditService(this);
     }
 
     async connect() {
-        if (!this.client) {
-            this.client = new MongoClient(this.connectionString);
-            await this.client.connect();
-            this.db = this.client.db('corpora');
-            console.log('✅ Connected to MongoDB');
+        if (!this.connecting) {
+            // Callers arriving while the first one connects (e.g. the job worker at startup) wait for it
+            this.connecting = (async () => {
+                this.db = await this.storage.connect();
+                await this.ensureIndexes();
+            })();
+        }
+        const connecting = this.connecting;
+        try {
+            await connecting;
+        } catch (error) {
+            // The next caller tries again rather than getting the same failure forever
+            if (this.connecting === connecting) {
+                this.connecting = null;
+                this.db = null;
+            }
+            throw error;
         }
         return this.db;
     }
 
-    async insertDocument(document) {
+    // The corpus documents collection, for the services that work on it directly
+    async documents() {
         const db = await this.connect();
-        // Changed collection name from 'yt_transcripts' to 'text-corpus'
-        const collection = db.collection('text-corpus');
-        
-        // Check for duplicates based on document_id instead of video_id
-        const existing = await collection.findOne({ 
-            "document_id": document.document_id 
-        });
-        
-        if (existing) {
-            throw new Error('Document with this ID already exists in corpus');
-        }
+        return db.collection(this.collectionName);
+    }
 
-        // Optional: Check for content duplicates (based on title + author + first 100 chars)
-        const contentSignature = {
-            "attribution.title": document.attribution.title,
-            "attribution.author": document.attribution.author,
-            "content_text": { $regex: `^${document.content_text.substring(0, 100).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+    /**
+     * The indexes ensureIndexes() creates, by collection.
+     */
+    indexSpecs() {
+        return {
+            [this.collectionName]: [
+                { key: { document_id: 1 }, name: 'document_id', unique: true },
+                { key: { created_at: -1, _id: -1 }, name: 'created_at' },
+                { key: { 'attribution.author': 1 }, name: 'author' },
+                { key: { 'attribution.content_type': 1, 'content_metadata.language': 1 }, name: 'content_type_language' },
+                { key: { 'training_metadata.processing_status': 1 }, name: 'processing_status' },
+                { key: { 'training_metadata.quality.status': 1 }, name: 'quality_status' },
+                { key: { 'dedup.bands': 1 }, name: 'dedup_bands' },
+                { key: { 'embedding.model': 1 }, name: 'embedding_model' },
+                { key: { 'chunk.parent_id': 1, 'chunk.ordinal': 1 }, name: 'chunk_parent', sparse: true },
+                { key: { 'copyright_compliance.opt_out_status.registry_entry_id': 1 }, name: 'opt_out_registry_entry', sparse: true },
+                { key: { 'training_runs.run_id': 1 }, name: 'training_runs', sparse: true },
+                { key: { content_text: 'text' }, name: 'content_text_search', default_language: 'none' }
+            ],
+            [OptOutService.COLLECTION]: [
+                { key: { entry_id: 1 }, name: 'entry_id', unique: true },
+                { key: { kind: 1, normalized: 1 }, name: 'kind_normalized', unique: true }
+            ],
+            [UserService.COLLECTION]: [
+                { key: { username: 1 }, name: 'username', unique: true }
+            ],
+            [UserService.TOKEN_COLLECTION]: [
+                { key: { token_hash: 1 }, name: 'token_hash', unique: true },
+                { key: { username: 1, kind: 1 }, name: 'username_kind' },
+                // Expired sessions are removed by MongoDB; API tokens have no expiry
+                { key: { expires_at: 1 }, name: 'expires_at', expireAfterSeconds: 0 }
+            ],
+            [ReviewService.ORIGINALS_COLLECTION]: [
+                { key: { document_id: 1 }, name: 'document_id', unique: true }
+            ],
+            [RevisionService.COLLECTION]: [
+                { key: { document_id: 1, version: -1 }, name: 'document_version', unique: true },
+                { key: { revision_id: 1 }, name: 'revision_id', unique: true }
+            ],
+            [AuditService.COLLECTION]: [
+                { key: { audit_id: 1 }, name: 'audit_id', unique: true },
+                { key: { created_at: -1, audit_id: -1 }, name: 'created_at' },
+                { key: { document_id: 1, created_at: -1 }, name: 'document_id' },
+                { key: { actor: 1, created_at: -1 }, name: 'actor' }
+            ]
         };
-        
-        const duplicateContent = await collection.findOne(contentSignature);
-        if (duplicateContent) {
-            throw new Error('Similar content already exists in corpus');
+    }
+
+    async ensureIndexes() {
+        for (const [name, specs] of Object.entries(this.indexSpecs())) {
+            const collection = this.db.collection(name);
+            try {
+                await collection.createIndexes(specs);
+            } catch (error) {
+                if (!INDEX_CONFLICT_CODES.includes(error.code) && error.code !== DUPLICATE_KEY_CODE) throw error;
+                await this.rebuildIndexes(collection, specs);
+            }
         }
+    }
 
-        return await collection.insertOne(document);
+    /**
+     * Create indexes one by one, replacing those built with older options
+     * (document_id was not unique before). A unique index the stored data
+     * violates is left out and logged; missingIndexes() reports it.
+     */
+    async rebuildIndexes(collection, specs) {
+        for (const spec of specs) {
+            try {
+                await collection.createIndexes([spec]);
+            } catch (error) {
+                if (INDEX_CONFLICT_CODES.includes(error.code)) {
+                    await collection.dropIndex(spec.name);
+                    await collection.createIndexes([spec]);
+                } else if (error.code === DUPLICATE_KEY_CODE) {
+                    this.logger.error(`Index ${spec.name} on ${collection.collectionName} not built, stored documents violate it:`, error);
+                } else {
+                    throw error;
+                }
+            }
+        }
     }
 
-    async findDocuments(query = {}, limit = 10) {
+    /**
+     * Indexes of indexSpecs() the database does not have (dropped by hand,
+     * never built, or built without the unique constraint), as [{ collection, index }]; empty when all are there.
+     */
+    async missingIndexes() {
         const db = await this.connect();
-        const collection = db.collection('text-corpus');
-        return await collection.find(query).limit(limit).toArray();
+        const missing = [];
+        for (const [name, specs] of Object.entries(this.indexSpecs())) {
+            let existing = [];
+            try {
+                existing = await db.collection(name).indexes();
+            } catch (error) {
+                // MongoDB reports a collection that does not exist (yet) as an error
+                if (error.codeName !== 'NamespaceNotFound') throw error;
+            }
+            for (const spec of specs) {
+                const index = existing.find(candidate => candidate.name === spec.name);
+                if (!index || (spec.unique && !index.unique)) {
+                    missing.push({ collection: name, index: spec.name });
+                }
+            }
+        }
+        return missing;
+    }
+
+    /**
+     * Validate and store a new document. `actor` (the user adding it) is
+     * recorded as provenance.added_by and on lineage steps that do not name
+     * who performed them yet. The document enters review as a draft or
+     * pending_review (see ReviewService); `restoring` keeps the review
+     * history and adder of a deleted document being brought back. A raw
+     * `original_text` is moved out of the document into the originals
+     * collection. Text failing the quality thresholds is refused with
+     * LowQualityError (except when restoring). `transfer` ('copy' or 'move')
+     * marks a document arriving from another corpus: it keeps who added it,
+     * and a moved one keeps its review state and is not held to the quality
+     * thresholds again. Every insert is recorded in the audit log.
+     */
+    async insertDocument(document, { actor = null, restoring = false, transfer = null } = {}) {
+        const originalText = typeof document.original_text === 'string' ? document.original_text : null;
+        delete document.original_text;
+
+        if (transfer !== 'move') {
+            this.reviews.prepareNew(document, { actor, keepHistory: restoring });
+        }
+
+        if (actor && isPlainObject(document.provenance)) {
+            if (!(transfer || restoring) || !document.provenance.added_by) {
+                document.provenance.added_by = actor;
+            }
+            if (Array.isArray(document.provenance.data_lineage)) {
+                document.provenance.data_lineage = document.provenance.data_lineage.map(step =>
+                    isPlainObject(step) && !step.performed_by ? { ...step, performed_by: actor } : step);
+            }
+        }
+
+        // Signature used for near-duplicate lookups, stored with the document
+        document.dedup = MinHash.createDedupInfo(document.content_text);
+
+        if (isPlainObject(document.training_metadata)) {
+            Object.assign(document.training_metadata, this.tokenizers.countTokens(document.content_text));
+        }
+        const quality = this.quality.assess(document);
+
+        // Rights holders in the opt-out registry are flagged on the way in
+        await this.optOuts.checkDocument(document);
+
+        // Reject malformed documents before they reach the collection
+        this.validator.assertValid(document);
+        if (!restoring && transfer !== 'move') {
+            this.quality.assertAcceptable(quality);
+        }
+
+        const collection = await this.documents();
+
+        // Checked up front so that sending a stored document again is not reported as its own near-duplicate;
+        // the unique document_id index catches inserts racing past this check
+        if (await collection.findOne({ document_id: document.document_id })) {
+            throw new Error(DOCUMENT_EXISTS_MESSAGE);
+        }
+
+        const nearDuplicate = await this.findNearDuplicate(document.dedup, { excludeParentId: document.chunk?.parent_id });
+        if (nearDuplicate) {
+            throw new DuplicateDocumentError(nearDuplicate.document, nearDuplicate.similarity);
+        }
+
+        // Vector for semantic search; a document is stored without one when the embedding server is down
+        const embedding = await this.embeddings.embedDocument(document.content_text);
+        if (embedding) {
+            document.embedding = embedding;
+        }
+
+        let result;
+        try {
+            result = await collection.insertOne(document);
+        } catch (error) {
+            if (error.code === DUPLICATE_KEY_CODE) {
+                throw new Error(DOCUMENT_EXISTS_MESSAGE);
+            }
+            throw error;
+        }
+        if (originalText !== null) {
+            await this.reviews.storeOriginal(document.document_id, originalText);
+        }
+
+        const lineage = document.provenance?.data_lineage;
+        await this.audit.record(transfer || (restoring ? 'restore' : 'insert'), {
+            actor: actor,
+            documentId: document.document_id,
+            version: document.version,
+            summary: {
+                ...AuditService.summarizeDocument(document),
+                ...(transfer && Array.isArray(lineage) && { source: lineage[lineage.length - 1]?.source ?? null })
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Find the most similar stored document sharing an LSH band with this
+     * signature. Returns { document, similarity } at or above the threshold,
+     * or null. excludeDocumentId skips the document itself on updates and
+     * excludeParentId skips other chunks of the same work (repeated passages
+     * within one book are not duplicates).
+     */
+    async findNearDuplicate(dedup, { threshold = this.duplicateThreshold, excludeDocumentId = null, excludeParentId = null } = {}) {
+        const collection = await this.documents();
+
+        const query = { 'dedup.bands': { $in: dedup.bands }, 'dedup.algorithm': dedup.algorithm };
+        if (excludeDocumentId) {
+            query.document_id = { $ne: excludeDocumentId };
+        }
+        if (excludeParentId) {
+            query['chunk.parent_id'] = { $ne: excludeParentId };
+        }
+
+        const candidates = await collection.find(query, {
+            projection: { document_id: 1, attribution: 1, 'dedup.signature': 1 }
+        }).toArray();
+
+        let best = null;
+        for (const candidate of candidates) {
+            const score = MinHash.similarity(dedup.signature, candidate.dedup.signature);
+            if (score >= threshold && (!best || score > best.similarity)) {
+                best = { document: candidate, similarity: score };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Translate search criteria into a MongoDB query.
+     * Text fields match case-insensitive substrings, list fields accept an
+     * array of allowed values, and ranges are inclusive.
+     */
+    buildDocumentQuery(criteria = {}) {
+        const query = {};
+
+        if (criteria.q) {
+            query.$text = { $search: criteria.q };
+        }
+        if (criteria.author) {
+            query['attribution.author'] = { $regex: escapeRegex(criteria.author), $options: 'i' };
+        }
+        if (criteria.title) {
+            query['attribution.title'] = { $regex: escapeRegex(criteria.title), $options: 'i' };
+        }
+        if (criteria.genre) {
+            query['content_metadata.genre'] = { $regex: `^${escapeRegex(criteria.genre)}$`, $options: 'i' };
+        }
+        if (criteria.content_type && criteria.content_type.length) {
+            query['attribution.content_type'] = { $in: criteria.content_type };
+        }
+        if (criteria.language && criteria.language.length) {
+            query['content_metadata.language'] = { $in: criteria.language };
+        }
+        if (criteria.document_ids && criteria.document_ids.length) {
+            query.document_id = { $in: criteria.document_ids };
+        }
+        if (criteria.parent_id) {
+            query['chunk.parent_id'] = criteria.parent_id;
+        }
+        if (criteria.training_run) {
+            query['training_runs.run_id'] = criteria.training_run;
+        }
+        if (criteria.model_version) {
+            query['training_runs.model_version'] = criteria.model_version;
+        }
+        if (criteria.processing_status && criteria.processing_status.length) {
+            query['training_metadata.processing_status'] = { $in: criteria.processing_status };
+        }
+        if (criteria.quality_status && criteria.quality_status.length) {
+            query['training_metadata.quality.status'] = { $in: criteria.quality_status };
+        }
+        if (criteria.cleared !== undefined) {
+            // Same rule as Compliance.clearance(): not opted out, and a license or exception that allows training
+            const cleared = {
+                'copyright_compliance.opt_out_status.has_opted_out': { $ne: true },
+                $or: [
+                    { 'copyright_compliance.license_status': { $in: Compliance.CLEARED_LICENSES } },
+                    { 'copyright_compliance.fair_use_assessment': { $in: Compliance.EXEMPT_ASSESSMENTS } }
+                ]
+            };
+            if (criteria.cleared) {
+                query.$and = [cleared];
+            } else {
+                query.$nor = [cleared];
+            }
+        }
+        if (criteria.weight_min !== undefined || criteria.weight_max !== undefined) {
+            query['training_metadata.weighting'] = {};
+            if (criteria.weight_min !== undefined) query['training_metadata.weighting'].$gte = criteria.weight_min;
+            if (criteria.weight_max !== undefined) query['training_metadata.weighting'].$lte = criteria.weight_max;
+        }
+        if (criteria.created_from || criteria.created_to) {
+            query.created_at = {};
+            if (criteria.created_from) query.created_at.$gte = criteria.created_from;
+            if (criteria.created_to) query.created_at.$lte = criteria.created_to;
+        }
+
+        return query;
+    }
+
+    /**
+     * Search documents with cursor-based pagination.
+     * Results are ordered by the requested sort key with _id as a tie-breaker
+     * so pages stay stable while documents are being added.
+     * Returns { documents, total, next_cursor }.
+     */
+    async findDocuments(criteria = {}, { limit = 10, sort = 'created_at', order = 'desc', cursor = null, projection = null } = {}) {
+        const collection = await this.documents();
+
+        if (!(sort in SORT_FIELDS)) {
+            throw new InvalidQueryError(`Unsupported sort field: ${sort}`);
+        }
+        if (sort === 'relevance' && !criteria.q) {
+            throw new InvalidQueryError('Sorting by relevance requires a search query (q)');
+        }
+
+        const query = this.buildDocumentQuery(criteria);
+        const total = await collection.countDocuments(query);
+
+        const direction = order === 'asc' ? 1 : -1;
+        const sortPath = SORT_FIELDS[sort];
+        const position = cursor ? decodeCursor(cursor, sort) : null;
+
+        let pageQuery = query;
+        let findOptions = projection ? { projection: projection } : {};
+        let sortSpec;
+        let skip = 0;
+
+        if (sort === 'relevance') {
+            // Text scores cannot be range-queried, so relevance pages by offset
+            findOptions.projection = { ...(projection || {}), score: { $meta: 'textScore' } };
+            sortSpec = { score: { $meta: 'textScore' }, _id: -1 };
+            skip = position ? position.offset : 0;
+        } else {
+            sortSpec = { [sortPath]: direction, _id: direction };
+            if (position) {
+                pageQuery = { $and: [query, { $or: afterPosition(sortPath, position.value, new ObjectId(position.id), direction) }] };
+            }
+        }
+
+        const documents = await collection.find(pageQuery, findOptions)
+            .sort(sortSpec)
+            .skip(skip)
+            .limit(limit + 1)
+            .toArray();
+
+        const hasMore = documents.length > limit;
+        if (hasMore) {
+            documents.pop();
+        }
+
+        let nextCursor = null;
+        if (hasMore) {
+            const last = documents[documents.length - 1];
+            nextCursor = sort === 'relevance'
+                ? encodeCursor({ offset: skip + documents.length })
+                : encodeCursor({ value: sortPath.split('.').reduce((obj, key) => obj?.[key], last) ?? null, id: last._id.toString() });
+        }
+
+        return { documents, total, next_cursor: nextCursor };
+    }
+
+    /**
+     * Iterate over every document matching a raw MongoDB query without
+     * loading the result set into memory. Ordered oldest first.
+     */
+    async *iterateDocuments(query = {}, { projection = null } = {}) {
+        const collection = await this.documents();
+        const cursor = collection.find(query, projection ? { projection: projection } : {})
+            .sort({ created_at: 1, _id: 1 });
+
+        try {
+            for await (const document of cursor) {
+                yield document;
+            }
+        } finally {
+            await cursor.close();
+        }
+    }
+
+    async countDocuments(query = {}) {
+        const collection = await this.documents();
+        return await collection.countDocuments(query);
     }
 
     async getDocumentById(documentId) {
-        const db = await this.connect();
-        const collection = db.collection('text-corpus');
+        const collection = await this.documents();
         return await collection.findOne({ document_id: documentId });
     }
 
-    async updateDocument(documentId, updateData) {
-        const db = await this.connect();
-        const collection = db.collection('text-corpus');
-        updateData.updated_at = new Date().toISOString();
-        updateData.version = { $inc: { version: 1 } };
-        
-        return await collection.updateOne(
-            { document_id: documentId },
-            { $set: updateData, $inc: { version: 1 } }
+    /**
+     * Apply a partial update to a document. Nested objects in updateData are
+     * merged into the stored document, everything else replaces the stored value
+     * (with replace, top-level fields are replaced whole, as when restoring a revision).
+     * When expectedVersion is given the update only succeeds if the stored
+     * version still matches, otherwise a VersionConflictError is thrown.
+     * The previous state is kept as a revision attributed to actor, and the
+     * change is recorded in the audit log as `action`.
+     * Returns the updated document, or null if no document has this id.
+     */
+    async updateDocument(documentId, updateData, expectedVersion = null, { replace = false, action = 'update', actor = null, restoredFrom = null } = {}) {
+        const collection = await this.documents();
+
+        const existing = await collection.findOne({ document_id: documentId });
+        if (!existing) {
+            return null;
+        }
+
+        if (expectedVersion !== null && existing.version !== expectedVersion) {
+            throw new VersionConflictError(documentId, expectedVersion, existing.version);
+        }
+
+        const changes = { ...updateData };
+        for (const field of IMMUTABLE_FIELDS) {
+            delete changes[field];
+        }
+        // Who added a document is recorded on insert; restores bring back the recorded value
+        if (!replace && isPlainObject(changes.provenance)) {
+            const { added_by, ...provenance } = changes.provenance;
+            changes.provenance = provenance;
+        }
+        // The review status only changes through ReviewService.apply(), quality is measured here
+        if (isPlainObject(changes.training_metadata)) {
+            const { processing_status, quality, ...trainingMetadata } = changes.training_metadata;
+            changes.training_metadata = trainingMetadata;
+        }
+
+        if (typeof changes.content_text === 'string') {
+            changes.dedup = MinHash.createDedupInfo(changes.content_text);
+            changes.training_metadata = {
+                ...changes.training_metadata,
+                character_count: changes.content_text.length,
+                ...this.tokenizers.countTokens(changes.content_text)
+            };
+        }
+
+        const updated = replace ? { ...existing, ...changes } : mergeDeep(existing, changes);
+        updated.updated_at = new Date();
+        updated.version = existing.version + 1;
+        if (isPlainObject(updated.training_metadata) && isPlainObject(existing.training_metadata)) {
+            updated.training_metadata.processing_status = existing.training_metadata.processing_status;
+        }
+
+        // New text or a different declared language is measured again; restores may bring back text
+        // that fails today's thresholds
+        let quality = null;
+        if (typeof changes.content_text === 'string' || changes.content_metadata?.language !== undefined) {
+            quality = this.quality.assess(updated);
+            changes.training_metadata = updated.training_metadata;
+        }
+
+        // Approved text that changes has to be reviewed again
+        if (this.reviews.reopenOnContentChange(existing, updated, { actor })) {
+            changes.training_metadata = updated.training_metadata;
+            changes.review = updated.review;
+        }
+
+        // A new author, publisher or source can bring the document under (or out of) a registry opt-out,
+        // and a registry flag cannot be cleared by hand while the entry exists
+        if (changes.attribution || changes.copyright_compliance) {
+            await this.optOuts.checkDocument(updated);
+            changes.copyright_compliance = updated.copyright_compliance;
+        }
+
+        // Validate the document as it will look after the update
+        this.validator.assertValid(updated);
+        if (quality && action !== 'restore') {
+            this.quality.assertAcceptable(quality);
+        }
+
+        if (changes.dedup) {
+            const nearDuplicate = await this.findNearDuplicate(changes.dedup, { excludeDocumentId: documentId, excludeParentId: existing.chunk?.parent_id });
+            if (nearDuplicate) {
+                throw new DuplicateDocumentError(nearDuplicate.document, nearDuplicate.similarity);
+            }
+        }
+
+        // The old vector no longer describes new text; without a new one it is dropped until the next recompute
+        let $unset = null;
+        if (typeof changes.content_text === 'string') {
+            const embedding = await this.embeddings.embedDocument(changes.content_text);
+            if (embedding) {
+                changes.embedding = updated.embedding = embedding;
+            } else {
+                delete updated.embedding;
+                $unset = { embedding: '' };
+            }
+        }
+
+        const $set = { updated_at: updated.updated_at, schema_version: updated.schema_version };
+        for (const field of Object.keys(changes)) {
+            $set[field] = updated[field];
+        }
+
+        // Matching on the version read above guards against concurrent writers
+        const result = await collection.updateOne(
+            { document_id: documentId, version: existing.version },
+            { $set: $set, $inc: { version: 1 }, ...($unset && { $unset: $unset }) }
         );
+
+        if (result.matchedCount === 0) {
+            const current = await collection.findOne({ document_id: documentId });
+            if (!current) {
+                return null;
+            }
+            throw new VersionConflictError(documentId, existing.version, current.version);
+        }
+
+        const revision = await this.revisions.record(existing, updated, { action, actor, restoredFrom });
+        await this.audit.record(action, {
+            actor: actor,
+            documentId: documentId,
+            version: updated.version,
+            summary: {
+                changed_fields: revision.changed_fields,
+                ...(revision.content_diff && { content_diff: { added: revision.content_diff.added, removed: revision.content_diff.removed } }),
+                ...(restoredFrom !== null && { restored_from: restoredFrom })
+            }
+        });
+
+        return updated;
     }
 
-    async deleteDocument(documentId) {
-        const db = await this.connect();
-        const collection = db.collection('text-corpus');
-        return await collection.deleteOne({ document_id: documentId });
+    /**
+     * Recount tokens for documents counted with a different tokenizer than the
+     * current one (or every document with force). Counts are derived data, so
+     * the document version is left alone; a document edited meanwhile is skipped
+     * because the edit already recounted it.
+     * Returns { tokenizer, scanned, updated, skipped }.
+     */
+    async recomputeTokenCounts({ force = false, onProgress = null } = {}) {
+        const collection = await this.documents();
+        const tokenizer = this.tokenizers.currentId();
+        const query = force ? {} : { 'training_metadata.tokenizer': { $ne: tokenizer } };
+        const summary = { tokenizer: tokenizer, scanned: 0, updated: 0, skipped: 0 };
+
+        for await (const doc of this.iterateDocuments(query, { projection: { document_id: 1, version: 1, content_text: 1 } })) {
+            summary.scanned++;
+            const counted = this.tokenizers.countTokens(doc.content_text);
+
+            const result = await collection.updateOne(
+                { document_id: doc.document_id, version: doc.version },
+                { $set: { 'training_metadata.token_count': counted.token_count, 'training_metadata.tokenizer': counted.tokenizer } }
+            );
+            if (result.matchedCount > 0) {
+                summary.updated++;
+            } else {
+                summary.skipped++;
+            }
+
+            if (onProgress) {
+                onProgress(summary);
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Embed documents that have no vector or one made by a different
+     * embedding model than the current one (or every document with force).
+     * Like token counts, vectors are derived data: the version is left alone
+     * and documents edited meanwhile are skipped. Documents the embedding
+     * server fails on are counted as failed and left for the next run.
+     * Returns { model, scanned, updated, skipped, failed }.
+     */
+    async recomputeEmbeddings({ force = false, onProgress = null } = {}) {
+        const collection = await this.documents();
+        const model = this.embeddings.currentId();
+        const query = force ? {} : { 'embedding.model': { $ne: model } };
+        const summary = { model: model, scanned: 0, updated: 0, skipped: 0, failed: 0 };
+
+        for await (const doc of this.iterateDocuments(query, { projection: { document_id: 1, version: 1, content_text: 1 } })) {
+            summary.scanned++;
+            const embedding = await this.embeddings.embedDocument(doc.content_text);
+
+            if (!embedding) {
+                summary.failed++;
+            } else {
+                const result = await collection.updateOne(
+                    { document_id: doc.document_id, version: doc.version },
+                    { $set: { embedding: embedding } }
+                );
+                if (result.matchedCount > 0) {
+                    summary.updated++;
+                } else {
+                    summary.skipped++;
+                }
+            }
+
+            if (onProgress) {
+                onProgress(summary);
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Delete a document, keeping its last state as a revision it can be
+     * restored from. purge removes the whole revision history as well
+     * (takedowns, rolled-back inserts), but not the deletion's audit log
+     * entry. Returns true if a document was removed.
+     */
+    async deleteDocument(documentId, { actor = null, purge = false } = {}) {
+        const collection = await this.documents();
+        const deleted = await collection.findOneAndDelete({ document_id: documentId });
+        if (!deleted) {
+            return false;
+        }
+
+        if (purge) {
+            await this.revisions.deleteRevisions(documentId);
+            await this.reviews.deleteOriginal(documentId);
+        } else {
+            await this.revisions.record(deleted, null, { action: 'delete', actor });
+        }
+        await this.audit.record('delete', {
+            actor: actor,
+            documentId: documentId,
+            version: deleted.version,
+            summary: { ...AuditService.summarizeDocument(deleted), purged: purge }
+        });
+        return true;
     }
 
     async getCollectionStats() {
-        const db = await this.connect();
-        const collection = db.collection('text-corpus');
+        const collection = await this.documents();
         
         const stats = await collection.aggregate([
             {
@@ -88,7 +864,8 @@ class MongoService {
                     totalCharacters: { $sum: "$training_metadata.character_count" },
                     totalTokens: { $sum: "$training_metadata.token_count" },
                     averageWeight: { $avg: "$training_metadata.weighting" },
-                    contentTypes: { $addToSet: "$attribution.content_type" }
+                    contentTypes: { $addToSet: "$attribution.content_type" },
+                    tokenizers: { $addToSet: "$training_metadata.tokenizer" }
                 }
             }
         ]).toArray();
@@ -98,17 +875,22 @@ class MongoService {
             totalCharacters: 0,
             totalTokens: 0,
             averageWeight: 0,
-            contentTypes: []
+            contentTypes: [],
+            tokenizers: []
         };
     }
 
     async close() {
-        if (this.client) {
-            await this.client.close();
-            this.client = null;
-            this.db = null;
-        }
+        await this.storage.close();
+        this.db = null;
+        this.connecting = null;
     }
 }
 
-module.exports = MongoService;
\ No newline at end of file
+module.exports = MongoService;
+module.exports.VersionConflictError = VersionConflictError;
+module.exports.InvalidQueryError = InvalidQueryError;
+module.exports.DuplicateDocumentError = DuplicateDocumentError;
+module.exports.LowQualityError = QualityService.LowQualityError;
+module.exports.SORT_FIELDS = Object.keys(SORT_FIELDS);
+module.exports.DEFAULT_CORPUS = DEFAULT_CORPUS;
\ No newline at end of file
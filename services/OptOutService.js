@@ -0,0 +1,327 @@
+const Compliance = require('../shared/compliance');
+
+const COLLECTION = 'opt-out-registry';
+const KINDS = ['author', 'publisher', 'domain'];
+const MAX_TEXT_LENGTH = 1000;
+
+class InvalidOptOutEntryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidOptOutEntryError';
+    }
+}
+
+class OptOutEntryExistsError extends Error {
+    constructor(entry) {
+        super(`An opt-out for ${entry.kind} "${entry.value}" is already registered (${entry.entry_id})`);
+        this.name = 'OptOutEntryExistsError';
+        this.entry = entry;
+    }
+}
+
+/**
+ * Registry of rights holders who opted out of AI training, keyed by author,
+ * publisher or source domain (a domain covers its subdomains).
+ *
+ * Documents are checked when they are inserted or their attribution changes,
+ * and registering an entry flags matching documents already in the corpus.
+ * Flags set from the registry carry the entry id, so removing the entry
+ * clears exactly those flags again. Opt-outs recorded by hand on a document
+ * are never cleared by the registry.
+ */
+class OptOutService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+    }
+
+    /**
+     * Comparable form of a registry key: case- and whitespace-insensitive
+     * names, bare host names for domains ("https://www.Example.com/x" -> "example.com").
+     */
+    static normalize(kind, value) {
+        const text = String(value ?? '').normalize('NFKC').trim().toLowerCase();
+        if (kind === 'domain') {
+            return text
+                .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+                .replace(/^[^/?#@]*@/, '')
+                .split(/[/?#:]/)[0]
+                .replace(/^www\./, '')
+                .replace(/\.$/, '');
+        }
+        return text.replace(/\s+/g, ' ');
+    }
+
+    async collection() {
+        const db = await this.mongoService.connect();
+        return db.collection(COLLECTION);
+    }
+
+    async listEntries() {
+        const collection = await this.collection();
+        return await collection.find({}, { projection: { _id: 0 } })
+            .sort({ kind: 1, normalized: 1 })
+            .toArray();
+    }
+
+    /**
+     * Register an opt-out { kind, value, mechanism, reason, reference } and
+     * flag every matching document. Returns { entry, flagged }.
+     */
+    async addEntry(raw = {}) {
+        const entry = await this.registerEntry(raw);
+        const flagged = await this.flagMatchingDocuments(entry);
+        return { entry: entry, flagged: flagged };
+    }
+
+    /**
+     * Store an entry without flagging documents, for callers that flag the
+     * documents of every corpus (see CorpusService). Returns the entry.
+     */
+    async registerEntry(raw = {}) {
+        const entry = validateEntry(raw);
+        const collection = await this.collection();
+
+        const existing = await collection.findOne({ kind: entry.kind, normalized: entry.normalized }, { projection: { _id: 0 } });
+        if (existing) {
+            throw new OptOutEntryExistsError(existing);
+        }
+
+        await collection.insertOne({ ...entry });
+        return entry;
+    }
+
+    /**
+     * Remove an entry and re-check the documents it flagged (another entry may
+     * still cover them). Returns { entry, unflagged } or null if there is no such entry.
+     */
+    async removeEntry(entryId) {
+        const entry = await this.unregisterEntry(entryId);
+        if (!entry) {
+            return null;
+        }
+
+        const summary = await this.recheckDocuments(OptOutService.flaggedBy(entryId));
+        return { entry: entry, unflagged: summary.unflagged };
+    }
+
+    /**
+     * Delete an entry without re-checking documents. Returns it, or null if there is no such entry.
+     */
+    async unregisterEntry(entryId) {
+        const collection = await this.collection();
+        return await collection.findOneAndDelete({ entry_id: entryId }, { projection: { _id: 0 } });
+    }
+
+    /**
+     * Query for the documents an entry flagged.
+     */
+    static flaggedBy(entryId) {
+        return { 'copyright_compliance.opt_out_status.registry_entry_id': entryId };
+    }
+
+    /**
+     * The registry entry covering a document, or null.
+     */
+    async match(document) {
+        const keys = registryKeys(document);
+        if (!keys.length) {
+            return null;
+        }
+
+        const collection = await this.collection();
+        const entries = await collection.find({ $or: keys }, { projection: { _id: 0 } }).toArray();
+        return firstMatch(keys, entries);
+    }
+
+    /**
+     * Update a document's opt_out_status in place from the registry before it
+     * is stored: flag it when an entry matches, clear a stale registry flag
+     * when none does. Returns the matching entry or null.
+     */
+    async checkDocument(document) {
+        const copyright = document.copyright_compliance;
+        if (!copyright || typeof copyright !== 'object') {
+            return null;
+        }
+
+        const entry = await this.match(document);
+        const status = copyright.opt_out_status = { ...copyright.opt_out_status, last_checked: new Date().toISOString() };
+
+        if (entry) {
+            Object.assign(status, flagFor(entry));
+        } else if (status.registry_entry_id) {
+            Object.assign(status, UNFLAGGED);
+        }
+        return entry;
+    }
+
+    /**
+     * Flag the not yet opted-out documents an entry covers. Returns how many were flagged.
+     */
+    async flagMatchingDocuments(entry) {
+        const documents = await this.mongoService.documents();
+        const result = await documents.updateMany(
+            { ...documentQuery(entry), 'copyright_compliance.opt_out_status.has_opted_out': { $ne: true } },
+            { $set: { ...statusUpdate({ ...flagFor(entry), last_checked: new Date().toISOString() }), updated_at: new Date() }, $inc: { version: 1 } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Re-check documents (all of them by default) against the whole registry,
+     * e.g. after entries were edited directly in the database. Changing a flag
+     * bumps the document version; only refreshing last_checked does not.
+     * Returns { scanned, flagged, unflagged, skipped }.
+     */
+    async recheckDocuments(query = {}, { onProgress = null } = {}) {
+        const documents = await this.mongoService.documents();
+        const entries = await (await this.collection()).find({}, { projection: { _id: 0 } }).toArray();
+        const summary = { scanned: 0, flagged: 0, unflagged: 0, skipped: 0 };
+
+        for await (const doc of this.mongoService.iterateDocuments(query, {
+            projection: { document_id: 1, version: 1, attribution: 1, copyright_compliance: 1 }
+        })) {
+            summary.scanned++;
+            const status = doc.copyright_compliance?.opt_out_status || {};
+            const entry = firstMatch(registryKeys(doc), entries);
+
+            let change = null;
+            if (entry && (!status.has_opted_out || (status.registry_entry_id && status.registry_entry_id !== entry.entry_id))) {
+                change = flagFor(entry);
+            } else if (!entry && status.has_opted_out && status.registry_entry_id) {
+                change = UNFLAGGED;
+            }
+
+            const update = change
+                ? { $set: { ...statusUpdate({ ...change, last_checked: new Date().toISOString() }), updated_at: new Date() }, $inc: { version: 1 } }
+                : { $set: statusUpdate({ last_checked: new Date().toISOString() }) };
+
+            const result = await documents.updateOne({ document_id: doc.document_id, version: doc.version }, update);
+            if (result.matchedCount === 0) {
+                // Edited meanwhile; the edit already ran the check
+                summary.skipped++;
+            } else if (change === UNFLAGGED) {
+                summary.unflagged++;
+            } else if (change && !status.has_opted_out) {
+                summary.flagged++;
+            }
+
+            if (onProgress) {
+                onProgress(summary);
+            }
+        }
+
+        return summary;
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const UNFLAGGED = { has_opted_out: false, opt_out_mechanism: 'not_applicable', registry_entry_id: null };
+
+const MECHANISMS = Compliance.ids(Compliance.OPT_OUT_MECHANISMS).filter(id => id !== 'not_applicable');
+
+function validateEntry(raw) {
+    if (!KINDS.includes(raw.kind)) {
+        throw new InvalidOptOutEntryError(`kind must be one of: ${KINDS.join(', ')}`);
+    }
+
+    const value = typeof raw.value === 'string' ? raw.value.trim() : '';
+    const normalized = OptOutService.normalize(raw.kind, value);
+    if (!normalized) {
+        throw new InvalidOptOutEntryError(`A ${raw.kind} to opt out is required`);
+    }
+    if (raw.kind === 'domain' && !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalized)) {
+        throw new InvalidOptOutEntryError(`"${value}" is not a domain name`);
+    }
+
+    const mechanism = raw.mechanism || 'direct_request';
+    if (!MECHANISMS.includes(mechanism)) {
+        throw new InvalidOptOutEntryError(`mechanism must be one of: ${MECHANISMS.join(', ')}`);
+    }
+
+    for (const field of ['reason', 'reference']) {
+        if (raw[field] !== undefined && raw[field] !== null && (typeof raw[field] !== 'string' || raw[field].length > MAX_TEXT_LENGTH)) {
+            throw new InvalidOptOutEntryError(`${field} must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+        }
+    }
+
+    return {
+        entry_id: `optout_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        kind: raw.kind,
+        value: raw.kind === 'domain' ? normalized : value,
+        normalized: normalized,
+        mechanism: mechanism,
+        reason: raw.reason || null,
+        reference: raw.reference || null,
+        created_at: new Date()
+    };
+}
+
+/**
+ * Registry keys a document could be listed under, most specific first:
+ * author, publisher, then the source host and each parent domain.
+ */
+function registryKeys(document) {
+    const attribution = document.attribution || {};
+    const keys = [];
+
+    for (const kind of ['author', 'publisher']) {
+        const normalized = OptOutService.normalize(kind, attribution[kind]);
+        if (normalized) keys.push({ kind: kind, normalized: normalized });
+    }
+
+    const host = OptOutService.normalize('domain', attribution.source_url);
+    const labels = host ? host.split('.') : [];
+    for (let i = 0; i < labels.length - 1; i++) {
+        keys.push({ kind: 'domain', normalized: labels.slice(i).join('.') });
+    }
+
+    return keys;
+}
+
+function firstMatch(keys, entries) {
+    for (const key of keys) {
+        const entry = entries.find(candidate => candidate.kind === key.kind && candidate.normalized === key.normalized);
+        if (entry) return entry;
+    }
+    return null;
+}
+
+// Documents covered by an entry, matched the way normalize() compares values
+function documentQuery(entry) {
+    if (entry.kind === 'domain') {
+        return {
+            'attribution.source_url': {
+                $regex: `^[a-z][a-z0-9+.-]*://([^/?#@]*@)?(www\\.)?([^/?#]*\\.)?${escapeRegex(entry.normalized)}\\.?(:[0-9]+)?([/?#]|$)`,
+                $options: 'i'
+            }
+        };
+    }
+    return {
+        [`attribution.${entry.kind}`]: {
+            $regex: `^\\s*${entry.normalized.split(' ').map(escapeRegex).join('\\s+')}\\s*$`,
+            $options: 'i'
+        }
+    };
+}
+
+function flagFor(entry) {
+    return { has_opted_out: true, opt_out_mechanism: entry.mechanism, registry_entry_id: entry.entry_id };
+}
+
+function statusUpdate(fields) {
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => [`copyright_compliance.opt_out_status.${key}`, value]));
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = OptOutService;
+module.exports.KINDS = KINDS;
+module.exports.COLLECTION = COLLECTION;
+module.exports.InvalidOptOutEntryError = InvalidOptOutEntryError;
+module.exports.OptOutEntryExistsError = OptOutEntryExistsError;
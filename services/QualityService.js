@@ -0,0 +1,55 @@
+const fs = require('fs');
+const TextQuality = require('../shared/textQuality');
+
+class LowQualityError extends Error {
+    constructor(quality) {
+        super(`Text failed the quality checks: ${quality.issues.filter(issue => issue.level === 'reject').map(issue => issue.message).join('; ')}`);
+        this.name = 'LowQualityError';
+        this.quality = quality;
+    }
+}
+
+/**
+ * Quality gate for ingest. Every inserted document and every content or
+ * language edit is measured with shared/textQuality.js; the result is stored
+ * as training_metadata.quality, documents with warnings are stored (and show
+ * them to reviewers), rejected ones are refused.
+ *
+ * Thresholds default to TextQuality.DEFAULT_THRESHOLDS; QUALITY_THRESHOLDS_FILE
+ * names a JSON file overriding them per metric, e.g.
+ *   { "pii_count": { "reject_above": 0 }, "language_mismatch": { "reject": true }, "uppercase_ratio": null }
+ */
+class QualityService {
+    constructor({ thresholds = null, file = null } = {}) {
+        const source = file || process.env.QUALITY_THRESHOLDS_FILE;
+        const overrides = thresholds || (source ? JSON.parse(fs.readFileSync(source, 'utf8')) : null);
+        this.thresholds = TextQuality.mergeThresholds(overrides);
+    }
+
+    /**
+     * Measure a document's content_text against its declared language and
+     * store the result on training_metadata.quality. Returns the result.
+     */
+    assess(document) {
+        const quality = TextQuality.assess(document.content_text, {
+            language: document.content_metadata?.language,
+            thresholds: this.thresholds
+        });
+        if (document.training_metadata && typeof document.training_metadata === 'object') {
+            document.training_metadata.quality = quality;
+        }
+        return quality;
+    }
+
+    /**
+     * Throw LowQualityError for a result with reject-level issues.
+     */
+    assertAcceptable(quality) {
+        if (quality.status === 'reject') {
+            throw new LowQualityError(quality);
+        }
+    }
+}
+
+module.exports = QualityService;
+module.exports.LowQualityError = LowQualityError;
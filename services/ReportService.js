@@ -0,0 +1,404 @@
+const ExportService = require('./ExportService');
+const OptOutService = require('./OptOutService');
+const { InvalidQueryError } = require('./MongoService');
+const { SCHEMA_VERSION } = require('./DocumentValidator');
+const Compliance = require('../shared/compliance');
+
+const FORMATS = ['json', 'markdown', 'html'];
+const DEFAULT_TOP_SOURCES = 20;
+const MAX_TOP_SOURCES = 200;
+
+// Breakdown name -> how to read its value from a document
+const BREAKDOWNS = {
+    content_type: doc => doc.attribution?.content_type,
+    language: doc => doc.content_metadata?.language,
+    source_domain: doc => OptOutService.normalize('domain', doc.attribution?.source_url) || null,
+    publisher: doc => doc.attribution?.publisher,
+    license_status: doc => doc.copyright_compliance?.license_status,
+    acquisition_method: doc => doc.provenance?.acquisition_method
+};
+
+const BREAKDOWN_TITLES = {
+    content_type: 'Content types',
+    language: 'Languages',
+    source_domain: 'Source domains',
+    publisher: 'Publishers',
+    license_status: 'License status',
+    acquisition_method: 'Acquisition methods'
+};
+
+const REPORT_PROJECTION = {
+    document_id: 1,
+    attribution: 1,
+    'content_metadata.language': 1,
+    'training_metadata.token_count': 1,
+    'training_metadata.character_count': 1,
+    'training_metadata.tokenizer': 1,
+    copyright_compliance: 1,
+    ai_act_compliance: 1,
+    'provenance.acquisition_method': 1,
+    'chunk.parent_id': 1,
+    created_at: 1
+};
+
+/**
+ * Public summary of the content used for training, as required of
+ * general-purpose AI model providers by Art. 53(1)(d) of the EU AI Act.
+ * The corpus is aggregated by content type, language, source domain,
+ * publisher, license status and acquisition method, with the top sources
+ * by token share, and rendered as JSON, Markdown or printable HTML.
+ *
+ * By default only documents that would be exported (approved in review and
+ * cleared) are counted; scope.all counts every document in scope and
+ * scope.training_run the documents frozen into that run's snapshot.
+ */
+class ReportService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+        this.exportService = new ExportService(mongoService);
+    }
+
+    /**
+     * Normalize report options coming from query parameters, a JSON body or
+     * CLI flags. document_ids may be an array or a comma-separated string.
+     * Throws InvalidQueryError on bad input.
+     */
+    static parseOptions(raw = {}) {
+        const format = raw.format || 'json';
+        if (!FORMATS.includes(format)) {
+            throw new InvalidQueryError(`format must be one of: ${FORMATS.join(', ')}`);
+        }
+
+        const scope = {
+            all: raw.all === true || raw.all === 'true' || raw.all === '1',
+            training_run: raw.training_run ? String(raw.training_run) : undefined
+        };
+
+        for (const key of ['created_from', 'created_to']) {
+            if (raw[key] !== undefined) {
+                const date = new Date(raw[key]);
+                if (isNaN(date.getTime())) {
+                    throw new InvalidQueryError(`${key} must be an ISO 8601 date`);
+                }
+                scope[key] = date;
+            }
+        }
+
+        if (raw.document_ids !== undefined) {
+            const ids = Array.isArray(raw.document_ids) ? raw.document_ids : String(raw.document_ids).split(',');
+            scope.document_ids = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+            if (!scope.document_ids.length) {
+                throw new InvalidQueryError('document_ids must list at least one document id');
+            }
+        }
+
+        let top = DEFAULT_TOP_SOURCES;
+        if (raw.top !== undefined) {
+            top = parseInt(raw.top);
+            if (!Number.isInteger(top) || top < 1 || top > MAX_TOP_SOURCES) {
+                throw new InvalidQueryError(`top must be between 1 and ${MAX_TOP_SOURCES}`);
+            }
+        }
+
+        return { scope: scope, options: { format: format, top: top } };
+    }
+
+    /**
+     * The documents in scope: a training run's snapshot as it was frozen, else
+     * the current training set (or everything with scope.all).
+     */
+    buildQuery(scope = {}) {
+        const criteria = {
+            created_from: scope.created_from,
+            created_to: scope.created_to,
+            document_ids: scope.document_ids,
+            training_run: scope.training_run
+        };
+        return scope.all || scope.training_run ? this.mongoService.buildDocumentQuery(criteria) : this.exportService.buildQuery(criteria);
+    }
+
+    /**
+     * Aggregate the documents in scope into the report object.
+     */
+    async buildReport(scope = {}, { top = DEFAULT_TOP_SOURCES } = {}) {
+        const totals = {
+            documents: 0,
+            works: 0,
+            tokens: 0,
+            characters: 0,
+            cleared: 0,
+            opted_out: 0,
+            summary_included: 0,
+            documented_for_authorities: 0
+        };
+        const breakdowns = Object.fromEntries(Object.keys(BREAKDOWNS).map(name => [name, new Map()]));
+        const transparency = new Map();
+        const sources = new Map();
+        const tokenizers = new Set();
+        const works = new Set();
+        const found = new Set();
+        let earliest = null;
+        let latest = null;
+
+        for await (const doc of this.mongoService.iterateDocuments(this.buildQuery(scope), { projection: REPORT_PROJECTION })) {
+            const tokens = doc.training_metadata?.token_count || 0;
+
+            totals.documents++;
+            totals.tokens += tokens;
+            totals.characters += doc.training_metadata?.character_count || 0;
+            if (Compliance.clearance(doc).cleared) totals.cleared++;
+            if (doc.copyright_compliance?.opt_out_status?.has_opted_out) totals.opted_out++;
+            if (doc.ai_act_compliance?.summary_included) totals.summary_included++;
+            if (doc.ai_act_compliance?.documented_for_authorities) totals.documented_for_authorities++;
+
+            works.add(doc.chunk?.parent_id || doc.document_id);
+            found.add(doc.document_id);
+            if (doc.training_metadata?.tokenizer) tokenizers.add(doc.training_metadata.tokenizer);
+
+            const created = doc.created_at ? new Date(doc.created_at) : null;
+            if (created && (!earliest || created < earliest)) earliest = created;
+            if (created && (!latest || created > latest)) latest = created;
+
+            for (const [name, read] of Object.entries(BREAKDOWNS)) {
+                tally(breakdowns[name], read(doc) || null, tokens);
+            }
+            tally(transparency, doc.ai_act_compliance?.transparency_level || null, tokens);
+
+            const source = sourceOf(doc);
+            const key = `${source.kind}:${source.name}`;
+            if (!sources.has(key)) sources.set(key, { ...source, documents: 0, tokens: 0 });
+            sources.get(key).documents++;
+            sources.get(key).tokens += tokens;
+        }
+        totals.works = works.size;
+
+        return {
+            report: 'eu_ai_act_training_data_summary',
+            generated_at: new Date().toISOString(),
+            schema_version: SCHEMA_VERSION,
+            scope: {
+                selection: scope.training_run ? 'training_run' : scope.all ? 'all' : 'training',
+                training_run: scope.training_run || null,
+                created_from: scope.created_from ? scope.created_from.toISOString() : null,
+                created_to: scope.created_to ? scope.created_to.toISOString() : null,
+                document_ids: scope.document_ids || null,
+                missing_document_ids: scope.document_ids ? scope.document_ids.filter(id => !found.has(id)) : [],
+                acquired_from: earliest ? earliest.toISOString() : null,
+                acquired_to: latest ? latest.toISOString() : null
+            },
+            target_base_model: this.mongoService.tokenizers.baseModel,
+            tokenizers: [...tokenizers].sort(),
+            totals: totals,
+            breakdowns: Object.fromEntries(Object.entries(breakdowns).map(([name, rows]) => [name, toRows(rows, totals)])),
+            transparency_levels: toRows(transparency, totals),
+            top_sources: [...sources.values()]
+                .sort((a, b) => b.tokens - a.tokens || b.documents - a.documents)
+                .slice(0, top)
+                .map(source => ({ ...source, token_share: share(source.tokens, totals.tokens) }))
+        };
+    }
+
+    /**
+     * Build the report and render it. Returns { report, body, contentType }.
+     */
+    async generate(scope = {}, { format = 'json', top = DEFAULT_TOP_SOURCES } = {}) {
+        const report = await this.buildReport(scope, { top });
+
+        if (format === 'markdown') {
+            return { report: report, body: renderMarkdown(report), contentType: 'text/markdown; charset=utf-8' };
+        }
+        if (format === 'html') {
+            return { report: report, body: renderHtml(report), contentType: 'text/html; charset=utf-8' };
+        }
+        return { report: report, body: JSON.stringify(report, null, 2) + '\n', contentType: 'application/json; charset=utf-8' };
+    }
+}
+
+// ============================================================================
+// AGGREGATION HELPERS
+// ============================================================================
+
+function tally(rows, value, tokens) {
+    if (!rows.has(value)) rows.set(value, { value: value, documents: 0, tokens: 0 });
+    rows.get(value).documents++;
+    rows.get(value).tokens += tokens;
+}
+
+function toRows(rows, totals) {
+    return [...rows.values()]
+        .sort((a, b) => b.tokens - a.tokens || b.documents - a.documents)
+        .map(row => ({
+            ...row,
+            document_share: share(row.documents, totals.documents),
+            token_share: share(row.tokens, totals.tokens)
+        }));
+}
+
+function share(part, whole) {
+    return whole ? Math.round((part / whole) * 10000) / 10000 : 0;
+}
+
+// Where a document came from: its source domain, else its publisher, else its author
+function sourceOf(doc) {
+    const attribution = doc.attribution || {};
+    const domain = OptOutService.normalize('domain', attribution.source_url);
+    if (domain) return { kind: 'domain', name: domain };
+    if (attribution.publisher) return { kind: 'publisher', name: attribution.publisher };
+    return { kind: 'author', name: attribution.author || 'Unknown' };
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+const number = value => Number(value).toLocaleString('en-US');
+
+function valueLabel(name, value) {
+    if (value === null) {
+        return name === 'source_domain' ? '(no source URL)' : '(not recorded)';
+    }
+    if (name === 'license_status') return Compliance.labelFor(Compliance.LICENSE_TYPES, value);
+    if (name === 'transparency_level') return Compliance.labelFor(Compliance.TRANSPARENCY_LEVELS, value);
+    return value;
+}
+
+function scopeLines(report) {
+    const scope = report.scope;
+    const lines = [{
+        training: 'Documents used for training (approved in review and cleared by license or copyright exception)',
+        training_run: `Documents in the dataset snapshot of training run ${scope.training_run}`,
+        all: 'All documents in the corpus, whether or not they are used for training'
+    }[scope.selection]];
+    if (scope.created_from || scope.created_to) {
+        lines.push(`Added between ${scope.created_from ? scope.created_from.slice(0, 10) : 'the beginning'} and ${scope.created_to ? scope.created_to.slice(0, 10) : 'now'}`);
+    }
+    if (scope.document_ids) {
+        lines.push(`Limited to ${scope.document_ids.length} listed document(s)${scope.missing_document_ids.length ? `, ${scope.missing_document_ids.length} of them not found or not in scope: ${scope.missing_document_ids.join(', ')}` : ''}`);
+    }
+    if (scope.acquired_from) {
+        lines.push(`Content acquired from ${scope.acquired_from.slice(0, 10)} to ${scope.acquired_to.slice(0, 10)}`);
+    }
+    return lines;
+}
+
+function totalLines(report) {
+    const totals = report.totals;
+    return [
+        ['Documents', number(totals.documents)],
+        ['Works (chunked works counted once)', number(totals.works)],
+        ['Tokens', `${number(totals.tokens)} (${report.tokenizers.join(', ') || 'no tokenizer recorded'})`],
+        ['Characters', number(totals.characters)],
+        ['Cleared for training', number(totals.cleared)],
+        ['Opted out', number(totals.opted_out)],
+        ['Flagged as included in this summary', number(totals.summary_included)],
+        ['Documented for authorities', number(totals.documented_for_authorities)]
+    ];
+}
+
+function tableSections(report) {
+    const rowCells = (name, row) => [valueLabel(name, row.value), number(row.documents), number(row.tokens), percent(row.token_share)];
+    return [
+        ...Object.entries(report.breakdowns).map(([name, rows]) => ({
+            title: BREAKDOWN_TITLES[name],
+            head: ['Value', 'Documents', 'Tokens', 'Token share'],
+            numericFrom: 1,
+            rows: rows.map(row => rowCells(name, row))
+        })),
+        {
+            title: 'Transparency levels',
+            head: ['Value', 'Documents', 'Tokens', 'Token share'],
+            numericFrom: 1,
+            rows: report.transparency_levels.map(row => rowCells('transparency_level', row))
+        },
+        {
+            title: `Top ${report.top_sources.length} sources by token share`,
+            head: ['Source', 'Kind', 'Documents', 'Tokens', 'Token share'],
+            numericFrom: 2,
+            rows: report.top_sources.map(source => [source.name, source.kind, number(source.documents), number(source.tokens), percent(source.token_share)])
+        }
+    ];
+}
+
+function renderMarkdown(report) {
+    const cell = value => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    const table = (head, rows, numericFrom = 1) => [
+        `| ${head.join(' | ')} |`,
+        `|${head.map((_, index) => index < numericFrom ? ' --- ' : ' ---: ').join('|')}|`,
+        ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ].join('\n');
+
+    const parts = [
+        '# Training data summary (EU AI Act, Art. 53(1)(d))',
+        `Generated ${report.generated_at} for target model ${report.target_base_model} (document schema ${report.schema_version}).`,
+        '## Scope',
+        scopeLines(report).map(line => `- ${line}`).join('\n'),
+        '## Totals',
+        table(['', 'Count'], totalLines(report))
+    ];
+    for (const section of tableSections(report)) {
+        parts.push(`## ${section.title}`, section.rows.length ? table(section.head, section.rows, section.numericFrom) : '_No documents._');
+    }
+
+    return parts.join('\n\n') + '\n';
+}
+
+function renderHtml(report) {
+    const table = (head, rows, numericFrom = 1) => `<table>
+<thead><tr>${head.map(label => `<th>${escapeHtml(label)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map((value, index) => `<td${index >= numericFrom ? ' class="num"' : ''}>${escapeHtml(value)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+
+    const sections = tableSections(report).map(section => `<section>
+<h2>${escapeHtml(section.title)}</h2>
+${section.rows.length ? table(section.head, section.rows, section.numericFrom) : '<p><em>No documents.</em></p>'}
+</section>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Training data summary - ${escapeHtml(report.generated_at.slice(0, 10))}</title>
+<style>
+    body { font-family: Georgia, 'Times New Roman', serif; color: #222; max-width: 960px; margin: 2em auto; padding: 0 1em; }
+    h1 { font-size: 1.6em; border-bottom: 2px solid #222; padding-bottom: 0.3em; }
+    h2 { font-size: 1.2em; margin-top: 1.6em; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+    th, td { border-bottom: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+    td.num { text-align: right; font-variant-numeric: tabular-nums; }
+    .meta { color: #555; }
+    section { break-inside: avoid; }
+    @media print { body { margin: 0; max-width: none; } a { color: inherit; text-decoration: none; } }
+</style>
+</head>
+<body>
+<h1>Training data summary (EU AI Act, Art. 53(1)(d))</h1>
+<p class="meta">Generated ${escapeHtml(report.generated_at)} for target model ${escapeHtml(report.target_base_model)} (document schema ${escapeHtml(report.schema_version)}).</p>
+<section>
+<h2>Scope</h2>
+<ul>
+${scopeLines(report).map(line => `<li>${escapeHtml(line)}</li>`).join('\n')}
+</ul>
+</section>
+<section>
+<h2>Totals</h2>
+${table(['', 'Count'], totalLines(report))}
+</section>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = ReportService;
+module.exports.FORMATS = FORMATS;
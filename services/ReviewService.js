@@ -0,0 +1,283 @@
+const UserService = require('./UserService');
+
+const ORIGINALS_COLLECTION = 'document-originals';
+
+// Lifecycle of training_metadata.processing_status; only approved documents are exported
+const STATUSES = ['draft', 'pending_review', 'approved', 'rejected', 'archived'];
+
+// Statuses a new document may be created in; anything else is submitted for review
+const INITIAL_STATUSES = ['draft', 'pending_review'];
+
+// Review actions: the statuses they apply to, the status they lead to and the role they need
+const ACTIONS = {
+    submit: { from: ['draft', 'rejected'], to: 'pending_review', role: 'contributor' },
+    withdraw: { from: ['pending_review'], to: 'draft', role: 'contributor' },
+    approve: { from: ['pending_review'], to: 'approved', role: 'reviewer' },
+    reject: { from: ['pending_review'], to: 'rejected', role: 'reviewer', commentRequired: true },
+    archive: { from: ['draft', 'approved', 'rejected'], to: 'archived', role: 'reviewer' },
+    reopen: { from: ['approved', 'archived'], to: 'pending_review', role: 'reviewer' },
+    comment: { from: STATUSES, to: null, role: 'contributor', commentRequired: true }
+};
+
+// Statuses used before the review workflow, and what they become when migrated
+const LEGACY_STATUSES = { pending: 'pending_review', excluded: 'archived', ready_for_training: 'pending_review' };
+
+const MAX_COMMENT_LENGTH = 5000;
+
+class ReviewError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReviewError';
+    }
+}
+
+class ReviewStateError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ReviewStateError';
+        this.status = status;
+    }
+}
+
+class ReviewPermissionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReviewPermissionError';
+    }
+}
+
+/**
+ * Human review before documents become trainable. Every document moves
+ * through draft -> pending_review -> approved / rejected, and can be
+ * archived; ExportService only includes approved documents. Status changes
+ * go through apply() only, so the transitions and the roles allowed to make
+ * them are enforced here, and each change is appended to the document's
+ * review.history with who made it and an optional comment.
+ *
+ * The raw text a document was cleaned from is kept in a separate collection
+ * so reviewers can compare it with the cleaned content_text.
+ */
+class ReviewService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+    }
+
+    async originals() {
+        const db = await this.mongoService.connect();
+        return db.collection(ORIGINALS_COLLECTION);
+    }
+
+    /**
+     * Put a document about to be inserted into the lifecycle: drafts stay
+     * drafts, everything else is submitted for review. With keepHistory (a
+     * deleted document being restored) the earlier review history is kept.
+     */
+    prepareNew(document, { actor = null, keepHistory = false } = {}) {
+        if (!isObject(document.training_metadata)) {
+            return;
+        }
+
+        const requested = document.training_metadata.processing_status;
+        const status = INITIAL_STATUSES.includes(requested) ? requested : 'pending_review';
+        const now = new Date();
+        const previous = keepHistory && isObject(document.review) ? document.review : null;
+
+        document.training_metadata.processing_status = status;
+        document.review = {
+            submitted_by: status === 'pending_review' ? actor : null,
+            submitted_at: status === 'pending_review' ? now : null,
+            reviewed_by: null,
+            reviewed_at: null,
+            history: [
+                ...(previous && Array.isArray(previous.history) ? previous.history : []),
+                {
+                    action: previous ? 'restore' : (status === 'draft' ? 'create' : 'submit'),
+                    from: null,
+                    to: status,
+                    by: actor,
+                    at: now,
+                    comment: null
+                }
+            ]
+        };
+    }
+
+    /**
+     * Status and review fields for an edited document: a content change
+     * sends an approved document back to review.
+     * Returns the history entry to record, or null when nothing changes.
+     */
+    reopenOnContentChange(existing, updated, { actor = null } = {}) {
+        if (existing.training_metadata?.processing_status !== 'approved' || existing.content_text === updated.content_text) {
+            return null;
+        }
+
+        const entry = { action: 'reopen', from: 'approved', to: 'pending_review', by: actor, at: new Date(), comment: 'Content changed after approval' };
+        updated.training_metadata.processing_status = 'pending_review';
+        updated.review = {
+            ...updated.review,
+            submitted_by: actor,
+            submitted_at: entry.at,
+            history: [...(updated.review?.history || []), entry]
+        };
+        return entry;
+    }
+
+    /**
+     * Apply a review action (see ACTIONS) to a document on behalf of `user`
+     * ({ username, role }). expectedVersion guards against acting on a
+     * document that changed since it was read. Reviewers cannot approve
+     * documents they added themselves; admins can.
+     * Returns the updated document, or null if there is no such document.
+     */
+    async apply(documentId, action, { user, comment = null, expectedVersion = null } = {}) {
+        const spec = ACTIONS[action];
+        if (!spec) {
+            throw new ReviewError(`action must be one of: ${Object.keys(ACTIONS).join(', ')}`);
+        }
+        if (comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+            throw new ReviewError(`comment must be a string of at most ${MAX_COMMENT_LENGTH} characters`);
+        }
+        comment = comment ? comment.trim() || null : null;
+        if (spec.commentRequired && !comment) {
+            throw new ReviewError(`A comment is required to ${action}`);
+        }
+        if (!UserService.hasRole(user, spec.role)) {
+            throw new ReviewPermissionError(`Only a ${spec.role} or above can ${action} documents`);
+        }
+
+        const document = await this.mongoService.getDocumentById(documentId);
+        if (!document) {
+            return null;
+        }
+
+        // Required here rather than at the top: MongoService requires this module
+        const { VersionConflictError } = require('./MongoService');
+        if (expectedVersion !== null && document.version !== expectedVersion) {
+            throw new VersionConflictError(documentId, expectedVersion, document.version);
+        }
+
+        const from = document.training_metadata?.processing_status;
+        if (!spec.from.includes(from)) {
+            throw new ReviewStateError(`Cannot ${action} a document that is ${from}`, from);
+        }
+        if (action === 'approve' && document.provenance?.added_by === user.username && !UserService.hasRole(user, 'admin')) {
+            throw new ReviewPermissionError('Documents cannot be approved by the user who added them');
+        }
+
+        const now = new Date();
+        const entry = { action: action, from: from, to: spec.to || from, by: user.username, at: now, comment: comment };
+        const set = { updated_at: now };
+        if (spec.to) {
+            set['training_metadata.processing_status'] = spec.to;
+        }
+        if (action === 'submit' || action === 'reopen') {
+            set['review.submitted_by'] = user.username;
+            set['review.submitted_at'] = now;
+        }
+        if (action === 'approve' || action === 'reject') {
+            set['review.reviewed_by'] = user.username;
+            set['review.reviewed_at'] = now;
+        }
+
+        const documents = await this.mongoService.documents();
+        const result = await documents.findOneAndUpdate(
+            { document_id: documentId, version: document.version },
+            { $set: set, $push: { 'review.history': entry }, $inc: { version: 1 } },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+        if (!result) {
+            const current = await this.mongoService.getDocumentById(documentId);
+            if (!current) return null;
+            throw new VersionConflictError(documentId, document.version, current.version);
+        }
+
+        await this.mongoService.audit.record('review', {
+            actor: user.username,
+            documentId: documentId,
+            version: result.version,
+            summary: { action: action, from: from, to: entry.to, comment: comment }
+        });
+        return result;
+    }
+
+    /**
+     * Move documents still carrying pre-review statuses into the lifecycle.
+     * Documents that were ready_for_training go to pending_review, or straight
+     * to approved with approveExisting (recorded as approved by `actor`).
+     * Returns { [legacy status]: number of documents moved }.
+     */
+    async migrateLegacyStatuses({ approveExisting = false, actor = null } = {}) {
+        const collection = await this.mongoService.documents();
+        const moved = {};
+        const now = new Date();
+
+        for (const [legacy, mapped] of Object.entries(LEGACY_STATUSES)) {
+            const to = legacy === 'ready_for_training' && approveExisting ? 'approved' : mapped;
+            const result = await collection.updateMany(
+                { 'training_metadata.processing_status': legacy },
+                {
+                    $set: {
+                        'training_metadata.processing_status': to,
+                        'review.submitted_by': null,
+                        'review.submitted_at': null,
+                        'review.reviewed_by': to === 'approved' ? actor : null,
+                        'review.reviewed_at': to === 'approved' ? now : null,
+                        updated_at: now
+                    },
+                    $push: { 'review.history': { action: 'migrate', from: legacy, to: to, by: actor, at: now, comment: null } },
+                    $inc: { version: 1 }
+                }
+            );
+            moved[legacy] = result.modifiedCount;
+        }
+
+        if (Object.values(moved).some(count => count > 0)) {
+            await this.mongoService.audit.record('review', {
+                actor: actor,
+                summary: { action: 'migrate', approve_existing: approveExisting, moved: moved }
+            });
+        }
+        return moved;
+    }
+
+    /**
+     * Keep the raw text a document was cleaned from. Chunks share the original
+     * of their parent work, stored under the parent id.
+     */
+    async storeOriginal(documentId, text) {
+        const collection = await this.originals();
+        await collection.updateOne(
+            { document_id: documentId },
+            { $set: { document_id: documentId, text: text, stored_at: new Date() } },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * The raw original of a document (or of the work it is a chunk of), or null.
+     */
+    async getOriginal(document) {
+        const collection = await this.originals();
+        const key = document.chunk?.parent_id || document.document_id;
+        return await collection.findOne({ document_id: key }, { projection: { _id: 0 } });
+    }
+
+    async deleteOriginal(documentId) {
+        const collection = await this.originals();
+        await collection.deleteOne({ document_id: documentId });
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = ReviewService;
+module.exports.STATUSES = STATUSES;
+module.exports.ACTIONS = ACTIONS;
+module.exports.LEGACY_STATUSES = LEGACY_STATUSES;
+module.exports.ORIGINALS_COLLECTION = ORIGINALS_COLLECTION;
+module.exports.ReviewError = ReviewError;
+module.exports.ReviewStateError = ReviewStateError;
+module.exports.ReviewPermissionError = ReviewPermissionError;
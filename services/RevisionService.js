@@ -0,0 +1,141 @@
+const TextDiff = require('../shared/textDiff');
+
+const COLLECTION = 'document-revisions';
+
+// Bookkeeping fields that change with every write and are not listed as changes
+const UNTRACKED_FIELDS = ['_id', 'updated_at', 'version', 'schema_version', 'dedup', 'embedding', 'review', 'copyright_compliance.opt_out_status.last_checked'];
+
+/**
+ * Revision history of corpus documents. Before a document is changed (edited,
+ * restored or deleted) its previous state is stored as a revision together
+ * with who made the change, when, the fields that changed and a line diff of
+ * content_text, so any earlier version can be inspected and restored.
+ *
+ * Revisions are keyed by the version they hold: revision 3 of a document is
+ * the document as it was at version 3. Automatic bookkeeping (opt-out registry
+ * flags, token recounts, training run marks) and review status changes, which
+ * have their own history on the document, are not recorded.
+ */
+class RevisionService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+    }
+
+    async collection() {
+        const db = await this.mongoService.connect();
+        return db.collection(COLLECTION);
+    }
+
+    /**
+     * Store `previous` as a revision, describing the change to `current`
+     * (null when the document was deleted).
+     */
+    async record(previous, current, { action = 'update', actor = null, restoredFrom = null } = {}) {
+        // Vectors are recomputed from the text, so snapshots do not keep them
+        const { _id, embedding, ...snapshot } = previous;
+        const contentChanged = current !== null && current.content_text !== previous.content_text;
+        const ops = contentChanged ? TextDiff.diffLines(previous.content_text, current.content_text) : null;
+
+        const revision = {
+            revision_id: `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            document_id: previous.document_id,
+            version: previous.version,
+            action: action,
+            changed_by: actor || 'unknown',
+            changed_at: current ? current.updated_at : new Date(),
+            changed_fields: current ? changedFields(previous, current) : [],
+            content_diff: ops ? { ...TextDiff.stats(ops), hunks: TextDiff.unifiedHunks(ops) } : null,
+            restored_from: restoredFrom,
+            snapshot: snapshot
+        };
+
+        const collection = await this.collection();
+        await collection.insertOne({ ...revision });
+        return revision;
+    }
+
+    /**
+     * Revisions of a document, newest first, without their snapshots.
+     */
+    async listRevisions(documentId) {
+        const collection = await this.collection();
+        return await collection.find({ document_id: documentId }, { projection: { _id: 0, snapshot: 0 } })
+            .sort({ version: -1 })
+            .toArray();
+    }
+
+    /**
+     * A revision including the stored document snapshot, or null.
+     */
+    async getRevision(documentId, version) {
+        const collection = await this.collection();
+        return await collection.findOne({ document_id: documentId, version: version }, { projection: { _id: 0 } });
+    }
+
+    async deleteRevisions(documentId) {
+        const collection = await this.collection();
+        const result = await collection.deleteMany({ document_id: documentId });
+        return result.deletedCount;
+    }
+
+    /**
+     * Bring a document back to the state stored in one of its revisions. The
+     * restore is itself a change, so the state it replaces becomes a revision
+     * too. A deleted document is inserted again from the revision.
+     * expectedVersion guards against overwriting concurrent edits, as in a PATCH.
+     * Returns the restored document, or null if there is no such revision.
+     */
+    async restoreRevision(documentId, version, expectedVersion = null, { actor = null } = {}) {
+        const revision = await this.getRevision(documentId, version);
+        if (!revision) {
+            return null;
+        }
+
+        const current = await this.mongoService.getDocumentById(documentId);
+        if (!current) {
+            // Continue the version sequence after the state the document was deleted in
+            const [latest] = await this.listRevisions(documentId);
+            const document = { ...revision.snapshot, version: latest.version + 1, updated_at: new Date() };
+            await this.mongoService.insertDocument(document, { actor: actor, restoring: true });
+            return document;
+        }
+
+        return await this.mongoService.updateDocument(documentId, revision.snapshot, expectedVersion, {
+            replace: true,
+            action: 'restore',
+            actor: actor,
+            restoredFrom: version
+        });
+    }
+}
+
+/**
+ * Dotted paths of the leaf fields that differ between two versions of a document.
+ */
+function changedFields(before, after, prefix = '') {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changed = [];
+
+    for (const key of keys) {
+        const path = prefix + key;
+        if (UNTRACKED_FIELDS.includes(path)) continue;
+
+        const a = before ? before[key] : undefined;
+        const b = after ? after[key] : undefined;
+
+        if (isPlainObject(a) && isPlainObject(b)) {
+            changed.push(...changedFields(a, b, `${path}.`));
+        } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+            changed.push(path);
+        }
+    }
+
+    return changed;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+module.exports = RevisionService;
+module.exports.COLLECTION = COLLECTION;
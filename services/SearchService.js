@@ -0,0 +1,237 @@
+const MongoService = require('./MongoService');
+const EmbeddingService = require('./EmbeddingService');
+const Compliance = require('../shared/compliance');
+
+const { InvalidQueryError } = MongoService;
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+const EXCERPT_LENGTH = 300;
+
+// Listing fields, plus a short excerpt instead of the full content_text
+const SUMMARY_PROJECTION = {
+    document_id: 1,
+    attribution: 1,
+    content_metadata: 1,
+    training_metadata: 1,
+    copyright_compliance: 1,
+    created_at: 1,
+    updated_at: 1,
+    version: 1,
+    schema_version: 1,
+    chunk: 1,
+    training_runs: 1,
+    'provenance.added_by': 1,
+    'review.submitted_by': 1,
+    'review.submitted_at': 1,
+    excerpt: { $substrCP: ['$content_text', 0, EXCERPT_LENGTH] }
+};
+
+/**
+ * Document listing and search shared by GET /api/documents and the
+ * `corpus list` / `corpus search` commands: the same filters, paging and
+ * summary fields whether they come from query parameters or CLI flags.
+ * Semantic search ranks the same filtered documents by embedding similarity
+ * to a query instead (GET /api/search/semantic, `corpus search --semantic`).
+ */
+class SearchService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+    }
+
+    /**
+     * Parse query parameters or CLI flags into MongoService search criteria
+     * and paging options. List filters accept comma-separated values
+     * (content_type=book,blog). Throws InvalidQueryError on bad input.
+     */
+    static parseOptions(raw = {}) {
+        const list = (value) => value && value !== true ? String(value).split(',').map(item => item.trim()).filter(Boolean) : undefined;
+        const text = (value) => value && value !== true ? String(value) : undefined;
+        const criteria = {
+            q: text(raw.q),
+            author: text(raw.author),
+            title: text(raw.title),
+            genre: text(raw.genre),
+            content_type: list(raw.content_type),
+            language: list(raw.language),
+            processing_status: list(raw.processing_status),
+            quality_status: list(raw.quality_status),
+            parent_id: text(raw.parent_id),
+            training_run: text(raw.training_run),
+            model_version: text(raw.model_version)
+        };
+
+        if (raw.cleared !== undefined) {
+            if (String(raw.cleared) !== 'true' && String(raw.cleared) !== 'false') {
+                throw new InvalidQueryError('cleared must be true or false');
+            }
+            criteria.cleared = String(raw.cleared) === 'true';
+        }
+
+        for (const param of ['weight_min', 'weight_max']) {
+            if (raw[param] !== undefined) {
+                const weight = Number(raw[param]);
+                if (!Number.isFinite(weight)) {
+                    throw new InvalidQueryError(`${param} must be a number`);
+                }
+                criteria[param] = weight;
+            }
+        }
+
+        for (const param of ['created_from', 'created_to']) {
+            if (raw[param] !== undefined) {
+                const date = new Date(raw[param]);
+                if (isNaN(date.getTime())) {
+                    throw new InvalidQueryError(`${param} must be an ISO 8601 date`);
+                }
+                criteria[param] = date;
+            }
+        }
+
+        const limit = raw.limit !== undefined ? parseInt(raw.limit) : DEFAULT_PAGE_SIZE;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw new InvalidQueryError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+        }
+
+        const sort = raw.sort || (criteria.q ? 'relevance' : 'created_at');
+        if (!MongoService.SORT_FIELDS.includes(sort)) {
+            throw new InvalidQueryError(`sort must be one of: ${MongoService.SORT_FIELDS.join(', ')}`);
+        }
+
+        const order = raw.order || 'desc';
+        if (order !== 'asc' && order !== 'desc') {
+            throw new InvalidQueryError('order must be asc or desc');
+        }
+
+        return {
+            criteria: criteria,
+            options: { limit: limit, sort: sort, order: order, cursor: text(raw.cursor) || null }
+        };
+    }
+
+    /**
+     * Parse the query, filters and limits of a semantic search. The filters
+     * are those of parseOptions(); q is the text to compare documents with.
+     * Throws InvalidQueryError on bad input.
+     */
+    static parseSemanticOptions(raw = {}) {
+        const query = raw.q && raw.q !== true ? String(raw.q).trim() : '';
+        if (!query) {
+            throw new InvalidQueryError('q (the text to search for) is required');
+        }
+
+        const { criteria, options } = SearchService.parseOptions({ ...raw, q: undefined, sort: undefined, order: undefined, cursor: undefined });
+
+        let minScore = 0;
+        if (raw.min_score !== undefined) {
+            minScore = Number(raw.min_score);
+            if (!Number.isFinite(minScore) || minScore < 0 || minScore > 1) {
+                throw new InvalidQueryError('min_score must be a number between 0 and 1');
+            }
+        }
+
+        return { query: query, criteria: criteria, options: { limit: options.limit, minScore: minScore } };
+    }
+
+    /**
+     * One page of matching documents as summaries.
+     * Returns { documents, total, limit, next_cursor }.
+     */
+    async search(criteria = {}, options = {}) {
+        const result = await this.mongoService.findDocuments(criteria, {
+            ...options,
+            projection: SUMMARY_PROJECTION
+        });
+
+        return {
+            documents: result.documents.map(SearchService.toSummary),
+            total: result.total,
+            limit: options.limit,
+            next_cursor: result.next_cursor
+        };
+    }
+
+    /**
+     * The documents whose embeddings are closest to a query text's, best
+     * first, as summaries with a cosine similarity `score` above zero (and at
+     * least minScore). `matching` says what closeness means: shared
+     * vocabulary ('lexical', the default hashing provider) or meaning
+     * ('semantic', an embedding model). Only documents embedded with
+     * the current model are compared (see MongoService.recomputeEmbeddings());
+     * the scan is exhaustive, which is fine up to a few hundred thousand vectors.
+     * Returns { query, model, matching, documents, compared, unembedded }.
+     */
+    async semanticSearch(query, criteria = {}, { limit = DEFAULT_PAGE_SIZE, minScore = 0 } = {}) {
+        const embeddings = this.mongoService.embeddings;
+        const model = embeddings.currentId();
+        const [vector] = await embeddings.embed([query]);
+
+        const filter = this.mongoService.buildDocumentQuery(criteria);
+        const best = [];
+        let compared = 0;
+
+        for await (const doc of this.mongoService.iterateDocuments(
+            { ...filter, 'embedding.model': model },
+            { projection: { ...SUMMARY_PROJECTION, 'embedding.vector': 1 } }
+        )) {
+            compared++;
+            const score = EmbeddingService.similarity(vector, doc.embedding.vector);
+            if (score <= 0 || score < minScore || (best.length === limit && score <= best[best.length - 1].score)) {
+                continue;
+            }
+
+            // Keep the top `limit` sorted, best first
+            const { embedding, ...summary } = doc;
+            const at = best.findIndex(entry => score > entry.score);
+            best.splice(at === -1 ? best.length : at, 0, { ...summary, score: Math.round(score * 1e4) / 1e4 });
+            if (best.length > limit) {
+                best.pop();
+            }
+        }
+
+        const matching = await this.mongoService.countDocuments(filter);
+        return {
+            query: query,
+            model: model,
+            matching: embeddings.matching(),
+            documents: best.map(SearchService.toSummary),
+            compared: compared,
+            unembedded: matching - compared
+        };
+    }
+
+    /**
+     * The listing fields of a document (stored with SUMMARY_PROJECTION or in full).
+     */
+    static toSummary(doc) {
+        return {
+            document_id: doc.document_id,
+            title: doc.attribution?.title,
+            author: doc.attribution?.author,
+            content_type: doc.attribution?.content_type,
+            language: doc.content_metadata?.language,
+            genre: doc.content_metadata?.genre,
+            created_at: doc.created_at,
+            updated_at: doc.updated_at,
+            version: doc.version,
+            excerpt: doc.excerpt ?? (doc.content_text || '').substring(0, EXCERPT_LENGTH),
+            character_count: doc.training_metadata?.character_count,
+            token_count: doc.training_metadata?.token_count,
+            weighting: doc.training_metadata?.weighting,
+            processing_status: doc.training_metadata?.processing_status,
+            quality_status: doc.training_metadata?.quality?.status || null,
+            added_by: doc.provenance?.added_by || null,
+            submitted_by: doc.review?.submitted_by || null,
+            submitted_at: doc.review?.submitted_at || null,
+            license_status: doc.copyright_compliance?.license_status,
+            cleared: Compliance.clearance(doc).cleared,
+            training_runs: (doc.training_runs || []).map(run => ({ run_id: run.run_id, name: run.name, model_version: run.model_version })),
+            schema_version: doc.schema_version || null,
+            ...(doc.chunk && { chunk: { parent_id: doc.chunk.parent_id, ordinal: doc.chunk.ordinal, total: doc.chunk.total } }),
+            ...(doc.score !== undefined && { score: doc.score })
+        };
+    }
+}
+
+module.exports = SearchService;
+module.exports.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
@@ -0,0 +1,118 @@
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const JsonlDatabase = require('./JsonlStore');
+
+const BACKENDS = ['mongodb', 'jsonl'];
+
+const DEFAULT_MONGODB_URI = 'mongodb://localhost:27017/corpora';
+const DEFAULT_MONGODB_DB = 'corpora';
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', 'data');
+
+class StorageConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StorageConfigError';
+    }
+}
+
+/**
+ * Where the corpus and its side collections (users, jobs, revisions,
+ * training runs, ...) are stored. Services never see the backend: connect()
+ * resolves to a database whose collection(name) offers the MongoDB driver's
+ * collection API, or the subset of it JsonlStore implements.
+ *
+ * STORAGE_BACKEND selects the backend:
+ *   mongodb (default)  a MongoDB server at MONGODB_URI, using the database
+ *                      MONGODB_DB (default corpora)
+ *   jsonl              one <collection>.jsonl file per collection in
+ *                      STORAGE_DIR (default ./data); needs no server, for
+ *                      offline use and tests. Collections are held in memory.
+ *
+ * The named corpora of CorpusService share one database, each with its own
+ * documents collection; a separate database or directory keeps users, jobs
+ * and opt-outs apart as well.
+ */
+class StorageService {
+    constructor({ backend = null, uri = null, database = null, directory = null, logger = console } = {}) {
+        this.backend = backend || process.env.STORAGE_BACKEND || 'mongodb';
+        if (!BACKENDS.includes(this.backend)) {
+            throw new StorageConfigError(`STORAGE_BACKEND must be one of: ${BACKENDS.join(', ')}`);
+        }
+
+        this.uri = uri || process.env.MONGODB_URI || DEFAULT_MONGODB_URI;
+        this.database = database || process.env.MONGODB_DB || DEFAULT_MONGODB_DB;
+        this.directory = path.resolve(directory || process.env.STORAGE_DIR || DEFAULT_STORAGE_DIR);
+        this.logger = logger;
+        this.client = null;
+        this.db = null;
+        this.connecting = null;
+    }
+
+    // Shared by the MongoService of every corpus, which may connect at the same time
+    async connect() {
+        if (!this.connecting) {
+            this.connecting = (async () => {
+                if (this.backend === 'jsonl') {
+                    this.db = new JsonlDatabase(this.directory);
+                } else {
+                    this.client = new MongoClient(this.uri);
+                    await this.client.connect();
+                    this.db = this.client.db(this.database);
+                }
+                this.logger.info(`Connected to ${this.describe()}`, {
+                    event: 'storage_connected',
+                    backend: this.backend,
+                    ...(this.backend === 'jsonl' ? { directory: this.directory } : { database: this.database })
+                });
+            })();
+        }
+        const connecting = this.connecting;
+        try {
+            await connecting;
+        } catch (error) {
+            // Forget the failed attempt, so the next caller connects again once the server is back
+            if (this.connecting === connecting) {
+                const client = this.client;
+                this.client = null;
+                this.db = null;
+                this.connecting = null;
+                if (client) {
+                    await client.close().catch(() => {});
+                }
+            }
+            throw error;
+        }
+        return this.db;
+    }
+
+    /**
+     * Check that the database answers (a writable directory for jsonl).
+     * Returns the round trip in milliseconds; throws when it does not.
+     */
+    async ping() {
+        const db = await this.connect();
+        const started = Date.now();
+        await db.command({ ping: 1 });
+        return Date.now() - started;
+    }
+
+    async close() {
+        if (this.client) {
+            await this.client.close();
+            this.client = null;
+        }
+        this.db = null;
+        this.connecting = null;
+    }
+
+    // For logs; the URI is left out as it may hold credentials
+    describe() {
+        return this.backend === 'jsonl'
+            ? `JSONL storage in ${this.directory}`
+            : `MongoDB database ${this.database}`;
+    }
+}
+
+module.exports = StorageService;
+module.exports.StorageConfigError = StorageConfigError;
+module.exports.BACKENDS = BACKENDS;
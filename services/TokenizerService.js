@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Tokenizer } = require('@huggingface/tokenizers');
+
+const DEFAULT_TOKENIZER_DIR = path.join(__dirname, '..', 'tokenizers');
+const DEFAULT_BASE_MODEL = 'gemma-3-12b';
+
+// Recorded on documents counted without a tokenizer, so they get recomputed once one is installed
+const ESTIMATE_TOKENIZER_ID = 'estimate:chars/4';
+
+class TokenizerNotFoundError extends Error {
+    constructor(baseModel) {
+        super(`No tokenizer installed for base model "${baseModel}"`);
+        this.name = 'TokenizerNotFoundError';
+    }
+}
+
+/**
+ * Offline token counting for the base models we fine-tune.
+ *
+ * Tokenizers live in TOKENIZER_DIR (default ./tokenizers), one directory per
+ * tokenizer, holding either a Hugging Face tokenizer.json (plus an optional
+ * tokenizer_config.json) or a SentencePiece .vocab file ("piece<TAB>score"
+ * per line). tokenizers/models.json maps base model names to a directory,
+ * e.g. { "gemma-3-12b": "gemma-3", "gemma-3-4b": "gemma-3" }; without an
+ * entry the directory is expected to be named after the base model.
+ *
+ * Tokenizer ids are "<directory>@<content hash>", so replacing the files
+ * changes the id and marks existing counts as stale.
+ */
+class TokenizerService {
+    constructor({ directory = null, baseModel = null, logger = console } = {}) {
+        this.directory = directory || process.env.TOKENIZER_DIR || DEFAULT_TOKENIZER_DIR;
+        this.baseModel = baseModel || process.env.TARGET_BASE_MODEL || DEFAULT_BASE_MODEL;
+        this.logger = logger;
+        this.loaded = new Map();
+        this.warned = new Set();
+    }
+
+    /**
+     * The same service counting for another base model by default (a corpus
+     * with its own base model); loaded tokenizers are shared.
+     */
+    forBaseModel(baseModel) {
+        const service = new TokenizerService({ directory: this.directory, baseModel: baseModel, logger: this.logger });
+        service.loaded = this.loaded;
+        service.warned = this.warned;
+        return service;
+    }
+
+    /**
+     * Base model -> tokenizer directory name.
+     */
+    resolveName(baseModel = this.baseModel) {
+        const aliases = readJson(path.join(this.directory, 'models.json')) || {};
+        return aliases[baseModel] || baseModel;
+    }
+
+    /**
+     * Load (once) the tokenizer for a base model. Returns { id, name, tokenizer }
+     * or throws TokenizerNotFoundError.
+     */
+    load(baseModel = this.baseModel) {
+        const name = this.resolveName(baseModel);
+        if (this.loaded.has(name)) {
+            return this.loaded.get(name);
+        }
+
+        const tokenizerDir = path.join(this.directory, name);
+        const files = fs.existsSync(tokenizerDir) ? fs.readdirSync(tokenizerDir) : [];
+        const hash = crypto.createHash('sha256');
+        let tokenizer;
+
+        if (files.includes('tokenizer.json')) {
+            const content = fs.readFileSync(path.join(tokenizerDir, 'tokenizer.json'));
+            hash.update(content);
+            tokenizer = new Tokenizer(JSON.parse(content), readJson(path.join(tokenizerDir, 'tokenizer_config.json')) || {});
+        } else if (files.some(file => file.endsWith('.vocab'))) {
+            const content = fs.readFileSync(path.join(tokenizerDir, files.find(file => file.endsWith('.vocab'))), 'utf8');
+            hash.update(content);
+            tokenizer = new Tokenizer(sentencePieceToTokenizerJson(content), {});
+        } else {
+            throw new TokenizerNotFoundError(baseModel);
+        }
+
+        const entry = { id: `${name}@${hash.digest('hex').slice(0, 12)}`, name: name, tokenizer: tokenizer };
+        this.loaded.set(name, entry);
+        this.logger.info(`Loaded tokenizer ${entry.id} for ${baseModel}`, { event: 'tokenizer_loaded', tokenizer: entry.id, base_model: baseModel });
+        return entry;
+    }
+
+    /**
+     * Id of the tokenizer counts would currently be recorded with.
+     */
+    currentId(baseModel = this.baseModel) {
+        try {
+            return this.load(baseModel).id;
+        } catch (error) {
+            if (error instanceof TokenizerNotFoundError) {
+                return ESTIMATE_TOKENIZER_ID;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Count tokens in text. Returns { token_count, tokenizer }. Falls back to
+     * the chars/4 estimate (with a one-time warning) when no tokenizer is installed.
+     */
+    countTokens(text, baseModel = this.baseModel) {
+        text = typeof text === 'string' ? text : '';
+
+        let entry;
+        try {
+            entry = this.load(baseModel);
+        } catch (error) {
+            if (!(error instanceof TokenizerNotFoundError)) {
+                throw error;
+            }
+            if (!this.warned.has(baseModel)) {
+                this.warned.add(baseModel);
+                this.logger.warn(`${error.message} in ${this.directory}, estimating tokens as characters / 4`, {
+                    event: 'tokenizer_missing',
+                    base_model: baseModel,
+                    directory: this.directory,
+                    tokenizer: ESTIMATE_TOKENIZER_ID
+                });
+            }
+            return { token_count: Math.ceil(text.length / 4), tokenizer: ESTIMATE_TOKENIZER_ID };
+        }
+
+        return {
+            token_count: entry.tokenizer.encode(text, { add_special_tokens: false }).ids.length,
+            tokenizer: entry.id
+        };
+    }
+
+    /**
+     * Installed tokenizers and the base models mapped onto them.
+     */
+    describe() {
+        const aliases = readJson(path.join(this.directory, 'models.json')) || {};
+        const names = fs.existsSync(this.directory)
+            ? fs.readdirSync(this.directory, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name)
+            : [];
+
+        return {
+            directory: this.directory,
+            base_model: this.baseModel,
+            current: this.currentId(),
+            tokenizers: names.sort().map(name => ({
+                name: name,
+                base_models: Object.keys(aliases).filter(model => aliases[model] === name)
+            }))
+        };
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function readJson(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Build an equivalent tokenizer.json (Unigram model with SentencePiece's
+ * whitespace handling) from an exported SentencePiece vocabulary.
+ */
+function sentencePieceToTokenizerJson(content) {
+    const vocab = content.split(/\r?\n/)
+        .filter(line => line)
+        .map(line => {
+            const [piece, score] = line.split('\t');
+            return [piece, Number(score) || 0];
+        });
+    const unkId = vocab.findIndex(([piece]) => piece === '<unk>');
+
+    return {
+        version: '1.0',
+        added_tokens: [],
+        normalizer: {
+            type: 'Sequence',
+            normalizers: [
+                { type: 'Prepend', prepend: '▁' },
+                { type: 'Replace', pattern: { String: ' ' }, content: '▁' }
+            ]
+        },
+        pre_tokenizer: null,
+        post_processor: null,
+        decoder: null,
+        model: {
+            type: 'Unigram',
+            unk_id: unkId === -1 ? 0 : unkId,
+            byte_fallback: vocab.some(([piece]) => piece === '<0x00>'),
+            vocab: vocab
+        }
+    };
+}
+
+module.exports = TokenizerService;
+module.exports.TokenizerNotFoundError = TokenizerNotFoundError;
+module.exports.ESTIMATE_TOKENIZER_ID = ESTIMATE_TOKENIZER_ID;
@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const ExportService = require('./ExportService');
+const MongoService = require('./MongoService');
+
+const RUNS_COLLECTION = 'training-runs';
+const SNAPSHOTS_COLLECTION = 'training-run-snapshots';
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const BATCH_SIZE = 1000;
+const MAX_NOTES_LENGTH = 2000;
+
+// Run fields that can no longer change once the snapshot is frozen
+const DRAFT_ONLY_FIELDS = ['name', 'base_model', 'model_version', 'filters', 'upsample'];
+
+class InvalidTrainingRunError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidTrainingRunError';
+    }
+}
+
+class TrainingRunStateError extends Error {
+    constructor(run, message) {
+        super(message || `Training run ${run.run_id} is ${run.status}`);
+        this.name = 'TrainingRunStateError';
+        this.run = run;
+    }
+}
+
+/**
+ * Training runs record which documents went into which model. A run is
+ * created as a draft (name, base model, model version, training date and
+ * the export filters used), then frozen: the documents the export would
+ * contain are snapshotted as document ids plus SHA-256 hashes of their
+ * content, and each document is marked with the run in `training_runs`.
+ *
+ * A frozen run is immutable apart from its training_date and notes, so
+ * snapshots can be diffed against each other and verified against the
+ * current corpus to reproduce the dataset later.
+ *
+ * Runs are kept per corpus: they are tagged with the corpus they were
+ * created in and only seen from there.
+ */
+class TrainingRunService {
+    constructor(mongoService) {
+        this.mongoService = mongoService;
+        this.exportService = new ExportService(mongoService);
+        this.indexed = false;
+    }
+
+    static hashContent(text) {
+        return crypto.createHash('sha256').update(text || '', 'utf8').digest('hex');
+    }
+
+    async collections() {
+        const db = await this.mongoService.connect();
+        const runs = db.collection(RUNS_COLLECTION);
+        const snapshots = db.collection(SNAPSHOTS_COLLECTION);
+
+        if (!this.indexed) {
+            await runs.createIndexes([
+                { key: { run_id: 1 }, name: 'run_id', unique: true },
+                { key: { corpus: 1, created_at: -1 }, name: 'corpus_created_at' },
+                { key: { model_version: 1 }, name: 'model_version' }
+            ]);
+            await snapshots.createIndexes([
+                { key: { run_id: 1, document_id: 1 }, name: 'run_document', unique: true }
+            ]);
+            this.indexed = true;
+        }
+
+        return { documents: db.collection(this.mongoService.collectionName), runs, snapshots };
+    }
+
+    async listRuns() {
+        const { runs } = await this.collections();
+        return await runs.find(MongoService.corpusQuery(this.mongoService.corpus), { projection: { _id: 0 } }).sort({ created_at: -1 }).toArray();
+    }
+
+    async getRun(runId) {
+        const { runs } = await this.collections();
+        return await runs.findOne(this.runQuery(runId), { projection: { _id: 0 } });
+    }
+
+    runQuery(runId) {
+        return { run_id: runId, ...MongoService.corpusQuery(this.mongoService.corpus) };
+    }
+
+    /**
+     * Create a draft run from { name, base_model, model_version, training_date,
+     * filters, upsample, notes }. filters take the same keys as an export.
+     */
+    async createRun(raw = {}) {
+        const now = new Date();
+        const run = {
+            run_id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            corpus: this.mongoService.corpus,
+            ...validateRun({ ...raw, base_model: raw.base_model || this.mongoService.tokenizers.baseModel }),
+            status: 'draft',
+            snapshot: null,
+            created_at: now,
+            updated_at: now
+        };
+
+        const { runs } = await this.collections();
+        await runs.insertOne({ ...run });
+        return run;
+    }
+
+    /**
+     * Change a run's fields. training_date and notes can always be changed
+     * (training often happens after the snapshot), everything else only
+     * while the run is a draft. Returns the updated run or null.
+     */
+    async updateRun(runId, raw = {}) {
+        const existing = await this.getRun(runId);
+        if (!existing) {
+            return null;
+        }
+
+        const changed = DRAFT_ONLY_FIELDS.filter(field => raw[field] !== undefined);
+        if (existing.status !== 'draft' && changed.length) {
+            throw new TrainingRunStateError(existing, `Training run ${runId} is ${existing.status}; only training_date and notes can still change (not ${changed.join(', ')})`);
+        }
+
+        const fields = validateRun({ ...existing, ...raw });
+        const $set = { updated_at: new Date() };
+        for (const field of [...changed, 'training_date', 'notes']) {
+            $set[field] = fields[field];
+        }
+
+        const { runs } = await this.collections();
+        const updated = await runs.findOneAndUpdate(
+            { ...this.runQuery(runId), status: existing.status },
+            { $set: $set },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+        if (!updated) {
+            throw new TrainingRunStateError(await this.getRun(runId) || existing, `Training run ${runId} changed state meanwhile; reload and try again`);
+        }
+        return updated;
+    }
+
+    /**
+     * Delete a draft run. Frozen runs are kept as the record of what a model
+     * was trained on. Returns the deleted run or null.
+     */
+    async deleteRun(runId) {
+        const { runs } = await this.collections();
+        const deleted = await runs.findOneAndDelete({ ...this.runQuery(runId), status: 'draft' }, { projection: { _id: 0 } });
+        if (deleted) {
+            return deleted;
+        }
+
+        const existing = await this.getRun(runId);
+        if (existing) {
+            throw new TrainingRunStateError(existing, `Training run ${runId} is ${existing.status} and cannot be deleted`);
+        }
+        return null;
+    }
+
+    /**
+     * Freeze a draft run: snapshot every document its filters export right now
+     * and mark those documents with the run. If anything fails the run goes
+     * back to draft and partial snapshot entries and marks are removed.
+     * Returns the frozen run, or null if there is no such run.
+     */
+    async freezeRun(runId, { onProgress = null } = {}) {
+        const { documents, runs, snapshots } = await this.collections();
+
+        const run = await runs.findOneAndUpdate(
+            { ...this.runQuery(runId), status: 'draft' },
+            { $set: { status: 'freezing', updated_at: new Date() } },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+        if (!run) {
+            const existing = await this.getRun(runId);
+            if (existing) {
+                throw new TrainingRunStateError(existing, `Training run ${runId} is already ${existing.status}`);
+            }
+            return null;
+        }
+
+        const frozenAt = new Date();
+        const mark = { run_id: run.run_id, name: run.name, base_model: run.base_model, model_version: run.model_version, frozen_at: frozenAt };
+        const summary = { frozen_at: frozenAt, document_count: 0, total_tokens: 0, total_characters: 0, total_records: 0 };
+        const fingerprint = [];
+        let batch = [];
+
+        const flush = async () => {
+            if (!batch.length) return;
+            await snapshots.insertMany(batch);
+            await documents.updateMany(
+                { document_id: { $in: batch.map(entry => entry.document_id) } },
+                { $push: { training_runs: mark } }
+            );
+            batch = [];
+            if (onProgress) onProgress({ ...summary });
+        };
+
+        try {
+            for await (const doc of this.mongoService.iterateDocuments(this.exportService.buildQuery(run.filters || {}), {
+                projection: { document_id: 1, content_text: 1, training_metadata: 1 }
+            })) {
+                const entry = {
+                    run_id: run.run_id,
+                    document_id: doc.document_id,
+                    content_hash: TrainingRunService.hashContent(doc.content_text),
+                    token_count: doc.training_metadata?.token_count || 0,
+                    weighting: doc.training_metadata?.weighting || 1
+                };
+
+                summary.document_count++;
+                summary.total_tokens += entry.token_count;
+                summary.total_characters += (doc.content_text || '').length;
+                summary.total_records += run.upsample ? Math.max(1, Math.round(entry.weighting)) : 1;
+                fingerprint.push(`${entry.document_id}\t${entry.content_hash}`);
+
+                batch.push(entry);
+                if (batch.length >= BATCH_SIZE) await flush();
+            }
+            await flush();
+
+            // One hash over the sorted (id, content hash) pairs identifies the dataset as a whole
+            summary.fingerprint = TrainingRunService.hashContent(fingerprint.sort().join('\n'));
+
+            return await runs.findOneAndUpdate(
+                { run_id: run.run_id },
+                { $set: { status: 'frozen', snapshot: summary, updated_at: new Date() } },
+                { returnDocument: 'after', projection: { _id: 0 } }
+            );
+        } catch (error) {
+            await snapshots.deleteMany({ run_id: run.run_id });
+            await documents.updateMany({ 'training_runs.run_id': run.run_id }, { $pull: { training_runs: { run_id: run.run_id } } });
+            await runs.updateOne({ run_id: run.run_id }, { $set: { status: 'draft', updated_at: new Date() } });
+            throw error;
+        }
+    }
+
+    /**
+     * Yield the snapshot entries of a run { document_id, content_hash, token_count, weighting }.
+     */
+    async *iterateSnapshot(runId) {
+        const { snapshots } = await this.collections();
+        const cursor = snapshots.find({ run_id: runId }, { projection: { _id: 0, run_id: 0 } }).sort({ document_id: 1 });
+
+        try {
+            for await (const entry of cursor) {
+                yield entry;
+            }
+        } finally {
+            await cursor.close();
+        }
+    }
+
+    /**
+     * Compare the snapshots of two frozen runs. Returns the documents added,
+     * removed and changed (same id, different content hash) from one to the other.
+     */
+    async diffRuns(fromId, toId) {
+        const [from, to] = await Promise.all([this.getRun(fromId), this.getRun(toId)]);
+        for (const [id, run] of [[fromId, from], [toId, to]]) {
+            if (!run) {
+                throw new InvalidTrainingRunError(`No training run ${id}`);
+            }
+            if (run.status !== 'frozen') {
+                throw new TrainingRunStateError(run, `Training run ${id} has no snapshot yet (${run.status})`);
+            }
+        }
+
+        const before = await this.snapshotHashes(fromId);
+        const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+        for await (const entry of this.iterateSnapshot(toId)) {
+            const previous = before.get(entry.document_id);
+            if (previous === undefined) {
+                diff.added.push(entry.document_id);
+            } else if (previous !== entry.content_hash) {
+                diff.changed.push(entry.document_id);
+            } else {
+                diff.unchanged++;
+            }
+            before.delete(entry.document_id);
+        }
+        diff.removed = [...before.keys()];
+
+        return { from: runSummary(from), to: runSummary(to), ...diff };
+    }
+
+    /**
+     * Check a frozen snapshot against the current corpus: which documents are
+     * unchanged, edited since (content hash differs) or gone.
+     */
+    async verifyRun(runId) {
+        const run = await this.getRun(runId);
+        if (!run) {
+            return null;
+        }
+        if (run.status !== 'frozen') {
+            throw new TrainingRunStateError(run, `Training run ${runId} has no snapshot yet (${run.status})`);
+        }
+
+        const expected = await this.snapshotHashes(runId);
+        const result = { run: runSummary(run), unchanged: 0, changed: [], missing: [] };
+
+        for await (const doc of this.mongoService.iterateDocuments(
+            { 'training_runs.run_id': runId },
+            { projection: { document_id: 1, content_text: 1 } }
+        )) {
+            if (TrainingRunService.hashContent(doc.content_text) === expected.get(doc.document_id)) {
+                result.unchanged++;
+            } else {
+                result.changed.push(doc.document_id);
+            }
+            expected.delete(doc.document_id);
+        }
+        result.missing = [...expected.keys()];
+
+        return result;
+    }
+
+    async snapshotHashes(runId) {
+        const hashes = new Map();
+        for await (const entry of this.iterateSnapshot(runId)) {
+            hashes.set(entry.document_id, entry.content_hash);
+        }
+        return hashes;
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function validateRun(raw) {
+    const text = (value) => typeof value === 'string' ? value.trim() : '';
+
+    const name = text(raw.name);
+    if (!name || name.length > 200) {
+        throw new InvalidTrainingRunError('name is required (at most 200 characters)');
+    }
+
+    const baseModel = text(raw.base_model);
+    if (!baseModel || baseModel.length > 200) {
+        throw new InvalidTrainingRunError('base_model is required (at most 200 characters)');
+    }
+
+    const version = text(raw.model_version);
+    if (!VERSION_PATTERN.test(version)) {
+        throw new InvalidTrainingRunError('model_version must be a semantic version such as 0.3.0');
+    }
+
+    let trainingDate = null;
+    if (raw.training_date !== undefined && raw.training_date !== null && raw.training_date !== '') {
+        trainingDate = new Date(raw.training_date);
+        if (isNaN(trainingDate.getTime())) {
+            throw new InvalidTrainingRunError('training_date must be an ISO 8601 date');
+        }
+    }
+
+    if (raw.notes !== undefined && raw.notes !== null && (typeof raw.notes !== 'string' || raw.notes.length > MAX_NOTES_LENGTH)) {
+        throw new InvalidTrainingRunError(`notes must be a string of at most ${MAX_NOTES_LENGTH} characters`);
+    }
+
+    // Stored filters are re-parsed so a run can only record filters an export understands
+    let filters;
+    try {
+        ({ filters } = ExportService.parseOptions(raw.filters || {}));
+    } catch (error) {
+        throw new InvalidTrainingRunError(`filters: ${error.message}`);
+    }
+
+    return {
+        name: name,
+        base_model: baseModel,
+        model_version: version,
+        training_date: trainingDate,
+        filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined)),
+        upsample: raw.upsample === true || raw.upsample === 'true',
+        notes: raw.notes || null
+    };
+}
+
+function runSummary(run) {
+    return {
+        run_id: run.run_id,
+        name: run.name,
+        base_model: run.base_model,
+        model_version: run.model_version,
+        frozen_at: run.snapshot?.frozen_at || null,
+        document_count: run.snapshot?.document_count || 0,
+        fingerprint: run.snapshot?.fingerprint || null
+    };
+}
+
+module.exports = TrainingRunService;
+module.exports.RUNS_COLLECTION = RUNS_COLLECTION;
+module.exports.SNAPSHOTS_COLLECTION = SNAPSHOTS_COLLECTION;
+module.exports.InvalidTrainingRunError = InvalidTrainingRunError;
+module.exports.TrainingRunStateError = TrainingRunStateError;
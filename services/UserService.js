@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const COLLECTION = 'users';
+const TOKEN_COLLECTION = 'api-tokens';
+
+// Ordered from least to most privileged; every role can do what the ones before it can
+const ROLES = ['contributor', 'reviewer', 'admin'];
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,49}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const DEFAULT_SESSION_HOURS = 12;
+const TOKEN_PREFIX = 'ctk_';
+
+class InvalidUserError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidUserError';
+    }
+}
+
+class UserExistsError extends Error {
+    constructor(username) {
+        super(`User "${username}" already exists`);
+        this.name = 'UserExistsError';
+    }
+}
+
+/**
+ * Local user accounts and the bearer tokens they authenticate with.
+ *
+ * Passwords are stored as scrypt hashes. Logging in issues a session token
+ * that expires after SESSION_TTL_HOURS; API tokens for scripts do not expire
+ * until revoked. Only the SHA-256 of a token is stored, so a token is shown
+ * once, when it is created.
+ */
+class UserService {
+    constructor(mongoService, { sessionHours = null } = {}) {
+        this.mongoService = mongoService;
+        this.sessionHours = sessionHours
+            || parseFloat(process.env.SESSION_TTL_HOURS)
+            || DEFAULT_SESSION_HOURS;
+    }
+
+    /**
+     * Whether a user's role includes the permissions of `role`.
+     */
+    static hasRole(user, role) {
+        return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+    }
+
+    async collection() {
+        const db = await this.mongoService.connect();
+        return db.collection(COLLECTION);
+    }
+
+    async tokenCollection() {
+        const db = await this.mongoService.connect();
+        return db.collection(TOKEN_COLLECTION);
+    }
+
+    async countUsers() {
+        const collection = await this.collection();
+        return await collection.countDocuments({});
+    }
+
+    async listUsers() {
+        const collection = await this.collection();
+        return await collection.find({}, { projection: PUBLIC_PROJECTION })
+            .sort({ username: 1 })
+            .toArray();
+    }
+
+    async getUser(username) {
+        const collection = await this.collection();
+        return await collection.findOne({ username: userKey(username) }, { projection: PUBLIC_PROJECTION });
+    }
+
+    /**
+     * Create an account { username, password, role, display_name }.
+     * Returns the user without its password hash.
+     */
+    async createUser(raw = {}) {
+        const username = validateUsername(raw.username);
+        const role = validateRole(raw.role || 'contributor');
+        const collection = await this.collection();
+
+        if (await collection.findOne({ username: username })) {
+            throw new UserExistsError(username);
+        }
+
+        const user = {
+            username: username,
+            display_name: optionalText(raw.display_name, 'display_name') || username,
+            role: role,
+            disabled: false,
+            password_hash: await hashPassword(validatePassword(raw.password)),
+            created_at: new Date(),
+            updated_at: new Date(),
+            last_login_at: null
+        };
+        await collection.insertOne({ ...user });
+
+        const { password_hash, ...account } = user;
+        return account;
+    }
+
+    /**
+     * Change a user's { role, display_name, password, disabled }. Disabling an
+     * account or changing its password ends its sessions.
+     * Returns the updated user, or null if there is no such user.
+     */
+    async updateUser(username, raw = {}) {
+        const changes = {};
+        if (raw.role !== undefined) changes.role = validateRole(raw.role);
+        if (raw.display_name !== undefined) changes.display_name = optionalText(raw.display_name, 'display_name') || userKey(username);
+        if (raw.password !== undefined) changes.password_hash = await hashPassword(validatePassword(raw.password));
+        if (raw.disabled !== undefined) {
+            if (typeof raw.disabled !== 'boolean') {
+                throw new InvalidUserError('disabled must be true or false');
+            }
+            changes.disabled = raw.disabled;
+        }
+        if (!Object.keys(changes).length) {
+            throw new InvalidUserError('Nothing to change: give role, display_name, password or disabled');
+        }
+
+        const collection = await this.collection();
+        const user = await collection.findOneAndUpdate(
+            { username: userKey(username) },
+            { $set: { ...changes, updated_at: new Date() } },
+            { returnDocument: 'after', projection: PUBLIC_PROJECTION }
+        );
+        if (user && (changes.password_hash || changes.disabled)) {
+            await (await this.tokenCollection()).deleteMany({ username: user.username, kind: 'session' });
+        }
+        return user;
+    }
+
+    /**
+     * Delete an account and every token it holds. Returns false if there was no such user.
+     */
+    async deleteUser(username) {
+        const collection = await this.collection();
+        const result = await collection.deleteOne({ username: userKey(username) });
+        if (result.deletedCount === 0) {
+            return false;
+        }
+        await (await this.tokenCollection()).deleteMany({ username: userKey(username) });
+        return true;
+    }
+
+    /**
+     * Check a username and password. Returns the user, or null when the
+     * account does not exist, is disabled or the password is wrong.
+     */
+    async authenticate(username, password) {
+        const collection = await this.collection();
+        const user = await collection.findOne({ username: userKey(username) });
+        if (!user || user.disabled || !(await verifyPassword(String(password || ''), user.password_hash))) {
+            return null;
+        }
+
+        await collection.updateOne({ username: user.username }, { $set: { last_login_at: new Date() } });
+        return toPublicUser(user);
+    }
+
+    /**
+     * Issue a token for a user: kind 'session' (expires) or 'api' (until revoked).
+     * Returns { token, ...token info }; the token itself is not stored.
+     */
+    async createToken(username, { kind = 'api', name = null } = {}) {
+        const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const record = {
+            token_id: `tok_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            username: userKey(username),
+            kind: kind,
+            name: optionalText(name, 'name') || (kind === 'session' ? 'browser session' : 'API token'),
+            token_hash: hashToken(token),
+            created_at: new Date(),
+            expires_at: kind === 'session' ? new Date(Date.now() + this.sessionHours * 3600 * 1000) : null,
+            last_used_at: null
+        };
+
+        const collection = await this.tokenCollection();
+        await collection.insertOne({ ...record });
+
+        const { token_hash, ...info } = record;
+        return { token: token, ...info };
+    }
+
+    async listTokens(username) {
+        const collection = await this.tokenCollection();
+        return await collection.find({ username: userKey(username), kind: 'api' }, { projection: { _id: 0, token_hash: 0 } })
+            .sort({ created_at: -1 })
+            .toArray();
+    }
+
+    /**
+     * Revoke one of a user's tokens by id. Returns false if the user holds no such token.
+     */
+    async revokeToken(username, tokenId) {
+        const collection = await this.tokenCollection();
+        const result = await collection.deleteOne({ username: userKey(username), token_id: String(tokenId) });
+        return result.deletedCount > 0;
+    }
+
+    async revokeTokenValue(token) {
+        const collection = await this.tokenCollection();
+        await collection.deleteOne({ token_hash: hashToken(String(token)) });
+    }
+
+    /**
+     * The active user a bearer token belongs to, or null for unknown, expired
+     * or revoked tokens and disabled accounts.
+     */
+    async verifyToken(token) {
+        if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+            return null;
+        }
+
+        const tokens = await this.tokenCollection();
+        const record = await tokens.findOne({ token_hash: hashToken(token) });
+        if (!record || (record.expires_at && record.expires_at <= new Date())) {
+            return null;
+        }
+
+        const user = await (await this.collection()).findOne({ username: record.username }, { projection: PUBLIC_PROJECTION });
+        if (!user || user.disabled) {
+            return null;
+        }
+
+        await tokens.updateOne({ token_id: record.token_id }, { $set: { last_used_at: new Date() } });
+        return { ...user, token_id: record.token_id, token_kind: record.kind };
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const PUBLIC_PROJECTION = { _id: 0, password_hash: 0 };
+
+function toPublicUser(user) {
+    const { _id, password_hash, ...account } = user;
+    return account;
+}
+
+// Usernames are stored and looked up in lower case
+function userKey(value) {
+    return String(value ?? '').trim().toLowerCase();
+}
+
+function validateUsername(value) {
+    const username = userKey(value);
+    if (!USERNAME_PATTERN.test(username)) {
+        throw new InvalidUserError('username must be 2-50 lowercase letters, digits, ".", "_" or "-", starting with a letter or digit');
+    }
+    return username;
+}
+
+function validateRole(value) {
+    if (!ROLES.includes(value)) {
+        throw new InvalidUserError(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    return value;
+}
+
+function validatePassword(value) {
+    if (typeof value !== 'string' || value.length < MIN_PASSWORD_LENGTH) {
+        throw new InvalidUserError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return value;
+}
+
+function optionalText(value, field) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string' || value.length > 200) {
+        throw new InvalidUserError(`${field} must be a string of at most 200 characters`);
+    }
+    return value.trim();
+}
+
+// Stored as "scrypt:<salt>:<hash>", both hex
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = UserService;
+module.exports.ROLES = ROLES;
+module.exports.COLLECTION = COLLECTION;
+module.exports.TOKEN_COLLECTION = TOKEN_COLLECTION;
+module.exports.InvalidUserError = InvalidUserError;
+module.exports.UserExistsError = UserExistsError;
@@ -0,0 +1,109 @@
+/**
+ * Controlled vocabularies for the copyright_compliance and ai_act_compliance
+ * blocks, and the rule deciding whether a document is cleared for training.
+ * Shared by the browser form, the document builder and the server (export
+ * filter, opt-out registry). The enums in artifacts/corpusDocument.schema.json
+ * list the same ids.
+ * Loaded as a plain <script> (exposes window.Compliance) or via require().
+ *
+ * A document is cleared for training when it has not opted out and either
+ *   - its license_status is one that grants training use (cleared: true), or
+ *   - its fair_use_assessment names an exception that covers training (exempt: true).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Compliance = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const LICENSE_TYPES = [
+        { id: 'public_domain', label: 'Public domain', cleared: true },
+        { id: 'open_license', label: 'Open license', cleared: true },
+        { id: 'licensed', label: 'Licensed from the rights holder', cleared: true },
+        { id: 'permission_granted', label: 'Written permission from the author', cleared: true },
+        { id: 'own_work', label: 'Own work', cleared: true },
+        { id: 'user_provided', label: 'Provided by user, rights not verified', cleared: false },
+        { id: 'all_rights_reserved', label: 'All rights reserved, no license', cleared: false },
+        { id: 'unknown', label: 'Unknown', cleared: false }
+    ];
+
+    const FAIR_USE_ASSESSMENTS = [
+        { id: 'not_assessed', label: 'Not assessed', exempt: false },
+        { id: 'not_required', label: 'Not required (licensed or public domain)', exempt: false },
+        { id: 'fair_use', label: 'Fair use (US, 17 U.S.C. § 107)', exempt: true },
+        { id: 'tdm_exception', label: 'Text and data mining exception (EU DSM Art. 4)', exempt: true },
+        { id: 'research_exception', label: 'Scientific research exception (EU DSM Art. 3)', exempt: true },
+        { id: 'not_covered', label: 'Assessed: no exception applies', exempt: false }
+    ];
+
+    const OPT_OUT_MECHANISMS = [
+        { id: 'not_applicable', label: 'Not applicable' },
+        { id: 'direct_request', label: 'Direct request from the rights holder' },
+        { id: 'robots_txt', label: 'robots.txt' },
+        { id: 'tdm_reservation', label: 'TDM reservation (TDMRep, ai.txt, meta tag)' },
+        { id: 'license_terms', label: 'License or terms of use' }
+    ];
+
+    const TRANSPARENCY_LEVELS = [
+        { id: 'full_disclosure', label: 'Full disclosure (listed with title and author)' },
+        { id: 'summary_only', label: 'Aggregated in the public training summary only' },
+        { id: 'restricted', label: 'Restricted (disclosed to authorities on request)' }
+    ];
+
+    // Commonly used SPDX license ids, offered as suggestions in the form
+    const COMMON_SPDX_IDS = [
+        'CC0-1.0', 'CC-BY-4.0', 'CC-BY-SA-4.0', 'CC-BY-NC-4.0', 'CC-BY-NC-SA-4.0', 'CC-BY-ND-4.0',
+        'CC-BY-3.0', 'CC-BY-SA-3.0', 'GFDL-1.3-or-later', 'MIT', 'Apache-2.0', 'ODC-By-1.0', 'OGL-UK-3.0'
+    ];
+
+    // A license id or LicenseRef-*, optionally combined with AND/OR/WITH
+    const SPDX_PATTERN = /^[A-Za-z0-9][A-Za-z0-9.+-]*(?: (?:AND|OR|WITH) [A-Za-z0-9][A-Za-z0-9.+-]*)*$/;
+
+    const ids = list => list.map(entry => entry.id);
+    const CLEARED_LICENSES = LICENSE_TYPES.filter(entry => entry.cleared).map(entry => entry.id);
+    const EXEMPT_ASSESSMENTS = FAIR_USE_ASSESSMENTS.filter(entry => entry.exempt).map(entry => entry.id);
+
+    /**
+     * Whether a document may be used for training, and why.
+     * Returns { cleared, reason }.
+     */
+    function clearance(document) {
+        const copyright = (document && document.copyright_compliance) || {};
+        const optOut = copyright.opt_out_status || {};
+
+        if (optOut.has_opted_out) {
+            return { cleared: false, reason: `Opted out (${optOut.opt_out_mechanism || 'unknown mechanism'})` };
+        }
+        if (CLEARED_LICENSES.includes(copyright.license_status)) {
+            return { cleared: true, reason: `License: ${copyright.license_status}${copyright.spdx_id ? ` (${copyright.spdx_id})` : ''}` };
+        }
+        if (EXEMPT_ASSESSMENTS.includes(copyright.fair_use_assessment)) {
+            return { cleared: true, reason: `Exception: ${copyright.fair_use_assessment}` };
+        }
+        return {
+            cleared: false,
+            reason: `License "${copyright.license_status || 'none'}" does not grant training use and no exception was assessed`
+        };
+    }
+
+    function labelFor(list, id) {
+        const entry = list.find(item => item.id === id);
+        return entry ? entry.label : id;
+    }
+
+    return {
+        LICENSE_TYPES: LICENSE_TYPES,
+        FAIR_USE_ASSESSMENTS: FAIR_USE_ASSESSMENTS,
+        OPT_OUT_MECHANISMS: OPT_OUT_MECHANISMS,
+        TRANSPARENCY_LEVELS: TRANSPARENCY_LEVELS,
+        COMMON_SPDX_IDS: COMMON_SPDX_IDS,
+        SPDX_PATTERN: SPDX_PATTERN,
+        CLEARED_LICENSES: CLEARED_LICENSES,
+        EXEMPT_ASSESSMENTS: EXEMPT_ASSESSMENTS,
+        ids: ids,
+        clearance: clearance,
+        labelFor: labelFor
+    };
+});
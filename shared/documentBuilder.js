@@ -0,0 +1,157 @@
+/**
+ * Builds corpus documents in the shape validated by
+ * artifacts/corpusDocument.schema.json. Shared by the browser UI and the
+ * server-side importers so every ingestion path produces the same structure.
+ * Loaded as a plain <script> after textCleaning.js (exposes window.DocumentBuilder) or via require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./textCleaning'));
+    } else {
+        root.DocumentBuilder = factory(root.TextCleaning);
+    }
+})(typeof self !== 'undefined' ? self : this, function (TextCleaning) {
+
+    const TOOL_NAME = 'text-corpus-tool v1.0';
+
+    function generateDocumentId() {
+        return `text_content_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Build a complete document from flat metadata fields and raw text.
+     * The text is cleaned automatically.
+     *
+     * fields: title, author, content_type, content_text (raw), and optionally
+     * language, topic_category (topic ids, default ["other"]), publisher, isbn,
+     * genre, chapter_section, source_url, weighting, publication_date, cleaning
+     * (a TextCleaning pipeline spec, default: preset for the content type),
+     * acquisition_method, lineage_step (description of how it
+     * was ingested), source_file ({ name, format, mime_type, size_bytes, sha256 }
+     * of an uploaded or imported file) and processing_status ("draft" to keep the
+     * document out of the review queue, otherwise it is submitted for review).
+     *
+     * Compliance fields use the vocabularies in shared/compliance.js: license_status
+     * (default user_provided), spdx_id, fair_use_assessment (default not_assessed),
+     * fair_use_rationale, has_opted_out, opt_out_mechanism, transparency_level
+     * (default full_disclosure), summary_included and documented_for_authorities.
+     */
+    function buildDocument(fields) {
+        // *** CLEAN THE TEXT AUTOMATICALLY ***
+        const cleaning = TextCleaning.runPipeline((fields.content_text || '').trim(), fields.cleaning, fields.content_type);
+        const contentText = cleaning.text;
+
+        const currentDate = new Date().toISOString();
+
+        const rawText = (fields.content_text || '').trim();
+
+        return {
+            document_id: fields.document_id || generateDocumentId(),
+            content_text: contentText,  // Using cleaned text
+            // Kept by the server for reviewers, outside the document itself
+            ...(rawText !== contentText && { original_text: rawText }),
+            attribution: {
+                author: fields.author,
+                title: fields.title,
+                publisher: fields.publisher || null,
+                isbn: fields.isbn || null,
+                publication_date: fields.publication_date || null,
+                source_url: fields.source_url || null,
+                content_type: fields.content_type
+            },
+            content_metadata: {
+                language: fields.language || 'en-US',
+                topic_category: fields.topic_category && fields.topic_category.length ? fields.topic_category : ["other"],
+                genre: fields.genre || null,
+                chapter_section: fields.chapter_section || null,
+                page_numbers: null
+            },
+            copyright_compliance: {
+                license_status: fields.license_status || "user_provided",
+                spdx_id: fields.spdx_id || null,
+                fair_use_assessment: fields.fair_use_assessment || "not_assessed",
+                fair_use_rationale: fields.fair_use_rationale || null,
+                opt_out_status: {
+                    has_opted_out: fields.has_opted_out === true || fields.has_opted_out === 'true',
+                    opt_out_mechanism: fields.opt_out_mechanism || "not_applicable",
+                    last_checked: currentDate
+                },
+                compliance_date: currentDate
+            },
+            provenance: {
+                acquisition_date: currentDate,
+                acquisition_method: fields.acquisition_method || "manual_input",
+                original_publication_date: fields.publication_date || currentDate,
+                ...(fields.source_file && { source_file: fields.source_file }),
+                data_lineage: [
+                    {
+                        step: fields.lineage_step || "Manual text input via corpus tool (auto-cleaned)",
+                        timestamp: currentDate,
+                        tool_used: TOOL_NAME,
+                        cleaning: { preset: cleaning.preset, rules: cleaning.rules }
+                    }
+                ]
+            },
+            training_metadata: {
+                token_count: Math.ceil(contentText.length / 4),  // Estimate, replaced by the server's tokenizer count on insert
+                character_count: contentText.length,  // Using cleaned text length
+                processing_status: fields.processing_status === "draft" ? "draft" : "pending_review",  // The server only accepts these two
+                weighting: fields.weighting ? parseInt(fields.weighting) : 1
+            },
+            ai_act_compliance: {
+                summary_included: fields.summary_included !== false,
+                transparency_level: fields.transparency_level || "full_disclosure",
+                documented_for_authorities: fields.documented_for_authorities !== false
+            },
+            created_at: currentDate,
+            updated_at: currentDate,
+            version: 1
+        };
+    }
+
+    function isCleaned(document) {
+        const lineage = (document.provenance && document.provenance.data_lineage) || [];
+        return lineage.some(step => step && step.cleaning);
+    }
+
+    /**
+     * Clean a ready-made document whose lineage does not record a cleaning
+     * pass yet (e.g. one posted straight to the API), update its counts and
+     * append the lineage step. Documents already cleaned are left untouched.
+     */
+    function ensureCleaned(document, spec) {
+        if (isCleaned(document) || typeof document.content_text !== 'string') {
+            return document;
+        }
+
+        const contentType = document.attribution && document.attribution.content_type;
+        const cleaning = TextCleaning.runPipeline(document.content_text, spec, contentType);
+
+        if (cleaning.text !== document.content_text) {
+            document.original_text = document.original_text || document.content_text;
+        }
+        document.content_text = cleaning.text;
+        if (document.training_metadata) {
+            document.training_metadata.character_count = cleaning.text.length;
+            document.training_metadata.token_count = Math.ceil(cleaning.text.length / 4);
+        }
+        if (document.provenance && Array.isArray(document.provenance.data_lineage)) {
+            document.provenance.data_lineage.push({
+                step: "Server-side text cleaning",
+                timestamp: new Date().toISOString(),
+                tool_used: TOOL_NAME,
+                cleaning: { preset: cleaning.preset, rules: cleaning.rules }
+            });
+        }
+
+        return document;
+    }
+
+    return {
+        TOOL_NAME: TOOL_NAME,
+        generateDocumentId: generateDocumentId,
+        buildDocument: buildDocument,
+        isCleaned: isCleaned,
+        ensureCleaned: ensureCleaned
+    };
+});
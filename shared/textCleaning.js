@@ -0,0 +1,338 @@
+/**
+ * Configurable text cleaning pipeline shared by the browser UI and the server.
+ * Loaded as a plain <script> (exposes window.TextCleaning) or via require().
+ *
+ * A pipeline is an ordered list of rule ids. It is resolved from a spec:
+ *   {
+ *     preset: 'book_ocr',              // named rule set (default: chosen by content type)
+ *     rules: ['normalize_unicode', …], // explicit order, replaces the preset's list
+ *     enable: ['remove_urls'],         // add rules to the preset (kept in default order)
+ *     disable: ['remove_page_numbers'],
+ *     custom_rules: [{ name, pattern, flags, replacement }]
+ *   }
+ * Custom rules run after the built-in rules (before the final trim) unless
+ * `rules` places them explicitly as 'custom:<name>'.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TextCleaning = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    class CleaningConfigError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'CleaningConfigError';
+        }
+    }
+
+    // Built-in rules, in their default order
+    const RULES = [
+        {
+            id: 'normalize_unicode',
+            description: 'Normalize Unicode characters to NFC (é → é)',
+            apply: text => text.normalize('NFC')
+        },
+        {
+            id: 'normalize_quotes',
+            description: 'Replace smart apostrophes and quotes with plain ones',
+            apply: text => text.replace(/[‘’]/g, "'").replace(/[“”]/g, '"')
+        },
+        {
+            id: 'normalize_ellipsis',
+            description: 'Replace … with ...',
+            apply: text => text.replace(/…/g, '...')
+        },
+        {
+            id: 'em_dash_to_double_hyphen',
+            description: 'Replace em dashes with --',
+            apply: text => text.replace(/—/g, '--')
+        },
+        {
+            id: 'en_dash_to_hyphen',
+            description: 'Replace en dashes with -',
+            apply: text => text.replace(/–/g, '-')
+        },
+        {
+            id: 'remove_timestamps',
+            description: 'Remove transcript timestamps like [00:01:23] or 00:01:23.456',
+            apply: text => text.replace(/\[?\(?\b\d{1,2}:\d{2}(:\d{2})?([.,]\d{1,3})?\b\)?\]?/g, '')
+        },
+        {
+            id: 'remove_sound_cues',
+            description: 'Remove bracketed transcript cues like [Music] or [Applause]',
+            apply: text => text.replace(/\[(music|applause|laughter|laughs|inaudible|crosstalk|silence|noise)\]/gi, '')
+        },
+        {
+            id: 'remove_page_numbers',
+            description: 'Remove page numbers (standalone numbers on their own lines)',
+            apply: text => text.replace(/^\s*\d+\s*$/gm, '')
+        },
+        {
+            id: 'join_hyphenated_line_breaks',
+            description: 'Re-join words split across lines ("exam-\\nple" becomes "example")',
+            apply: text => text.replace(/(\w+)-\s*\n\s*(\w+)/g, '$1$2')
+        },
+        {
+            id: 'collapse_spaces',
+            description: 'Collapse runs of spaces and tabs into one space (also flattens indentation)',
+            apply: text => text.replace(/[^\S\n]+/g, ' ')
+        },
+        {
+            id: 'collapse_blank_lines',
+            description: 'Reduce more than two consecutive line breaks to two',
+            apply: text => text.replace(/\n{3,}/g, '\n\n')
+        },
+        {
+            id: 'trim_lines',
+            description: 'Remove spaces at the beginning and end of lines',
+            apply: text => text.replace(/^[ \t]+|[ \t]+$/gm, '')
+        },
+        {
+            id: 'trim_trailing_whitespace',
+            description: 'Remove spaces at the end of lines, keeping indentation',
+            apply: text => text.replace(/[ \t]+$/gm, '')
+        },
+        {
+            id: 'remove_citation_markers',
+            description: 'Remove citation markers like [1], [2], [3]',
+            apply: text => text.replace(/\[\d+\]/g, '')
+        },
+        {
+            id: 'fix_punctuation_spacing',
+            description: 'Remove spaces before punctuation and separate repeated punctuation',
+            apply: text => text
+                .replace(/\s+([.,!?;:])/g, '$1')
+                .replace(/([.,!?;:])\s*([.,!?;:])/g, '$1 $2')
+        },
+        {
+            id: 'remove_urls',
+            description: 'Remove http/https links',
+            apply: text => text.replace(/https?:\/\/[^\s]+/g, '')
+        },
+        {
+            id: 'remove_emails',
+            description: 'Remove email addresses',
+            apply: text => text.replace(/[\w.-]+@[\w.-]+\.\w+/g, '')
+        },
+        {
+            id: 'trim_text',
+            description: 'Remove leading/trailing whitespace from the entire text',
+            apply: text => text.trim()
+        }
+    ];
+
+    const RULES_BY_ID = {};
+    RULES.forEach(rule => { RULES_BY_ID[rule.id] = rule; });
+
+    const PRESETS = {
+        // The original always-on cleaning
+        standard: [
+            'normalize_unicode', 'normalize_quotes', 'normalize_ellipsis', 'em_dash_to_double_hyphen',
+            'en_dash_to_hyphen', 'remove_page_numbers', 'join_hyphenated_line_breaks', 'collapse_spaces',
+            'collapse_blank_lines', 'trim_lines', 'remove_citation_markers', 'fix_punctuation_spacing',
+            'remove_urls', 'remove_emails', 'trim_text'
+        ],
+        // Scanned/PDF books and magazines: page numbers, hyphenation and citation debris
+        book_ocr: [
+            'normalize_unicode', 'normalize_quotes', 'normalize_ellipsis', 'em_dash_to_double_hyphen',
+            'en_dash_to_hyphen', 'remove_page_numbers', 'join_hyphenated_line_breaks', 'collapse_spaces',
+            'collapse_blank_lines', 'trim_lines', 'remove_citation_markers', 'fix_punctuation_spacing',
+            'trim_text'
+        ],
+        // Web text: keeps indentation, numbered lists and code samples intact
+        blog: [
+            'normalize_unicode', 'normalize_quotes', 'normalize_ellipsis', 'trim_trailing_whitespace',
+            'collapse_blank_lines', 'remove_citation_markers', 'trim_text'
+        ],
+        // Speech-to-text and subtitles: timestamps and sound cues
+        transcript: [
+            'normalize_unicode', 'normalize_quotes', 'normalize_ellipsis', 'remove_timestamps',
+            'remove_sound_cues', 'collapse_spaces', 'collapse_blank_lines', 'trim_lines',
+            'fix_punctuation_spacing', 'trim_text'
+        ],
+        minimal: ['normalize_unicode', 'trim_text']
+    };
+
+    const CONTENT_TYPE_PRESETS = {
+        book: 'book_ocr',
+        magazine: 'book_ocr',
+        blog: 'blog',
+        article: 'blog',
+        audio: 'transcript',
+        other: 'standard'
+    };
+
+    function presetForContentType(contentType) {
+        return CONTENT_TYPE_PRESETS[contentType] || 'standard';
+    }
+
+    // Longest custom pattern accepted. Length does not make a pattern safe (the server
+    // only runs custom rules sent by admins), but it bounds what can be sent at all.
+    const MAX_CUSTOM_PATTERN_LENGTH = 200;
+    const MAX_CUSTOM_RULES = 20;
+
+    function compileCustomRule(custom) {
+        if (!custom || typeof custom.name !== 'string' || !custom.name || typeof custom.pattern !== 'string') {
+            throw new CleaningConfigError('Custom cleaning rules need a name and a pattern');
+        }
+        if (custom.pattern.length > MAX_CUSTOM_PATTERN_LENGTH) {
+            throw new CleaningConfigError(`Pattern of custom rule "${custom.name}" is longer than ${MAX_CUSTOM_PATTERN_LENGTH} characters`);
+        }
+        if ((custom.flags !== undefined && typeof custom.flags !== 'string')
+            || (custom.replacement !== undefined && typeof custom.replacement !== 'string')) {
+            throw new CleaningConfigError(`Flags and replacement of custom rule "${custom.name}" must be strings`);
+        }
+
+        let regex;
+        try {
+            regex = new RegExp(custom.pattern, custom.flags === undefined ? 'g' : custom.flags);
+        } catch (error) {
+            throw new CleaningConfigError(`Invalid pattern for custom rule "${custom.name}": ${error.message}`);
+        }
+
+        const replacement = custom.replacement || '';
+        return {
+            id: `custom:${custom.name}`,
+            description: custom.description || `Replace /${custom.pattern}/${regex.flags} with "${replacement}"`,
+            apply: text => text.replace(regex, replacement)
+        };
+    }
+
+    // Specs arrive as JSON from request bodies: check the shape before using any part of it
+    function assertSpecShape(spec) {
+        if (typeof spec !== 'object' || Array.isArray(spec)) {
+            throw new CleaningConfigError('Cleaning spec must be an object');
+        }
+        if (spec.preset !== undefined && spec.preset !== null && typeof spec.preset !== 'string') {
+            throw new CleaningConfigError('Cleaning preset must be a string');
+        }
+        ['rules', 'enable', 'disable'].forEach(key => {
+            const value = spec[key];
+            if (value !== undefined && value !== null && !(Array.isArray(value) && value.every(id => typeof id === 'string'))) {
+                throw new CleaningConfigError(`Cleaning ${key} must be an array of rule ids`);
+            }
+        });
+        const custom = spec.custom_rules;
+        if (custom !== undefined && custom !== null
+            && !(Array.isArray(custom) && custom.every(rule => rule && typeof rule === 'object' && !Array.isArray(rule)))) {
+            throw new CleaningConfigError('custom_rules must be an array of { name, pattern, flags, replacement } objects');
+        }
+        if (custom && custom.length > MAX_CUSTOM_RULES) {
+            throw new CleaningConfigError(`At most ${MAX_CUSTOM_RULES} custom rules`);
+        }
+    }
+
+    // Whether a spec brings its own regular expressions
+    function hasCustomRules(spec) {
+        return Boolean(spec && Array.isArray(spec.custom_rules) && spec.custom_rules.length);
+    }
+
+    /**
+     * Resolve a spec into { preset, rules: [ids], steps: [rule objects] }.
+     * Throws CleaningConfigError for malformed specs, unknown presets/rules
+     * or bad patterns.
+     */
+    function resolvePipeline(spec, contentType) {
+        spec = spec || {};
+        assertSpecShape(spec);
+        const preset = spec.preset || presetForContentType(contentType);
+
+        if (!spec.rules && !PRESETS[preset]) {
+            throw new CleaningConfigError(`Unknown cleaning preset: ${preset}`);
+        }
+
+        const customRules = (spec.custom_rules || []).map(compileCustomRule);
+        const available = Object.assign({}, RULES_BY_ID);
+        customRules.forEach(rule => { available[rule.id] = rule; });
+
+        const disable = spec.disable || [];
+        let ids;
+
+        if (spec.rules) {
+            ids = spec.rules.slice();
+        } else {
+            const selected = PRESETS[preset].concat(spec.enable || []);
+            ids = RULES.map(rule => rule.id).filter(id => selected.includes(id));
+        }
+        ids = ids.filter(id => !disable.includes(id));
+
+        // Custom rules not placed explicitly run after the built-in ones (but before the final trim)
+        customRules.forEach(rule => {
+            if (!ids.includes(rule.id) && !disable.includes(rule.id)) {
+                const at = ids[ids.length - 1] === 'trim_text' ? ids.length - 1 : ids.length;
+                ids.splice(at, 0, rule.id);
+            }
+        });
+
+        const unknown = ids.concat(spec.enable || []).filter(id => !available[id]);
+        if (unknown.length) {
+            throw new CleaningConfigError(`Unknown cleaning rule(s): ${unknown.join(', ')}`);
+        }
+
+        return {
+            preset: spec.rules ? (spec.preset || null) : preset,
+            rules: ids,
+            steps: ids.map(id => available[id])
+        };
+    }
+
+    /**
+     * Run the pipeline described by spec over text.
+     * Returns { text, preset, rules } so callers can record what was applied.
+     */
+    function runPipeline(text, spec, contentType) {
+        const pipeline = resolvePipeline(spec, contentType);
+
+        let cleaned = typeof text === 'string' ? text : '';
+        pipeline.steps.forEach(step => {
+            cleaned = step.apply(cleaned);
+        });
+
+        return { text: cleaned, preset: pipeline.preset, rules: pipeline.rules };
+    }
+
+    /**
+     * Main text cleaning function - preprocesses text for corpus.
+     * Without a spec it applies the 'standard' preset (all built-in cleaning).
+     */
+    function cleanText(text, spec, contentType) {
+        if (!text || typeof text !== 'string') {
+            return '';
+        }
+        return runPipeline(text, spec || { preset: 'standard' }, contentType).text;
+    }
+
+    /**
+     * Build a spec from flat options (query parameters or CLI flags):
+     * cleaning_preset plus comma-separated cleaning_enable / cleaning_disable
+     * rule ids. Returns null when none are set.
+     */
+    function specFromOptions(options) {
+        const list = value => value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : undefined;
+        if (!options.cleaning_preset && !options.cleaning_enable && !options.cleaning_disable) {
+            return null;
+        }
+        return {
+            preset: options.cleaning_preset || undefined,
+            enable: list(options.cleaning_enable),
+            disable: list(options.cleaning_disable)
+        };
+    }
+
+    return {
+        RULES: RULES.map(rule => ({ id: rule.id, description: rule.description })),
+        PRESETS: PRESETS,
+        CONTENT_TYPE_PRESETS: CONTENT_TYPE_PRESETS,
+        CleaningConfigError: CleaningConfigError,
+        presetForContentType: presetForContentType,
+        MAX_CUSTOM_PATTERN_LENGTH: MAX_CUSTOM_PATTERN_LENGTH,
+        hasCustomRules: hasCustomRules,
+        resolvePipeline: resolvePipeline,
+        runPipeline: runPipeline,
+        specFromOptions: specFromOptions,
+        cleanText: cleanText
+    };
+});
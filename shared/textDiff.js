@@ -0,0 +1,214 @@
+/**
+ * Line diff used for document revisions: the server stores unified hunks of
+ * content_text changes, the browser renders side-by-side comparisons.
+ * Loaded as a plain <script> (exposes window.TextDiff) or via require().
+ *
+ * diffLines() returns a list of operations
+ *   [{ type: 'equal' | 'delete' | 'insert', lines: [...] }, ...]
+ * computed with Myers' O(ND) algorithm after trimming the common prefix and
+ * suffix. When the texts differ by more than maxEdits lines the changed
+ * middle is reported as one deletion plus one insertion instead.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TextDiff = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const DEFAULT_MAX_EDITS = 2000;
+    const DEFAULT_CONTEXT = 3;
+
+    function splitLines(text) {
+        return text ? String(text).split('\n') : [];
+    }
+
+    function diffLines(oldText, newText, { maxEdits = DEFAULT_MAX_EDITS } = {}) {
+        const a = splitLines(oldText);
+        const b = splitLines(newText);
+
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const middleA = a.slice(start, endA);
+        const middleB = b.slice(start, endB);
+        const edits = myers(middleA, middleB, maxEdits) || [
+            ...middleA.map(line => ['delete', line]),
+            ...middleB.map(line => ['insert', line])
+        ];
+
+        const ops = [];
+        const push = (type, line) => {
+            const last = ops[ops.length - 1];
+            if (last && last.type === type) {
+                last.lines.push(line);
+            } else {
+                ops.push({ type: type, lines: [line] });
+            }
+        };
+
+        a.slice(0, start).forEach(line => push('equal', line));
+        edits.forEach(([type, line]) => push(type, line));
+        a.slice(endA).forEach(line => push('equal', line));
+        return ops;
+    }
+
+    // Shortest edit script as [type, line] pairs, or null beyond maxEdits
+    function myers(a, b, maxEdits) {
+        const n = a.length;
+        const m = b.length;
+        const max = Math.min(n + m, maxEdits);
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = [];
+
+        for (let d = 0; d <= max; d++) {
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) {
+                    return backtrack(a, b, trace);
+                }
+            }
+        }
+        return null;
+    }
+
+    function backtrack(a, b, trace) {
+        const edits = [];
+        let x = a.length;
+        let y = b.length;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const previous = trace[d];
+            const at = k => previous[k + d + 1];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+            const prevX = at(prevK);
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                edits.push(['equal', a[--x]]);
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) {
+                    edits.push(['insert', b[--y]]);
+                } else {
+                    edits.push(['delete', a[--x]]);
+                }
+            }
+        }
+
+        return edits.reverse();
+    }
+
+    function stats(ops) {
+        const count = type => ops.filter(op => op.type === type).reduce((sum, op) => sum + op.lines.length, 0);
+        return { added: count('insert'), removed: count('delete') };
+    }
+
+    /**
+     * Unified diff hunks with `context` unchanged lines around each change:
+     * [{ old_start, old_lines, new_start, new_lines, lines: [' kept', '-removed', '+added'] }]
+     * Line numbers are 1-based.
+     */
+    function unifiedHunks(ops, context = DEFAULT_CONTEXT) {
+        const rows = [];
+        let oldLine = 1;
+        let newLine = 1;
+        for (const op of ops) {
+            for (const line of op.lines) {
+                rows.push({ type: op.type, line: line, old: oldLine, new: newLine });
+                if (op.type !== 'insert') oldLine++;
+                if (op.type !== 'delete') newLine++;
+            }
+        }
+
+        const hunks = [];
+        let current = null;
+        let lastChange = -Infinity;
+
+        rows.forEach((row, index) => {
+            if (row.type === 'equal') return;
+
+            if (!current || index - lastChange > 2 * context) {
+                const from = Math.max(0, index - context);
+                current = { from: from, to: index };
+                hunks.push(current);
+            }
+            current.to = index;
+            lastChange = index;
+        });
+
+        return hunks.map(hunk => {
+            const slice = rows.slice(hunk.from, Math.min(rows.length, hunk.to + context + 1));
+            const prefix = { equal: ' ', delete: '-', insert: '+' };
+            return {
+                old_start: slice[0].old,
+                old_lines: slice.filter(row => row.type !== 'insert').length,
+                new_start: slice[0].new,
+                new_lines: slice.filter(row => row.type !== 'delete').length,
+                lines: slice.map(row => prefix[row.type] + row.line)
+            };
+        });
+    }
+
+    /**
+     * Rows for a two-column view: unchanged lines side by side, deletions
+     * paired with the insertions that replaced them.
+     * [{ type: 'equal' | 'change' | 'delete' | 'insert', left: { number, text } | null, right: ... }]
+     */
+    function sideBySide(ops) {
+        const rows = [];
+        let oldLine = 1;
+        let newLine = 1;
+
+        for (let i = 0; i < ops.length; i++) {
+            const op = ops[i];
+            if (op.type === 'equal') {
+                op.lines.forEach(line => rows.push({
+                    type: 'equal',
+                    left: { number: oldLine++, text: line },
+                    right: { number: newLine++, text: line }
+                }));
+                continue;
+            }
+
+            const removed = op.type === 'delete' ? op.lines : [];
+            const added = op.type === 'insert' ? op.lines : (ops[i + 1] && ops[i + 1].type === 'insert' ? ops[++i].lines : []);
+            for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+                const left = j < removed.length ? { number: oldLine++, text: removed[j] } : null;
+                const right = j < added.length ? { number: newLine++, text: added[j] } : null;
+                rows.push({ type: left && right ? 'change' : left ? 'delete' : 'insert', left: left, right: right });
+            }
+        }
+
+        return rows;
+    }
+
+    return {
+        DEFAULT_MAX_EDITS: DEFAULT_MAX_EDITS,
+        diffLines: diffLines,
+        stats: stats,
+        unifiedHunks: unifiedHunks,
+        sideBySide: sideBySide
+    };
+});
@@ -0,0 +1,289 @@
+/**
+ * Text quality metrics and ingest filters shared by the browser UI and the server.
+ * Loaded as a plain <script> (exposes window.TextQuality) or via require().
+ *
+ * analyze() measures a text: character-class ratios, mean word and sentence
+ * length, the share of repeated lines (running headers, boilerplate), the
+ * detected language and counts of personal data (emails, phone numbers).
+ * evaluate() checks the metrics against thresholds of the form
+ *   { metric: { warn_below, reject_below, warn_above, reject_above } }
+ * (null or missing bounds are not checked) plus
+ *   language_mismatch: { warn: true, reject: false }
+ * and returns 'pass', 'warn' or 'reject' with the issues found. Texts shorter
+ * than MIN_WORDS only get the personal data check: ratios of a few words
+ * say nothing about OCR quality.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TextQuality = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Bumped whenever a metric is computed differently
+    const QUALITY_VERSION = 1;
+
+    const MIN_WORDS = 20;
+
+    class QualityConfigError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'QualityConfigError';
+        }
+    }
+
+    const METRICS = [
+        { id: 'letter_ratio', label: 'Letters', description: 'Share of non-space characters that are letters', percent: true },
+        { id: 'digit_ratio', label: 'Digits', description: 'Share of non-space characters that are digits', percent: true },
+        { id: 'punctuation_ratio', label: 'Punctuation', description: 'Share of non-space characters that are punctuation', percent: true },
+        { id: 'symbol_ratio', label: 'Other symbols', description: 'Share of non-space characters that are neither letters, digits nor punctuation (OCR noise)', percent: true },
+        { id: 'uppercase_ratio', label: 'Uppercase', description: 'Share of letters that are uppercase', percent: true },
+        { id: 'mean_word_length', label: 'Mean word length', description: 'Average characters per word' },
+        { id: 'mean_sentence_length', label: 'Mean sentence length', description: 'Average words per sentence' },
+        { id: 'repeated_line_ratio', label: 'Repeated lines', description: 'Share of non-empty lines that repeat an earlier line', percent: true },
+        { id: 'pii_count', label: 'Personal data', description: 'Email addresses and phone numbers found' }
+    ];
+
+    const DEFAULT_THRESHOLDS = {
+        letter_ratio: { warn_below: 0.6, reject_below: 0.4 },
+        digit_ratio: { warn_above: 0.15, reject_above: 0.35 },
+        punctuation_ratio: { warn_above: 0.15, reject_above: 0.3 },
+        symbol_ratio: { warn_above: 0.05, reject_above: 0.15 },
+        uppercase_ratio: { warn_above: 0.5, reject_above: 0.8 },
+        mean_word_length: { warn_below: 3, warn_above: 10, reject_below: 2, reject_above: 20 },
+        // Transcripts often come without punctuation, so long "sentences" only warn
+        mean_sentence_length: { warn_below: 3, warn_above: 80 },
+        repeated_line_ratio: { warn_above: 0.3, reject_above: 0.6 },
+        pii_count: { warn_above: 0 },
+        language_mismatch: { warn: true, reject: false }
+    };
+
+    const BOUNDS = ['warn_below', 'reject_below', 'warn_above', 'reject_above'];
+
+    // Frequent function words per language, used to guess the language of a text
+    const STOPWORDS = {
+        en: ['the', 'and', 'of', 'to', 'a', 'in', 'is', 'that', 'it', 'was', 'for', 'with', 'as', 'he', 'she', 'on', 'be', 'at', 'by', 'this', 'had', 'not', 'but', 'from', 'they', 'his', 'her', 'which', 'you', 'were', 'are', 'have', 'or', 'an', 'we', 'there', 'about', 'would', 'been', 'what'],
+        es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'se', 'del', 'las', 'un', 'por', 'con', 'no', 'una', 'su', 'para', 'es', 'al', 'lo', 'como', 'más', 'pero', 'sus', 'le', 'ya', 'o', 'fue', 'este', 'ha'],
+        fr: ['le', 'la', 'de', 'et', 'les', 'des', 'en', 'un', 'du', 'une', 'que', 'est', 'pour', 'qui', 'dans', 'par', 'plus', 'pas', 'au', 'sur', 'ne', 'se', 'ce', 'il', 'sont', 'avec', 'son', 'elle', 'nous', 'vous'],
+        de: ['der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich', 'des', 'auf', 'für', 'ist', 'im', 'dem', 'nicht', 'ein', 'eine', 'als', 'auch', 'es', 'an', 'werden', 'aus', 'er', 'hat', 'dass', 'sie', 'nach'],
+        it: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'in', 'non', 'una', 'sono', 'mi', 'ho', 'lo', 'ma', 'ha', 'le', 'si', 'con', 'gli', 'questo', 'come', 'io', 'del', 'della', 'nel', 'anche', 'più', 'era', 'alla'],
+        pt: ['de', 'a', 'o', 'que', 'e', 'do', 'da', 'em', 'um', 'para', 'com', 'não', 'uma', 'os', 'no', 'se', 'na', 'por', 'mais', 'as', 'dos', 'como', 'mas', 'ao', 'ele', 'das', 'seu', 'sua', 'ou', 'foi'],
+        nl: ['de', 'en', 'van', 'het', 'een', 'in', 'is', 'dat', 'op', 'te', 'zijn', 'voor', 'met', 'die', 'niet', 'aan', 'er', 'om', 'ook', 'als', 'bij', 'maar', 'door', 'worden', 'naar', 'dan', 'nog', 'wel', 'wordt', 'hij']
+    };
+    const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)]));
+
+    // Stopword hits, and different stopwords, needed before a language is reported at all
+    const MIN_LANGUAGE_HITS = 10;
+    const MIN_DISTINCT_STOPWORDS = 4;
+
+    const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+    const PHONE_CANDIDATE_PATTERN = /(?:\+|\b)\d[\d\s().\/-]{6,}\d\b/g;
+
+    function round(value, digits = 3) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    function words(text) {
+        return text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+    }
+
+    /**
+     * Phone-like digit runs: 9 to 15 digits, written with a leading + or with
+     * separators. Year ranges ("1914-1918") and plain long numbers are ignored.
+     */
+    function countPhoneNumbers(text) {
+        return (text.match(PHONE_CANDIDATE_PATTERN) || []).filter(candidate => {
+            const digits = candidate.replace(/\D/g, '');
+            if (digits.length < 9 || digits.length > 15) return false;
+            if (/^\d{4}\s*[-\/]\s*\d{4}$/.test(candidate.trim())) return false;
+            return candidate.startsWith('+') || /[\s().\/-]/.test(candidate);
+        }).length;
+    }
+
+    /**
+     * Guess the language from stopword frequencies.
+     * Returns { language, confidence } or null when the text has too few clues.
+     */
+    function detectLanguage(text) {
+        const hits = {};
+        const distinct = {};
+        for (const word of words(text.toLowerCase())) {
+            for (const [language, set] of Object.entries(STOPWORD_SETS)) {
+                if (!set.has(word)) continue;
+                hits[language] = (hits[language] || 0) + 1;
+                (distinct[language] = distinct[language] || new Set()).add(word);
+            }
+        }
+
+        const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+        if (ranked.length === 0 || ranked[0][1] < MIN_LANGUAGE_HITS || distinct[ranked[0][0]].size < MIN_DISTINCT_STOPWORDS) {
+            return null;
+        }
+        const total = ranked.reduce((sum, [, count]) => sum + count, 0);
+        return { language: ranked[0][0], confidence: round(ranked[0][1] / total, 2) };
+    }
+
+    /**
+     * Measure a text. Returns the metrics listed in METRICS plus word_count,
+     * detected_language and pii ({ emails, phone_numbers }).
+     */
+    function analyze(text) {
+        text = typeof text === 'string' ? text : '';
+
+        let visible = 0, letters = 0, digits = 0, punctuation = 0, uppercase = 0;
+        for (const char of text) {
+            if (/\s/u.test(char)) continue;
+            visible++;
+            if (/\p{L}/u.test(char)) {
+                letters++;
+                if (char !== char.toLowerCase()) uppercase++;
+            } else if (/\p{N}/u.test(char)) {
+                digits++;
+            } else if (/\p{P}/u.test(char)) {
+                punctuation++;
+            }
+        }
+
+        const wordList = words(text);
+        const sentences = text.split(/[.!?…]+(?=\s|$)/).filter(sentence => words(sentence).length > 0);
+        const lines = text.split('\n').map(line => line.trim().toLowerCase()).filter(Boolean);
+        const seen = new Set();
+        let repeated = 0;
+        for (const line of lines) {
+            if (seen.has(line)) repeated++;
+            seen.add(line);
+        }
+
+        const pii = {
+            emails: (text.match(EMAIL_PATTERN) || []).length,
+            phone_numbers: countPhoneNumbers(text)
+        };
+
+        return {
+            word_count: wordList.length,
+            letter_ratio: visible ? round(letters / visible) : 0,
+            digit_ratio: visible ? round(digits / visible) : 0,
+            punctuation_ratio: visible ? round(punctuation / visible) : 0,
+            symbol_ratio: visible ? round((visible - letters - digits - punctuation) / visible) : 0,
+            uppercase_ratio: letters ? round(uppercase / letters) : 0,
+            mean_word_length: wordList.length ? round(wordList.reduce((sum, word) => sum + word.length, 0) / wordList.length, 2) : 0,
+            mean_sentence_length: sentences.length ? round(wordList.length / sentences.length, 1) : 0,
+            repeated_line_ratio: lines.length ? round(repeated / lines.length) : 0,
+            pii_count: pii.emails + pii.phone_numbers,
+            pii: pii,
+            detected_language: detectLanguage(text)
+        };
+    }
+
+    // "en-US" -> "en"; null for "other" or nothing selected
+    function baseLanguage(language) {
+        if (!language || language === 'other') return null;
+        return String(language).toLowerCase().split(/[-_]/)[0];
+    }
+
+    function formatValue(metric, value) {
+        const definition = METRICS.find(entry => entry.id === metric);
+        return definition && definition.percent ? `${round(value * 100, 1)}%` : String(value);
+    }
+
+    /**
+     * Check metrics against thresholds. `language` is the language the
+     * document is declared in (content_metadata.language).
+     * Returns { status: 'pass' | 'warn' | 'reject', issues: [{ metric, level, value, message }] }.
+     */
+    function evaluate(metrics, { language = null, thresholds = DEFAULT_THRESHOLDS } = {}) {
+        const issues = [];
+        const shortText = metrics.word_count < MIN_WORDS;
+
+        for (const definition of METRICS) {
+            const limits = thresholds[definition.id];
+            const value = metrics[definition.id];
+            if (!limits || typeof value !== 'number' || (shortText && definition.id !== 'pii_count')) continue;
+
+            const label = definition.label.toLowerCase();
+            const shown = formatValue(definition.id, value);
+            if (limits.reject_below != null && value < limits.reject_below) {
+                issues.push({ metric: definition.id, level: 'reject', value: value, message: `${definition.label} ${shown} is below ${formatValue(definition.id, limits.reject_below)}` });
+            } else if (limits.reject_above != null && value > limits.reject_above) {
+                issues.push({ metric: definition.id, level: 'reject', value: value, message: `${definition.label} ${shown} is above ${formatValue(definition.id, limits.reject_above)}` });
+            } else if (limits.warn_below != null && value < limits.warn_below) {
+                issues.push({ metric: definition.id, level: 'warn', value: value, message: `Low ${label}: ${shown}` });
+            } else if (limits.warn_above != null && value > limits.warn_above) {
+                issues.push({ metric: definition.id, level: 'warn', value: value, message: definition.id === 'pii_count'
+                    ? `Contains personal data: ${metrics.pii.emails} email address(es), ${metrics.pii.phone_numbers} phone number(s)`
+                    : `High ${label}: ${shown}` });
+            }
+        }
+
+        const mismatch = thresholds.language_mismatch || {};
+        const declared = baseLanguage(language);
+        const detected = metrics.detected_language;
+        if (!shortText && declared && detected && detected.language !== declared && (mismatch.warn || mismatch.reject)) {
+            issues.push({
+                metric: 'language_mismatch',
+                level: mismatch.reject ? 'reject' : 'warn',
+                value: detected.language,
+                message: `Text looks like "${detected.language}" but the document is marked "${language}"`
+            });
+        }
+
+        const status = issues.some(issue => issue.level === 'reject') ? 'reject'
+            : issues.length ? 'warn' : 'pass';
+        return { status: status, issues: issues };
+    }
+
+    /**
+     * analyze() and evaluate() in one: the training_metadata.quality record
+     * { version, status, metrics, issues } stored on documents.
+     */
+    function assess(text, { language = null, thresholds = DEFAULT_THRESHOLDS } = {}) {
+        const metrics = analyze(text);
+        const { status, issues } = evaluate(metrics, { language, thresholds });
+        return { version: QUALITY_VERSION, status: status, metrics: metrics, issues: issues };
+    }
+
+    /**
+     * Thresholds with overrides applied over the defaults, per metric and
+     * bound. A metric set to null disables its checks. Unknown metrics or
+     * bounds throw QualityConfigError.
+     */
+    function mergeThresholds(overrides) {
+        const merged = JSON.parse(JSON.stringify(DEFAULT_THRESHOLDS));
+        for (const [metric, limits] of Object.entries(overrides || {})) {
+            if (!(metric in DEFAULT_THRESHOLDS)) {
+                throw new QualityConfigError(`Unknown quality metric: ${metric}`);
+            }
+            if (limits === null) {
+                delete merged[metric];
+                continue;
+            }
+            const allowed = metric === 'language_mismatch' ? ['warn', 'reject'] : BOUNDS;
+            for (const [bound, value] of Object.entries(limits)) {
+                if (!allowed.includes(bound)) {
+                    throw new QualityConfigError(`Unknown threshold for ${metric}: ${bound} (expected ${allowed.join(', ')})`);
+                }
+                const valid = metric === 'language_mismatch' ? typeof value === 'boolean' : value === null || typeof value === 'number';
+                if (!valid) {
+                    throw new QualityConfigError(`Threshold ${metric}.${bound} must be ${metric === 'language_mismatch' ? 'true or false' : 'a number or null'}`);
+                }
+                merged[metric][bound] = value;
+            }
+        }
+        return merged;
+    }
+
+    return {
+        QUALITY_VERSION: QUALITY_VERSION,
+        MIN_WORDS: MIN_WORDS,
+        METRICS: METRICS,
+        DEFAULT_THRESHOLDS: DEFAULT_THRESHOLDS,
+        QualityConfigError: QualityConfigError,
+        analyze: analyze,
+        detectLanguage: detectLanguage,
+        evaluate: evaluate,
+        assess: assess,
+        mergeThresholds: mergeThresholds
+    };
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const tar = require('tar');
+
+const ImportService = require('../services/ImportService');
+const { ArchiveTooLargeError } = ImportService;
+
+const FILE_COUNT = 5;
+const FILE_BYTES = 100000;
+
+describe('ImportService', () => {
+    let directory;
+    let zipArchive;
+    let tarArchive;
+    let importService;
+    let savedTmpdir;
+
+    before(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-import-test-'));
+        // Archives are extracted under os.tmpdir(); a directory of its own shows what is left behind
+        savedTmpdir = process.env.TMPDIR;
+        process.env.TMPDIR = path.join(directory, 'tmp');
+        fs.mkdirSync(process.env.TMPDIR);
+        const source = path.join(directory, 'source');
+        fs.mkdirSync(source);
+        const names = [];
+        for (let i = 0; i < FILE_COUNT; i++) {
+            names.push(`chapter-${i}.txt`);
+            // Compresses to almost nothing, like a (much smaller) zip bomb
+            fs.writeFileSync(path.join(source, names[i]), 'a'.repeat(FILE_BYTES));
+        }
+
+        const zip = new AdmZip();
+        names.forEach(name => zip.addLocalFile(path.join(source, name)));
+        zipArchive = zip.toBuffer();
+        tarArchive = path.join(directory, 'chapters.tar.gz');
+        await tar.c({ gzip: true, file: tarArchive, cwd: source }, names);
+
+        // Only the extraction is under test: report the loaded file names instead of building documents
+        importService = new ImportService({});
+        importService.loadDirectory = async root => fs.readdirSync(root).sort();
+    });
+
+    after(() => {
+        if (savedTmpdir === undefined) {
+            delete process.env.TMPDIR;
+        } else {
+            process.env.TMPDIR = savedTmpdir;
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const leftovers = () => fs.readdirSync(path.join(directory, 'tmp'));
+
+    for (const [type, archive] of [['zip', () => zipArchive], ['tar', () => tarArchive]]) {
+        describe(`${type} archives`, () => {
+            it('are extracted within the limits', async () => {
+                const loaded = await importService.loadArchive(archive(), type, { limits: { maxBytes: FILE_COUNT * FILE_BYTES, maxEntries: FILE_COUNT } });
+                assert.equal(loaded.length, FILE_COUNT);
+            });
+
+            it('are refused past the extracted size limit', async () => {
+                await assert.rejects(
+                    importService.loadArchive(archive(), type, { limits: { maxBytes: 2 * FILE_BYTES, maxEntries: 100 } }),
+                    error => error instanceof ArchiveTooLargeError && /more than 200000 bytes/.test(error.message)
+                );
+                assert.deepEqual(leftovers(), []);
+            });
+
+            it('are refused past the entry limit', async () => {
+                await assert.rejects(
+                    importService.loadArchive(archive(), type, { limits: { maxBytes: Infinity, maxEntries: FILE_COUNT - 1 } }),
+                    error => error instanceof ArchiveTooLargeError && /more than 4 entries/.test(error.message)
+                );
+                assert.deepEqual(leftovers(), []);
+            });
+        });
+    }
+
+    it('reads its limits from the environment', () => {
+        try {
+            process.env.IMPORT_MAX_EXTRACTED_MB = '2';
+            process.env.IMPORT_MAX_ARCHIVE_ENTRIES = '50';
+            assert.deepEqual(ImportService.archiveLimits(), { maxBytes: 2 * 1024 * 1024, maxEntries: 50 });
+            delete process.env.IMPORT_MAX_EXTRACTED_MB;
+            delete process.env.IMPORT_MAX_ARCHIVE_ENTRIES;
+            assert.deepEqual(ImportService.archiveLimits(), { maxBytes: 512 * 1024 * 1024, maxEntries: 10000 });
+        } finally {
+            delete process.env.IMPORT_MAX_EXTRACTED_MB;
+            delete process.env.IMPORT_MAX_ARCHIVE_ENTRIES;
+        }
+    });
+});
@@ -0,0 +1,231 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const JsonlDatabase = require('../services/JsonlStore');
+const { DuplicateKeyError, UnsupportedOperationError } = JsonlDatabase;
+
+describe('JsonlStore', () => {
+    let directory;
+    let db;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonl-store-'));
+        db = new JsonlDatabase(directory);
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // A second database on the same directory, as another process would open it
+    const reopen = () => new JsonlDatabase(directory);
+
+    describe('CRUD', () => {
+        it('inserts, finds, updates and deletes documents', async () => {
+            const books = db.collection('books');
+            const { insertedId } = await books.insertOne({ title: 'Moby Dick', tags: ['sea'], pages: 635 });
+            await books.insertMany([{ title: 'Emma', tags: ['society'], pages: 474 }, { title: 'Dracula', pages: 418 }]);
+
+            assert.equal(await books.countDocuments(), 3);
+            assert.equal((await books.findOne({ _id: insertedId })).title, 'Moby Dick');
+            assert.deepEqual((await books.find({ pages: { $lt: 500 } }, { sort: { pages: 1 } }).toArray()).map(book => book.title), ['Dracula', 'Emma']);
+
+            const updated = await books.updateOne({ title: 'Emma' }, { $set: { pages: 480 }, $push: { tags: 'romance' } });
+            assert.equal(updated.modifiedCount, 1);
+            assert.deepEqual(await books.findOne({ title: 'Emma' }, { projection: { _id: 0, pages: 1, tags: 1 } }), { pages: 480, tags: ['society', 'romance'] });
+
+            const after = await books.findOneAndUpdate({ title: 'Dracula' }, { $inc: { pages: 2 } }, { returnDocument: 'after' });
+            assert.equal(after.pages, 420);
+
+            const upserted = await books.updateOne({ title: 'Ulysses' }, { $set: { pages: 730 } }, { upsert: true });
+            assert.equal(upserted.upsertedCount, 1);
+
+            assert.equal((await books.deleteOne({ title: 'Moby Dick' })).deletedCount, 1);
+            assert.equal((await books.deleteMany({ pages: { $gt: 450 } })).deletedCount, 2);
+            assert.deepEqual((await books.find().toArray()).map(book => book.title), ['Dracula']);
+
+            // Everything went through the file
+            const reread = await reopen().collection('books').find().toArray();
+            assert.deepEqual(reread.map(book => [book.title, book.pages]), [['Dracula', 420]]);
+        });
+
+        it('returns copies that do not change the stored documents', async () => {
+            const books = db.collection('books');
+            await books.insertOne({ title: 'Emma', tags: ['society'] });
+            const book = await books.findOne({ title: 'Emma' });
+            book.tags.push('changed');
+            assert.deepEqual((await books.findOne({ title: 'Emma' })).tags, ['society']);
+        });
+
+        it('rejects operations it does not implement', async () => {
+            const books = db.collection('books');
+            await books.insertOne({ title: 'Emma' });
+            await assert.rejects(books.find({ title: { $where: 'true' } }).toArray(), UnsupportedOperationError);
+            assert.throws(() => db.collection('../books'), UnsupportedOperationError);
+        });
+    });
+
+    describe('unique indexes', () => {
+        it('rejects a duplicate key on insert and update', async () => {
+            const documents = db.collection('documents');
+            await documents.createIndexes([{ key: { document_id: 1 }, unique: true }]);
+            await documents.insertOne({ document_id: 'a' });
+            await documents.insertOne({ document_id: 'b' });
+
+            await assert.rejects(documents.insertOne({ document_id: 'a' }), error => {
+                assert.ok(error instanceof DuplicateKeyError);
+                assert.equal(error.code, 11000);
+                assert.match(error.message, /index: document_id_1/);
+                return true;
+            });
+            await assert.rejects(documents.updateOne({ document_id: 'b' }, { $set: { document_id: 'a' } }), { code: 11000 });
+            assert.equal(await documents.countDocuments({ document_id: 'a' }), 1);
+        });
+
+        it('rejects a duplicate _id', async () => {
+            const documents = db.collection('documents');
+            const { insertedId } = await documents.insertOne({ document_id: 'a' });
+            await assert.rejects(documents.insertOne({ _id: insertedId, document_id: 'b' }), { code: 11000 });
+        });
+
+        it('refuses to create a unique index over existing duplicates', async () => {
+            const documents = db.collection('documents');
+            await documents.insertMany([{ document_id: 'a' }, { document_id: 'a' }]);
+            await assert.rejects(documents.createIndexes([{ key: { document_id: 1 }, unique: true, name: 'document_id_unique' }]), { code: 11000 });
+            assert.deepEqual((await documents.indexes()).map(index => index.name), ['_id_']);
+        });
+    });
+
+    describe('cursor paging', () => {
+        beforeEach(async () => {
+            const chapters = db.collection('chapters');
+            await chapters.insertMany([3, null, 1, 2, null, 2, 4].map((ordinal, position) => ({ ordinal, position })));
+        });
+
+        it('pages with skip and limit in sort order', async () => {
+            const chapters = db.collection('chapters');
+            const page = async skip => (await chapters.find({}).sort({ ordinal: 1, position: 1 }).skip(skip).limit(3).toArray())
+                .map(chapter => chapter.position);
+            assert.deepEqual(await page(0), [1, 4, 2]);
+            assert.deepEqual(await page(3), [3, 5, 0]);
+            assert.deepEqual(await page(6), [6]);
+        });
+
+        it('pages after a position on the sort key and _id, nulls included', async () => {
+            const chapters = db.collection('chapters');
+            const seen = [];
+            let last = null;
+            for (;;) {
+                // Nulls sort first ascending, as in MongoDB
+                const query = !last ? {}
+                    : last.ordinal === null
+                        ? { $or: [{ ordinal: null, _id: { $gt: last._id } }, { ordinal: { $ne: null } }] }
+                        : { $or: [{ ordinal: { $gt: last.ordinal } }, { ordinal: last.ordinal, _id: { $gt: last._id } }] };
+                const page = await chapters.find(query, { sort: { ordinal: 1, _id: 1 }, limit: 2 }).toArray();
+                if (!page.length) break;
+                seen.push(...page.map(chapter => chapter.ordinal));
+                last = page[page.length - 1];
+            }
+            assert.deepEqual(seen, [null, null, 1, 2, 2, 3, 4]);
+        });
+    });
+
+    describe('text search', () => {
+        it('matches terms, phrases and negations and scores by relevance', async () => {
+            const texts = db.collection('texts');
+            await texts.createIndexes([{ key: { title: 'text', body: 'text' }, name: 'text_search' }]);
+            await texts.insertMany([
+                { title: 'Whales', body: 'Whales sing. Whales migrate across the ocean.' },
+                { title: 'Ocean currents', body: 'The ocean moves heat around the planet.' },
+                { title: 'Bread', body: 'Yeast makes the dough rise.' }
+            ]);
+
+            const ranked = await texts.find({ $text: { $search: 'whales ocean' } }, {
+                projection: { title: 1, score: { $meta: 'textScore' } },
+                sort: { score: { $meta: 'textScore' } }
+            }).toArray();
+            assert.deepEqual(ranked.map(text => text.title), ['Whales', 'Ocean currents']);
+            assert.ok(ranked[0].score > ranked[1].score);
+
+            assert.deepEqual((await texts.find({ $text: { $search: '"dough rise"' } }).toArray()).map(text => text.title), ['Bread']);
+            assert.deepEqual((await texts.find({ $text: { $search: 'ocean -whales' } }).toArray()).map(text => text.title), ['Ocean currents']);
+        });
+
+        it('requires a text index', async () => {
+            await assert.rejects(db.collection('texts').find({ $text: { $search: 'whales' } }).toArray(), UnsupportedOperationError);
+        });
+    });
+
+    describe('compaction', () => {
+        it('rewrites the file without superseded lines', async () => {
+            const drafts = db.collection('drafts');
+            const file = path.join(directory, 'drafts.jsonl');
+            const body = 'x'.repeat(20000);
+            await drafts.insertOne({ _id: 'draft', revision: 0, body });
+            await drafts.insertOne({ _id: 'gone', body });
+            await drafts.deleteOne({ _id: 'gone' });
+
+            // Each update appends a full copy, well past the compaction slack
+            for (let revision = 1; revision <= 100; revision++) {
+                await drafts.updateOne({ _id: 'draft' }, { $set: { revision } });
+            }
+
+            const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+            assert.ok(lines.length < 60, `${lines.length} lines after 103 writes`);
+            assert.ok(lines.every(line => !line.includes('"gone"')));
+            assert.deepEqual(await drafts.find({}, { projection: { body: 0 } }).toArray(), [{ _id: 'draft', revision: 100 }]);
+            assert.deepEqual(await reopen().collection('drafts').find({}, { projection: { body: 0 } }).toArray(), [{ _id: 'draft', revision: 100 }]);
+            assert.deepEqual(fs.readdirSync(directory).filter(name => name.endsWith('.tmp')), []);
+        });
+
+        it('is followed by other processes holding the old file', async () => {
+            const other = reopen().collection('drafts');
+            const drafts = db.collection('drafts');
+            await drafts.insertOne({ _id: 'draft', revision: 0, body: 'x'.repeat(20000) });
+            assert.equal((await other.findOne({ _id: 'draft' })).revision, 0);
+
+            for (let revision = 1; revision <= 100; revision++) {
+                await drafts.updateOne({ _id: 'draft' }, { $set: { revision } });
+            }
+            assert.equal((await other.findOne({ _id: 'draft' })).revision, 100);
+            assert.equal(await other.countDocuments(), 1);
+        });
+    });
+
+    describe('crash recovery', () => {
+        it('ignores a partially written last line and discards it on the next write', async () => {
+            const books = db.collection('books');
+            await books.insertMany([{ _id: 1, title: 'Emma' }, { _id: 2, title: 'Dracula' }]);
+
+            // A writer died halfway through appending an update
+            const file = path.join(directory, 'books.jsonl');
+            fs.appendFileSync(file, '{"_id":1,"title":"Emm');
+
+            const recovered = reopen().collection('books');
+            assert.deepEqual((await recovered.find().toArray()).map(book => book.title), ['Emma', 'Dracula']);
+
+            await recovered.insertOne({ _id: 3, title: 'Ulysses' });
+            await recovered.updateOne({ _id: 1 }, { $set: { title: 'Emma (2nd ed.)' } });
+
+            const lines = fs.readFileSync(file, 'utf8').split('\n');
+            assert.equal(lines.pop(), '');
+            assert.doesNotThrow(() => lines.forEach(line => JSON.parse(line)));
+            assert.deepEqual((await reopen().collection('books').find().toArray()).map(book => book.title), ['Emma (2nd ed.)', 'Dracula', 'Ulysses']);
+            assert.equal((await books.findOne({ _id: 3 })).title, 'Ulysses');
+        });
+
+        it('takes over a lock left behind by a dead process', async () => {
+            const lockFile = path.join(directory, '.lock');
+            fs.writeFileSync(lockFile, '');
+            const past = new Date(Date.now() - 60000);
+            fs.utimesSync(lockFile, past, past);
+
+            await db.collection('books').insertOne({ title: 'Emma' });
+            assert.equal(await db.collection('books').countDocuments(), 1);
+            assert.equal(fs.existsSync(lockFile), false);
+        });
+    });
+});
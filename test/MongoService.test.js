@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MongoService = require('../services/MongoService');
+const StorageService = require('../services/StorageService');
+const { InvalidQueryError } = MongoService;
+
+const quiet = { log() {}, info() {}, warn() {}, error() {} };
+
+// Build a cursor the way a client could, bypassing the server's own encoding
+const craft = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('MongoService', () => {
+    let directory;
+    let mongoService;
+
+    before(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-mongo-'));
+        mongoService = new MongoService(null, {
+            storage: new StorageService({ backend: 'jsonl', directory: directory, logger: quiet }),
+            logger: quiet
+        });
+        const documents = await mongoService.documents();
+        await documents.insertMany([3, null, 1, 2, null].map((weighting, position) => ({
+            document_id: `doc_${position}`,
+            attribution: { title: `Title ${position}` },
+            training_metadata: { weighting: weighting },
+            created_at: new Date(Date.UTC(2024, 0, position + 1))
+        })));
+    });
+
+    after(async () => {
+        await mongoService.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('findDocuments cursors', () => {
+        const pageThrough = async (options) => {
+            const seen = [];
+            let cursor = null;
+            do {
+                const page = await mongoService.findDocuments({}, { ...options, limit: 2, cursor });
+                seen.push(...page.documents.map(document => document.document_id));
+                cursor = page.next_cursor;
+            } while (cursor);
+            return seen;
+        };
+
+        it('pages through every document with the cursors it hands out', async () => {
+            assert.deepEqual(await pageThrough({ sort: 'created_at', order: 'desc' }), ['doc_4', 'doc_3', 'doc_2', 'doc_1', 'doc_0']);
+            assert.deepEqual(await pageThrough({ sort: 'weighting', order: 'asc' }), ['doc_1', 'doc_4', 'doc_2', 'doc_3', 'doc_0']);
+            assert.deepEqual(await pageThrough({ sort: 'title', order: 'asc' }), ['doc_0', 'doc_1', 'doc_2', 'doc_3', 'doc_4']);
+        });
+
+        it('rejects tampered cursors', async () => {
+            const id = '0123456789abcdef01234567';
+            const tampered = [
+                ['not base64 json', 'title', '!!!'],
+                ['not an object', 'title', craft([1, 2])],
+                ['an operator object as value', 'title', craft({ value: { $ne: null }, id })],
+                ['an array as value', 'weighting', craft({ value: [1], id })],
+                ['a boolean as value', 'weighting', craft({ value: true, id })],
+                ['a non-date value for a date sort', 'created_at', craft({ value: 'yesterday', id })],
+                ['a number for a date sort', 'created_at', craft({ value: 0, id })],
+                ['a missing id', 'title', craft({ value: 'Title 1' })],
+                ['an operator object as id', 'title', craft({ value: 'Title 1', id: { $gt: '' } })],
+                ['a short id', 'title', craft({ value: 'Title 1', id: 'abcdefghijkl' })],
+                ['a negative offset', 'relevance', craft({ offset: -1 })],
+                ['a fractional offset', 'relevance', craft({ offset: 1.5 })],
+                ['a string offset', 'relevance', craft({ offset: '10' })]
+            ];
+            for (const [description, sort, cursor] of tampered) {
+                const criteria = sort === 'relevance' ? { q: 'title' } : {};
+                await assert.rejects(mongoService.findDocuments(criteria, { sort, cursor }), error => {
+                    assert.ok(error instanceof InvalidQueryError, description);
+                    assert.equal(error.message, 'Invalid pagination cursor', description);
+                    return true;
+                });
+            }
+        });
+
+        it('accepts crafted cursors of the right shape', async () => {
+            const [first] = (await mongoService.findDocuments({}, { sort: 'created_at', order: 'asc', limit: 1 })).documents;
+            const id = first._id.toString();
+            const after = await mongoService.findDocuments({}, { sort: 'created_at', order: 'asc', cursor: craft({ value: first.created_at.toISOString(), id }) });
+            assert.equal(after.total, 5);
+            assert.deepEqual(after.documents.map(document => document.document_id), ['doc_1', 'doc_2', 'doc_3', 'doc_4']);
+
+            const fromNull = await mongoService.findDocuments({}, { sort: 'weighting', order: 'asc', cursor: craft({ value: null, id }) });
+            assert.ok(fromNull.documents.length > 0);
+        });
+    });
+});
@@ -0,0 +1,160 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const ADMIN = { username: 'admin', password: 'correct horse battery' };
+const CONTRIBUTOR = { username: 'contributor', password: 'correct horse battery' };
+const START_TIMEOUT_MS = 20000;
+
+// The server as it is deployed, on a free port over a temporary jsonl store
+describe('server', () => {
+    let directory;
+    let server;
+    let baseUrl;
+    let admin;
+    let contributor;
+
+    before(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-server-'));
+        const port = await freePort();
+        baseUrl = `http://127.0.0.1:${port}`;
+        server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+            env: {
+                ...process.env,
+                PORT: String(port),
+                STORAGE_BACKEND: 'jsonl',
+                STORAGE_DIR: path.join(directory, 'data'),
+                EXPORT_DIR: path.join(directory, 'exports'),
+                JOB_WORKER: 'off',
+                IMPORT_MAX_EXTRACTED_MB: '1',
+                ADMIN_USERNAME: ADMIN.username,
+                ADMIN_PASSWORD: ADMIN.password
+            },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        await waitForServer(server);
+
+        admin = await login(ADMIN);
+        const [status] = await admin('POST', '/api/users', { ...CONTRIBUTOR, role: 'contributor' });
+        assert.equal(status, 201);
+        contributor = await login(CONTRIBUTOR);
+    });
+
+    after(async () => {
+        if (server && server.exitCode === null) {
+            const exited = new Promise(resolve => server.once('exit', resolve));
+            server.kill('SIGTERM');
+            await exited;
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // A call(method, url, body, contentType) for a logged-in user, resolving to [status, json];
+    // bodies are sent as JSON unless they are a Buffer
+    async function login(credentials) {
+        const response = await fetch(`${baseUrl}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(credentials)
+        });
+        assert.equal(response.status, 200);
+        const cookie = response.headers.get('set-cookie').split(';')[0];
+        return async (method, url, body, contentType = 'application/json') => {
+            const reply = await fetch(baseUrl + url, {
+                method: method,
+                headers: { Cookie: cookie, 'Content-Type': contentType },
+                body: body === undefined || Buffer.isBuffer(body) ? body : JSON.stringify(body)
+            });
+            return [reply.status, await reply.json()];
+        };
+    }
+
+    describe('document pagination', () => {
+        it('answers a tampered cursor with 400', async () => {
+            const cursor = Buffer.from(JSON.stringify({ value: { $ne: null }, id: '0123456789abcdef01234567' })).toString('base64url');
+            const [status, body] = await contributor('GET', `/api/documents?sort=title&cursor=${cursor}`);
+            assert.equal(status, 400);
+            assert.equal(body.error, 'Invalid pagination cursor');
+        });
+    });
+
+    describe('archive imports', () => {
+        it('refuses an archive that would extract past IMPORT_MAX_EXTRACTED_MB with 413', async () => {
+            const zip = new AdmZip();
+            zip.addFile('bomb.txt', Buffer.alloc(2 * 1024 * 1024));
+            const archive = zip.toBuffer();
+            assert.ok(archive.length < 10000);
+
+            const [status, body] = await contributor('POST', '/api/import', archive, 'application/zip');
+            assert.equal(status, 413);
+            assert.match(body.error, /Archive extracts to more than/);
+        });
+    });
+
+    describe('chunk heading patterns', () => {
+        const text = '# One\n\nFirst chapter.\n\n# Two\n\nSecond chapter.';
+        const pattern = '^(a+)+$';
+
+        it('refuses a custom heading_pattern from a contributor', async () => {
+            const [status, body] = await contributor('POST', '/api/chunk', { text, chunking: { mode: 'chapters', heading_pattern: pattern } });
+            assert.equal(status, 403);
+            assert.match(body.error, /admin role/);
+
+            const query = `?chunk_mode=chapters&chunk_heading_pattern=${encodeURIComponent(pattern)}`;
+            const [insertStatus] = await contributor('POST', `/api/insert-document${query}`, {});
+            assert.equal(insertStatus, 403);
+            const [importStatus] = await contributor('POST', `/api/import${query}`, []);
+            assert.equal(importStatus, 403);
+        });
+
+        it('lets a contributor chunk with the default pattern', async () => {
+            const [status, body] = await contributor('POST', '/api/chunk', { text, chunking: { mode: 'chapters' } });
+            assert.equal(status, 200);
+            assert.deepEqual(body.chunks.map(chunk => chunk.chapter_section), ['One', 'Two']);
+        });
+
+        it('accepts a custom heading_pattern from an admin up to the length cap', async () => {
+            const [status] = await admin('POST', '/api/chunk', { text, chunking: { mode: 'chapters', heading_pattern: '^# .*$' } });
+            assert.equal(status, 200);
+
+            const [longStatus, body] = await admin('POST', '/api/chunk', { text, chunking: { mode: 'chapters', heading_pattern: 'a'.repeat(201) } });
+            assert.equal(longStatus, 400);
+            assert.match(body.error, /longer than 200/);
+        });
+    });
+});
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Resolves once the server has created the admin account, which it does after it starts listening
+function waitForServer(child) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Server did not start')), START_TIMEOUT_MS);
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Created initial admin account')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}`));
+        });
+    });
+}